@@ -0,0 +1,17 @@
+-- One row per <record> of an RFC 7489 aggregate report
+CREATE TABLE IF NOT EXISTS dmarc_reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  customer_id TEXT NOT NULL,
+  report_id TEXT NOT NULL,
+  date_range_begin INTEGER NOT NULL,
+  date_range_end INTEGER NOT NULL,
+  header_from TEXT,
+  source_ip TEXT,
+  count INTEGER NOT NULL DEFAULT 0,
+  dkim_result INTEGER,
+  spf_result INTEGER,
+  disposition INTEGER,
+  policy_override_type TEXT,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,2 @@
+-- Reporting organisation, so the same report_id from different receivers isn't treated as a duplicate
+ALTER TABLE dmarc_reports ADD COLUMN org_name TEXT;
@@ -0,0 +1,8 @@
+-- Raw DKIM/SPF authentication results and their alignment with header_from.
+-- dkim_result/spf_result keep the policy-evaluated (aligned) outcome DMARC is decided on.
+ALTER TABLE dmarc_reports ADD COLUMN dkim_domain TEXT;
+ALTER TABLE dmarc_reports ADD COLUMN dkim_auth_result TEXT;
+ALTER TABLE dmarc_reports ADD COLUMN dkim_aligned INTEGER;
+ALTER TABLE dmarc_reports ADD COLUMN spf_domain TEXT;
+ALTER TABLE dmarc_reports ADD COLUMN spf_auth_result TEXT;
+ALTER TABLE dmarc_reports ADD COLUMN spf_aligned INTEGER;
@@ -0,0 +1,31 @@
+-- IP to country/ASN database, loaded in full generations so a reload never leaves lookups half empty.
+-- Addresses are stored in the sortable hex form from src/ip.js.
+CREATE TABLE IF NOT EXISTS ip_ranges (
+  generation INTEGER NOT NULL,
+  start_ip TEXT NOT NULL,
+  end_ip TEXT NOT NULL,
+  country TEXT,
+  asn INTEGER,
+  as_org TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_ip_ranges_generation_start ON ip_ranges (generation, start_ip);
+
+-- The generation lookups currently read from
+CREATE TABLE IF NOT EXISTS ip_database (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  generation INTEGER NOT NULL,
+  source TEXT,
+  ranges INTEGER NOT NULL DEFAULT 0,
+  loaded_at INTEGER NOT NULL
+);
+
+-- Resolved source IPs, so pages don't repeat range lookups
+CREATE TABLE IF NOT EXISTS ip_enrichment (
+  ip TEXT PRIMARY KEY,
+  country TEXT,
+  asn INTEGER,
+  as_org TEXT,
+  generation INTEGER NOT NULL,
+  resolved_at INTEGER NOT NULL
+);
@@ -0,0 +1,16 @@
+-- Which sending services a customer has approved (or flagged) for each of their domains
+CREATE TABLE IF NOT EXISTS sender_authorizations (
+  customer_id TEXT NOT NULL,
+  domain TEXT NOT NULL,
+  service_id TEXT NOT NULL,
+  authorized INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (customer_id, domain, service_id)
+);
+
+-- Reverse DNS cache; an empty ptr means the address has no PTR record
+CREATE TABLE IF NOT EXISTS ip_ptr (
+  ip TEXT PRIMARY KEY,
+  ptr TEXT NOT NULL,
+  resolved_at INTEGER NOT NULL
+);
@@ -0,0 +1,34 @@
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  customer_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  -- NULL applies the rule to every domain
+  domain TEXT,
+  threshold REAL NOT NULL,
+  window_hours INTEGER NOT NULL DEFAULT 24,
+  channel TEXT NOT NULL,
+  target TEXT NOT NULL,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_customer ON alert_rules (customer_id);
+
+-- One row per incident. An incident stays open (resolved_at NULL) while its condition keeps
+-- matching, which is what stops it from notifying again on every run.
+CREATE TABLE IF NOT EXISTS alert_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id INTEGER NOT NULL,
+  customer_id TEXT NOT NULL,
+  fingerprint TEXT NOT NULL,
+  summary TEXT NOT NULL,
+  details TEXT,
+  triggered_at INTEGER NOT NULL,
+  resolved_at INTEGER,
+  notified_at INTEGER,
+  notify_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_rule_open ON alert_events (rule_id, resolved_at);
+CREATE INDEX IF NOT EXISTS idx_alert_events_customer ON alert_events (customer_id, triggered_at);
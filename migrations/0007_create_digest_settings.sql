@@ -0,0 +1,13 @@
+-- Scheduled summary emails, one settings row per customer
+CREATE TABLE IF NOT EXISTS digest_settings (
+  customer_id TEXT PRIMARY KEY,
+  -- off, weekly or monthly
+  frequency TEXT NOT NULL DEFAULT 'off',
+  -- JSON arrays; no domains means every domain
+  recipients TEXT NOT NULL DEFAULT '[]',
+  domains TEXT NOT NULL DEFAULT '[]',
+  -- First day of the last period sent, so a period is never sent twice
+  last_period_start TEXT,
+  last_sent_at INTEGER,
+  updated_at INTEGER
+);
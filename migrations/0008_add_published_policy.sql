@@ -0,0 +1,5 @@
+-- The policy the domain published when the report was generated, as echoed back by the reporter.
+-- The most recent one is the domain's current policy for the enforcement readiness view.
+ALTER TABLE dmarc_reports ADD COLUMN policy_p TEXT;
+ALTER TABLE dmarc_reports ADD COLUMN policy_sp TEXT;
+ALTER TABLE dmarc_reports ADD COLUMN policy_pct INTEGER;
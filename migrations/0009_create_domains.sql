@@ -0,0 +1,14 @@
+-- Domains a customer has claimed. Ownership is proven by publishing the verification token as a
+-- TXT record on the domain; verified_at stays NULL until then.
+CREATE TABLE IF NOT EXISTS domains (
+  customer_id TEXT NOT NULL,
+  domain TEXT NOT NULL,
+  verification_token TEXT NOT NULL,
+  verified_at INTEGER,
+  display_name TEXT,
+  -- none, quarantine or reject; compared against the policy reporters see
+  expected_policy TEXT,
+  owner_contact TEXT,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (customer_id, domain)
+);
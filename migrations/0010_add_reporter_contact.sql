@@ -0,0 +1,3 @@
+-- How to reach the reporting organisation, as given in the report metadata, for the reporters view
+ALTER TABLE dmarc_reports ADD COLUMN org_email TEXT;
+ALTER TABLE dmarc_reports ADD COLUMN org_extra_contact_info TEXT;
@@ -0,0 +1,42 @@
+-- Failure samples from forensic (RUF) reports in the Abuse Reporting Format (RFC 5965, RFC 6591).
+-- Each row is one message a receiver saw fail authentication, with what it said about the failure.
+CREATE TABLE IF NOT EXISTS forensic_reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  customer_id TEXT NOT NULL,
+  -- Address the report mail came from
+  reporter TEXT,
+  feedback_type TEXT,
+  user_agent TEXT,
+  arrival_date INTEGER,
+  source_ip TEXT,
+  reported_domain TEXT,
+  original_mail_from TEXT,
+  original_rcpt_to TEXT,
+  -- dmarc, dkim, spf, ... as given by Auth-Failure
+  auth_failure TEXT,
+  authentication_results TEXT,
+  dkim_domain TEXT,
+  dkim_selector TEXT,
+  spf_dns TEXT,
+  delivery_result TEXT,
+  -- From the sample message itself
+  header_from TEXT,
+  subject TEXT,
+  message_id TEXT,
+  headers TEXT,
+  -- NULL when the receiver only sent headers, or bodies are redacted
+  body TEXT,
+  recipients_redacted INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS forensic_reports_customer ON forensic_reports (customer_id, arrival_date);
+CREATE INDEX IF NOT EXISTS forensic_reports_source ON forensic_reports (customer_id, reported_domain, source_ip);
+
+-- What to strip from samples before they're stored; both default to on
+CREATE TABLE IF NOT EXISTS forensic_settings (
+  customer_id TEXT PRIMARY KEY,
+  redact_bodies INTEGER NOT NULL DEFAULT 1,
+  redact_recipients INTEGER NOT NULL DEFAULT 1,
+  updated_at INTEGER
+);
@@ -0,0 +1,32 @@
+-- Daily totals of dmarc_reports, which the analytics read instead of the raw records. A row sums
+-- the records that share a customer, day, domain, source IP, reporter and outcome. The day is the
+-- UTC date the report period begins on and end_day the one it ends on, so the dashboard's date
+-- filters select exactly the records they would from dmarc_reports.
+CREATE TABLE IF NOT EXISTS daily_rollups (
+  customer_id TEXT NOT NULL,
+  day TEXT NOT NULL,
+  end_day TEXT NOT NULL,
+  header_from TEXT,
+  source_ip TEXT,
+  org_name TEXT,
+  dkim_result INTEGER,
+  spf_result INTEGER,
+  disposition INTEGER,
+  -- Messages, named like dmarc_reports.count so both tables share the aggregate expressions
+  count INTEGER NOT NULL DEFAULT 0,
+  records INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS daily_rollups_customer_day ON daily_rollups (customer_id, day);
+CREATE INDEX IF NOT EXISTS daily_rollups_customer_domain ON daily_rollups (customer_id, header_from, day);
+
+-- Rollups for the reports already stored
+INSERT INTO daily_rollups (customer_id, day, end_day, header_from, source_ip, org_name, dkim_result, spf_result, disposition, count, records)
+SELECT customer_id,
+       date(date_range_begin, 'unixepoch'),
+       date(date_range_end, 'unixepoch'),
+       header_from, source_ip, org_name, dkim_result, spf_result, disposition,
+       SUM(count), COUNT(*)
+FROM dmarc_reports
+GROUP BY customer_id, date(date_range_begin, 'unixepoch'), date(date_range_end, 'unixepoch'),
+         header_from, source_ip, org_name, dkim_result, spf_result, disposition;
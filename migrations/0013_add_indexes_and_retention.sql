@@ -0,0 +1,34 @@
+-- Indexes for the queries that still read dmarc_reports directly: date ranges, per-domain and
+-- per-source filters, and the report drill-down
+CREATE INDEX IF NOT EXISTS dmarc_reports_customer_dates ON dmarc_reports (customer_id, date_range_begin, date_range_end);
+CREATE INDEX IF NOT EXISTS dmarc_reports_customer_domain ON dmarc_reports (customer_id, header_from);
+CREATE INDEX IF NOT EXISTS dmarc_reports_customer_source ON dmarc_reports (customer_id, source_ip);
+CREATE INDEX IF NOT EXISTS dmarc_reports_customer_report ON dmarc_reports (customer_id, report_id, org_name);
+
+-- One row per aggregate report imported. The unique key is what deduplicates reports: a report
+-- is only stored if its row can be inserted, even when the same mail is delivered twice at once.
+-- org_name is '' rather than NULL for reporters without one, so those conflict too.
+CREATE TABLE IF NOT EXISTS report_imports (
+  customer_id TEXT NOT NULL,
+  org_name TEXT NOT NULL DEFAULT '',
+  report_id TEXT NOT NULL,
+  records INTEGER NOT NULL DEFAULT 0,
+  imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (customer_id, org_name, report_id)
+);
+
+INSERT OR IGNORE INTO report_imports (customer_id, org_name, report_id, records, imported_at)
+SELECT customer_id, COALESCE(org_name, ''), report_id, COUNT(*), MIN(created_at)
+FROM dmarc_reports
+GROUP BY customer_id, COALESCE(org_name, ''), report_id;
+
+-- How long a customer keeps report data. NULL retention_days keeps it forever; with archive set,
+-- purged aggregate records are written to the REPORT_ARCHIVE bucket before they are deleted.
+CREATE TABLE IF NOT EXISTS retention_settings (
+  customer_id TEXT PRIMARY KEY,
+  retention_days INTEGER,
+  archive INTEGER NOT NULL DEFAULT 0,
+  last_purged_at INTEGER,
+  last_purged_records INTEGER,
+  updated_at INTEGER
+);
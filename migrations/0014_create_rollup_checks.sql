@@ -0,0 +1,12 @@
+-- When each customer's rollups were last checked against the raw records. The scheduled check
+-- only looks at recent days and the days of records stored since then, not the whole history.
+CREATE TABLE IF NOT EXISTS rollup_checks (
+  customer_id TEXT PRIMARY KEY,
+  -- Same format as dmarc_reports.created_at, so the two compare as text
+  checked_at TEXT NOT NULL,
+  checked_days INTEGER NOT NULL DEFAULT 0,
+  drifted_days INTEGER NOT NULL DEFAULT 0
+);
+
+-- Finds the records stored since the last check
+CREATE INDEX IF NOT EXISTS dmarc_reports_customer_created ON dmarc_reports (customer_id, created_at);
@@ -0,0 +1,25 @@
+-- What the failure analysis needs to read daily_rollups instead of dmarc_reports: the policy
+-- override reason in the rollup key, and the messages whose DKIM or SPF check passed for an
+-- unaligned domain, pre-summed like count
+ALTER TABLE daily_rollups ADD COLUMN policy_override_type TEXT;
+ALTER TABLE daily_rollups ADD COLUMN error TEXT;
+ALTER TABLE daily_rollups ADD COLUMN dkim_unaligned INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE daily_rollups ADD COLUMN spf_unaligned INTEGER NOT NULL DEFAULT 0;
+
+-- Existing rollups are summed without the new key, so they are rebuilt
+DELETE FROM daily_rollups;
+
+INSERT INTO daily_rollups (
+  customer_id, day, end_day, header_from, source_ip, org_name, dkim_result, spf_result, disposition,
+  policy_override_type, error, count, records, dkim_unaligned, spf_unaligned
+)
+SELECT customer_id,
+       date(date_range_begin, 'unixepoch'),
+       date(date_range_end, 'unixepoch'),
+       header_from, source_ip, org_name, dkim_result, spf_result, disposition, policy_override_type, error,
+       SUM(count), COUNT(*),
+       SUM(CASE WHEN dkim_result IS NOT 1 AND dkim_auth_result = 'pass' AND dkim_aligned = 0 THEN count ELSE 0 END),
+       SUM(CASE WHEN spf_result IS NOT 1 AND spf_auth_result = 'pass' AND spf_aligned = 0 THEN count ELSE 0 END)
+FROM dmarc_reports
+GROUP BY customer_id, date(date_range_begin, 'unixepoch'), date(date_range_end, 'unixepoch'),
+         header_from, source_ip, org_name, dkim_result, spf_result, disposition, policy_override_type, error;
@@ -0,0 +1,2 @@
+-- Set when a purge run stopped with expired records left, so the next run starts with that customer
+ALTER TABLE retention_settings ADD COLUMN purge_pending INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,12 @@
+-- The IP database load in progress, if any. The file is staged in the IP_DATABASE_STAGING bucket as
+-- numbered chunks and each scheduled run loads a few of them; lookups keep reading the generation in
+-- ip_database until loaded_chunks reaches chunks.
+CREATE TABLE IF NOT EXISTS ip_database_load (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  generation INTEGER NOT NULL,
+  source TEXT,
+  chunks INTEGER NOT NULL,
+  loaded_chunks INTEGER NOT NULL DEFAULT 0,
+  ranges INTEGER NOT NULL DEFAULT 0,
+  started_at INTEGER NOT NULL
+);
@@ -0,0 +1,275 @@
+import { DMARC_PASS, fetchData } from './queries';
+import { getSenderAuthorizations, identifySenders, SenderStatus } from './senders';
+import { sendMail } from './mail';
+
+export const AlertRuleType = {
+  passRate: 'pass_rate',
+  newSource: 'new_source',
+  dispositionSpike: 'disposition_spike',
+};
+
+export const AlertRuleTypeLabels = {
+  [AlertRuleType.passRate]: 'DMARC pass rate below threshold (%)',
+  [AlertRuleType.newSource]: 'New unknown source sending more than threshold messages',
+  [AlertRuleType.dispositionSpike]: 'Quarantine/reject spike above threshold messages',
+};
+
+export const AlertChannel = {
+  webhook: 'webhook',
+  email: 'email',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// created_at is SQLite's CURRENT_TIMESTAMP format, which sorts as text
+const toSqlTimestamp = (time) => new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+
+const domainCondition = (rule, params) => {
+  if (!rule.domain) {
+    return '';
+  }
+  params.push(rule.domain);
+  return `AND header_from = ?${params.length}`;
+};
+
+// Evaluators return the incidents currently matching a rule, each with a stable fingerprint
+const EVALUATORS = {
+  async [AlertRuleType.passRate](env, rule, now) {
+    const params = [rule.customer_id, toSqlTimestamp(now - rule.window_hours * HOUR_MS)];
+    const rows = await fetchData(env, `
+      SELECT header_from,
+             SUM(count) as total,
+             SUM(CASE WHEN ${DMARC_PASS} THEN count ELSE 0 END) * 100.0 / SUM(count) as pass_rate
+      FROM dmarc_reports
+      WHERE customer_id = ?1 AND created_at >= ?2 ${domainCondition(rule, params)}
+      GROUP BY header_from
+      HAVING SUM(count) > 0
+    `, params);
+
+    return rows
+      .filter((row) => row.pass_rate < rule.threshold)
+      .map((row) => ({
+        fingerprint: `pass_rate:${row.header_from}`,
+        domain: row.header_from,
+        summary: `DMARC pass rate for ${row.header_from} is ${row.pass_rate.toFixed(1)}% (threshold ${rule.threshold}%) over ${row.total} messages`,
+        details: row,
+      }));
+  },
+
+  // Sources never seen for the domain before the window, unless the customer authorized their service
+  async [AlertRuleType.newSource](env, rule, now) {
+    const params = [rule.customer_id, toSqlTimestamp(now - rule.window_hours * HOUR_MS)];
+    const domain = domainCondition(rule, params);
+    params.push(rule.threshold);
+
+    const rows = await fetchData(env, `
+      SELECT header_from, source_ip, SUM(count) as total
+      FROM dmarc_reports AS current
+      WHERE customer_id = ?1 AND created_at >= ?2 ${domain}
+      AND NOT EXISTS (
+        SELECT 1 FROM dmarc_reports AS previous
+        WHERE previous.customer_id = current.customer_id
+        AND previous.header_from = current.header_from
+        AND previous.source_ip = current.source_ip
+        AND previous.created_at < ?2
+      )
+      GROUP BY header_from, source_ip
+      HAVING SUM(count) > ?${params.length}
+    `, params);
+
+    if (!rows.length) {
+      return [];
+    }
+
+    const senders = await identifySenders(env, rows.map((row) => row.source_ip));
+    const authorizations = await getSenderAuthorizations(env, rule.customer_id);
+
+    return rows
+      .filter((row) => {
+        const sender = senders.get(row.source_ip);
+        return authorizations.get(`${row.header_from}|${sender?.id}`) !== SenderStatus.authorized;
+      })
+      .map((row) => ({
+        fingerprint: `new_source:${row.header_from}:${row.source_ip}`,
+        domain: row.header_from,
+        summary: `New source ${row.source_ip} (${senders.get(row.source_ip)?.name ?? 'Unknown sender'}) sent ${row.total} messages as ${row.header_from}`,
+        details: { ...row, service: senders.get(row.source_ip) ?? null },
+      }));
+  },
+
+  // Quarantined/rejected volume above the threshold and at least double the previous window
+  async [AlertRuleType.dispositionSpike](env, rule, now) {
+    const windowMs = rule.window_hours * HOUR_MS;
+    const params = [rule.customer_id, toSqlTimestamp(now - windowMs), toSqlTimestamp(now - 2 * windowMs)];
+    const rows = await fetchData(env, `
+      SELECT header_from,
+             SUM(CASE WHEN created_at >= ?2 THEN count ELSE 0 END) as current,
+             SUM(CASE WHEN created_at < ?2 THEN count ELSE 0 END) as previous
+      FROM dmarc_reports
+      WHERE customer_id = ?1 AND created_at >= ?3 AND disposition IN (2, 3) ${domainCondition(rule, params)}
+      GROUP BY header_from
+    `, params);
+
+    return rows
+      .filter((row) => row.current > rule.threshold && row.current >= 2 * row.previous)
+      .map((row) => ({
+        fingerprint: `disposition_spike:${row.header_from}`,
+        domain: row.header_from,
+        summary: `${row.current} messages from ${row.header_from} were quarantined or rejected in the last ${rule.window_hours}h (previously ${row.previous})`,
+        details: row,
+      }));
+  },
+};
+
+// Slack-compatible webhook body: `text` for Slack, the structured alert for everything else
+async function notifyWebhook(rule, incident) {
+  const response = await fetch(rule.target, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      text: `:rotating_light: *${rule.name}*: ${incident.summary}`,
+      alert: {
+        rule_id: rule.id,
+        rule: rule.name,
+        type: rule.type,
+        domain: incident.domain,
+        summary: incident.summary,
+        details: incident.details,
+      },
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook error! status: ${response.status}`);
+  }
+}
+
+async function notify(env, rule, incident, transport) {
+  if (rule.channel === AlertChannel.webhook) {
+    return notifyWebhook(rule, incident);
+  }
+
+  return sendMail(env, {
+    to: rule.target,
+    subject: `[DMARC alert] ${rule.name}`,
+    text: `${incident.summary}\n\nRule: ${rule.name}\nDomain: ${incident.domain}\n`,
+  }, transport);
+}
+
+// Opens (and notifies) new incidents for a rule and resolves the ones that stopped matching
+async function evaluateRule(env, rule, now, transport) {
+  const incidents = await EVALUATORS[rule.type](env, rule, now);
+  const open = await fetchData(env, `
+    SELECT id, fingerprint FROM alert_events WHERE rule_id = ?1 AND resolved_at IS NULL
+  `, [rule.id]);
+  const openFingerprints = new Set(open.map((event) => event.fingerprint));
+  const matching = new Set(incidents.map((incident) => incident.fingerprint));
+  let opened = 0;
+
+  for (const incident of incidents.filter((incident) => !openFingerprints.has(incident.fingerprint))) {
+    const event = await env.DB.prepare(`
+      INSERT INTO alert_events (rule_id, customer_id, fingerprint, summary, details, triggered_at)
+      VALUES (?1, ?2, ?3, ?4, ?5, ?6)
+      RETURNING id
+    `).bind(rule.id, rule.customer_id, incident.fingerprint, incident.summary, JSON.stringify(incident.details), now).first();
+
+    let notifyError = null;
+    try {
+      await notify(env, rule, incident, transport);
+    } catch (error) {
+      console.error(`Alert notification for rule ${rule.id} failed:`, error);
+      notifyError = error.message;
+    }
+
+    await env.DB.prepare(`
+      UPDATE alert_events SET notified_at = ?1, notify_error = ?2 WHERE id = ?3
+    `).bind(notifyError ? null : now, notifyError, event.id).run();
+    opened++;
+  }
+
+  const resolved = open.filter((event) => !matching.has(event.fingerprint));
+  if (resolved.length) {
+    const resolve = env.DB.prepare('UPDATE alert_events SET resolved_at = ?1 WHERE id = ?2');
+    await env.DB.batch(resolved.map((event) => resolve.bind(now, event.id)));
+  }
+
+  return { opened, resolved: resolved.length };
+}
+
+// Scheduled entry point: evaluates every enabled rule of every customer
+export async function evaluateAlerts(env, { now = Date.now(), transport } = {}) {
+  const rules = await fetchData(env, 'SELECT * FROM alert_rules WHERE enabled = 1');
+  const totals = { opened: 0, resolved: 0 };
+
+  for (const rule of rules) {
+    try {
+      const result = await evaluateRule(env, rule, now, transport);
+      totals.opened += result.opened;
+      totals.resolved += result.resolved;
+    } catch (error) {
+      console.error(`Evaluating alert rule ${rule.id} failed:`, error);
+    }
+  }
+
+  console.log(`Evaluated ${rules.length} alert rules: ${totals.opened} opened, ${totals.resolved} resolved`);
+  return totals;
+}
+
+export async function listAlertRules(env, customerId) {
+  return fetchData(env, 'SELECT * FROM alert_rules WHERE customer_id = ?1 ORDER BY created_at', [customerId]);
+}
+
+export async function listAlertEvents(env, customerId, limit = 100) {
+  return fetchData(env, `
+    SELECT alert_events.*, alert_rules.name as rule_name
+    FROM alert_events
+    LEFT JOIN alert_rules ON alert_rules.id = alert_events.rule_id
+    WHERE alert_events.customer_id = ?1
+    ORDER BY triggered_at DESC
+    LIMIT ?2
+  `, [customerId, limit]);
+}
+
+// Validates and stores a rule from the alert rules form; returns an error message on bad input
+export async function createAlertRule(env, customerId, input) {
+  const threshold = Number(input.threshold);
+  const windowHours = parseInt(input.windowHours, 10) || 24;
+
+  if (!input.name) {
+    return 'A name is required';
+  }
+  if (!Object.values(AlertRuleType).includes(input.type)) {
+    return 'Unknown rule type';
+  }
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    return 'Threshold must be a positive number';
+  }
+  if (input.channel === AlertChannel.webhook && !/^https:\/\//.test(input.target || '')) {
+    return 'Webhook URLs must use https';
+  }
+  if (input.channel === AlertChannel.email && !/^[^@\s]+@[^@\s]+$/.test(input.target || '')) {
+    return 'A valid email address is required';
+  }
+  if (!Object.values(AlertChannel).includes(input.channel)) {
+    return 'Unknown notification channel';
+  }
+
+  await env.DB.prepare(`
+    INSERT INTO alert_rules (customer_id, name, type, domain, threshold, window_hours, channel, target, enabled, created_at)
+    VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, 1, ?9)
+  `).bind(customerId, input.name, input.type, input.domain || null, threshold, windowHours, input.channel, input.target, Date.now()).run();
+  return null;
+}
+
+export async function setAlertRuleEnabled(env, customerId, id, enabled) {
+  await env.DB.prepare('UPDATE alert_rules SET enabled = ?1 WHERE id = ?2 AND customer_id = ?3')
+    .bind(enabled ? 1 : 0, id, customerId)
+    .run();
+}
+
+export async function deleteAlertRule(env, customerId, id) {
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM alert_events WHERE rule_id = ?1 AND customer_id = ?2').bind(id, customerId),
+    env.DB.prepare('DELETE FROM alert_rules WHERE id = ?1 AND customer_id = ?2').bind(id, customerId),
+  ]);
+}
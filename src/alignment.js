@@ -0,0 +1,39 @@
+// Identifier alignment as defined in RFC 7489 section 3.1
+
+// Common multi-label public suffixes. Without the full Public Suffix List this keeps
+// relaxed alignment right for the ccTLDs customers actually use.
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'org.nz', 'net.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp',
+  'com.br', 'net.br', 'org.br',
+  'co.za', 'org.za',
+  'com.cn', 'net.cn', 'org.cn',
+  'co.in', 'net.in', 'org.in',
+  'com.mx', 'com.tr', 'com.sg', 'com.hk', 'co.kr', 'co.il',
+]);
+
+const normalise = (domain) => (domain || '').trim().toLowerCase().replace(/\.$/, '');
+
+// The registrable part of a domain, e.g. mail.example.co.uk -> example.co.uk
+export function organizationalDomain(domain) {
+  const labels = normalise(domain).split('.').filter(Boolean);
+  const suffixLength = labels.length > 2 && MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 2 : 1;
+
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+// Whether an authenticated domain aligns with the RFC5322.From domain in the given mode ('s' or 'r')
+export function isAligned(authDomain, headerFrom, mode = 'r') {
+  const auth = normalise(authDomain);
+  const from = normalise(headerFrom);
+
+  if (!auth || !from) {
+    return false;
+  }
+  if (mode === 's') {
+    return auth === from;
+  }
+  return organizationalDomain(auth) === organizationalDomain(from);
+}
@@ -0,0 +1,227 @@
+import { enrichRows, formatAsn } from './enrichment';
+import { getDailySources, getDomainNetworks, getLatestDay, getNewSources } from './queries';
+
+// Flags what is unusual against each domain's own history rather than fixed thresholds. The
+// baseline is the four weeks before the most recent week with reports; the recent week is checked
+// against it per domain, per domain and network (ASN), and per domain and source IP:
+//   - new senders: source IPs sending as a domain for the first time, noting whether their
+//     network (ASN) is new to the domain too
+//   - volume surges: a day's volume far above the baseline's daily mean and variance
+//   - pass rate drops: the week's DMARC pass rate far below the baseline's, given its variance
+
+export const AnomalyType = {
+  newSender: 'new_sender',
+  volumeSurge: 'volume_surge',
+  passRateDrop: 'pass_rate_drop',
+};
+
+export const ANOMALY_LABELS = {
+  [AnomalyType.newSender]: 'New sender',
+  [AnomalyType.volumeSurge]: 'Volume surge',
+  [AnomalyType.passRateDrop]: 'Pass rate drop',
+};
+
+const RECENT_DAYS = 7;
+const BASELINE_DAYS = 28;
+// Standard deviations from the baseline before something counts as unusual
+const DEVIATIONS = 3;
+// Floors that keep small numbers from raising flags
+const MIN_SURGE_MESSAGES = 100;
+const MIN_SURGE_RATIO = 3;
+const MIN_RATE_MESSAGES = 20;
+const MIN_RATE_DROP = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const dayRange = (from, count) => Array.from({ length: count }, (_, index) => addDays(from, index));
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const deviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const passRate = (pass, total) => (total ? (pass * 100) / total : null);
+
+// Sums daily rows into day -> { total, dmarc_pass } series, one per key
+function toSeries(rows, keyOf) {
+  const series = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!series.has(key)) {
+      series.set(key, new Map());
+    }
+    const days = series.get(key);
+    const day = days.get(row.day) ?? { total: 0, dmarc_pass: 0 };
+    days.set(row.day, { total: day.total + row.total, dmarc_pass: day.dmarc_pass + row.dmarc_pass });
+  }
+  return series;
+}
+
+// Volume surges and pass rate drops of one series against its baseline
+function evaluateSeries(days, baselineDays, recentDays) {
+  const findings = [];
+  const volumes = baselineDays.map((day) => days.get(day)?.total ?? 0);
+  const volumeMean = mean(volumes);
+  const volumeLimit = Math.max(volumeMean + DEVIATIONS * deviation(volumes), volumeMean * MIN_SURGE_RATIO, MIN_SURGE_MESSAGES);
+
+  const peakDay = recentDays.reduce((peak, day) => ((days.get(day)?.total ?? 0) > (days.get(peak)?.total ?? 0) ? day : peak));
+  const peak = days.get(peakDay)?.total ?? 0;
+  if (peak > volumeLimit) {
+    findings.push({
+      type: AnomalyType.volumeSurge,
+      day: peakDay,
+      details: { total: peak, baseline_mean: round(volumeMean), limit: round(volumeLimit) },
+      summary: `${peak} messages on ${peakDay}, against a daily average of ${round(volumeMean)}`,
+    });
+  }
+
+  const sum = (dayList, field) => dayList.reduce((total, day) => total + (days.get(day)?.[field] ?? 0), 0);
+  const baselineTotal = sum(baselineDays, 'total');
+  const recentTotal = sum(recentDays, 'total');
+  if (baselineTotal < MIN_RATE_MESSAGES || recentTotal < MIN_RATE_MESSAGES) {
+    return findings;
+  }
+
+  const baselineRate = passRate(sum(baselineDays, 'dmarc_pass'), baselineTotal);
+  const recentRate = passRate(sum(recentDays, 'dmarc_pass'), recentTotal);
+  // Daily rates vary more on quiet days, so only days with enough mail say how much rates vary
+  const dailyRates = baselineDays
+    .filter((day) => (days.get(day)?.total ?? 0) >= MIN_RATE_MESSAGES)
+    .map((day) => passRate(days.get(day).dmarc_pass, days.get(day).total));
+  const allowedDrop = Math.max(DEVIATIONS * deviation(dailyRates), MIN_RATE_DROP);
+
+  if (baselineRate - recentRate > allowedDrop) {
+    findings.push({
+      type: AnomalyType.passRateDrop,
+      day: recentDays[0],
+      details: { pass_rate: round(recentRate), baseline_pass_rate: round(baselineRate), allowed_drop: round(allowedDrop), total: recentTotal },
+      summary: `DMARC pass rate fell to ${round(recentRate)}% over the last ${RECENT_DAYS} days, from ${round(baselineRate)}%`,
+    });
+  }
+  return findings;
+}
+
+// Every anomaly in the week up to the latest report (or the end filter), newest first. Given
+// sourceIps, only those addresses' own anomalies are looked for, which is all a table's badges need.
+export async function detectAnomalies(env, customerId, filters = {}, { sourceIps } = {}) {
+  const latest = sourceIps?.length === 0 ? null : await getLatestDay(env, customerId, filters);
+  if (!latest) {
+    return [];
+  }
+
+  const recentStart = addDays(latest, 1 - RECENT_DAYS);
+  const baselineStart = addDays(recentStart, -BASELINE_DAYS);
+  const baselineDays = dayRange(baselineStart, BASELINE_DAYS);
+  const recentDays = dayRange(recentStart, RECENT_DAYS);
+
+  const scope = sourceIps ? { ...filters, sourceIps } : filters;
+  const [rows, newSources] = await Promise.all([
+    getDailySources(env, customerId, scope, baselineStart, latest),
+    getNewSources(env, customerId, scope, recentStart, latest),
+  ]);
+  const enriched = await enrichRows(env, [...new Set([...rows, ...newSources].map((row) => row.source_ip))].map((ip) => ({ source_ip: ip })));
+  const networks = new Map(enriched.map((row) => [row.source_ip, row]));
+  const anomalies = [];
+
+  // Networks each domain sent from during the baseline. Limited to some addresses, the rows don't
+  // have every sender of the domain, so the networks come from the enrichment cache instead.
+  const baselineAsns = new Map();
+  let domainNetworks = [];
+  if (!sourceIps) {
+    domainNetworks = rows.filter((row) => row.day < recentStart).map((row) => ({ header_from: row.header_from, asn: networks.get(row.source_ip)?.asn }));
+  } else if (newSources.length) {
+    const domains = [...new Set(newSources.map((source) => source.header_from))];
+    domainNetworks = await getDomainNetworks(env, customerId, { ...filters, domains }, baselineStart, addDays(recentStart, -1));
+  }
+  for (const { header_from: domain, asn } of domainNetworks) {
+    if (!baselineAsns.has(domain)) {
+      baselineAsns.set(domain, new Set());
+    }
+    if (asn) {
+      baselineAsns.get(domain).add(asn);
+    }
+  }
+
+  const newKeys = new Set();
+  for (const source of newSources) {
+    const network = networks.get(source.source_ip);
+    const newNetwork = Boolean(network?.asn) && !baselineAsns.get(source.header_from)?.has(network.asn);
+    newKeys.add(`${source.header_from}|${source.source_ip}`);
+    anomalies.push({
+      type: AnomalyType.newSender,
+      domain: source.header_from,
+      source_ip: source.source_ip,
+      day: source.first_seen,
+      details: { total: source.total, dmarc_pass: source.dmarc_pass, new_network: newNetwork },
+      summary: `First seen ${source.first_seen} with ${source.total} messages${newNetwork ? `, from a network new to the domain (${formatAsn(network)})` : ''}`,
+    });
+  }
+
+  if (!sourceIps) {
+    for (const [domain, days] of toSeries(rows, (row) => row.header_from)) {
+      for (const finding of evaluateSeries(days, baselineDays, recentDays)) {
+        anomalies.push({ ...finding, domain, source_ip: null });
+      }
+    }
+
+    // Networks with a single sender are already covered by that sender's own series
+    const networkRows = rows.filter((row) => networks.get(row.source_ip)?.asn);
+    const networkKey = (row) => `${row.header_from}|${networks.get(row.source_ip).asn}`;
+    const networkSenders = new Map();
+    for (const row of networkRows) {
+      const key = networkKey(row);
+      const senders = networkSenders.get(key) ?? { domain: row.header_from, network: networks.get(row.source_ip), ips: new Set() };
+      networkSenders.set(key, { ...senders, ips: senders.ips.add(row.source_ip) });
+    }
+    for (const [key, days] of toSeries(networkRows, networkKey)) {
+      const { domain, network, ips } = networkSenders.get(key);
+      if (ips.size < 2) {
+        continue;
+      }
+      for (const finding of evaluateSeries(days, baselineDays, recentDays)) {
+        anomalies.push({ ...finding, domain, source_ip: null, asn: network.asn, as_org: network.as_org, summary: `${formatAsn(network)}: ${finding.summary}` });
+      }
+    }
+  }
+
+  for (const [key, days] of toSeries(rows, (row) => `${row.header_from}|${row.source_ip}`)) {
+    // New senders have no baseline to compare against
+    if (newKeys.has(key)) {
+      continue;
+    }
+    const [domain, sourceIp] = key.split('|');
+    for (const finding of evaluateSeries(days, baselineDays, recentDays)) {
+      anomalies.push({ ...finding, domain, source_ip: sourceIp });
+    }
+  }
+
+  return anomalies
+    .map((anomaly) => {
+      // Network findings keep their ASN; they span addresses, so they have no one country
+      if (!anomaly.source_ip) {
+        return { ...anomaly, asn: anomaly.asn ?? null, as_org: anomaly.as_org ?? null, country: null };
+      }
+      const network = networks.get(anomaly.source_ip);
+      return { ...anomaly, asn: network?.asn ?? null, as_org: network?.as_org ?? null, country: network?.country ?? null };
+    })
+    .sort((a, b) => b.day.localeCompare(a.day)
+      || a.domain.localeCompare(b.domain)
+      || (a.source_ip ?? '').localeCompare(b.source_ip ?? '')
+      || (a.asn ?? 0) - (b.asn ?? 0));
+}
+
+// Anomalies grouped by a key of their source, for badges in tables
+export function indexAnomalies(anomalies, keyOf) {
+  const index = new Map();
+  for (const anomaly of anomalies.filter((item) => item.source_ip)) {
+    const key = keyOf(anomaly);
+    index.set(key, [...(index.get(key) ?? []), anomaly]);
+  }
+  return index;
+}
@@ -0,0 +1,91 @@
+// API keys live in HUZZANDBUZZ_ACCOUNTS next to the account passwords:
+//   apikey:<sha256 of key>  -> the key record, used to authenticate requests
+//   apikeys:<customerId>    -> every key the customer created, for the management page
+// Neither registration nor the legacy login by customer ID accepts an ID with ':' (see
+// isCustomerId in organisations.js), so these never collide with an account.
+
+export const ApiKeyScope = {
+  read: 'read',
+  ingest: 'ingest',
+};
+
+// Ingest keys may also read, so a script can check what it uploaded
+const SCOPES_BY_LEVEL = {
+  read: [ApiKeyScope.read],
+  ingest: [ApiKeyScope.read, ApiKeyScope.ingest],
+};
+
+const KEY_PREFIX = 'hab_';
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+export async function hashApiKey(key) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key)));
+}
+
+const indexKey = (customerId) => `apikeys:${customerId}`;
+
+export async function listApiKeys(env, customerId) {
+  return (await env.HUZZANDBUZZ_ACCOUNTS.get(indexKey(customerId), 'json')) ?? [];
+}
+
+export const isApiKeyActive = (record, now = Date.now()) => !record.revokedAt && (!record.expiresAt || record.expiresAt > now);
+
+// Creates a key and returns it in plain text; only its hash is stored, so it can't be shown again
+export async function createApiKey(env, customerId, { label, level, expiresInDays }) {
+  const secret = toHex(crypto.getRandomValues(new Uint8Array(24)));
+  const key = `${KEY_PREFIX}${secret}`;
+  const hash = await hashApiKey(key);
+  const now = Date.now();
+  const days = parseInt(expiresInDays, 10);
+
+  const record = {
+    id: crypto.randomUUID(),
+    hash,
+    customerId,
+    label: label || 'Untitled key',
+    hint: `${KEY_PREFIX}${secret.slice(0, 6)}…`,
+    scopes: SCOPES_BY_LEVEL[level] ?? SCOPES_BY_LEVEL.read,
+    createdAt: now,
+    expiresAt: days > 0 ? now + days * 24 * 60 * 60 * 1000 : null,
+    revokedAt: null,
+  };
+
+  await env.HUZZANDBUZZ_ACCOUNTS.put(`apikey:${hash}`, JSON.stringify(record), {
+    ...(record.expiresAt ? { expiration: Math.floor(record.expiresAt / 1000) } : {}),
+  });
+  await env.HUZZANDBUZZ_ACCOUNTS.put(indexKey(customerId), JSON.stringify([...(await listApiKeys(env, customerId)), record]));
+
+  return { key, record };
+}
+
+export async function revokeApiKey(env, customerId, id) {
+  const keys = await listApiKeys(env, customerId);
+  const record = keys.find((key) => key.id === id);
+
+  if (!record) {
+    return false;
+  }
+
+  record.revokedAt = Date.now();
+  await env.HUZZANDBUZZ_ACCOUNTS.delete(`apikey:${record.hash}`);
+  await env.HUZZANDBUZZ_ACCOUNTS.put(indexKey(customerId), JSON.stringify(keys));
+  return true;
+}
+
+// Resolves a presented key to its record, or null if it is unknown, expired or revoked
+export async function resolveApiKey(env, key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const record = await env.HUZZANDBUZZ_ACCOUNTS.get(`apikey:${await hashApiKey(key)}`, 'json');
+  return record && isApiKeyActive(record) ? record : null;
+}
+
+// Deletes every key of a customer, for account deletion
+export async function deleteApiKeys(env, customerId) {
+  const keys = await listApiKeys(env, customerId);
+  await Promise.all(keys.map((key) => env.HUZZANDBUZZ_ACCOUNTS.delete(`apikey:${key.hash}`)));
+  await env.HUZZANDBUZZ_ACCOUNTS.delete(indexKey(customerId));
+}
@@ -0,0 +1,131 @@
+import { Hono } from 'hono';
+import { enrichRows, countryName } from './enrichment';
+import { groupBySender } from './senders';
+import { getReadiness } from './readiness';
+import { domainStatus, listDomains } from './domains';
+import { getChartSeries, getCountryVolumes, parseBucket } from './charts';
+import { listForensicReports } from './forensic';
+import { checkDays, checkRollups } from './rollups';
+import { detectAnomalies } from './anomalies';
+import { buildOverview } from './overview';
+import {
+  parseFilters,
+  parseRecordFilters,
+  getOverviewStats,
+  getTopSenders,
+  getSourceVolumes,
+  getSourcesByDomain,
+  getTimeSeries,
+  getFailureAnalysis,
+  getDomainSummary,
+  getDetailedReports,
+  getReporters,
+} from './queries';
+
+// JSON mirror of the dashboard pages, mounted at /api/v1 behind the same auth middleware
+export const api = new Hono();
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const parsePage = (c) => {
+  const limit = parseInt(c.req.query('limit'), 10);
+  const offset = parseInt(c.req.query('offset'), 10);
+
+  return {
+    limit: Math.min(Math.max(Number.isNaN(limit) ? DEFAULT_PAGE_SIZE : limit, 1), MAX_PAGE_SIZE),
+    offset: Math.max(Number.isNaN(offset) ? 0 : offset, 0),
+  };
+};
+
+// Fetches one row past the page to tell whether another page exists
+const paginated = (query, parse = parseFilters) => async (c) => {
+  const filters = parse(c);
+  const page = parsePage(c);
+  const rows = await query(c.env, c.get('customerId'), filters, { limit: page.limit + 1, offset: page.offset });
+  const hasMore = rows.length > page.limit;
+
+  return c.json({
+    filters,
+    data: rows.slice(0, page.limit),
+    pagination: {
+      limit: page.limit,
+      offset: page.offset,
+      next_offset: hasMore ? page.offset + page.limit : null,
+    },
+  });
+};
+
+// Adds country and ASN details to a query's rows
+const enriched = (query) => async (env, ...args) => enrichRows(env, await query(env, ...args));
+
+api.get('/overview', async (c) => {
+  const filters = parseFilters(c);
+  return c.json({ filters, data: await getOverviewStats(c.env, c.get('customerId'), filters) });
+});
+
+// The overview page's period comparison, domain health and top issues
+api.get('/overview/compare', async (c) => {
+  const filters = parseFilters(c);
+  return c.json({ filters, data: await buildOverview(c.env, c.get('customerId'), filters) });
+});
+
+// The time series pages' day, week or month buckets (?bucket=)
+const timeSeries = (c) => paginated((env, customerId, filters, page) =>
+  getTimeSeries(env, customerId, filters, parseBucket(c.req.query('bucket')), page))(c);
+
+api.get('/auth-rates', timeSeries);
+api.get('/top-senders', paginated(enriched(getTopSenders)));
+api.get('/compliance-trends', timeSeries);
+api.get('/failure-analysis', paginated(enriched(getFailureAnalysis)));
+api.get('/domain-summary', paginated(getDomainSummary));
+api.get('/reporters', paginated(getReporters));
+api.get('/forensic', paginated(listForensicReports));
+// Records also take the detailed reports page's record filters and sort order
+api.get('/detailed-reports', paginated(getDetailedReports, (c) => ({ ...parseFilters(c), ...parseRecordFilters(c) })));
+
+api.get('/geo-location', paginated(async (env, customerId, filters, page) => {
+  const rows = await enrichRows(env, await getSourceVolumes(env, customerId, filters, page));
+  return rows.map((row) => ({ ...row, location: countryName(row.country) }));
+}));
+
+api.get('/senders', paginated(async (env, customerId, filters, page) => {
+  const senders = await groupBySender(env, customerId, await getSourcesByDomain(env, customerId, filters));
+  return senders.slice(page.offset, page.offset + page.limit);
+}));
+
+// Chart data: outcomes and dispositions per day, week or month, and pass rates per domain
+api.get('/timeseries', async (c) => {
+  const filters = parseFilters(c);
+  const bucket = parseBucket(c.req.query('bucket'));
+  return c.json({ filters, data: await getChartSeries(c.env, c.get('customerId'), filters, bucket) });
+});
+
+api.get('/countries', async (c) => {
+  const filters = parseFilters(c);
+  return c.json({ filters, data: await getCountryVolumes(c.env, c.get('customerId'), filters) });
+});
+
+// Days whose rollups, which the analytics read, disagree with the raw records; normally none.
+// Checks the filtered period (up to a year of it), or the last week without a start date.
+api.get('/rollups/check', async (c) => {
+  const filters = parseFilters(c);
+  const days = checkDays(filters);
+  const drifted = await checkRollups(c.env, c.get('customerId'), days);
+  return c.json({ consistent: drifted.length === 0, checked: { from: days.at(-1), to: days[0] }, data: drifted });
+});
+
+api.get('/anomalies', async (c) => {
+  const filters = parseFilters(c);
+  return c.json({ filters, data: await detectAnomalies(c.env, c.get('customerId'), filters) });
+});
+
+api.get('/readiness', async (c) => {
+  const filters = parseFilters(c);
+  return c.json({ filters, data: await getReadiness(c.env, c.get('customerId'), filters) });
+});
+
+api.get('/domains', async (c) => {
+  const domains = await listDomains(c.env, c.get('customerId'));
+  return c.json({ data: domains.map((row) => ({ ...row, status: domainStatus(row) })) });
+});
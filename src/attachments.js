@@ -0,0 +1,64 @@
+import { gunzipSync, unzipSync } from 'fflate';
+
+const decoder = new TextDecoder('utf-8');
+
+const isGzip = (bytes) => bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+const isZip = (bytes) => bytes.length > 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+
+// Reports are small; anything unpacking to more than this is broken or a decompression bomb
+export const MAX_UNPACKED_SIZE = 32 * 1024 * 1024;
+
+const tooLarge = () => new Error(`Report is larger than ${MAX_UNPACKED_SIZE / 1024 / 1024} MB when unpacked`);
+
+// Gzip ends with the uncompressed size (ISIZE), which fflate sizes its output by
+const gzipSize = (bytes) => new DataView(bytes.buffer, bytes.byteOffset + bytes.length - 4, 4).getUint32(0, true);
+
+const looksLikeXml = (content) => content.replace(/^\uFEFF/, '').trimStart().startsWith('<');
+
+const toBytes = (content) => {
+  if (typeof content === 'string') {
+    return new TextEncoder().encode(content);
+  }
+  if (content instanceof ArrayBuffer) {
+    return new Uint8Array(content);
+  }
+  return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+};
+
+// Unpacks a report file (raw XML, .zip or .gz) into the XML documents it contains.
+// The format is sniffed from the content, since reporters are careless with names and MIME types.
+export function extractReportFiles(filename, content) {
+  const name = filename || 'report';
+  const bytes = toBytes(content);
+
+  if (isGzip(bytes)) {
+    if (bytes.length >= 18 && gzipSize(bytes) > MAX_UNPACKED_SIZE) {
+      throw tooLarge();
+    }
+    return [{ name: name.replace(/\.gz$/i, ''), xml: decoder.decode(gunzipSync(bytes)) }];
+  }
+
+  if (isZip(bytes)) {
+    // Entries are unpacked to their declared size, so the declared sizes bound what is unpacked
+    let unpacked = 0;
+    const entries = unzipSync(bytes, {
+      filter: (entry) => {
+        if (entry.name.endsWith('/') || entry.name.startsWith('__MACOSX/')) {
+          return false;
+        }
+        unpacked += entry.originalSize;
+        if (unpacked > MAX_UNPACKED_SIZE) {
+          throw tooLarge();
+        }
+        return true;
+      },
+    });
+    return Object.entries(entries)
+      .map(([entryName, entryBytes]) => ({ name: entryName, xml: decoder.decode(entryBytes) }))
+      .filter((file) => looksLikeXml(file.xml));
+  }
+
+  const xml = decoder.decode(bytes);
+  return looksLikeXml(xml) ? [{ name, xml }] : [];
+}
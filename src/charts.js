@@ -0,0 +1,107 @@
+import { countryName, enrichRows } from './enrichment';
+import { getDomainTimeSeries, getSourceVolumes, getTimeSeries, TIME_BUCKETS } from './queries';
+
+// Data and browser code behind the dashboard charts. Pages render their tables on the server and
+// mark chart containers with data-chart/data-url; the script below fetches the JSON API and draws
+// into them, so without JavaScript the tables are all that shows.
+
+export const DEFAULT_BUCKET = 'day';
+
+export const parseBucket = (value) => (TIME_BUCKETS[value] ? value : DEFAULT_BUCKET);
+
+const passRate = (pass, total) => (total ? Math.round((pass * 1000) / total) / 10 : null);
+
+// Pivots per bucket and domain rows into one pass rate series per domain, aligned on the buckets
+export function domainPassRates(rows) {
+  const buckets = [...new Set(rows.map((row) => row.bucket))];
+  const domains = [...new Set(rows.map((row) => row.domain))].sort();
+  const rates = new Map(rows.map((row) => [`${row.bucket}|${row.domain}`, passRate(row.dmarc_pass, row.total)]));
+
+  return {
+    buckets,
+    domains: domains.map((domain) => ({
+      domain,
+      pass_rates: buckets.map((bucket) => rates.get(`${bucket}|${domain}`) ?? null),
+    })),
+  };
+}
+
+export async function getChartSeries(env, customerId, filters, bucket = DEFAULT_BUCKET) {
+  const [totals, domainRows] = await Promise.all([
+    getTimeSeries(env, customerId, filters, bucket),
+    getDomainTimeSeries(env, customerId, filters, bucket),
+  ]);
+  return { bucket, totals, ...domainPassRates(domainRows) };
+}
+
+// Message volume and DMARC outcomes per sending country, busiest first
+export async function getCountryVolumes(env, customerId, filters) {
+  const rows = await enrichRows(env, await getSourceVolumes(env, customerId, filters));
+  const countries = new Map();
+
+  for (const row of rows) {
+    const code = row.country || null;
+    if (!countries.has(code)) {
+      countries.set(code, { country: code, name: countryName(code), source_ips: 0, total: 0, dmarc_pass: 0, dmarc_fail: 0 });
+    }
+    const country = countries.get(code);
+    country.source_ips += 1;
+    country.total += row.total;
+    country.dmarc_pass += row.dmarc_pass;
+    country.dmarc_fail += row.dmarc_fail;
+  }
+
+  return [...countries.values()]
+    .map((country) => ({ ...country, pass_rate: passRate(country.dmarc_pass, country.total) ?? 0 }))
+    .sort((a, b) => b.total - a.total);
+}
+
+export const CHARTS_LOADER_URL = 'https://www.gstatic.com/charts/loader.js';
+
+// Draws every [data-chart] element with Google Charts from the JSON at its data-url
+export const CHART_SCRIPT = `
+(function () {
+  var PASS = '#2e7d32', FAIL = '#c62828', WARN = '#f9a825';
+  var draw = {
+    volume: function (element, data) {
+      var rows = data.totals.map(function (row) { return [row.bucket, row.dmarc_pass, row.dmarc_fail]; });
+      var table = google.visualization.arrayToDataTable([['Period', 'DMARC pass', 'DMARC fail']].concat(rows));
+      new google.visualization.ColumnChart(element).draw(table, { isStacked: true, colors: [PASS, FAIL], legend: { position: 'bottom' } });
+    },
+    passRates: function (element, data) {
+      var header = ['Period'].concat(data.domains.map(function (series) { return series.domain; }));
+      var rows = data.buckets.map(function (bucket, index) {
+        return [bucket].concat(data.domains.map(function (series) { return series.pass_rates[index]; }));
+      });
+      var table = google.visualization.arrayToDataTable([header].concat(rows));
+      new google.visualization.LineChart(element).draw(table, {
+        interpolateNulls: true,
+        legend: { position: 'bottom' },
+        vAxis: { title: 'DMARC pass rate (%)', viewWindow: { min: 0, max: 100 } },
+      });
+    },
+    dispositions: function (element, data) {
+      var rows = data.totals.map(function (row) { return [row.bucket, row.delivered, row.quarantined, row.rejected]; });
+      var table = google.visualization.arrayToDataTable([['Period', 'Delivered', 'Quarantined', 'Rejected']].concat(rows));
+      new google.visualization.ColumnChart(element).draw(table, { isStacked: true, colors: [PASS, WARN, FAIL], legend: { position: 'bottom' } });
+    },
+    countries: function (element, data) {
+      var rows = data.filter(function (row) { return row.country; }).map(function (row) {
+        return [{ v: row.country, f: row.name }, row.total, row.pass_rate];
+      });
+      var table = google.visualization.arrayToDataTable([['Country', 'Messages', 'Pass rate (%)']].concat(rows));
+      new google.visualization.GeoChart(element).draw(table, { colorAxis: { colors: ['#e3f2fd', '#0d47a1'] } });
+    },
+  };
+
+  google.charts.load('current', { packages: ['corechart', 'geochart'] });
+  google.charts.setOnLoadCallback(function () {
+    document.querySelectorAll('[data-chart]').forEach(function (element) {
+      fetch(element.dataset.url, { credentials: 'same-origin' })
+        .then(function (response) { return response.json(); })
+        .then(function (body) { draw[element.dataset.chart](element, body.data); })
+        .catch(function (error) { console.error('Could not draw chart', error); });
+    });
+  });
+})();
+`;
@@ -0,0 +1,248 @@
+import { html } from 'hono/html';
+import { fetchData, getDomainSummary, getFailureAnalysis, getOverviewStats } from './queries';
+import { sendMail } from './mail';
+
+// Weekly or monthly summary emails of the overview stats, the top failing sources and
+// how each domain's pass rate moved against the previous period
+
+export const DigestFrequency = {
+  off: 'off',
+  weekly: 'weekly',
+  monthly: 'monthly',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RECIPIENTS = 20;
+const TOP_FAILING_SOURCES = 10;
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// The period a digest sent at `now` covers, and the one before it to compare against.
+// Weekly digests cover the seven days before today, monthly ones the previous calendar month.
+export function digestPeriod(frequency, now = Date.now()) {
+  const today = new Date(isoDate(now)).getTime();
+
+  if (frequency === DigestFrequency.monthly) {
+    const date = new Date(today);
+    const month = (offset) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1);
+    return {
+      start: isoDate(month(-1)),
+      end: isoDate(month(0) - DAY_MS),
+      previousStart: isoDate(month(-2)),
+      previousEnd: isoDate(month(-1) - DAY_MS),
+    };
+  }
+
+  return {
+    start: isoDate(today - 7 * DAY_MS),
+    end: isoDate(today - DAY_MS),
+    previousStart: isoDate(today - 14 * DAY_MS),
+    previousEnd: isoDate(today - 8 * DAY_MS),
+  };
+}
+
+// Weekly digests go out on Mondays and monthly ones on the 1st, once per period
+export function isDigestDue(settings, now = Date.now()) {
+  const date = new Date(now);
+  const due = (settings.frequency === DigestFrequency.weekly && date.getUTCDay() === 1)
+    || (settings.frequency === DigestFrequency.monthly && date.getUTCDate() === 1);
+
+  return due && settings.recipients.length > 0 && settings.last_period_start !== digestPeriod(settings.frequency, now).start;
+}
+
+const parseList = (value) => {
+  try {
+    return JSON.parse(value || '[]');
+  } catch (error) {
+    return [];
+  }
+};
+
+const toSettings = (row, customerId) => ({
+  customer_id: customerId,
+  frequency: row?.frequency ?? DigestFrequency.off,
+  recipients: parseList(row?.recipients),
+  domains: parseList(row?.domains),
+  last_period_start: row?.last_period_start ?? null,
+  last_sent_at: row?.last_sent_at ?? null,
+});
+
+export async function getDigestSettings(env, customerId) {
+  const [row] = await fetchData(env, 'SELECT * FROM digest_settings WHERE customer_id = ?1', [customerId]);
+  return toSettings(row, customerId);
+}
+
+// Validates and stores the settings form; returns an error message on bad input
+export async function saveDigestSettings(env, customerId, input) {
+  const recipients = (input.recipients || '').split(/[\s,;]+/).filter(Boolean);
+  const domains = [input.domains ?? []].flat().filter(Boolean);
+
+  if (!Object.values(DigestFrequency).includes(input.frequency)) {
+    return 'Unknown frequency';
+  }
+  if (recipients.some((address) => !/^[^@\s]+@[^@\s]+$/.test(address))) {
+    return 'Recipients must be email addresses';
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    return `At most ${MAX_RECIPIENTS} recipients are allowed`;
+  }
+  if (input.frequency !== DigestFrequency.off && !recipients.length) {
+    return 'Add at least one recipient';
+  }
+
+  await env.DB.prepare(`
+    INSERT INTO digest_settings (customer_id, frequency, recipients, domains, updated_at)
+    VALUES (?1, ?2, ?3, ?4, ?5)
+    ON CONFLICT (customer_id) DO UPDATE SET
+      frequency = excluded.frequency,
+      recipients = excluded.recipients,
+      domains = excluded.domains,
+      updated_at = excluded.updated_at
+  `).bind(customerId, input.frequency, JSON.stringify(recipients), JSON.stringify(domains), Date.now()).run();
+  return null;
+}
+
+// Collects everything a digest shows for a customer's settings at `now`
+export async function buildDigest(env, settings, now = Date.now()) {
+  const customerId = settings.customer_id;
+  const frequency = settings.frequency === DigestFrequency.monthly ? DigestFrequency.monthly : DigestFrequency.weekly;
+  const period = digestPeriod(frequency, now);
+  const current = { start: period.start, end: period.end, domains: settings.domains };
+  const previous = { start: period.previousStart, end: period.previousEnd, domains: settings.domains };
+
+  const [stats, previousStats, failures, domains, previousDomains] = await Promise.all([
+    getOverviewStats(env, customerId, current),
+    getOverviewStats(env, customerId, previous),
+    getFailureAnalysis(env, customerId, current, { limit: TOP_FAILING_SOURCES }),
+    getDomainSummary(env, customerId, current),
+    getDomainSummary(env, customerId, previous),
+  ]);
+
+  const previousRates = new Map(previousDomains.map((row) => [row.domain, row.pass_rate]));
+
+  return {
+    customerId,
+    frequency,
+    period,
+    stats,
+    previousStats,
+    topFailing: failures.filter((row) => row.dmarc_fail > 0),
+    domains: domains.map((row) => {
+      const previousRate = previousRates.get(row.domain) ?? null;
+      return {
+        domain: row.domain,
+        total: row.total,
+        pass_rate: row.pass_rate ?? 0,
+        previous_pass_rate: previousRate,
+        change: previousRate === null ? null : Math.round(((row.pass_rate ?? 0) - previousRate) * 10) / 10,
+      };
+    }),
+  };
+}
+
+const formatChange = (change) => {
+  if (change === null) {
+    return 'new';
+  }
+  return `${change > 0 ? '+' : ''}${change.toFixed(1)} pts`;
+};
+
+const passRateChange = (digest) =>
+  (digest.previousStats.total_reports ? Math.round((digest.stats.success_rate - digest.previousStats.success_rate) * 10) / 10 : null);
+
+export const digestSubject = (digest) =>
+  `DMARC ${digest.frequency} digest for ${digest.customerId}: ${digest.period.start} to ${digest.period.end}`;
+
+export function renderDigestText(digest) {
+  const { stats } = digest;
+  const lines = [
+    digestSubject(digest),
+    '',
+    `Messages: ${stats.total_reports.toLocaleString()}`,
+    `DMARC pass rate: ${stats.success_rate.toFixed(1)}% (${formatChange(passRateChange(digest))})`,
+    `DMARC pass: ${stats.dmarc_pass.toLocaleString()}, DMARC fail: ${stats.dmarc_fail.toLocaleString()}`,
+    `Unique IPs: ${stats.unique_ips.toLocaleString()}, domains: ${stats.unique_domains.toLocaleString()}`,
+    '',
+    'Pass rate by domain:',
+    ...(digest.domains.length
+      ? digest.domains.map((row) => `  ${row.domain}: ${row.pass_rate}% (${formatChange(row.change)}) over ${row.total} messages`)
+      : ['  No reports in this period']),
+    '',
+    'Top failing sources:',
+    ...(digest.topFailing.length
+      ? digest.topFailing.map((row) => `  ${row.source_ip} as ${row.header_from}: ${row.dmarc_fail} of ${row.total} failed DMARC`)
+      : ['  None']),
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+export function renderDigestHtml(digest) {
+  const { stats } = digest;
+  return html`
+    <!DOCTYPE html>
+    <html>
+      <body style="font-family: sans-serif; color: #1f2937;">
+        <h1>${digestSubject(digest)}</h1>
+        <table cellpadding="6">
+          <tr><td>Messages</td><td><strong>${stats.total_reports.toLocaleString()}</strong></td></tr>
+          <tr><td>DMARC pass rate</td><td><strong>${stats.success_rate.toFixed(1)}%</strong> (${formatChange(passRateChange(digest))})</td></tr>
+          <tr><td>DMARC pass</td><td>${stats.dmarc_pass.toLocaleString()}</td></tr>
+          <tr><td>DMARC fail</td><td>${stats.dmarc_fail.toLocaleString()}</td></tr>
+          <tr><td>Unique IPs</td><td>${stats.unique_ips.toLocaleString()}</td></tr>
+        </table>
+        <h2>Pass rate by domain</h2>
+        <table cellpadding="6" border="1" style="border-collapse: collapse;">
+          <tr><th>Domain</th><th>Messages</th><th>Pass rate</th><th>Change</th></tr>
+          ${digest.domains.map((row) => html`
+            <tr><td>${row.domain}</td><td>${row.total}</td><td>${row.pass_rate}%</td><td>${formatChange(row.change)}</td></tr>
+          `)}
+        </table>
+        <h2>Top failing sources</h2>
+        <table cellpadding="6" border="1" style="border-collapse: collapse;">
+          <tr><th>Source IP</th><th>Domain</th><th>Messages</th><th>DMARC fail</th></tr>
+          ${digest.topFailing.map((row) => html`
+            <tr><td>${row.source_ip}</td><td>${row.header_from}</td><td>${row.total}</td><td>${row.dmarc_fail}</td></tr>
+          `)}
+        </table>
+      </body>
+    </html>
+  `;
+}
+
+export async function sendDigest(env, settings, { now = Date.now(), transport } = {}) {
+  const digest = await buildDigest(env, settings, now);
+  await sendMail(env, {
+    to: settings.recipients,
+    subject: digestSubject(digest),
+    text: renderDigestText(digest),
+    html: (await renderDigestHtml(digest)).toString(),
+  }, transport);
+  return digest;
+}
+
+// Scheduled entry point: sends every digest that is due and remembers the period it covered
+export async function sendDueDigests(env, { now = Date.now(), transport } = {}) {
+  const rows = await fetchData(env, 'SELECT * FROM digest_settings WHERE frequency != ?1', [DigestFrequency.off]);
+  let sent = 0;
+
+  for (const row of rows) {
+    const settings = toSettings(row, row.customer_id);
+    if (!isDigestDue(settings, now)) {
+      continue;
+    }
+
+    try {
+      const digest = await sendDigest(env, settings, { now, transport });
+      await env.DB.prepare(`
+        UPDATE digest_settings SET last_period_start = ?1, last_sent_at = ?2 WHERE customer_id = ?3
+      `).bind(digest.period.start, now, settings.customer_id).run();
+      sent++;
+    } catch (error) {
+      console.error(`Sending the digest for ${settings.customer_id} failed:`, error);
+    }
+  }
+
+  console.log(`Sent ${sent} digests`);
+  return sent;
+}
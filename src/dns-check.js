@@ -0,0 +1,294 @@
+import { REPORT_DOMAIN } from './ingest';
+
+// Checks a domain's published DMARC, SPF and DKIM records and builds the DMARC record the
+// wizard recommends. Lookups go through a resolver from dns.js, so tests can swap it out.
+
+export const IssueLevel = {
+  error: 'error',
+  warning: 'warning',
+  info: 'info',
+};
+
+export const DEFAULT_DKIM_SELECTORS = ['default', 'google', 'selector1', 'selector2', 'k1'];
+
+// RFC 7208 section 4.6.4
+const SPF_LOOKUP_LIMIT = 10;
+const SPF_MAX_DEPTH = 10;
+
+const DMARC_POLICIES = ['none', 'quarantine', 'reject'];
+const ALIGNMENT_MODES = ['r', 's'];
+
+const issue = (level, message) => ({ level, message });
+
+// Tag-value lists as used by DMARC and DKIM records, e.g. "v=DMARC1; p=none"
+export function parseTags(record) {
+  const tags = [];
+  for (const part of record.split(';')) {
+    const trimmed = part.trim();
+    if (!trimmed) {
+      continue;
+    }
+    const separator = trimmed.indexOf('=');
+    tags.push(separator === -1
+      ? { name: trimmed.toLowerCase(), value: null }
+      : { name: trimmed.slice(0, separator).trim().toLowerCase(), value: trimmed.slice(separator + 1).trim() });
+  }
+  return tags;
+}
+
+const reportAddress = (customerId) => `mailto:${customerId}@${REPORT_DOMAIN}`;
+
+const isMailtoList = (value) => value.split(',').every((uri) => /^mailto:[^@\s]+@[^@\s!]+(![0-9]+[kmgt]?)?$/i.test(uri.trim()));
+
+// Validates a DMARC record's syntax (RFC 7489 section 6.3) and flags risky settings
+export function validateDmarcRecord(record, customerId) {
+  const issues = [];
+  const tags = parseTags(record);
+  const values = Object.fromEntries(tags.filter((tag) => tag.value !== null).map((tag) => [tag.name, tag.value]));
+
+  if (tags[0]?.name !== 'v' || tags[0].value !== 'DMARC1') {
+    issues.push(issue(IssueLevel.error, 'The record must start with v=DMARC1'));
+  }
+  tags.filter((tag) => tag.value === null).forEach((tag) => issues.push(issue(IssueLevel.error, `"${tag.name}" is not a tag=value pair`)));
+
+  if (!values.p) {
+    issues.push(issue(IssueLevel.error, 'The p= policy tag is missing'));
+  } else if (!DMARC_POLICIES.includes(values.p.toLowerCase())) {
+    issues.push(issue(IssueLevel.error, `p=${values.p} is not one of ${DMARC_POLICIES.join(', ')}`));
+  } else if (values.p.toLowerCase() === 'none') {
+    issues.push(issue(IssueLevel.info, 'p=none only monitors; failing mail is still delivered'));
+  }
+  if (values.sp && !DMARC_POLICIES.includes(values.sp.toLowerCase())) {
+    issues.push(issue(IssueLevel.error, `sp=${values.sp} is not one of ${DMARC_POLICIES.join(', ')}`));
+  }
+  for (const tag of ['adkim', 'aspf']) {
+    if (values[tag] && !ALIGNMENT_MODES.includes(values[tag].toLowerCase())) {
+      issues.push(issue(IssueLevel.error, `${tag}=${values[tag]} must be r or s`));
+    }
+  }
+
+  if (values.pct !== undefined) {
+    const pct = Number(values.pct);
+    if (!/^\d{1,3}$/.test(values.pct) || pct > 100) {
+      issues.push(issue(IssueLevel.error, `pct=${values.pct} must be a whole number from 0 to 100`));
+    } else if (pct < 100) {
+      issues.push(issue(IssueLevel.warning, `pct=${pct} applies the policy to only ${pct}% of failing mail`));
+    }
+  }
+
+  for (const tag of ['rua', 'ruf']) {
+    if (values[tag] && !isMailtoList(values[tag])) {
+      issues.push(issue(IssueLevel.error, `${tag} must be a comma separated list of mailto: addresses`));
+    }
+  }
+  if (!values.rua) {
+    issues.push(issue(IssueLevel.warning, 'No rua tag, so no aggregate reports are sent'));
+  } else if (customerId && !values.rua.toLowerCase().includes(reportAddress(customerId).toLowerCase())) {
+    issues.push(issue(IssueLevel.warning, `rua does not include ${reportAddress(customerId)}, so reports do not reach this dashboard`));
+  }
+
+  return { tags: values, issues };
+}
+
+// Validates a DKIM key record (RFC 6376 section 3.6.1)
+export function validateDkimRecord(record) {
+  const issues = [];
+  const tags = parseTags(record);
+  const values = Object.fromEntries(tags.filter((tag) => tag.value !== null).map((tag) => [tag.name, tag.value]));
+
+  if (values.v !== undefined && (tags[0]?.name !== 'v' || values.v !== 'DKIM1')) {
+    issues.push(issue(IssueLevel.error, 'v= must be DKIM1 and come first'));
+  }
+  if (values.k && !['rsa', 'ed25519'].includes(values.k.toLowerCase())) {
+    issues.push(issue(IssueLevel.error, `Unknown key type k=${values.k}`));
+  }
+  if (values.p === undefined) {
+    issues.push(issue(IssueLevel.error, 'The p= public key tag is missing'));
+  } else if (!values.p) {
+    issues.push(issue(IssueLevel.warning, 'The key has been revoked (empty p=)'));
+  } else if (!/^[A-Za-z0-9+/=\s]+$/.test(values.p)) {
+    issues.push(issue(IssueLevel.error, 'The public key is not valid base64'));
+  }
+  if (values.t?.split(':').includes('y')) {
+    issues.push(issue(IssueLevel.info, 't=y marks the key as testing'));
+  }
+
+  return { tags: values, issues };
+}
+
+const SPF_MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+const SPF_LOOKUP_TERMS = ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+
+const spfRecords = (records) => records.filter((record) => /^v=spf1(\s|$)/i.test(record));
+
+// Walks an SPF record and the includes/redirects below it, counting the DNS lookups a receiver
+// would make and collecting syntax problems on the way
+async function walkSpf(resolver, domain, record, state, path) {
+  const depth = path.length - 1;
+  const terms = record.trim().split(/\s+/).slice(1);
+
+  for (const term of terms) {
+    const [, qualifier, rawName, separator, target] = term.match(/^([+\-~?]?)([a-z0-9]+)([:=/]?)(.*)$/i) ?? [];
+    const name = rawName?.toLowerCase();
+
+    if (!name || (separator === '=' ? !['redirect', 'exp'].includes(name) : !SPF_MECHANISMS.includes(name))) {
+      state.issues.push(issue(IssueLevel.error, `Unknown SPF term "${term}" in ${domain}`));
+      continue;
+    }
+    if (name === 'all' && depth === 0 && (qualifier === '+' || qualifier === '')) {
+      state.issues.push(issue(IssueLevel.error, `${term} lets any server send as ${domain}`));
+    }
+    if (name === 'ptr') {
+      state.issues.push(issue(IssueLevel.warning, 'The ptr mechanism is deprecated and slow'));
+    }
+    if (SPF_LOOKUP_TERMS.includes(name)) {
+      state.lookups++;
+    }
+    if (name !== 'include' && name !== 'redirect') {
+      continue;
+    }
+
+    if (!target) {
+      state.issues.push(issue(IssueLevel.error, `${name} in ${domain} has no domain`));
+      continue;
+    }
+    if (depth >= SPF_MAX_DEPTH || path.includes(target)) {
+      state.issues.push(issue(IssueLevel.error, `SPF includes loop or nest too deeply at ${target}`));
+      continue;
+    }
+
+    let included;
+    try {
+      included = spfRecords(await resolver.txt(target));
+    } catch (error) {
+      state.issues.push(issue(IssueLevel.warning, `Could not look up ${target}: ${error.message}`));
+      continue;
+    }
+    if (included.length !== 1) {
+      state.issues.push(issue(IssueLevel.error, `${name}:${target} has ${included.length ? 'more than one' : 'no'} SPF record`));
+      continue;
+    }
+    await walkSpf(resolver, target, included[0], state, [...path, target]);
+  }
+}
+
+// Checks the domain's SPF record, including the RFC 7208 limit of 10 DNS lookups
+export async function checkSpf(resolver, domain) {
+  const records = spfRecords(await resolver.txt(domain));
+  const result = { name: domain, records, lookups: 0, issues: [] };
+
+  if (!records.length) {
+    result.issues.push(issue(IssueLevel.error, `No SPF record found at ${domain}`));
+    return result;
+  }
+  if (records.length > 1) {
+    result.issues.push(issue(IssueLevel.error, 'More than one SPF record is published; receivers treat this as an error'));
+  }
+
+  const state = { lookups: 0, issues: result.issues };
+  await walkSpf(resolver, domain, records[0], state, [domain]);
+  result.lookups = state.lookups;
+
+  if (!/(^|\s)[+\-~?]?all(\s|$)|(^|\s)redirect=/i.test(records[0])) {
+    result.issues.push(issue(IssueLevel.warning, 'The record has no all mechanism or redirect, so unlisted servers are neutral'));
+  }
+  if (state.lookups > SPF_LOOKUP_LIMIT) {
+    result.issues.push(issue(IssueLevel.error, `SPF needs ${state.lookups} DNS lookups, more than the limit of ${SPF_LOOKUP_LIMIT}`));
+  }
+  return result;
+}
+
+export async function checkDmarc(resolver, domain, customerId) {
+  const name = `_dmarc.${domain}`;
+  const records = (await resolver.txt(name)).filter((record) => /^v=DMARC1/i.test(record));
+  const result = { name, records, tags: {}, issues: [] };
+
+  if (!records.length) {
+    result.issues.push(issue(IssueLevel.error, `No DMARC record found at ${name}`));
+    return result;
+  }
+  if (records.length > 1) {
+    result.issues.push(issue(IssueLevel.error, 'More than one DMARC record is published; receivers ignore them all'));
+  }
+
+  const { tags, issues } = validateDmarcRecord(records[0], customerId);
+  result.tags = tags;
+  result.issues.push(...issues);
+  return result;
+}
+
+export async function checkDkim(resolver, domain, selector) {
+  const name = `${selector}._domainkey.${domain}`;
+  const records = (await resolver.txt(name)).filter((record) => /(^|;)\s*(v=DKIM1|p=)/i.test(record));
+  const result = { selector, name, records, issues: [] };
+
+  if (!records.length) {
+    result.issues.push(issue(IssueLevel.info, `No DKIM key found for selector ${selector}`));
+    return result;
+  }
+  records.forEach((record) => result.issues.push(...validateDkimRecord(record).issues));
+  return result;
+}
+
+// Runs a check, turning lookup failures into an issue instead of failing the whole page
+const guarded = async (name, check) => {
+  try {
+    return await check();
+  } catch (error) {
+    console.error(`DNS check for ${name} failed:`, error);
+    return { name, records: [], issues: [issue(IssueLevel.error, `DNS lookup failed: ${error.message}`)] };
+  }
+};
+
+export async function checkDomain(resolver, domain, { customerId, selectors = DEFAULT_DKIM_SELECTORS } = {}) {
+  const [dmarc, spf, ...dkim] = await Promise.all([
+    guarded(`_dmarc.${domain}`, () => checkDmarc(resolver, domain, customerId)),
+    guarded(domain, () => checkSpf(resolver, domain)),
+    ...selectors.map((selector) => guarded(`${selector}._domainkey.${domain}`, () => checkDkim(resolver, domain, selector))),
+  ]);
+
+  return { domain, dmarc, spf, dkim };
+}
+
+export const WIZARD_DEFAULTS = {
+  p: 'none',
+  sp: '',
+  adkim: 'r',
+  aspf: 'r',
+  pct: '100',
+  ruf: '',
+};
+
+// Wizard choices, starting from the published record's values and falling back to the defaults
+export function wizardOptions(query, published = {}) {
+  const pick = (name, allowed) => {
+    const value = (query[name] ?? published[name] ?? WIZARD_DEFAULTS[name]).toLowerCase();
+    return allowed.includes(value) ? value : WIZARD_DEFAULTS[name];
+  };
+  const pct = Number(query.pct ?? published.pct ?? WIZARD_DEFAULTS.pct);
+
+  return {
+    p: pick('p', DMARC_POLICIES),
+    sp: pick('sp', ['', ...DMARC_POLICIES]),
+    adkim: pick('adkim', ALIGNMENT_MODES),
+    aspf: pick('aspf', ALIGNMENT_MODES),
+    pct: String(Number.isInteger(pct) && pct >= 0 && pct <= 100 ? pct : 100),
+    ruf: query.ruf === '1' || (query.ruf === undefined && Boolean(published.ruf)) ? '1' : '',
+  };
+}
+
+// The DMARC record for the wizard's choices, reporting to the customer's address here
+export function generateDmarcRecord(customerId, options) {
+  const tags = [`v=DMARC1`, `p=${options.p}`];
+
+  if (options.sp) {
+    tags.push(`sp=${options.sp}`);
+  }
+  tags.push(`rua=${reportAddress(customerId)}`);
+  if (options.ruf) {
+    tags.push(`ruf=${reportAddress(customerId)}`, 'fo=1');
+  }
+  tags.push(`pct=${options.pct}`, `adkim=${options.adkim}`, `aspf=${options.aspf}`);
+
+  return tags.join('; ') + ';';
+}
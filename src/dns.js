@@ -0,0 +1,73 @@
+import { ipToHex } from './ip';
+
+// DNS lookups over DNS-over-HTTPS (JSON API), since Workers have no resolver of their own.
+// Resolvers are created per use so tests and self-hosters can point them elsewhere.
+
+export const DEFAULT_DOH_URL = 'https://cloudflare-dns.com/dns-query';
+
+const TYPE_CODES = {
+  A: 1,
+  CNAME: 5,
+  PTR: 12,
+  MX: 15,
+  TXT: 16,
+  AAAA: 28,
+};
+
+// DNS response codes that are answers: the name exists (NOERROR) or doesn't (NXDOMAIN). Anything
+// else, such as SERVFAIL, means the lookup itself failed.
+const NOERROR = 0;
+const NXDOMAIN = 3;
+const RCODE_NAMES = { 1: 'FORMERR', 2: 'SERVFAIL', 4: 'NOTIMP', 5: 'REFUSED' };
+
+// Name to query for the PTR record of an address
+export function reverseName(ip) {
+  if (!ip.includes(':')) {
+    return `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
+  }
+  const hex = ipToHex(ip);
+  return hex ? `${hex.split('').reverse().join('.')}.ip6.arpa` : null;
+}
+
+// TXT answers arrive as quoted character-strings, long records split into several of them
+function joinTxtStrings(data) {
+  const strings = [...data.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map((match) => match[1].replace(/\\(.)/g, '$1'));
+  return strings.length ? strings.join('') : data;
+}
+
+export function createResolver({ url = DEFAULT_DOH_URL, fetcher = fetch } = {}) {
+  // Answer data for a name and record type; an empty list when the name has none
+  async function resolve(name, type) {
+    const response = await fetcher(`${url}?name=${encodeURIComponent(name)}&type=${type}`, {
+      headers: { accept: 'application/dns-json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`DNS query for ${name} failed: HTTP ${response.status}`);
+    }
+
+    const answer = await response.json();
+    const status = answer.Status ?? NOERROR;
+    if (status !== NOERROR && status !== NXDOMAIN) {
+      throw new Error(`DNS query for ${name} failed: ${RCODE_NAMES[status] ?? `status ${status}`}`);
+    }
+    return (answer.Answer ?? []).filter((record) => record.type === TYPE_CODES[type]).map((record) => record.data);
+  }
+
+  async function reverse(ip) {
+    const name = reverseName(ip);
+    if (!name) {
+      return [];
+    }
+    return (await resolve(name, 'PTR')).map((ptr) => ptr.replace(/\.$/, '').toLowerCase());
+  }
+
+  async function txt(name) {
+    return (await resolve(name, 'TXT')).map(joinTxtStrings);
+  }
+
+  return { resolve, reverse, txt };
+}
+
+// Resolver configured from the environment (DOH_URL overrides the default endpoint)
+export const resolverFor = (env) => createResolver({ url: env.DOH_URL || DEFAULT_DOH_URL });
@@ -0,0 +1,104 @@
+import { fetchData } from './queries';
+
+// Per-customer domain registry. Customers claim a domain, then prove they control it by
+// publishing `huzzandbuzz-verification=<token>` as a TXT record on it.
+
+export const VERIFICATION_PREFIX = 'huzzandbuzz-verification=';
+
+export const DomainStatus = {
+  verified: 'verified',
+  unverified: 'unverified',
+  unregistered: 'unregistered',
+};
+
+const EXPECTED_POLICIES = ['none', 'quarantine', 'reject'];
+
+const toHex = (bytes) => [...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// Lower-cased domain name without a trailing dot, or null if it isn't one
+export function normalizeDomain(domain) {
+  const name = (domain || '').trim().toLowerCase().replace(/\.$/, '');
+  return /^(?=.{4,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(name) ? name : null;
+}
+
+export const verificationRecord = (row) => `${VERIFICATION_PREFIX}${row.verification_token}`;
+
+export async function listDomains(env, customerId) {
+  return fetchData(env, 'SELECT * FROM domains WHERE customer_id = ?1 ORDER BY domain', [customerId]);
+}
+
+export async function getDomain(env, customerId, domain) {
+  const [row] = await fetchData(env, 'SELECT * FROM domains WHERE customer_id = ?1 AND domain = ?2', [customerId, domain]);
+  return row ?? null;
+}
+
+// Claims a domain for the customer; returns an error message on bad input
+export async function addDomain(env, customerId, input) {
+  const domain = normalizeDomain(input);
+  if (!domain) {
+    return 'Enter a valid domain name';
+  }
+  if (await getDomain(env, customerId, domain)) {
+    return `${domain} is already registered`;
+  }
+
+  await env.DB.prepare(`
+    INSERT INTO domains (customer_id, domain, verification_token, created_at)
+    VALUES (?1, ?2, ?3, ?4)
+  `).bind(customerId, domain, toHex(crypto.getRandomValues(new Uint8Array(16))), Date.now()).run();
+  return null;
+}
+
+// Looks for the verification token in the domain's TXT records and marks the domain verified
+export async function verifyDomain(env, customerId, domain, resolver) {
+  const row = await getDomain(env, customerId, domain);
+  if (!row) {
+    return { verified: false, error: 'Domain not found' };
+  }
+
+  let records;
+  try {
+    records = await resolver.txt(domain);
+  } catch (error) {
+    console.error(`Verification lookup for ${domain} failed:`, error);
+    return { verified: false, error: `DNS lookup failed: ${error.message}` };
+  }
+
+  if (!records.some((record) => record.trim() === verificationRecord(row))) {
+    return { verified: false, error: `No TXT record "${verificationRecord(row)}" found on ${domain}` };
+  }
+
+  await env.DB.prepare('UPDATE domains SET verified_at = ?1 WHERE customer_id = ?2 AND domain = ?3')
+    .bind(Date.now(), customerId, domain)
+    .run();
+  return { verified: true, error: null };
+}
+
+export async function updateDomainSettings(env, customerId, domain, input) {
+  const expectedPolicy = input.expectedPolicy || null;
+  const contact = (input.ownerContact || '').trim();
+
+  if (expectedPolicy && !EXPECTED_POLICIES.includes(expectedPolicy)) {
+    return 'Unknown policy';
+  }
+  if (contact && !/^[^@\s]+@[^@\s]+$/.test(contact)) {
+    return 'The owner contact must be an email address';
+  }
+
+  await env.DB.prepare(`
+    UPDATE domains SET display_name = ?1, expected_policy = ?2, owner_contact = ?3
+    WHERE customer_id = ?4 AND domain = ?5
+  `).bind((input.displayName || '').trim() || null, expectedPolicy, contact || null, customerId, domain).run();
+  return null;
+}
+
+export async function removeDomain(env, customerId, domain) {
+  await env.DB.prepare('DELETE FROM domains WHERE customer_id = ?1 AND domain = ?2').bind(customerId, domain).run();
+}
+
+export const domainStatus = (row) => {
+  if (!row) {
+    return DomainStatus.unregistered;
+  }
+  return row.verified_at ? DomainStatus.verified : DomainStatus.unverified;
+};
@@ -0,0 +1,341 @@
+import { ipToHex } from './ip';
+import { fetchData } from './queries';
+
+// Source IP enrichment (country, ASN, AS organisation) from the ip_ranges table in D1.
+// The table is loaded from an ip2asn-style TSV by the scheduled job, so sender IPs never leave our account.
+// The file is too big to load in one invocation: the job stages it in the IP_DATABASE_STAGING bucket
+// as numbered chunks, loads a few chunks per run with its progress in ip_database_load, and switches
+// lookups to the new generation once every chunk is in. Old generations are deleted a bounded number
+// of rows at a time in the runs after that.
+
+const LOOKUP_BATCH_SIZE = 50;
+// Ranges per staged chunk, and per INSERT (bound as one JSON array, under D1's parameter limit)
+const LINES_PER_CHUNK = 5000;
+const INSERT_BATCH_SIZE = 1000;
+// Chunks loaded and old-generation DELETE statements per run, well inside D1's per-invocation query limit
+const MAX_LOAD_CHUNKS = 20;
+const DELETE_BATCH_SIZE = 5000;
+const MAX_DELETE_BATCHES = 40;
+// How old the loaded generation gets before the job fetches the file again
+const RELOAD_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+
+const UNKNOWN = { country: null, asn: null, as_org: null };
+
+let regionNames;
+
+// Display name for an ISO 3166 country code
+export function countryName(code) {
+  if (!code) {
+    return 'Unknown';
+  }
+  try {
+    regionNames ??= new Intl.DisplayNames(['en'], { type: 'region' });
+    return regionNames.of(code) ?? code;
+  } catch (error) {
+    return code;
+  }
+}
+
+// Display form of an ASN and its organisation, e.g. "AS15169 GOOGLE"
+export function formatAsn(row) {
+  if (!row.asn) {
+    return 'Unknown';
+  }
+  return row.as_org ? `AS${row.asn} ${row.as_org}` : `AS${row.asn}`;
+}
+
+async function currentGeneration(env) {
+  const row = await env.DB.prepare('SELECT generation FROM ip_database WHERE id = 1').first();
+  return row?.generation ?? null;
+}
+
+const chunks = (items, size) => {
+  const result = [];
+  for (let offset = 0; offset < items.length; offset += size) {
+    result.push(items.slice(offset, offset + size));
+  }
+  return result;
+};
+
+// Resolves source IPs, reading through the ip_enrichment cache and filling it on misses
+export async function enrichIps(env, ips) {
+  const unique = [...new Set(ips.filter(Boolean))];
+  const enrichment = new Map();
+
+  if (!unique.length) {
+    return enrichment;
+  }
+
+  const generation = await currentGeneration(env);
+  if (generation === null) {
+    unique.forEach((ip) => enrichment.set(ip, UNKNOWN));
+    return enrichment;
+  }
+
+  for (const chunk of chunks(unique, LOOKUP_BATCH_SIZE)) {
+    const cached = await fetchData(env, `
+      SELECT ip, country, asn, as_org
+      FROM ip_enrichment
+      WHERE generation = ?1 AND ip IN (${chunk.map((_, index) => `?${index + 2}`).join(', ')})
+    `, [generation, ...chunk]);
+
+    for (const { ip, ...info } of cached) {
+      enrichment.set(ip, info);
+    }
+  }
+
+  const missing = unique.filter((ip) => !enrichment.has(ip));
+  const lookup = env.DB.prepare(`
+    SELECT end_ip, country, asn, as_org
+    FROM ip_ranges
+    WHERE generation = ?1 AND start_ip <= ?2
+    ORDER BY start_ip DESC
+    LIMIT 1
+  `);
+  const store = env.DB.prepare(`
+    INSERT OR REPLACE INTO ip_enrichment (ip, country, asn, as_org, generation, resolved_at)
+    VALUES (?1, ?2, ?3, ?4, ?5, ?6)
+  `);
+
+  for (const chunk of chunks(missing, LOOKUP_BATCH_SIZE)) {
+    const hexes = chunk.map(ipToHex);
+    const results = await env.DB.batch(chunk.map((_, index) => lookup.bind(generation, hexes[index] ?? '')));
+    const now = Date.now();
+
+    const resolved = chunk.map((ip, index) => {
+      const match = results[index].results?.[0];
+      const info = match && hexes[index] && match.end_ip >= hexes[index]
+        ? { country: match.country, asn: match.asn, as_org: match.as_org }
+        : UNKNOWN;
+
+      enrichment.set(ip, info);
+      return store.bind(ip, info.country, info.asn, info.as_org, generation, now);
+    });
+
+    await env.DB.batch(resolved);
+  }
+
+  return enrichment;
+}
+
+// Adds country, asn and as_org to every row that has a source_ip
+export async function enrichRows(env, rows) {
+  const enrichment = await enrichIps(env, rows.map((row) => row.source_ip));
+  return rows.map((row) => ({ ...row, ...(enrichment.get(row.source_ip) ?? UNKNOWN) }));
+}
+
+async function* readLines(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+// Parses an ip2asn line (range_start, range_end, AS number, country code, AS description) into an
+// ip_ranges row, or null for malformed lines and unrouted space (AS 0)
+function parseRange(line) {
+  const [rangeStart, rangeEnd, asn, country, description] = line.trim().split('\t');
+  const start = ipToHex(rangeStart);
+  const end = ipToHex(rangeEnd);
+
+  if (!start || !end || !Number(asn)) {
+    return null;
+  }
+  return [start, end, country && country !== 'None' ? country : null, Number(asn), description || null];
+}
+
+const stagingBucket = (env) => {
+  if (!env.IP_DATABASE_STAGING) {
+    throw new Error('No IP_DATABASE_STAGING bucket is configured');
+  }
+  return env.IP_DATABASE_STAGING;
+};
+
+const chunkKey = (generation, index) => `${generation}/${index}.tsv`;
+
+async function deleteStagedChunks(env, generation) {
+  let cursor;
+  do {
+    const page = await stagingBucket(env).list({ prefix: `${generation}/`, cursor });
+    if (page.objects.length) {
+      await stagingBucket(env).delete(page.objects.map((object) => object.key));
+    }
+    cursor = page.truncated ? page.cursor : null;
+  } while (cursor);
+}
+
+async function currentLoad(env) {
+  return env.DB.prepare('SELECT * FROM ip_database_load WHERE id = 1').first();
+}
+
+// Downloads an ip2asn TSV and stages it as chunks for a new generation to load
+async function stageIpDatabase(env, url = env.IP_DATABASE_URL, { linesPerChunk = LINES_PER_CHUNK } = {}) {
+  if (!url) {
+    throw new Error('IP_DATABASE_URL is not configured');
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const gzipped = url.endsWith('.gz') || response.headers.get('content-type')?.includes('gzip');
+  const stream = gzipped ? response.body.pipeThrough(new DecompressionStream('gzip')) : response.body;
+
+  const generation = Date.now();
+  let lines = [];
+  let chunks = 0;
+
+  for await (const line of readLines(stream)) {
+    if (!line.trim()) {
+      continue;
+    }
+    lines.push(line);
+
+    if (lines.length === linesPerChunk) {
+      await stagingBucket(env).put(chunkKey(generation, chunks++), lines.join('\n'));
+      lines = [];
+    }
+  }
+
+  if (lines.length) {
+    await stagingBucket(env).put(chunkKey(generation, chunks++), lines.join('\n'));
+  }
+
+  if (!chunks) {
+    throw new Error(`No IP ranges found at ${url}`);
+  }
+
+  await env.DB.prepare(`
+    INSERT INTO ip_database_load (id, generation, source, chunks, loaded_chunks, ranges, started_at)
+    VALUES (1, ?1, ?2, ?3, 0, 0, ?4)
+  `).bind(generation, url, chunks, Date.now()).run();
+
+  return { generation, source: url, chunks, loaded_chunks: 0, ranges: 0 };
+}
+
+// Loads up to maxChunks staged chunks of the load in progress. Each chunk's rows and the progress
+// that records them are written in one batch, so a run that dies part way never loads a chunk twice.
+// Once the last chunk is in, lookups switch to the new generation.
+async function loadStagedChunks(env, load, maxChunks, now) {
+  const insert = env.DB.prepare(`
+    INSERT INTO ip_ranges (generation, start_ip, end_ip, country, asn, as_org)
+    SELECT ?1, value ->> 0, value ->> 1, value ->> 2, value ->> 3, value ->> 4 FROM json_each(?2)
+  `);
+  const progress = env.DB.prepare(`
+    UPDATE ip_database_load SET loaded_chunks = loaded_chunks + 1, ranges = ranges + ?2
+    WHERE id = 1 AND generation = ?1
+  `);
+  let { loaded_chunks: loaded, ranges } = load;
+
+  for (let run = 0; run < maxChunks && loaded < load.chunks; run++) {
+    const object = await stagingBucket(env).get(chunkKey(load.generation, loaded));
+    if (!object) {
+      throw new Error(`Staged IP database chunk ${loaded} of ${load.generation} is missing`);
+    }
+
+    const rows = (await object.text()).split('\n').map(parseRange).filter(Boolean);
+    await env.DB.batch([
+      ...chunks(rows, INSERT_BATCH_SIZE).map((batch) => insert.bind(load.generation, JSON.stringify(batch))),
+      progress.bind(load.generation, rows.length),
+    ]);
+    loaded++;
+    ranges += rows.length;
+  }
+
+  if (loaded < load.chunks) {
+    return { ...load, loaded_chunks: loaded, ranges, done: false };
+  }
+
+  if (!ranges) {
+    await env.DB.prepare('DELETE FROM ip_database_load WHERE id = 1 AND generation = ?1').bind(load.generation).run();
+    await deleteStagedChunks(env, load.generation);
+    throw new Error(`No IP ranges found at ${load.source}`);
+  }
+
+  await env.DB.batch([
+    env.DB.prepare(`
+      INSERT OR REPLACE INTO ip_database (id, generation, source, ranges, loaded_at)
+      VALUES (1, ?1, ?2, ?3, ?4)
+    `).bind(load.generation, load.source, ranges, now),
+    env.DB.prepare('DELETE FROM ip_database_load WHERE id = 1 AND generation = ?1').bind(load.generation),
+  ]);
+  await deleteStagedChunks(env, load.generation);
+
+  console.log(`Loaded ${ranges} IP ranges from ${load.source}`);
+  return { ...load, loaded_chunks: loaded, ranges, done: true };
+}
+
+// Deletes up to maxBatches batches of ranges and cached lookups from generations that are neither
+// current nor loading; returns whether any are left
+async function deleteOldGenerations(env, maxBatches) {
+  const keep = [await currentGeneration(env), (await currentLoad(env))?.generation].filter((generation) => generation != null);
+  if (!keep.length) {
+    return false;
+  }
+
+  // Generations are load start times, so the current one is older than the one loading. Ranges
+  // either side of them keep the deletes on the generation index.
+  const [first, last = first] = keep;
+  const statements = [
+    env.DB.prepare(`
+      DELETE FROM ip_ranges WHERE rowid IN (
+        SELECT rowid FROM ip_ranges
+        WHERE generation < ?1 OR (generation > ?1 AND generation < ?2) OR generation > ?2
+        LIMIT ?3
+      )
+    `).bind(first, last, DELETE_BATCH_SIZE),
+    env.DB.prepare(`
+      DELETE FROM ip_enrichment WHERE rowid IN (
+        SELECT rowid FROM ip_enrichment WHERE generation != ?1 LIMIT ?2
+      )
+    `).bind(keep[0], DELETE_BATCH_SIZE),
+  ];
+
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const results = await env.DB.batch(statements);
+    if (results.every((result) => result.meta.changes < DELETE_BATCH_SIZE)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Scheduled job: stages a fresh copy of the IP database once the loaded one is RELOAD_INTERVAL old,
+// loads the next few chunks of the load in progress, and clears out old generations. Returns the
+// load's progress, or null when nothing is loading.
+export async function loadIpDatabase(env, {
+  url = env.IP_DATABASE_URL,
+  now = Date.now(),
+  linesPerChunk,
+  maxChunks = MAX_LOAD_CHUNKS,
+  maxDeleteBatches = MAX_DELETE_BATCHES,
+} = {}) {
+  let load = await currentLoad(env);
+
+  if (!load) {
+    const loaded = await env.DB.prepare('SELECT loaded_at FROM ip_database WHERE id = 1').first();
+    if (!loaded || now - loaded.loaded_at >= RELOAD_INTERVAL) {
+      load = await stageIpDatabase(env, url, { linesPerChunk });
+    }
+  }
+
+  const progress = load ? await loadStagedChunks(env, load, maxChunks, now) : null;
+  if (await deleteOldGenerations(env, maxDeleteBatches)) {
+    console.log('Old IP database generations are left for the next run');
+  }
+  return progress;
+}
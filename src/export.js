@@ -0,0 +1,312 @@
+import { countryName, enrichRows, formatAsn } from './enrichment';
+import { getReadiness } from './readiness';
+import { groupBySender, identifySenders } from './senders';
+import { DispositionType, DMARCResultType } from './types';
+import {
+  getDetailedReports,
+  getDomainSummary,
+  getReporters,
+  getFailureAnalysis,
+  getSourcesByDomain,
+  getSourceVolumes,
+  getTimeSeries,
+  getTopSenders,
+} from './queries';
+
+// CSV and JSON downloads of the dashboard tables. Rows are read and written a page at a time, so
+// exports hold the whole filtered result set instead of the first rows the HTML pages show.
+
+export const ExportFormat = {
+  csv: 'csv',
+  json: 'json',
+};
+
+const CONTENT_TYPES = {
+  [ExportFormat.csv]: 'text/csv; charset=utf-8',
+  [ExportFormat.json]: 'application/json; charset=utf-8',
+};
+
+const EXPORT_PAGE_SIZE = 500;
+
+const DISPOSITION_LABELS = {
+  [DispositionType.none]: 'none',
+  [DispositionType.quarantine]: 'quarantine',
+  [DispositionType.reject]: 'reject',
+};
+
+const resultLabel = (result) => {
+  if (result === null || result === undefined) {
+    return null;
+  }
+  return result === DMARCResultType.pass ? 'pass' : 'fail';
+};
+
+const alignmentLabel = (aligned) => {
+  if (aligned === null || aligned === undefined) {
+    return null;
+  }
+  return aligned ? 'aligned' : 'unaligned';
+};
+
+const isoTime = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+// A column is its JSON key, its CSV header and how to read it from a row
+const column = (key, label, value = (row) => row[key]) => ({ key, label, value });
+
+// The time series pages' day, week or month buckets (filters.bucket)
+const TIME_SERIES_COLUMNS = [column('period', 'Period', (row) => row.bucket), column('total', 'Total')];
+
+const PERIOD_COLUMNS = [
+  column('period_start', 'Period Start', (row) => isoTime(row.date_range_begin)),
+  column('period_end', 'Period End', (row) => isoTime(row.date_range_end)),
+];
+
+const BREAKDOWN_COLUMNS = [
+  column('dmarc_pass', 'DMARC Pass'),
+  column('dkim_only_pass', 'DKIM-only Pass'),
+  column('spf_only_pass', 'SPF-only Pass'),
+  column('dmarc_fail', 'DMARC Fail'),
+  column('pass_rate', 'Pass Rate (%)', (row) => row.pass_rate ?? 0),
+];
+
+const ASN_COLUMNS = [
+  column('asn', 'ASN', (row) => formatAsn(row)),
+  column('country', 'Country', (row) => countryName(row.country)),
+];
+
+// Pages through a paginated query until it runs dry
+const paged = (query, transform = async (env, rows) => rows) =>
+  async function* (env, customerId, filters) {
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+      const rows = await query(env, customerId, filters, { limit: EXPORT_PAGE_SIZE, offset });
+      if (rows.length) {
+        yield transform(env, rows);
+      }
+      if (rows.length < EXPORT_PAGE_SIZE) {
+        return;
+      }
+    }
+  };
+
+// Tables computed in memory by their page come out in one piece
+const whole = (load) =>
+  async function* (env, customerId, filters) {
+    yield load(env, customerId, filters);
+  };
+
+const withSenders = async (env, rows) => {
+  const [enriched, senders] = await Promise.all([enrichRows(env, rows), identifySenders(env, rows.map((row) => row.source_ip))]);
+  return enriched.map((row) => ({ ...row, service: senders.get(row.source_ip)?.name ?? 'Unknown sender' }));
+};
+
+// Every exportable table, keyed by the dashboard page it comes from
+const EXPORT_TABLES = {
+  'auth-rates': {
+    rows: whole((env, customerId, filters) => getTimeSeries(env, customerId, filters, filters.bucket)),
+    columns: [...TIME_SERIES_COLUMNS, ...BREAKDOWN_COLUMNS],
+  },
+  'top-senders': {
+    rows: paged(getTopSenders, withSenders),
+    columns: [
+      column('source_ip', 'IP Address'),
+      column('service', 'Service'),
+      ...ASN_COLUMNS,
+      column('total', 'Total'),
+      ...BREAKDOWN_COLUMNS,
+      column('failure_rate', 'Failure Rate (%)'),
+    ],
+  },
+  senders: {
+    rows: whole(async (env, customerId, filters) => groupBySender(env, customerId, await getSourcesByDomain(env, customerId, filters))),
+    columns: [
+      column('domain', 'Domain'),
+      column('service', 'Service', (row) => row.service_name),
+      column('source_ips', 'Source IPs', (row) => row.source_ips.join(' ')),
+      column('total', 'Total'),
+      ...BREAKDOWN_COLUMNS,
+      column('status', 'Status'),
+    ],
+  },
+  readiness: {
+    rows: whole(async (env, customerId, filters) => (await getReadiness(env, customerId, filters)).domains),
+    columns: [
+      column('domain', 'Domain'),
+      column('total', 'Total'),
+      column('published_policy', 'Published Policy', (row) => (row.published ? `p=${row.published.p}; pct=${row.published.pct ?? 100}` : null)),
+      column('authorized_share', 'Authorized (%)'),
+      column('unauthorized_share', 'Unauthorized (%)'),
+      column('unreviewed_share', 'Unreviewed (%)'),
+      column('authorized_pass_rate', 'Authorized Pass Rate (%)'),
+      column('next_step', 'Next Step', (row) => (row.next_step ? `p=${row.next_step.p}; pct=${row.next_step.pct}` : null)),
+      column('ready', 'Ready', (row) => (row.ready ? 'yes' : 'no')),
+      column('blockers', 'Blockers', (row) => row.blockers.join('; ')),
+    ],
+  },
+  'geo-location': {
+    rows: paged(getSourceVolumes, enrichRows),
+    columns: [column('source_ip', 'IP Address'), column('total', 'Total'), ...ASN_COLUMNS, ...BREAKDOWN_COLUMNS],
+  },
+  'compliance-trends': {
+    rows: whole((env, customerId, filters) => getTimeSeries(env, customerId, filters, filters.bucket)),
+    columns: [
+      ...TIME_SERIES_COLUMNS,
+      ...BREAKDOWN_COLUMNS,
+      column('delivered', 'Delivered'),
+      column('quarantined', 'Quarantined'),
+      column('rejected', 'Rejected'),
+    ],
+  },
+  'failure-analysis': {
+    rows: paged(getFailureAnalysis, enrichRows),
+    columns: [
+      column('domain', 'Domain', (row) => row.header_from),
+      column('source_ip', 'IP Address'),
+      ...ASN_COLUMNS,
+      column('total', 'Total'),
+      ...BREAKDOWN_COLUMNS,
+      column('dkim_failures', 'DKIM Failures'),
+      column('spf_failures', 'SPF Failures'),
+      column('dkim_unaligned', 'DKIM Unaligned'),
+      column('spf_unaligned', 'SPF Unaligned'),
+      column('failure_rate', 'Failure Rate (%)'),
+      column('policy_override_type', 'Override Type'),
+      column('error', 'Error'),
+    ],
+  },
+  'domain-summary': {
+    rows: paged(getDomainSummary),
+    columns: [
+      column('domain', 'Domain'),
+      column('display_name', 'Display Name'),
+      column('registration', 'Registration'),
+      column('report_count', 'Report Count'),
+      column('first_seen', 'First Seen'),
+      column('last_seen', 'Last Seen'),
+      column('unique_ips', 'Unique IPs'),
+      column('total', 'Total'),
+      ...BREAKDOWN_COLUMNS,
+    ],
+  },
+  reporters: {
+    rows: paged(getReporters),
+    columns: [
+      column('reporter', 'Reporter', (row) => row.org_name),
+      column('email', 'Email', (row) => row.org_email),
+      column('extra_contact_info', 'Extra Contact Info', (row) => row.org_extra_contact_info),
+      column('report_count', 'Reports'),
+      column('domains', 'Domains'),
+      column('last_seen', 'Last Report'),
+      column('total', 'Total'),
+      ...BREAKDOWN_COLUMNS,
+      column('delivered', 'Delivered'),
+      column('quarantined', 'Quarantined'),
+      column('rejected', 'Rejected'),
+    ],
+  },
+  'detailed-reports': {
+    rows: paged(getDetailedReports),
+    columns: [
+      ...PERIOD_COLUMNS,
+      column('report_id', 'Report ID'),
+      column('reporter', 'Reporter', (row) => row.org_name),
+      column('domain', 'Domain', (row) => row.header_from),
+      column('source_ip', 'IP Address'),
+      column('count', 'Count'),
+      column('dmarc', 'DMARC', (row) => resultLabel(row.dmarc_result)),
+      column('dkim', 'DKIM', (row) => resultLabel(row.dkim_result)),
+      column('spf', 'SPF', (row) => resultLabel(row.spf_result)),
+      column('dkim_domain', 'DKIM Domain'),
+      column('dkim_auth_result', 'DKIM Auth Result'),
+      column('dkim_alignment', 'DKIM Alignment', (row) => alignmentLabel(row.dkim_aligned)),
+      column('spf_domain', 'SPF Domain'),
+      column('spf_auth_result', 'SPF Auth Result'),
+      column('spf_alignment', 'SPF Alignment', (row) => alignmentLabel(row.spf_aligned)),
+      column('disposition', 'Disposition', (row) => DISPOSITION_LABELS[row.disposition] ?? null),
+      column('policy_override_type', 'Override Type'),
+      column('error', 'Error'),
+    ],
+  },
+};
+
+export const isExportTable = (table) => Object.hasOwn(EXPORT_TABLES, table);
+
+export const exportContentType = (format) => CONTENT_TYPES[format];
+
+// e.g. dmarc-detailed-reports-2025-01-01-to-2025-01-31.csv. The parts come from the query string
+// and go into a Content-Disposition header, so anything but plain filename characters is replaced.
+export function exportFilename(table, filters, format) {
+  const parts = ['dmarc', table];
+  if (filters.domain) {
+    parts.push(filters.domain);
+  }
+  if (filters.start || filters.end) {
+    parts.push(`${filters.start || 'start'}-to-${filters.end || 'today'}`);
+  }
+  return `${parts.join('-')}.${format}`.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+// Quotes cells that need it, and defuses text a spreadsheet would run as a formula
+export function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+// The export as text chunks, ready to stream as the response body
+async function* exportChunks(env, customerId, table, filters, format) {
+  const { rows, columns } = EXPORT_TABLES[table];
+  let first = true;
+
+  yield format === ExportFormat.csv ? csvLine(columns.map((item) => item.label)) : '[';
+
+  for await (const chunk of rows(env, customerId, filters)) {
+    if (!chunk.length) {
+      continue;
+    }
+    if (format === ExportFormat.csv) {
+      yield chunk.map((row) => csvLine(columns.map((item) => item.value(row)))).join('');
+      continue;
+    }
+
+    const objects = chunk.map((row) => JSON.stringify(Object.fromEntries(columns.map((item) => [item.key, item.value(row) ?? null]))));
+    yield `${first ? '' : ','}\n${objects.join(',\n')}`;
+    first = false;
+  }
+
+  if (format === ExportFormat.json) {
+    yield '\n]\n';
+  }
+}
+
+// The export as a response body. A failed query errors the stream, so the client sees a broken
+// download instead of a file that ends cleanly (and, for JSON, parses) but is missing rows.
+export function exportStream(env, customerId, table, filters, format) {
+  const chunks = exportChunks(env, customerId, table, filters, format);
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      } catch (error) {
+        console.error(`Export of ${table} failed:`, error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await chunks.return();
+    },
+  });
+}
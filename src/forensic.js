@@ -0,0 +1,233 @@
+import PostalMime from 'postal-mime';
+import { fetchData, isIpFilter, toEpochSeconds } from './queries';
+
+// Forensic (RUF) failure reports in the Abuse Reporting Format: a multipart/report mail with a
+// message/feedback-report part describing the failure and a copy of the failing message, either
+// whole (message/rfc822) or just its headers (text/rfc822-headers). Samples can hold personal
+// data, so bodies and recipient addresses are stripped before storage unless the customer opts in.
+
+const FEEDBACK_REPORT = 'message/feedback-report';
+const SAMPLE_TYPES = ['message/rfc822', 'text/rfc822-headers'];
+
+// Long enough for any real failure analysis, short enough to keep rows small
+const MAX_BODY_LENGTH = 20000;
+const REDACTED = 'redacted';
+
+// Headers naming who received the message; From and Sender identify the sender and are kept
+const RECIPIENT_HEADERS = ['to', 'cc', 'bcc', 'delivered-to', 'x-original-to', 'envelope-to', 'original-rcpt-to', 'resent-to', 'resent-cc'];
+const ADDRESS = /[^\s<>"',;:@]+@([^\s<>"',;:@]+)/g;
+
+const decoder = new TextDecoder('utf-8');
+
+const toText = (content) => (typeof content === 'string' ? content : decoder.decode(content));
+
+// Splits a header block into [name, value] fields, unfolding continuation lines
+export function parseHeaderFields(text) {
+  const fields = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && fields.length) {
+      fields[fields.length - 1][1] += ` ${line.trim()}`;
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      fields.push([line.slice(0, colon).trim().toLowerCase(), line.slice(colon + 1).trim()]);
+    }
+  }
+  return fields;
+}
+
+// Replaces the mailbox part of every address, keeping the domain for analysis
+export const redactAddresses = (value) => value?.replace(ADDRESS, `${REDACTED}@$1`) ?? null;
+
+// Strips recipient addresses from a header block: the recipient headers themselves and the
+// "for <address>" clause receivers add to Received headers
+export function redactRecipientHeaders(headers) {
+  return headers
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .map((line) => {
+      const name = line.slice(0, line.indexOf(':')).trim().toLowerCase();
+      if (RECIPIENT_HEADERS.includes(name)) {
+        return redactAddresses(line);
+      }
+      return name === 'received' ? line.replace(/\bfor\s+<?[^\s<>;]+@[^\s<>;]+>?/gi, (clause) => redactAddresses(clause)) : line;
+    })
+    .join('\n');
+}
+
+const headerBlock = (text) => text.split(/\r?\n\r?\n/)[0];
+
+const parseDate = (value) => {
+  const time = Date.parse(value || '');
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+// Reads the failure report out of a parsed mail, or returns null if the mail isn't one
+export async function parseForensicReport(email) {
+  const feedback = email.attachments.find((attachment) => attachment.mimeType === FEEDBACK_REPORT);
+  if (!feedback) {
+    return null;
+  }
+
+  const fields = parseHeaderFields(toText(feedback.content));
+  const field = (name) => fields.find(([key]) => key === name)?.[1] ?? null;
+  const all = (name) => fields.filter(([key]) => key === name).map(([, value]) => value);
+
+  const sample = email.attachments.find((attachment) => SAMPLE_TYPES.includes(attachment.mimeType));
+  const raw = sample ? toText(sample.content) : '';
+  const headersOnly = sample?.mimeType === 'text/rfc822-headers';
+  const message = raw ? await PostalMime.parse(headersOnly ? `${headerBlock(raw)}\r\n\r\n` : raw) : null;
+
+  return {
+    feedback_type: field('feedback-type'),
+    user_agent: field('user-agent'),
+    arrival_date: parseDate(field('arrival-date') ?? field('received-date')),
+    source_ip: field('source-ip'),
+    reported_domain: field('reported-domain')?.toLowerCase() ?? null,
+    original_mail_from: field('original-mail-from'),
+    original_rcpt_to: all('original-rcpt-to').join(', ') || null,
+    auth_failure: all('auth-failure').join(', ') || null,
+    authentication_results: all('authentication-results').join('\n') || null,
+    dkim_domain: field('dkim-domain'),
+    dkim_selector: field('dkim-selector'),
+    spf_dns: field('spf-dns'),
+    delivery_result: field('delivery-result'),
+    header_from: message?.from?.address?.split('@').pop()?.toLowerCase() ?? null,
+    subject: message?.subject ?? null,
+    message_id: message?.messageId ?? null,
+    headers: raw ? headerBlock(raw) : null,
+    body: headersOnly ? null : (message?.text ?? null),
+  };
+}
+
+export async function getForensicSettings(env, customerId) {
+  const [row] = await fetchData(env, 'SELECT * FROM forensic_settings WHERE customer_id = ?1', [customerId]);
+  return {
+    redact_bodies: row ? Boolean(row.redact_bodies) : true,
+    redact_recipients: row ? Boolean(row.redact_recipients) : true,
+  };
+}
+
+export async function saveForensicSettings(env, customerId, input) {
+  await env.DB.prepare(`
+    INSERT INTO forensic_settings (customer_id, redact_bodies, redact_recipients, updated_at)
+    VALUES (?1, ?2, ?3, ?4)
+    ON CONFLICT (customer_id) DO UPDATE SET
+      redact_bodies = excluded.redact_bodies,
+      redact_recipients = excluded.redact_recipients,
+      updated_at = excluded.updated_at
+  `).bind(customerId, input.redact_bodies ? 1 : 0, input.redact_recipients ? 1 : 0, Date.now()).run();
+}
+
+// Applies the customer's redaction settings to a parsed report
+export function redactForensicReport(report, settings) {
+  const redacted = { ...report, recipients_redacted: settings.redact_recipients ? 1 : 0 };
+
+  if (settings.redact_bodies) {
+    redacted.body = null;
+  } else if (redacted.body?.length > MAX_BODY_LENGTH) {
+    redacted.body = redacted.body.slice(0, MAX_BODY_LENGTH);
+  }
+  if (settings.redact_recipients) {
+    redacted.original_rcpt_to = redactAddresses(report.original_rcpt_to);
+    redacted.headers = report.headers ? redactRecipientHeaders(report.headers) : null;
+  }
+  return redacted;
+}
+
+const FORENSIC_COLUMNS = [
+  'customer_id',
+  'reporter',
+  'feedback_type',
+  'user_agent',
+  'arrival_date',
+  'source_ip',
+  'reported_domain',
+  'original_mail_from',
+  'original_rcpt_to',
+  'auth_failure',
+  'authentication_results',
+  'dkim_domain',
+  'dkim_selector',
+  'spf_dns',
+  'delivery_result',
+  'header_from',
+  'subject',
+  'message_id',
+  'headers',
+  'body',
+  'recipients_redacted',
+];
+
+// Redacts and stores a parsed failure report for the customer; returns the new row's ID
+export async function storeForensicReport(env, customerId, reporter, report) {
+  const row = { ...redactForensicReport(report, await getForensicSettings(env, customerId)), customer_id: customerId, reporter };
+  const result = await env.DB.prepare(`
+    INSERT INTO forensic_reports (${FORENSIC_COLUMNS.join(', ')})
+    VALUES (${FORENSIC_COLUMNS.map((_, index) => `?${index + 1}`).join(', ')})
+  `).bind(...FORENSIC_COLUMNS.map((column) => row[column] ?? null)).run();
+
+  return result.meta.last_row_id;
+}
+
+// Scopes forensic_reports to a customer, the dashboard filters and an optional source IP
+function forensicClause(customerId, filters = {}) {
+  const conditions = ['customer_id = ?1'];
+  const params = [customerId];
+
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `?${params.length}`));
+  };
+
+  const start = filters.start ? toEpochSeconds(filters.start) : null;
+  const end = filters.end ? toEpochSeconds(filters.end) : null;
+
+  if (start !== null) {
+    add('arrival_date >= ?', start);
+  }
+  if (end !== null) {
+    add('arrival_date < ?', end + 24 * 60 * 60);
+  }
+  if (filters.domain) {
+    add('reported_domain = ?', filters.domain);
+  }
+  if (filters.ip && isIpFilter(filters.ip)) {
+    add('source_ip = ?', filters.ip);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+// Samples without their headers and body, newest first
+export async function listForensicReports(env, customerId, filters, page = { limit: 100 }) {
+  const { where, params } = forensicClause(customerId, filters);
+  params.push(page.limit, page.offset || 0);
+  return fetchData(env, `
+    SELECT id, reporter, feedback_type, arrival_date, source_ip, reported_domain, header_from, subject,
+           original_mail_from, original_rcpt_to, auth_failure, dkim_domain, dkim_selector, spf_dns, delivery_result
+    FROM forensic_reports
+    WHERE ${where}
+    ORDER BY arrival_date DESC, id DESC
+    LIMIT ?${params.length - 1} OFFSET ?${params.length}
+  `, params);
+}
+
+export async function getForensicReport(env, customerId, id) {
+  const [row] = await fetchData(env, 'SELECT * FROM forensic_reports WHERE customer_id = ?1 AND id = ?2', [customerId, id]);
+  return row ?? null;
+}
+
+// Sample counts per domain and source IP, keyed "domain|ip", for linking from the failure analysis
+export async function countForensicSamples(env, customerId, filters) {
+  const { where, params } = forensicClause(customerId, filters);
+  const rows = await fetchData(env, `
+    SELECT reported_domain, source_ip, COUNT(*) as samples
+    FROM forensic_reports
+    WHERE ${where}
+    GROUP BY reported_domain, source_ip
+  `, params);
+
+  return new Map(rows.map((row) => [`${row.reported_domain}|${row.source_ip}`, row.samples]));
+}
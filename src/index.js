@@ -1,12 +1,167 @@
 import { Hono } from 'hono';
-import { html } from 'hono/html';
+import { html, raw } from 'hono/html';
 import { jwt, decode, sign, verify } from 'hono/jwt';
 import { getCookie, getSignedCookie, setCookie, setSignedCookie, deleteCookie, } from 'hono/cookie'
-import bcrypt from 'bcryptjs';
+import { DispositionType, DMARCResultType } from './types';
+import { handleEmail, importReportFile } from './ingest';
+import { api } from './api';
+import { ApiKeyScope, createApiKey, listApiKeys, revokeApiKey, resolveApiKey, isApiKeyActive } from './api-keys';
+import { enrichRows, countryName, formatAsn } from './enrichment';
+import { handleScheduled } from './scheduled';
+import { SenderStatus, groupBySender, identifySenders, setSenderAuthorization } from './senders';
+import {
+  AlertChannel,
+  AlertRuleTypeLabels,
+  createAlertRule,
+  deleteAlertRule,
+  listAlertEvents,
+  listAlertRules,
+  setAlertRuleEnabled,
+} from './alerts';
+import { DEFAULT_DKIM_SELECTORS, IssueLevel, checkDomain, generateDmarcRecord, wizardOptions } from './dns-check';
+import { resolverFor } from './dns';
+import { formatStep, getReadiness } from './readiness';
+import { ExportFormat, exportContentType, exportFilename, exportStream, isExportTable } from './export';
+import { CHART_SCRIPT, CHARTS_LOADER_URL, getCountryVolumes, parseBucket } from './charts';
+import { ANOMALY_LABELS, detectAnomalies, indexAnomalies } from './anomalies';
+import { DomainHealth, IssueKind, buildOverview, sparklinePoints } from './overview';
+import { RETENTION_OPTIONS, archiveAvailable, getRetentionSettings, saveRetentionSettings } from './retention';
+import { countForensicSamples, getForensicReport, getForensicSettings, listForensicReports, saveForensicSettings } from './forensic';
+import {
+  ROLE_LABELS,
+  Role,
+  acceptInvite,
+  authenticate,
+  createInvite,
+  createOrganisation,
+  getInvite,
+  hasRole,
+  listInvites,
+  listMembers,
+  normalizeEmail,
+  removeMember,
+  createPasswordReset,
+  deleteOrganisation,
+  getPasswordReset,
+  resetPassword,
+  resolveSession,
+  revokeInvite,
+  setMemberRole,
+  setPassword,
+} from './organisations';
+import { sendMail } from './mail';
+import {
+  SESSION_SECONDS,
+  accountId,
+  clearLoginFailures,
+  createLoginChallenge,
+  createSession,
+  deleteLoginChallenge,
+  getLoginChallenge,
+  isSessionActive,
+  listSessions,
+  lockoutRemaining,
+  recordLoginFailure,
+  revokeOtherSessions,
+  revokeSession,
+} from './sessions';
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  getTwoFactor,
+  isTwoFactorEnabled,
+  otpauthUri,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+} from './two-factor';
+import {
+  DomainStatus,
+  addDomain,
+  domainStatus,
+  getDomain,
+  listDomains,
+  removeDomain,
+  updateDomainSettings,
+  verificationRecord,
+  verifyDomain,
+} from './domains';
+import { DigestFrequency, buildDigest, getDigestSettings, renderDigestHtml, saveDigestSettings, sendDigest } from './digest';
+import {
+  RANGE_PRESETS,
+  TIME_BUCKETS,
+  parseFilters,
+  filterQuery,
+  getDomains,
+  getTimeSeries,
+  getTopSenders,
+  getSourceVolumes,
+  getSourcesByDomain,
+  getFailureAnalysis,
+  getDomainSummary,
+  getReporterNames,
+  getReporters,
+  getDetailedReportsPage,
+  getPublishedPolicies,
+  getReport,
+  isIpFilter,
+  parseRecordFilters,
+  recordFilterParams,
+} from './queries';
 
 const app = new Hono();
 
-const layout = (content) => html`
+const filterBar = (filters, domains, reporters) => html`
+  <form method="GET" class="filter-form">
+    <select name="range">
+      <option value="" ${!filters.range ? 'selected' : ''}>All time</option>
+      ${Object.keys(RANGE_PRESETS).map(preset => html`
+        <option value="${preset}" ${filters.range === preset ? 'selected' : ''}>Last ${RANGE_PRESETS[preset]} days</option>
+      `)}
+      <option value="custom" ${filters.range === 'custom' ? 'selected' : ''}>Custom range</option>
+    </select>
+    <input type="date" name="start" value="${filters.start}">
+    <input type="date" name="end" value="${filters.end}">
+    <select name="domain">
+      <option value="">All domains</option>
+      ${domains.map(domain => html`
+        <option value="${domain}" ${filters.domain === domain ? 'selected' : ''}>${domain}</option>
+      `)}
+    </select>
+    <select name="reporter">
+      <option value="">All reporters</option>
+      ${reporters.map(reporter => html`
+        <option value="${reporter}" ${filters.reporter === reporter ? 'selected' : ''}>${reporter}</option>
+      `)}
+    </select>
+    <label>
+      <input type="checkbox" name="verified" value="1" ${filters.verified ? 'checked' : ''}>
+      Verified domains only
+    </label>
+    <button type="submit">Filter</button>
+  </form>
+`;
+
+// The customer's domains, loaded at most once per request by whichever handler or picker needs them first
+const customerDomains = (c) => {
+  if (!c.get('domains')) {
+    c.set('domains', getDomains(c.env, c.get('customerId')));
+  }
+  return c.get('domains');
+};
+
+// The filter bar with its pickers' options, which are only loaded when a page shows the bar
+const loadFilterBar = async (c) => {
+  const [domains, reporters] = await Promise.all([customerDomains(c), getReporterNames(c.env, c.get('customerId'))]);
+  return filterBar(c.get('filters'), domains, reporters);
+};
+
+// Every page keeps the current filters on the analytics nav links, so drilling into a report or
+// a domain's settings doesn't drop them; only the analytics pages also show the filter bar
+const layout = (content, c, { filterBar = false } = {}) => {
+  const query = filterQuery(c.get('filters'));
+
+  return html`
 <!DOCTYPE html>
   <html>
     <head>
@@ -16,43 +171,69 @@ const layout = (content) => html`
     <body>
       <nav class="navbar">
         <div class="nav">
-          <a href="/dashboard/">Dashboard</a>
-          <a href="/dashboard/auth-rates">Auth Rates</a>
-          <a href="/dashboard/top-senders">Top Senders</a>
-          <a href="/dashboard/geo-location">Geo Location</a>
-          <a href="/dashboard/compliance-trends">Compliance</a>
-          <a href="/dashboard/detailed-reports">Reports</a>
-          <a href="/dashboard/failure-analysis">Failures</a>
-          <a href="/dashboard/domain-summary">Domains</a>
+          <a href="/dashboard/${query}">Dashboard</a>
+          <a href="/dashboard/auth-rates${query}">Auth Rates</a>
+          <a href="/dashboard/top-senders${query}">Top Senders</a>
+          <a href="/dashboard/senders${query}">Senders</a>
+          <a href="/dashboard/readiness${query}">Readiness</a>
+          <a href="/dashboard/geo-location${query}">Geo Location</a>
+          <a href="/dashboard/compliance-trends${query}">Compliance</a>
+          <a href="/dashboard/detailed-reports${query}">Reports</a>
+          <a href="/dashboard/failure-analysis${query}">Failures</a>
+          <a href="/dashboard/anomalies${query}">Anomalies</a>
+          <a href="/dashboard/forensic${query}">Forensic</a>
+          <a href="/dashboard/domain-summary${query}">Domains</a>
+          <a href="/dashboard/reporters${query}">Reporters</a>
+          <a href="/dashboard/domains">Manage Domains</a>
+          <a href="/dashboard/upload">Upload</a>
+          <a href="/dashboard/config">DNS Setup</a>
+          <a href="/dashboard/alerts">Alerts</a>
+          <a href="/dashboard/digest">Digest</a>
+          <a href="/dashboard/retention">Retention</a>
+          <a href="/dashboard/api-keys">API Keys</a>
+          <a href="/dashboard/members">Members</a>
+          <a href="/dashboard/account">Account</a>
           <a href="/logout">Logout</a>
         </div>
       </nav>
       <main class="container">
+        ${filterBar ? loadFilterBar(c) : ''}
         ${content}
       </main>
     </body>
   </html>
 `;
-
-// Types
-const DispositionType = {
-  none: 1,
-  quarantine: 2,
-  reject: 3
 };
 
-const DMARCResultType = {
-  pass: 1,
-  fail: 2
+// API clients get a JSON 401, browsers are sent back through /logout
+const unauthorized = (c, message) => {
+  if (c.req.path.startsWith('/api/')) {
+    return c.json({ error: message }, 401);
+  }
+  return c.redirect('/logout');
 };
 
 // Auth middleware
-app.use('/dashboard/*', async (c, next) => {
+const requireAuth = async (c, next) => {
+  const authorization = c.req.header('Authorization') || '';
+
+  // Scripts authenticate against the API with a Bearer API key instead of the session cookie
+  if (c.req.path.startsWith('/api/') && authorization.startsWith('Bearer ')) {
+    const apiKey = await resolveApiKey(c.env, authorization.slice('Bearer '.length).trim());
+
+    if (!apiKey) {
+      return unauthorized(c, 'Invalid API key');
+    }
+    c.set('customerId', apiKey.customerId);
+    c.set('scopes', apiKey.scopes);
+    return next();
+  }
+
   const tokenToVerify = getCookie(c, 'jwt')
   
   if (!tokenToVerify) {
     console.log(('Authentication required', 401))
-    return c.redirect('/logout');
+    return unauthorized(c, 'Authentication required');
   }
 
   try {
@@ -60,559 +241,2346 @@ app.use('/dashboard/*', async (c, next) => {
     
     if (!decodedPayload.customerId) {
       console.log(('Invalid token: missing customer ID', 400))
-      return c.redirect('/logout');
+      return unauthorized(c, 'Invalid token');
     }
 
-    const isJWTBlacklisted = await c.env.JWT_BLOCKLIST.get(tokenToVerify)
+    const [isJWTBlacklisted, customerDeletedAt] = await Promise.all([
+      c.env.JWT_BLOCKLIST.get(tokenToVerify),
+      c.env.JWT_BLOCKLIST.get(`customer:${decodedPayload.customerId}`),
+    ])
     
     if (isJWTBlacklisted) {
-      console.error('Token in Blacklist:', error)
-      return c.redirect('/logout')
+      console.error('Token in Blacklist')
+      return unauthorized(c, 'Token revoked')
     }
-    c.set('customerId', decodedPayload.customerId)
-    
-    await next()
+    // Every token issued before the organisation was deleted
+    if (customerDeletedAt && (decodedPayload.iat ?? 0) * 1000 < Number(customerDeletedAt)) {
+      return unauthorized(c, 'Account deleted')
+    }
+    const session = await resolveSession(c.env, decodedPayload)
+
+    if (!session) {
+      return unauthorized(c, 'Account removed')
+    }
+    // Tokens from before sessions were tracked have no jti and run out within a day
+    if (decodedPayload.jti && !(await isSessionActive(c.env, accountId(session), decodedPayload.jti))) {
+      return unauthorized(c, 'Session revoked')
+    }
+    c.set('sessionId', decodedPayload.jti ?? null)
+    c.set('customerId', session.customerId)
+    c.set('email', session.email)
+    c.set('role', session.role)
+    c.set('scopes', hasRole(session.role, Role.analyst) ? Object.values(ApiKeyScope) : [ApiKeyScope.read])
   } catch (error) {
     console.error('Token verification failed:', error)
-    return c.redirect('/logout');
+    return unauthorized(c, 'Invalid token');
   }
-})
 
-// Helper function to fetch data from the database
-async function fetchData(env, query, params) {
-  try {
-    let stmt = await env.DB.prepare(query);
-    
-    // If params is an array, use bind
-    if (Array.isArray(params)) {
-      stmt = await stmt.bind(...params);
-    }
-    
-    const result = await stmt.all();
-    return result.results || [];
-  } catch (error) {
-    console.error('Database error:', error);
-    return [];
+  await next()
+};
+
+const requireScope = (scope) => async (c, next) => {
+  if (!c.get('scopes')?.includes(scope)) {
+    return c.json({ error: `API key is missing the ${scope} scope` }, 403);
   }
-}
+  await next();
+};
+
+// Minimum role per dashboard section. Everything else is open to every member, but read-only
+// members can't change anything besides their own login.
+const SECTION_ROLES = [
+  [/^\/dashboard\/(api-keys|alerts|domains|digest|retention|members|forensic\/settings)(\/|$)/, Role.admin],
+];
+const PERSONAL_SECTIONS = /^\/dashboard\/(account|sessions)(\/|$)/;
+
+const requireRole = async (c, next) => {
+  const role = c.get('role');
+  const section = SECTION_ROLES.find(([pattern]) => pattern.test(c.req.path));
+  const isChange = c.req.method !== 'GET' && !PERSONAL_SECTIONS.test(c.req.path);
+
+  if ((section && !hasRole(role, section[1])) || (isChange && !hasRole(role, Role.analyst))) {
+    return c.text(`Your role (${ROLE_LABELS[role]}) does not allow this`, 403);
+  }
+  await next();
+};
+
+app.use('/dashboard/*', requireAuth)
+app.use('/dashboard/*', requireRole)
+app.use('/dashboard/*', async (c, next) => {
+  c.set('filters', parseFilters(c));
+  await next();
+})
+app.use('/api/*', requireAuth)
+app.use('/api/v1/*', requireScope(ApiKeyScope.read))
 
 // Add error handling middleware
 app.onError((err, c) => {
   console.error('Application error:', err);
+  if (c.req.path.startsWith('/api/')) {
+    return c.json({ error: 'An error occurred while processing your request.' }, 500);
+  }
   return c.html(html`
     <h1>Error</h1>
     <p>An error occurred while processing your request.</p>
   `, 500);
 });
 
+// DMARC outcome columns shared by every analytics table
+const authBreakdownHeaders = html`
+  <th>DMARC Pass</th>
+  <th>DKIM-only Pass</th>
+  <th>SPF-only Pass</th>
+  <th>DMARC Fail</th>
+  <th>Pass Rate</th>
+`;
+
+const authBreakdownCells = (row) => html`
+  <td class="success">${row.dmarc_pass.toLocaleString()}</td>
+  <td>${row.dkim_only_pass.toLocaleString()}</td>
+  <td>${row.spf_only_pass.toLocaleString()}</td>
+  <td class="error">${row.dmarc_fail.toLocaleString()}</td>
+  <td>${row.pass_rate ?? 0}%</td>
+`;
+
+// Download links for a table's full result set under the current filters, plus any the table adds
+const exportLinks = (c, table, extra = '') => {
+  const query = [filterQuery(c.get('filters')).slice(1), extra].filter(Boolean).join('&');
+  const href = (format) => `/dashboard/export/${table}?${query ? `${query}&` : ''}format=${format}`;
+  return html`<p class="export">Export: <a href="${href(ExportFormat.csv)}">CSV</a> | <a href="${href(ExportFormat.json)}">JSON</a></p>`;
+};
+
+const formatDateRange = (row) =>
+  `${new Date(row.date_range_begin * 1000).toLocaleDateString()} - ${new Date(row.date_range_end * 1000).toLocaleDateString()}`;
+
+// Change against the previous period, e.g. "+12.5% vs previous period"; rates change in points
+const formatDelta = (delta, unit = '%') => {
+  if (delta.change === null) {
+    return delta.value ? 'New this period' : 'No data in either period';
+  }
+  const sign = delta.change > 0 ? '+' : '';
+  return `${sign}${delta.change.toFixed(1)}${unit === '%' ? '%' : ' pts'} vs previous period`;
+};
+
+// Fewer failures is the good direction; for everything else more is
+const deltaClass = (delta, lowerIsBetter = false) => {
+  if (!delta.change) {
+    return 'delta';
+  }
+  return (delta.change > 0) !== lowerIsBetter ? 'delta success' : 'delta error';
+};
+
+const statCard = (title, delta, { value = delta.value.toLocaleString(), unit = '%', lowerIsBetter = false, valueClass = '' } = {}) => html`
+  <div class="stat-card">
+    <h3>${title}</h3>
+    <div class="value ${valueClass}">${value}</div>
+    <div class="${deltaClass(delta, lowerIsBetter)}">${formatDelta(delta, unit)}</div>
+  </div>
+`;
+
+const healthLabels = {
+  [DomainHealth.healthy]: 'Healthy',
+  [DomainHealth.warning]: 'Warning',
+  [DomainHealth.critical]: 'Critical',
+};
+
+const sparkline = (values) => html`
+  <svg class="sparkline" width="120" height="30" viewBox="0 0 120 30" role="img" aria-label="Daily DMARC pass rate">
+    <polyline points="${sparklinePoints(values)}" fill="none" stroke="currentColor" stroke-width="1.5" />
+  </svg>
+`;
+
+const issuePaths = {
+  [IssueKind.failingSource]: '/dashboard/failure-analysis',
+  [IssueKind.newSender]: '/dashboard/anomalies',
+  [IssueKind.policyOverride]: '/dashboard/detailed-reports',
+};
+
+// Where an issue is, for the overview's period and the other filters; the dates are pinned as a
+// custom range, so a relative preset can't shift them
+const issueLink = (c, issue, period) => withFilters(c, issuePaths[issue.kind], {
+  domain: issue.domain ?? '',
+  range: 'custom',
+  start: period.start,
+  end: period.end,
+});
+
+const issueKindLabels = {
+  [IssueKind.failingSource]: 'Failing source',
+  [IssueKind.newSender]: 'New sender',
+  [IssueKind.policyOverride]: 'Policy override',
+};
+
+// Endpoint: Overview of the period against the one before, per domain health and the top issues
 app.get('/dashboard/', async (c) => {
   const customerId = c.get('customerId');
-  const stats = await fetchData(c.env, `
-    SELECT 
-      SUM(count) as total_reports,
-      COUNT(DISTINCT source_ip) as unique_ips,
-      COUNT(DISTINCT header_from) as unique_domains,
-      COALESCE(SUM(CASE WHEN dkim_result = 1 AND spf_result = 1 THEN count ELSE 0 END) * 100.0 / NULLIF(SUM(count), 0), 0) as success_rate
-    FROM dmarc_reports
-    WHERE customer_id = ?1
-  `, [customerId]);
-
-  const statsObj = stats?.[0] ?? { total_reports: 0, unique_ips: 0, unique_domains: 0, success_rate: 0 };
+  const { period, stats, deltas, domains, issues } = await buildOverview(c.env, customerId, c.get('filters'));
 
   const content = html`
     <h1>DMARC Analytics Overview for ${customerId}</h1>
+    <p>
+      ${period.start} to ${period.end}, compared with ${period.previousStart} to ${period.previousEnd}.
+      Period:
+      ${Object.keys(RANGE_PRESETS).map(preset => c.get('filters').range === preset
+        ? html`<strong>Last ${RANGE_PRESETS[preset]} days</strong> `
+        : html`<a href="${withFilters(c, '/dashboard/', { range: preset })}">Last ${RANGE_PRESETS[preset]} days</a> `)}
+    </p>
     <div class="stats-grid">
+      ${statCard('Total Reports', deltas.total_reports)}
+      ${statCard('Unique IPs', deltas.unique_ips)}
+      ${statCard('Unique Domains', deltas.unique_domains)}
+      ${statCard('DMARC Pass Rate', deltas.success_rate, { value: `${stats.success_rate.toFixed(1)}%`, unit: 'pts' })}
+    </div>
+    <div class="stats-grid">
+      ${statCard('DMARC Pass', deltas.dmarc_pass, { valueClass: 'success' })}
       <div class="stat-card">
-        <h3>Total Reports</h3>
-        <div class="value">${statsObj.total_reports.toLocaleString()}</div>
-      </div>
-      <div class="stat-card">
-        <h3>Unique IPs</h3>
-        <div class="value">${statsObj.unique_ips.toLocaleString()}</div>
-      </div>
-      <div class="stat-card">
-        <h3>Unique Domains</h3>
-        <div class="value">${statsObj.unique_domains.toLocaleString()}</div>
+        <h3>DKIM-only Pass</h3>
+        <div class="value">${stats.dkim_only_pass.toLocaleString()}</div>
       </div>
       <div class="stat-card">
-        <h3>Success Rate</h3>
-        <div class="value">${statsObj.success_rate.toFixed(1)}%</div>
+        <h3>SPF-only Pass</h3>
+        <div class="value">${stats.spf_only_pass.toLocaleString()}</div>
       </div>
+      ${statCard('DMARC Fail', deltas.dmarc_fail, { valueClass: 'error', lowerIsBetter: true })}
+    </div>
+
+    <h2>Domain Health</h2>
+    <div class="stats-grid">
+      ${domains.map(domain => html`
+        <div class="stat-card health-${domain.status}">
+          <h3><a href="${withFilters(c, '/dashboard/domain-summary', { domain: domain.domain })}">${domain.domain}</a></h3>
+          <div class="value">${domain.pass_rate.toFixed(1)}%</div>
+          ${sparkline(domain.daily_pass_rates)}
+          <div>${healthLabels[domain.status]}: ${domain.total.toLocaleString()} messages${domain.anomalies ? `, ${domain.anomalies} anomalies` : ''}</div>
+        </div>
+      `)}
     </div>
+    ${domains.length ? '' : html`<p>No reports in this period.</p>`}
+
+    <h2>Top Issues</h2>
+    <table>
+      <tr>
+        <th>Issue</th>
+        <th>Domain</th>
+        <th>Messages</th>
+        <th>Details</th>
+      </tr>
+      ${issues.map(issue => html`
+        <tr>
+          <td><a href="${issueLink(c, issue, period)}">${issueKindLabels[issue.kind]}</a></td>
+          <td>${issue.domain}</td>
+          <td>${issue.messages.toLocaleString()}</td>
+          <td>${issue.summary}</td>
+        </tr>
+      `)}
+    </table>
+    ${issues.length ? '' : html`<p class="success">No failing sources, new senders or policy overrides in this period.</p>`}
   `;
   
-  return c.html(layout(content));
+  return c.html(layout(content, c, { filterBar: true }));
 });
 
+// Chart containers are drawn by CHART_SCRIPT from the JSON API; the tables next to them are the fallback
+const chartAssets = html`
+  <script src="${CHARTS_LOADER_URL}"></script>
+  <script>${raw(CHART_SCRIPT)}</script>
+`;
+
+const chart = (kind, url, title) => html`
+  <h2>${title}</h2>
+  <div class="chart" data-chart="${kind}" data-url="${url}" style="height: 320px;"></div>
+`;
+
+// API URL (or page link) under the current filters, with extra query parameters
+const withFilters = (c, path, extra = {}) => {
+  const params = new URLSearchParams(filterQuery(c.get('filters')).slice(1));
+  Object.entries(extra).forEach(([name, value]) => params.set(name, value));
+  const query = params.toString();
+  return `${path}${query ? `?${query}` : ''}`;
+};
+
+// Day/week/month switch for the time series pages
+const bucketLinks = (c, path, bucket) => html`
+  <p>Group by:
+    ${Object.keys(TIME_BUCKETS).map(option => option === bucket
+      ? html`<strong>${option}</strong> `
+      : html`<a href="${withFilters(c, path, { bucket: option })}">${option}</a> `)}
+  </p>
+`;
+
 // Endpoint: Authentication success/failure rates over time
 app.get('/dashboard/auth-rates', async (c) => {
   const customerId = c.get('customerId');
-
-  const data = await fetchData(c.env, `
-    SELECT date_range_begin, date_range_end, 
-           SUM(count) as total, 
-           SUM(CASE WHEN dkim_result = 1 AND spf_result = 1 THEN count ELSE 0 END) as success,
-           SUM(CASE WHEN dkim_result = 2 OR spf_result = 2 THEN count ELSE 0 END) as failure
-    FROM dmarc_reports
-    WHERE customer_id = ?1
-    GROUP BY date_range_begin, date_range_end
-    ORDER BY date_range_begin
-    LIMIT 30
-  `, [customerId]);
+  const bucket = parseBucket(c.req.query('bucket'));
+  const data = await getTimeSeries(c.env, customerId, c.get('filters'), bucket);
+  const dataUrl = withFilters(c, '/api/v1/timeseries', { bucket });
   
   const content = html`
     <h1>Authentication Success/Failure Rates</h1>
+    ${exportLinks(c, 'auth-rates', `bucket=${bucket}`)}
+    ${bucketLinks(c, '/dashboard/auth-rates', bucket)}
+    ${chart('volume', dataUrl, 'DMARC pass and fail volume')}
+    ${chart('passRates', dataUrl, 'DMARC pass rate by domain')}
     <table>
-      <tr><th>Date Range</th><th>Total</th><th>Success</th><th>Failure</th></tr>
+      <tr><th>Period</th><th>Total</th>${authBreakdownHeaders}</tr>
       ${data.map(row => html`
         <tr>
-          <td>${new Date(row.date_range_begin * 1000).toLocaleDateString()} - ${new Date(row.date_range_end * 1000).toLocaleDateString()}</td>
+          <td>${row.bucket}</td>
           <td>${row.total.toLocaleString()}</td>
-          <td class="success">${row.success.toLocaleString()}</td>
-          <td class="error">${row.failure.toLocaleString()}</td>
+          ${authBreakdownCells(row)}
         </tr>
       `)}
     </table>
+    ${chartAssets}
   `;
   
-  return c.html(layout(content));
+  return c.html(layout(content, c, { filterBar: true }));
 });
 
+// Flags from the anomaly detection next to a table cell; the title says what was unusual
+const anomalyBadges = (anomalies = []) => anomalies.map(anomaly => html`
+  <span class="badge error" title="${anomaly.domain}: ${anomaly.summary}">${ANOMALY_LABELS[anomaly.type]}</span>
+`);
+
 // Endpoint: Top sending IP addresses and their performance
 app.get('/dashboard/top-senders', async (c) => {
   const customerId = c.get('customerId');
-  const data = await fetchData(c.env, `
-    WITH total_count AS (
-      SELECT SUM(count) as total_emails
-      FROM dmarc_reports 
-      WHERE customer_id = ?1
-    )
-    SELECT 
-      source_ip,
-      SUM(count) as total,
-      SUM(CASE WHEN dkim_result = 1 AND spf_result = 1 THEN count ELSE 0 END) as success,
-      SUM(CASE WHEN dkim_result = 2 OR spf_result = 2 THEN count ELSE 0 END) as failure,
-      ROUND(SUM(CASE WHEN dkim_result = 2 OR spf_result = 2 THEN count ELSE 0 END) * 100.0 / SUM(count), 1) as failure_rate
-    FROM dmarc_reports, total_count
-    WHERE customer_id = ?1
-    GROUP BY source_ip, total_emails
-    ORDER BY total DESC
-    LIMIT 10
-  `, [customerId]);
+  const data = await enrichRows(c.env, await getTopSenders(c.env, customerId, c.get('filters')));
+  const sourceIps = data.map(row => row.source_ip);
+  const [senders, anomalies] = await Promise.all([
+    identifySenders(c.env, sourceIps),
+    detectAnomalies(c.env, customerId, c.get('filters'), { sourceIps }),
+  ]);
+  const flags = indexAnomalies(anomalies, anomaly => anomaly.source_ip);
   
   const content = html`
     <h1>Top Sending IP Addresses and Their Performance</h1>
+    ${exportLinks(c, 'top-senders')}
     <table>
       <tr>
         <th>IP Address</th>
+        <th>Service</th>
+        <th>ASN</th>
+        <th>Country</th>
         <th>Total</th>
-        <th>Success</th>
-        <th>Failure</th>
+        ${authBreakdownHeaders}
         <th>Failure Rate</th>
       </tr>
       ${data.map(row => html`
         <tr>
-          <td>${row.source_ip}</td>
+          <td>${row.source_ip}${anomalyBadges(flags.get(row.source_ip))}</td>
+          <td>${senders.get(row.source_ip)?.name ?? 'Unknown sender'}</td>
+          <td>${formatAsn(row)}</td>
+          <td>${countryName(row.country)}</td>
           <td>${row.total}</td>
-          <td>${row.success}</td>
-          <td>${row.failure}</td>
+          ${authBreakdownCells(row)}
           <td>${row.failure_rate}%</td>
         </tr>
       `)}
     </table>
   `;
   
-  return c.html(layout(content));
+  return c.html(layout(content, c, { filterBar: true }));
+});
+
+const senderStatusLabels = {
+  [SenderStatus.authorized]: '✓ Authorized',
+  [SenderStatus.unauthorized]: '✗ Unauthorized',
+  [SenderStatus.unreviewed]: '? Unreviewed',
+};
+
+// Endpoint: Traffic grouped by sending service, with per-domain authorization
+app.get('/dashboard/senders', async (c) => {
+  const customerId = c.get('customerId');
+  const data = await groupBySender(c.env, customerId, await getSourcesByDomain(c.env, customerId, c.get('filters')));
+
+  const statusButton = (row, status, label) => html`
+    <form method="POST" action="/dashboard/senders/status">
+      <input type="hidden" name="domain" value="${row.domain}">
+      <input type="hidden" name="service" value="${row.service_id}">
+      <input type="hidden" name="status" value="${status}">
+      <button type="submit">${label}</button>
+    </form>
+  `;
+
+  const content = html`
+    <h1>Senders</h1>
+    ${exportLinks(c, 'senders')}
+    <table>
+      <tr>
+        <th>Domain</th>
+        <th>Service</th>
+        <th>Source IPs</th>
+        <th>Total</th>
+        ${authBreakdownHeaders}
+        <th>Status</th>
+        <th></th>
+      </tr>
+      ${data.map(row => html`
+        <tr>
+          <td>${row.domain}</td>
+          <td>${row.service_name}</td>
+          <td>${row.source_ips.length}</td>
+          <td>${row.total}</td>
+          ${authBreakdownCells(row)}
+          <td>${senderStatusLabels[row.status]}</td>
+          <td>
+            ${row.status !== SenderStatus.authorized ? statusButton(row, SenderStatus.authorized, 'Authorize') : ''}
+            ${row.status !== SenderStatus.unauthorized ? statusButton(row, SenderStatus.unauthorized, 'Mark unauthorized') : ''}
+          </td>
+        </tr>
+      `)}
+    </table>
+  `;
+
+  return c.html(layout(content, c, { filterBar: true }));
+});
+
+app.post('/dashboard/senders/status', async (c) => {
+  const { domain, service, status } = await c.req.parseBody();
+
+  if (!domain || !service) {
+    return c.text('Domain and service are required', 400);
+  }
+
+  await setSenderAuthorization(c.env, c.get('customerId'), domain, service, status);
+  return c.redirect(`/dashboard/senders${filterQuery(c.get('filters'))}`);
+});
+
+// Endpoint: Policy enforcement readiness and the next rollout step per domain
+app.get('/dashboard/readiness', async (c) => {
+  const readiness = await getReadiness(c.env, c.get('customerId'), c.get('filters'));
+
+  const content = html`
+    <h1>Enforcement Readiness</h1>
+    ${exportLinks(c, 'readiness')}
+    <p>Based on reports from ${readiness.window.start || 'the first report'} to ${readiness.window.end || 'today'}.
+      Authorize or reject senders on the <a href="/dashboard/senders${filterQuery(c.get('filters'))}">Senders</a> page.</p>
+    <table>
+      <tr>
+        <th>Domain</th>
+        <th>Total</th>
+        <th>Published Policy</th>
+        <th>Authorized</th>
+        <th>Unauthorized</th>
+        <th>Unreviewed</th>
+        <th>Authorized Pass Rate</th>
+        <th>Next Step</th>
+        <th>Projected Impact</th>
+      </tr>
+      ${readiness.domains.map(row => html`
+        <tr>
+          <td>${row.domain}</td>
+          <td>${row.total.toLocaleString()}</td>
+          <td>${row.published ? `p=${row.published.p}; pct=${row.published.pct ?? 100}` : 'Unknown'}</td>
+          <td>${row.authorized_share}%</td>
+          <td>${row.unauthorized_share}%</td>
+          <td>${row.unreviewed_share}%</td>
+          <td>${row.authorized_pass_rate}%</td>
+          <td class="${row.ready ? 'success' : 'error'}">
+            ${!row.next_step ? '✓ Fully enforced' : row.ready ? `✓ Move to ${formatStep(row.next_step)}` : `✗ Hold at ${formatStep(row.current_step)}`}
+            ${row.blockers.map(blocker => html`<br>${blocker}`)}
+          </td>
+          <td>
+            ${row.projection ? html`
+              ${row.projection.legitimate_affected.toLocaleString()} authorized messages affected
+              ${row.projection.legitimate_delivered_rate !== null ? `(${row.projection.legitimate_delivered_rate}% still delivered)` : ''},
+              ${row.projection.unreviewed_affected.toLocaleString()} unreviewed,
+              ${row.projection.unauthorized_blocked.toLocaleString()} unauthorized blocked
+            ` : '-'}
+          </td>
+        </tr>
+      `)}
+    </table>
+    ${readiness.domains.filter(row => row.affected_senders.length).map(row => html`
+      <h2>Senders that would lose mail from ${row.domain}</h2>
+      <table>
+        <tr>
+          <th>Service</th>
+          <th>Status</th>
+          <th>Source IPs</th>
+          <th>Total</th>
+          <th>DMARC Fail</th>
+          <th>Pass Rate</th>
+        </tr>
+        ${row.affected_senders.map(sender => html`
+          <tr>
+            <td>${sender.service_name}</td>
+            <td>${senderStatusLabels[sender.status]}</td>
+            <td>${sender.source_ips.join(', ')}</td>
+            <td>${sender.total.toLocaleString()}</td>
+            <td class="error">${sender.dmarc_fail.toLocaleString()}</td>
+            <td>${sender.pass_rate}%</td>
+          </tr>
+        `)}
+      </table>
+    `)}
+  `;
+
+  return c.html(layout(content, c, { filterBar: true }));
 });
 
 // Endpoint: Geographic distribution of email sources
 app.get('/dashboard/geo-location', async (c) => {
   const customerId = c.get('customerId');
-  const data = await fetchData(c.env, `
-    SELECT source_ip, SUM(count) as total
-    FROM dmarc_reports
-    WHERE customer_id = ?1
-    GROUP BY source_ip
-  `, [customerId]);
-  
-  async function getLocationData(ip) {
-    try {
-      const response = await fetch(
-        `http://ip-api.com/json/${ip}?fields=country`,
-        { timeout: 5000 }
-      );
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const locationData = await response.json();
-      return locationData.country;
-    } catch (error) {
-      console.error(`Error fetching location for IP ${ip}:`, error);
-      return 'Unknown';
-    }
-  }
+  const data = await getSourceVolumes(c.env, customerId, c.get('filters'));
   
-  const geoData = await Promise.all(
-    data.map(async row => ({
-      ip: row.source_ip,
-      total: row.total,
-      location: await getLocationData(row.source_ip)
-    }))
-  );
+  const [geoData, countries] = await Promise.all([enrichRows(c.env, data), getCountryVolumes(c.env, customerId, c.get('filters'))]);
   
   const content = html`
     <h1>Geographic Distribution of Email Sources</h1>
+    ${exportLinks(c, 'geo-location')}
+    ${chart('countries', withFilters(c, '/api/v1/countries'), 'Messages by sending country')}
+    <table>
+      <tr><th>Country</th><th>Source IPs</th><th>Total</th><th>DMARC Pass</th><th>DMARC Fail</th><th>Pass Rate</th></tr>
+      ${countries.map(row => html`
+        <tr>
+          <td>${row.name}</td>
+          <td>${row.source_ips}</td>
+          <td>${row.total.toLocaleString()}</td>
+          <td class="success">${row.dmarc_pass.toLocaleString()}</td>
+          <td class="error">${row.dmarc_fail.toLocaleString()}</td>
+          <td>${row.pass_rate}%</td>
+        </tr>
+      `)}
+    </table>
+    <h2>Source IPs</h2>
     <table>
-      <tr><th>IP Address</th><th>Total</th><th>Location</th></tr>
+      <tr><th>IP Address</th><th>Total</th><th>Location</th><th>ASN</th>${authBreakdownHeaders}</tr>
       ${geoData.map(row => html`
         <tr>
-          <td>${row.ip}</td>
+          <td>${row.source_ip}</td>
           <td>${row.total}</td>
-          <td>${row.location}</td>
+          <td>${countryName(row.country)}</td>
+          <td>${formatAsn(row)}</td>
+          ${authBreakdownCells(row)}
         </tr>
       `)}
     </table>
+    ${chartAssets}
   `;
   
-  return c.html(layout(content));
+  return c.html(layout(content, c, { filterBar: true }));
 });
 
 // Endpoint: Compliance trends and policy effectiveness
 app.get('/dashboard/compliance-trends', async (c) => {
   const customerId = c.get('customerId');
-  const data = await fetchData(c.env, `
-    SELECT date_range_begin, date_range_end, 
-           SUM(count) as total,
-           SUM(CASE WHEN disposition = 3 THEN count ELSE 0 END) as compliant,
-           SUM(CASE WHEN disposition < 3 THEN count ELSE 0 END) as non_compliant
-    FROM dmarc_reports
-    WHERE customer_id = ?1
-    GROUP BY date_range_begin, date_range_end
-    ORDER BY date_range_begin
-  `, [customerId]);
+  const bucket = parseBucket(c.req.query('bucket'));
+  const data = await getTimeSeries(c.env, customerId, c.get('filters'), bucket);
   
   const content = html`
     <h1>Compliance Trends and Policy Effectiveness</h1>
+    ${exportLinks(c, 'compliance-trends', `bucket=${bucket}`)}
+    ${bucketLinks(c, '/dashboard/compliance-trends', bucket)}
+    ${chart('dispositions', withFilters(c, '/api/v1/timeseries', { bucket }), 'What receivers did with the mail')}
     <table>
-      <tr><th>Date Range</th><th>Total</th><th>Compliant</th><th>Non-Compliant</th></tr>
+      <tr>
+        <th>Period</th>
+        <th>Total</th>
+        ${authBreakdownHeaders}
+        <th>Delivered</th>
+        <th>Quarantined</th>
+        <th>Rejected</th>
+      </tr>
       ${data.map(row => html`
         <tr>
-          <td>${new Date(row.date_range_begin * 1000).toLocaleDateString()} - ${new Date(row.date_range_end * 1000).toLocaleDateString()}</td>
+          <td>${row.bucket}</td>
           <td>${row.total}</td>
-          <td>${row.compliant}</td>
-          <td>${row.non_compliant}</td>
+          ${authBreakdownCells(row)}
+          <td>${row.delivered}</td>
+          <td>${row.quarantined}</td>
+          <td>${row.rejected}</td>
         </tr>
       `)}
     </table>
+    ${chartAssets}
   `;
   
-  return c.html(layout(content));
+  return c.html(layout(content, c, { filterBar: true }));
 });
 
 // New endpoint: Detailed failure analysis
 app.get('/dashboard/failure-analysis', async (c) => {
   const customerId = c.get('customerId');
-  const data = await fetchData(c.env, `
-    SELECT 
-      header_from,
-      source_ip,
-      SUM(count) as total_failures,
-      SUM(CASE WHEN dkim_result = 2 THEN count ELSE 0 END) as dkim_failures,
-      SUM(CASE WHEN spf_result = 2 THEN count ELSE 0 END) as spf_failures,
-      policy_override_type,
-      error,
-      CASE 
-        WHEN SUM(count) > 0 THEN 100.0  -- If there are failures, it's 100% failure rate
-        ELSE 0.0
-      END as failure_rate
-    FROM dmarc_reports
-    WHERE customer_id = ?1 
-    AND (dkim_result = 2 OR spf_result = 2)
-    GROUP BY header_from, source_ip, policy_override_type, error
-    ORDER BY total_failures DESC
-  `, [customerId]);
+  const [data, samples] = await Promise.all([
+    getFailureAnalysis(c.env, customerId, c.get('filters')).then(rows => enrichRows(c.env, rows)),
+    countForensicSamples(c.env, customerId, c.get('filters')),
+  ]);
+  const anomalies = await detectAnomalies(c.env, customerId, c.get('filters'), { sourceIps: [...new Set(data.map(row => row.source_ip))] });
+  const flags = indexAnomalies(anomalies, anomaly => `${anomaly.domain}|${anomaly.source_ip}`);
   
   const content = html`
     <h1>Failure Analysis</h1>
+    ${exportLinks(c, 'failure-analysis')}
     <table>
       <tr>
         <th>Domain</th>
         <th>IP</th>
-        <th>Total Failures</th>
+        <th>ASN</th>
+        <th>Total</th>
+        ${authBreakdownHeaders}
         <th>DKIM Failures</th>
         <th>SPF Failures</th>
+        <th>DKIM Unaligned</th>
+        <th>SPF Unaligned</th>
         <th>Failure Rate</th>
         <th>Override Type</th>
         <th>Error</th>
+        <th>Samples</th>
       </tr>
       ${data.map(row => html`
         <tr>
           <td>${row.header_from}</td>
-          <td>${row.source_ip}</td>
-          <td>${row.total_failures}</td>
+          <td>${row.source_ip}${anomalyBadges(flags.get(`${row.header_from}|${row.source_ip}`))}</td>
+          <td>${formatAsn(row)}</td>
+          <td>${row.total}</td>
+          ${authBreakdownCells(row)}
           <td>${row.dkim_failures}</td>
           <td>${row.spf_failures}</td>
+          <td>${row.dkim_unaligned}</td>
+          <td>${row.spf_unaligned}</td>
           <td>${row.failure_rate}%</td>
           <td>${row.policy_override_type || 'None'}</td>
           <td>${row.error || 'None'}</td>
+          <td>${samples.get(`${row.header_from}|${row.source_ip}`)
+            ? html`<a href="${withFilters(c, '/dashboard/forensic', { domain: row.header_from, ip: row.source_ip })}">${samples.get(`${row.header_from}|${row.source_ip}`)}</a>`
+            : 'None'}</td>
         </tr>
       `)}
     </table>
   `;
   
-  return c.html(layout(content));
+  return c.html(layout(content, c, { filterBar: true }));
 });
 
-// New endpoint: Domain summary
-app.get('/dashboard/domain-summary', async (c) => {
-  const customerId = c.get('customerId');
-  const data = await fetchData(c.env, `
-    SELECT 
-      header_from as domain,
-      COUNT(DISTINCT report_id) as report_count,
-      MIN(created_at) as first_seen,
-      MAX(created_at) as last_seen,
-      COUNT(DISTINCT source_ip) as unique_ips,
-      ROUND(SUM(CASE WHEN dkim_result = 1 AND spf_result = 1 THEN count ELSE 0 END) * 100.0 / NULLIF(SUM(count), 0), 1) as pass_rate
-    FROM dmarc_reports
-    WHERE customer_id = ?1
-    GROUP BY header_from
-    ORDER BY report_count DESC
-  `, [customerId]);
+// Endpoint: Senders, volumes and pass rates that are unusual for the domain
+app.get('/dashboard/anomalies', async (c) => {
+  const data = await detectAnomalies(c.env, c.get('customerId'), c.get('filters'));
   
   const content = html`
-    <h1>Domain Summary</h1>
+    <h1>Anomalies</h1>
+    <p>
+      The most recent week of reports compared with the four weeks before it: senders new to a domain,
+      days with far more mail than usual, and pass rates far below their normal range, per domain,
+      network and sender.
+    </p>
     <table>
       <tr>
+        <th>Anomaly</th>
+        <th>Day</th>
         <th>Domain</th>
-        <th>Report Count</th>
-        <th>First Seen</th>
-        <th>Last Seen</th>
-        <th>Unique IPs</th>
-        <th>Pass Rate</th>
+        <th>Source IP</th>
+        <th>ASN</th>
+        <th>Details</th>
       </tr>
       ${data.map(row => html`
         <tr>
+          <td>${ANOMALY_LABELS[row.type]}</td>
+          <td>${row.day}</td>
           <td>${row.domain}</td>
-          <td>${row.report_count}</td>
-          <td>${new Date(row.first_seen).toLocaleDateString()}</td>
-          <td>${new Date(row.last_seen).toLocaleDateString()}</td>
-          <td>${row.unique_ips}</td>
-          <td>${row.pass_rate}%</td>
+          <td>${row.source_ip ?? (row.asn ? 'All sources in the network' : 'All sources')}</td>
+          <td>${row.source_ip || row.asn ? formatAsn(row) : ''}</td>
+          <td>${row.summary}</td>
         </tr>
       `)}
     </table>
+    ${data.length ? '' : html`<p class="success">Nothing unusual in the latest week of reports.</p>`}
   `;
   
-  return c.html(layout(content));
+  return c.html(layout(content, c, { filterBar: true }));
 });
 
-// New endpoint: Detailed reports with filtering
-app.get('/dashboard/detailed-reports', async (c) => {
+const formatTimestamp = (seconds) => (seconds ? new Date(seconds * 1000).toLocaleString() : 'Unknown');
+
+// Endpoint: Failure samples from forensic (RUF) reports
+app.get('/dashboard/forensic', async (c) => {
   const customerId = c.get('customerId');
-  const startDate = c.req.query('start') || '';
-  const endDate = c.req.query('end') || '';
-  const domain = c.req.query('domain') || '';
-  
-  let query = `
-    SELECT 
-      date_range_begin,
-      date_range_end,
-      header_from,
-      source_ip,
-      dkim_result,
-      spf_result,
-      disposition,
-      policy_override_type,
-      error
-    FROM dmarc_reports
-    WHERE customer_id = ?1
-  `;
+  const ip = (c.req.query('ip') || '').trim();
+  const [data, settings] = await Promise.all([
+    listForensicReports(c.env, customerId, { ...c.get('filters'), ip }),
+    getForensicSettings(c.env, customerId),
+  ]);
   
-  const params = [customerId];
-  if (startDate) {
-    query += ' AND date_range_begin >= ?2';
-    params.push(Math.floor(new Date(startDate).getTime() / 1000));
-  }
-  if (endDate) {
-    query += ' AND date_range_end <= ?3';
-    params.push(Math.floor(new Date(endDate).getTime() / 1000));
-  }
-  if (domain) {
-    query += ' AND header_from LIKE ?4';
-    params.push(`%${domain}%`);
-  }
-  
-  query += ' ORDER BY date_range_begin DESC LIMIT 1000';
-  
-  const data = await fetchData(c.env, query, params);
-  
-  const formatDisposition = (disposition) => {
-    switch (disposition) {
-      case DispositionType.reject:
-        return '✓ Reject';
-      case DispositionType.quarantine:
-        return '⚠️ Quarantine';
-      case DispositionType.none:
-        return '✗ None';
-      default:
-        return '? Unknown';
-    }
-  };
-
   const content = html`
-    <h1>Detailed Reports</h1>
-    <form class="filter-form">
-      <input type="hidden" name="customer" value="${customerId}">
-      <input type="date" name="start" value="${startDate}">
-      <input type="date" name="end" value="${endDate}">
-      <input type="text" name="domain" placeholder="Filter by domain" value="${domain}">
-      <button type="submit">Filter</button>
-    </form>
+    <h1>Forensic Failure Samples</h1>
+    <p>
+      Receivers that support failure reporting send a sample of each message that fails DMARC to the
+      <code>ruf</code> address of your DMARC record.
+      Bodies are ${settings.redact_bodies ? 'discarded' : 'kept'} and recipient addresses are ${settings.redact_recipients ? 'redacted' : 'kept'}.
+    </p>
+    ${ip ? html`<p>Showing samples sent from ${ip}. <a href="${withFilters(c, '/dashboard/forensic')}">Show every source</a></p>` : ''}
     <table>
       <tr>
-        <th>Date</th>
+        <th>Arrived</th>
         <th>Domain</th>
-        <th>IP</th>
+        <th>Source IP</th>
+        <th>Subject</th>
+        <th>Auth Failure</th>
         <th>DKIM</th>
         <th>SPF</th>
-        <th>Disposition</th>
-        <th>Override</th>
-        <th>Error</th>
+        <th>Delivery</th>
+        <th>Reporter</th>
       </tr>
       ${data.map(row => html`
         <tr>
-          <td>${new Date(row.date_range_begin * 1000).toLocaleDateString()} - ${new Date(row.date_range_end * 1000).toLocaleDateString()}</td>
-          <td>${row.header_from}</td>
-          <td>${row.source_ip}</td>
-          <td>${row.dkim_result === DMARCResultType.pass ? '✓' : '✗'}</td>
-          <td>${row.spf_result === DMARCResultType.pass ? '✓' : '✗'}</td>
-          <td>${formatDisposition(row.disposition)}</td>
-          <td>${row.policy_override_type || 'None'}</td>
-          <td>${row.error || 'None'}</td>
+          <td><a href="${withFilters(c, `/dashboard/forensic/${row.id}`)}">${formatTimestamp(row.arrival_date)}</a></td>
+          <td>${row.reported_domain || row.header_from || 'Unknown'}</td>
+          <td>${row.source_ip || 'Unknown'}</td>
+          <td>${row.subject || '(no subject)'}</td>
+          <td>${row.auth_failure || 'Unspecified'}</td>
+          <td>${row.dkim_domain ? `${row.dkim_domain}${row.dkim_selector ? ` (${row.dkim_selector})` : ''}` : 'None'}</td>
+          <td>${row.spf_dns || 'None'}</td>
+          <td>${row.delivery_result || 'Unknown'}</td>
+          <td>${row.reporter || 'Unknown'}</td>
         </tr>
       `)}
     </table>
+    ${hasRole(c.get('role'), Role.admin) ? html`
+      <h2>Redaction</h2>
+      <form method="POST" action="/dashboard/forensic/settings">
+        <label><input type="checkbox" name="redact_bodies" value="1" ${settings.redact_bodies ? 'checked' : ''}> Discard message bodies</label><br>
+        <label><input type="checkbox" name="redact_recipients" value="1" ${settings.redact_recipients ? 'checked' : ''}> Redact recipient addresses</label><br>
+        <button type="submit">Save</button>
+      </form>
+      <p>Changes apply to samples received from now on.</p>
+    ` : ''}
   `;
   
-  return c.html(layout(content));
-});
-
-app.get('/dashboard/config', async (c) => {
-  const customerId = c.get('customerId');
-
-  const content = html`
-    <h1>Strict Config:</h1>
-    <p>v=DMARC1; p=reject; rua=mailto:${customerId}@huzzand.buzz; pct=100; adkim=s; aspf=s;</p>
-    <br>
-    <h1>Less Strict Config:</h1>
-    <p>v=DMARC1; p=quarantine; rua=mailto:${customerId}@huzzand.buzz; pct=20; adkim=r; aspf=r;</p>
-  `;
-  
-  return c.html(layout(content));
-});
-
-app.get('/login', (c) => {
-  const form = html`
-  <!DOCTYPE html>
-  <html>
-    <head>
-      <title>DMARC Analytics Dashboard</title>
-      <link rel="stylesheet" type="text/css" href="https://utfs.io/f/tU8vX4DFrVItrPVq01O3zjgmsyVWNbB0HhXDRkYxZeiOq4nI">
-    </head>
-    <body>
-      <main class="container">
-        <form method="POST" action="/login" class="login-form">
-          <label>
-            Customer ID:
-            <input name="customerId" type="text" placeholder="Enter your customer ID" />
-          </label>
-          <label>
-            Password:
-            <input type="password" name="password" placeholder="Enter your password" />
-          </label>
-          <button type="submit">Login</button>
-          <a href="/register">Want to register?</a>
-        </form>
-      </main>
-    </body>
-  </html>
-  `;
-  return c.html(form);
+  return c.html(layout(content, c, { filterBar: true }));
 });
 
-app.get('/register', (c) => {
-  const form = html`
-  <!DOCTYPE html>
-  <html>
-    <head>
-      <title>DMARC Analytics Dashboard</title>
-      <link rel="stylesheet" type="text/css" href="https://utfs.io/f/tU8vX4DFrVItrPVq01O3zjgmsyVWNbB0HhXDRkYxZeiOq4nI">
-    </head>
-    <body>
-      <main class="container">
-        <form method="POST" action="/register" class="login-form">
-          <label>
-            Customer ID:
-            <input name="customerId" type="text" placeholder="Enter prefered customer ID" />
-          </label>
-          <label>
-            Password:
-            <input type="password" name="password" placeholder="Enter your password" />
-          </label>
-          <button type="submit">Register</button>
-          <a href="/login">Want to login?</a>
-        </form>
-      </main>
-    </body>
-  </html>
-  `;
-  return c.html(form);
+app.post('/dashboard/forensic/settings', async (c) => {
+  const input = await c.req.parseBody();
+  await saveForensicSettings(c.env, c.get('customerId'), { redact_bodies: input.redact_bodies === '1', redact_recipients: input.redact_recipients === '1' });
+  return c.redirect('/dashboard/forensic');
 });
 
-app.post('/register', async (c) => {
-  const { customerId, password } = await c.req.parseBody();
-  const alreadyExists = await c.env.HUZZANDBUZZ_ACCOUNTS.get(customerId)
+app.get('/dashboard/forensic/:id{[0-9]+}', async (c) => {
+  const report = await getForensicReport(c.env, c.get('customerId'), Number(c.req.param('id')));
 
-  if (alreadyExists) {
-    return c.text('Customer ID already exist', 409)
+  if (!report) {
+    return c.html(layout(html`<p class="error">Sample not found.</p>`, c), 404);
   }
 
-  if (password) {
-    const saltRounds = 10
-    const hashedPassword = bcrypt.hashSync(password, saltRounds);
-    await c.env.HUZZANDBUZZ_ACCOUNTS.put(customerId, hashedPassword)
-
-    const token = await sign({ customerId, exp: Math.floor(Date.now() / 1000) + 60 * 60 * 24, }, c.env.JWT_SECRET_KEY);
+  const content = html`
+    <h1>${report.subject || '(no subject)'}</h1>
+    <table>
+      <tr><th>Arrived</th><td>${formatTimestamp(report.arrival_date)}</td></tr>
+      <tr><th>Reported Domain</th><td>${report.reported_domain || 'Unknown'}</td></tr>
+      <tr><th>Header From</th><td>${report.header_from || 'Unknown'}</td></tr>
+      <tr><th>Source IP</th><td>${report.source_ip || 'Unknown'}</td></tr>
+      <tr><th>Envelope From</th><td>${report.original_mail_from || 'Unknown'}</td></tr>
+      <tr><th>Envelope To</th><td>${report.original_rcpt_to || 'Unknown'}</td></tr>
+      <tr><th>Auth Failure</th><td>${report.auth_failure || 'Unspecified'}</td></tr>
+      <tr><th>Authentication Results</th><td><pre>${report.authentication_results || 'None'}</pre></td></tr>
+      <tr><th>DKIM Domain</th><td>${report.dkim_domain || 'None'}</td></tr>
+      <tr><th>DKIM Selector</th><td>${report.dkim_selector || 'None'}</td></tr>
+      <tr><th>SPF Record</th><td>${report.spf_dns || 'None'}</td></tr>
+      <tr><th>Delivery Result</th><td>${report.delivery_result || 'Unknown'}</td></tr>
+      <tr><th>Message ID</th><td>${report.message_id || 'None'}</td></tr>
+      <tr><th>Reporter</th><td>${report.reporter || 'Unknown'} ${report.user_agent ? `(${report.user_agent})` : ''}</td></tr>
+    </table>
+    <h2>Headers</h2>
+    <pre>${report.headers || 'Not included in the report'}</pre>
+    <h2>Body</h2>
+    <pre>${report.body ?? 'Not stored'}</pre>
+    <p><a href="${withFilters(c, '/dashboard/forensic')}">Back to samples</a></p>
+  `;
 
-    setCookie(c, 'jwt', token, {
-        httpOnly: true,
-        maxAge: 24 * 60 * 60,
-    });
-    return c.redirect(`/dashboard/config`);
-  }
-  return c.text('Invalid credentials', 401);
+  return c.html(layout(content, c));
 });
 
-app.post('/login', async (c) => {
-  const { customerId, password } = await c.req.parseBody();
-  const accountPassword = await c.env.HUZZANDBUZZ_ACCOUNTS.get(customerId)
-
-  const isMatch = bcrypt.compareSync(password, accountPassword);
-
-  if (isMatch) {
-    const token = await sign({ customerId, exp: Math.floor(Date.now() / 1000) + 60 * 60 * 24, }, c.env.JWT_SECRET_KEY);
-
-    setCookie(c, 'jwt', token, { httpOnly: true });
-    return c.redirect(`/dashboard/`);
-  }
-  return c.text('Invalid credentials', 401);
-});
+const domainStatusLabels = {
+  [DomainStatus.verified]: '✓ Verified',
+  [DomainStatus.unverified]: '⚠️ Unverified',
+  [DomainStatus.unregistered]: '✗ Unregistered',
+};
 
-app.get('/logout', async (c) => {
-  const tokenToBlock = getCookie(c, 'jwt')
+// New endpoint: Domain summary
+app.get('/dashboard/domain-summary', async (c) => {
+  const customerId = c.get('customerId');
+  const data = await getDomainSummary(c.env, customerId, c.get('filters'));
+  
+  const content = html`
+    <h1>Domain Summary</h1>
+    ${exportLinks(c, 'domain-summary')}
+    <table>
+      <tr>
+        <th>Domain</th>
+        <th>Registration</th>
+        <th>Report Count</th>
+        <th>First Seen</th>
+        <th>Last Seen</th>
+        <th>Unique IPs</th>
+        <th>Total</th>
+        ${authBreakdownHeaders}
+      </tr>
+      ${data.map(row => html`
+        <tr>
+          <td>${row.display_name ? `${row.display_name} (${row.domain})` : row.domain}</td>
+          <td>${domainStatusLabels[row.registration]}</td>
+          <td>${row.report_count}</td>
+          <td>${new Date(row.first_seen).toLocaleDateString()}</td>
+          <td>${new Date(row.last_seen).toLocaleDateString()}</td>
+          <td>${row.unique_ips}</td>
+          <td>${row.total}</td>
+          ${authBreakdownCells(row)}
+        </tr>
+      `)}
+    </table>
+  `;
+  
+  return c.html(layout(content, c, { filterBar: true }));
+});
+
+// Endpoint: Which receivers sent the reports, and how mail fared at each of them
+app.get('/dashboard/reporters', async (c) => {
+  const customerId = c.get('customerId');
+  const data = await getReporters(c.env, customerId, c.get('filters'));
+  
+  const content = html`
+    <h1>Reporting Organisations</h1>
+    ${exportLinks(c, 'reporters')}
+    <table>
+      <tr>
+        <th>Reporter</th>
+        <th>Contact</th>
+        <th>Reports</th>
+        <th>Domains</th>
+        <th>Last Report</th>
+        <th>Total</th>
+        ${authBreakdownHeaders}
+        <th>Delivered</th>
+        <th>Quarantined</th>
+        <th>Rejected</th>
+      </tr>
+      ${data.map(row => html`
+        <tr>
+          <td>${row.org_name
+            ? html`<a href="${withFilters(c, '/dashboard/detailed-reports', { reporter: row.org_name })}">${row.org_name}</a>`
+            : 'Unknown'}</td>
+          <td>
+            ${row.org_email ? html`<a href="mailto:${row.org_email}">${row.org_email}</a>` : ''}
+            ${row.org_extra_contact_info ? html`<br>${row.org_extra_contact_info}` : ''}
+          </td>
+          <td>${row.report_count}</td>
+          <td>${row.domains}</td>
+          <td>${new Date(row.last_seen).toLocaleDateString()}</td>
+          <td>${row.total.toLocaleString()}</td>
+          ${authBreakdownCells(row)}
+          <td>${row.delivered}</td>
+          <td>${row.quarantined}</td>
+          <td>${row.rejected}</td>
+        </tr>
+      `)}
+    </table>
+  `;
+  
+  return c.html(layout(content, c, { filterBar: true }));
+});
+
+// Raw check result for a domain, e.g. "pass (example.com, unaligned)"
+const formatAuthResult = (result, domain, aligned) => {
+  if (!result) {
+    return 'None';
+  }
+  const alignment = aligned === null || aligned === undefined ? '' : aligned ? ', aligned' : ', unaligned';
+  return `${result} (${domain || 'unknown'}${alignment})`;
+};
+
+const formatDisposition = (disposition) => {
+  switch (disposition) {
+    case DispositionType.none:
+      return '✓ None';
+    case DispositionType.quarantine:
+      return '⚠️ Quarantine';
+    case DispositionType.reject:
+      return '✗ Reject';
+    default:
+      return '? Unknown';
+  }
+};
+
+// Drill-down links keep the filters, so the report's nav leads back to the same view
+const reportLink = (c, row) =>
+  withFilters(c, `/dashboard/reports/${encodeURIComponent(row.report_id)}`, row.org_name ? { org: row.org_name } : {});
+
+// Outcome cells of a single record, shared by the detailed reports and the report drill-down
+const recordCells = (row) => html`
+  <td>${row.source_ip}</td>
+  <td>${row.count}</td>
+  <td>${row.dmarc_result === DMARCResultType.pass ? '✓' : '✗'}</td>
+  <td>${row.dkim_result === DMARCResultType.pass ? '✓' : '✗'}</td>
+  <td>${row.spf_result === DMARCResultType.pass ? '✓' : '✗'}</td>
+  <td>${formatAuthResult(row.dkim_auth_result, row.dkim_domain, row.dkim_aligned)}</td>
+  <td>${formatAuthResult(row.spf_auth_result, row.spf_domain, row.spf_aligned)}</td>
+  <td>${formatDisposition(row.disposition)}</td>
+  <td>${row.policy_override_type || 'None'}</td>
+  <td>${row.error || 'None'}</td>
+`;
+
+// Detailed reports URL under the current filters, with record filters, sorting and paging on top
+const detailedReportsUrl = (filters, recordFilters, extra = {}) => {
+  const params = new URLSearchParams(filterQuery(filters).slice(1));
+  new URLSearchParams(recordFilterParams({ ...recordFilters, ...extra })).forEach((value, name) => params.set(name, value));
+  if (extra.cursor) {
+    params.set('cursor', extra.cursor);
+  }
+  const query = params.toString();
+  return `/dashboard/detailed-reports${query ? `?${query}` : ''}`;
+};
+
+const recordFilterForm = (filters, recordFilters) => {
+  const select = (name, options) => html`
+    <select name="${name}">
+      ${Object.entries(options).map(([value, label]) => html`<option value="${value}" ${recordFilters[name] === value ? 'selected' : ''}>${label}</option>`)}
+    </select>
+  `;
+
+  return html`
+    <form method="GET" action="/dashboard/detailed-reports" class="filter-form">
+      ${[...new URLSearchParams(filterQuery(filters).slice(1))].map(([name, value]) => html`<input type="hidden" name="${name}" value="${value}">`)}
+      <input type="hidden" name="sort" value="${recordFilters.sort}">
+      <input type="hidden" name="dir" value="${recordFilters.dir}">
+      <input type="text" name="ip" value="${recordFilters.ip}" placeholder="IP or CIDR, e.g. 192.0.2.0/24">
+      ${select('dkim', { '': 'Any DKIM', pass: 'DKIM pass', fail: 'DKIM fail' })}
+      ${select('spf', { '': 'Any SPF', pass: 'SPF pass', fail: 'SPF fail' })}
+      ${select('disposition', { '': 'Any disposition', none: 'None', quarantine: 'Quarantine', reject: 'Reject' })}
+      <input type="text" name="override" value="${recordFilters.override}" placeholder="Override type, or none">
+      <input type="text" name="org" value="${recordFilters.org}" placeholder="Reporting organisation">
+      <button type="submit">Apply</button>
+    </form>
+  `;
+};
+
+// Endpoint: Individual records with record level filters, sortable columns and cursor paging
+app.get('/dashboard/detailed-reports', async (c) => {
+  const customerId = c.get('customerId');
+  const filters = c.get('filters');
+  const recordFilters = parseRecordFilters(c);
+  const cursor = c.req.query('cursor');
+  const { rows, total_records, total_messages, next_cursor } = await getDetailedReportsPage(
+    c.env, customerId, { ...filters, ...recordFilters }, { cursor }
+  );
+
+  // Clicking the sorted column again flips its direction
+  const sortHeader = (label, sort) => {
+    const active = recordFilters.sort === sort;
+    const dir = active && recordFilters.dir === 'desc' ? 'asc' : 'desc';
+    return html`<th><a href="${detailedReportsUrl(filters, recordFilters, { sort, dir })}">${label}${active ? (recordFilters.dir === 'asc' ? ' ▲' : ' ▼') : ''}</a></th>`;
+  };
+
+  const content = html`
+    <h1>Detailed Reports</h1>
+    ${exportLinks(c, 'detailed-reports', recordFilterParams(recordFilters))}
+    ${recordFilterForm(filters, recordFilters)}
+    ${recordFilters.ip && !isIpFilter(recordFilters.ip) ? html`<p class="error">${recordFilters.ip} is not an IP address or CIDR block, so it was ignored.</p>` : ''}
+    <p>${total_records.toLocaleString()} records covering ${total_messages.toLocaleString()} messages.</p>
+    <table>
+      <tr>
+        ${sortHeader('Date', 'date')}
+        ${sortHeader('Domain', 'domain')}
+        ${sortHeader('Reporter', 'org')}
+        ${sortHeader('IP', 'ip')}
+        ${sortHeader('Count', 'count')}
+        <th>DMARC</th>
+        <th>DKIM</th>
+        <th>SPF</th>
+        <th>DKIM Auth</th>
+        <th>SPF Auth</th>
+        ${sortHeader('Disposition', 'disposition')}
+        <th>Override</th>
+        <th>Error</th>
+      </tr>
+      ${rows.map(row => html`
+        <tr>
+          <td>${formatDateRange(row)}</td>
+          <td>${row.header_from}</td>
+          <td><a href="${reportLink(c, row)}">${row.org_name || 'Unknown'}</a></td>
+          ${recordCells(row)}
+        </tr>
+      `)}
+    </table>
+    <p>
+      ${cursor ? html`<a href="${detailedReportsUrl(filters, recordFilters)}">First page</a>` : ''}
+      ${next_cursor ? html`<a href="${detailedReportsUrl(filters, recordFilters, { cursor: next_cursor })}">Next page</a>` : ''}
+    </p>
+  `;
+  
+  return c.html(layout(content, c, { filterBar: true }));
+});
+
+// Endpoint: Drill-down into one aggregate report and all of its records
+app.get('/dashboard/reports/:reportId', async (c) => {
+  const report = await getReport(c.env, c.get('customerId'), c.req.param('reportId'), c.req.query('org'));
+
+  if (!report) {
+    return c.html(layout(html`<p class="error">Report not found.</p>`, c), 404);
+  }
+
+  const { metadata } = report;
+  const content = html`
+    <h1>Report ${metadata.report_id}</h1>
+    ${metadata.organisations.length > 1 ? html`
+      <p class="error">${metadata.organisations.length} reporters used this report ID. Pick one:
+        ${metadata.organisations.map(org => html`<a href="${reportLink(c, { report_id: metadata.report_id, org_name: org })}">${org || 'Unknown'}</a> `)}
+      </p>
+    ` : ''}
+    <table>
+      <tr><th>Reporter</th><td>${metadata.org_name || 'Unknown'}</td></tr>
+      <tr><th>Contact</th><td>${[metadata.org_email, metadata.org_extra_contact_info].filter(Boolean).join(', ') || 'None given'}</td></tr>
+      <tr><th>Period</th><td>${formatDateRange(metadata)}</td></tr>
+      <tr><th>Published Policy</th><td>${metadata.policy_p ? `p=${metadata.policy_p}; sp=${metadata.policy_sp ?? metadata.policy_p}; pct=${metadata.policy_pct ?? 100}` : 'Unknown'}</td></tr>
+      <tr><th>Received</th><td>${new Date(metadata.received_at).toLocaleString()}</td></tr>
+      <tr><th>Records</th><td>${metadata.record_count.toLocaleString()}</td></tr>
+      <tr><th>Messages</th><td>${metadata.message_count.toLocaleString()}</td></tr>
+    </table>
+    <h2>Records</h2>
+    <table>
+      <tr>
+        <th>Domain</th>
+        <th>IP</th>
+        <th>Count</th>
+        <th>DMARC</th>
+        <th>DKIM</th>
+        <th>SPF</th>
+        <th>DKIM Auth</th>
+        <th>SPF Auth</th>
+        <th>Disposition</th>
+        <th>Override</th>
+        <th>Error</th>
+      </tr>
+      ${report.records.map(row => html`
+        <tr>
+          <td>${row.header_from}</td>
+          ${recordCells(row)}
+        </tr>
+      `)}
+    </table>
+  `;
+
+  return c.html(layout(content, c));
+});
+
+// Endpoint: CSV/JSON download of a dashboard table under the current filters, streamed page by page
+app.get('/dashboard/export/:table', async (c) => {
+  const table = c.req.param('table');
+  const format = c.req.query('format') === ExportFormat.json ? ExportFormat.json : ExportFormat.csv;
+  const filters = table === 'detailed-reports'
+    ? { ...c.get('filters'), ...parseRecordFilters(c) }
+    : { ...c.get('filters'), bucket: parseBucket(c.req.query('bucket')) };
+
+  if (!isExportTable(table)) {
+    return c.text('Unknown table', 404);
+  }
+
+  c.header('Content-Type', exportContentType(format));
+  c.header('Content-Disposition', `attachment; filename="${exportFilename(table, filters, format)}"`);
+  return c.body(exportStream(c.env, c.get('customerId'), table, filters, format));
+});
+
+// Uploaded report files come from the multipart `files` field, or as the raw request body for scripts
+async function readUploadedFiles(c) {
+  const contentType = c.req.header('content-type') || '';
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const body = await c.req.parseBody({ all: true });
+    const files = [body.files ?? []].flat();
+    return Promise.all(
+      files
+        .filter((file) => file instanceof File && file.size > 0)
+        .map(async (file) => ({ name: file.name, content: await file.arrayBuffer() }))
+    );
+  }
+
+  const content = await c.req.arrayBuffer();
+  return content.byteLength ? [{ name: c.req.query('filename') || 'report', content }] : [];
+}
+
+async function importUploadedFiles(c) {
+  const customerId = c.get('customerId');
+  const files = await readUploadedFiles(c);
+  const summaries = [];
+
+  for (const file of files) {
+    summaries.push(await importReportFile(c.env, customerId, file.name, file.content));
+  }
+  return summaries;
+}
+
+const uploadForm = html`
+  <form method="POST" action="/dashboard/upload" enctype="multipart/form-data" class="filter-form">
+    <input type="file" name="files" accept=".xml,.zip,.gz,application/xml,text/xml,application/zip,application/gzip" multiple>
+    <button type="submit">Upload</button>
+  </form>
+`;
+
+// Endpoint: Manual upload of aggregate report files
+app.get('/dashboard/upload', (c) => {
+  const content = html`
+    <h1>Upload Reports</h1>
+    <p>Upload one or more DMARC aggregate reports as XML, zip or gzip files.</p>
+    ${uploadForm}
+  `;
+
+  return c.html(layout(content, c));
+});
+
+app.post('/dashboard/upload', async (c) => {
+  const summaries = await importUploadedFiles(c);
+
+  const content = html`
+    <h1>Upload Reports</h1>
+    ${summaries.length ? html`
+      <table>
+        <tr>
+          <th>File</th>
+          <th>Imported</th>
+          <th>Skipped</th>
+          <th>Rejected</th>
+          <th>Records</th>
+          <th>Errors</th>
+        </tr>
+        ${summaries.map(summary => html`
+          <tr>
+            <td>${summary.file}</td>
+            <td class="success">${summary.imported}</td>
+            <td>${summary.skipped}</td>
+            <td class="error">${summary.rejected}</td>
+            <td>${summary.records}</td>
+            <td>${summary.errors.join(', ') || 'None'}</td>
+          </tr>
+        `)}
+      </table>
+    ` : html`<p class="error">No files were uploaded.</p>`}
+    ${uploadForm}
+  `;
+
+  return c.html(layout(content, c), summaries.length ? 200 : 400);
+});
+
+app.route('/api/v1', api);
+
+app.post('/api/reports', requireScope(ApiKeyScope.ingest), async (c) => {
+  const files = await importUploadedFiles(c);
+
+  if (!files.length) {
+    return c.json({ error: 'No report files uploaded' }, 400);
+  }
+  return c.json({ files });
+});
+
+const apiKeysPage = (keys, createdKey) => {
+  const now = Date.now();
+  const status = (key) => {
+    if (key.revokedAt) return 'Revoked';
+    if (!isApiKeyActive(key, now)) return 'Expired';
+    return 'Active';
+  };
+
+  return html`
+    <h1>API Keys</h1>
+    ${createdKey ? html`
+      <p class="success">Copy your new key now, it will not be shown again:</p>
+      <p><code>${createdKey}</code></p>
+    ` : ''}
+    <p>Send keys as <code>Authorization: Bearer &lt;key&gt;</code> to <code>/api/v1/*</code> and <code>/api/reports</code>.</p>
+    <form method="POST" action="/dashboard/api-keys" class="filter-form">
+      <input type="text" name="label" placeholder="Label" required>
+      <select name="level">
+        <option value="read">Read-only</option>
+        <option value="ingest">Read and ingest</option>
+      </select>
+      <select name="expiresInDays">
+        <option value="30">Expires in 30 days</option>
+        <option value="90">Expires in 90 days</option>
+        <option value="365">Expires in 1 year</option>
+        <option value="0">Never expires</option>
+      </select>
+      <button type="submit">Create key</button>
+    </form>
+    <table>
+      <tr>
+        <th>Label</th>
+        <th>Key</th>
+        <th>Scopes</th>
+        <th>Created</th>
+        <th>Expires</th>
+        <th>Status</th>
+        <th></th>
+      </tr>
+      ${keys.map(key => html`
+        <tr>
+          <td>${key.label}</td>
+          <td><code>${key.hint}</code></td>
+          <td>${key.scopes.join(', ')}</td>
+          <td>${new Date(key.createdAt).toLocaleDateString()}</td>
+          <td>${key.expiresAt ? new Date(key.expiresAt).toLocaleDateString() : 'Never'}</td>
+          <td>${status(key)}</td>
+          <td>
+            ${isApiKeyActive(key, now) ? html`
+              <form method="POST" action="/dashboard/api-keys/${key.id}/revoke">
+                <button type="submit">Revoke</button>
+              </form>
+            ` : ''}
+          </td>
+        </tr>
+      `)}
+    </table>
+  `;
+};
+
+// Endpoint: API key management
+app.get('/dashboard/api-keys', async (c) => {
+  const keys = await listApiKeys(c.env, c.get('customerId'));
+  return c.html(layout(apiKeysPage(keys), c));
+});
+
+app.post('/dashboard/api-keys', async (c) => {
+  const customerId = c.get('customerId');
+  const { label, level, expiresInDays } = await c.req.parseBody();
+  const { key } = await createApiKey(c.env, customerId, { label, level, expiresInDays });
+
+  return c.html(layout(apiKeysPage(await listApiKeys(c.env, customerId), key), c), 201);
+});
+
+app.post('/dashboard/api-keys/:id/revoke', async (c) => {
+  const revoked = await revokeApiKey(c.env, c.get('customerId'), c.req.param('id'));
+
+  if (!revoked) {
+    return c.text('API key not found', 404);
+  }
+  return c.redirect('/dashboard/api-keys');
+});
+
+const membersPage = (c, members, invites, { error, inviteLink } = {}) => {
+  const isOwner = c.get('role') === Role.owner;
+  const roleSelect = (name, selected, roles = Object.values(Role)) => html`
+    <select name="${name}">
+      ${roles.map(role => html`<option value="${role}" ${selected === role ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`)}
+    </select>
+  `;
+
+  return html`
+    <h1>Members</h1>
+    ${error ? html`<p class="error">${error}</p>` : ''}
+    ${inviteLink ? html`
+      <p class="success">Invite created. It was emailed to the invitee and can also be shared directly (valid for 7 days):</p>
+      <p><code>${inviteLink}</code></p>
+    ` : ''}
+    <p>Analysts can upload reports and review senders. Admins also manage API keys, alerts, domains, digests and invites. Only owners change roles and remove members.</p>
+    <table>
+      <tr>
+        <th>Email</th>
+        <th>Role</th>
+        <th>Joined</th>
+        <th></th>
+      </tr>
+      ${members.map(member => html`
+        <tr>
+          <td>${member.email}</td>
+          <td>
+            ${isOwner ? html`
+              <form method="POST" action="/dashboard/members/${encodeURIComponent(member.email)}/role">
+                ${roleSelect('role', member.role)}
+                <button type="submit">Change</button>
+              </form>
+            ` : ROLE_LABELS[member.role]}
+          </td>
+          <td>${new Date(member.createdAt).toLocaleDateString()}</td>
+          <td>
+            ${isOwner && member.email !== c.get('email') ? html`
+              <form method="POST" action="/dashboard/members/${encodeURIComponent(member.email)}/remove">
+                <button type="submit">Remove</button>
+              </form>
+            ` : ''}
+          </td>
+        </tr>
+      `)}
+    </table>
+    <h2>Invite a member</h2>
+    <form method="POST" action="/dashboard/members/invite" class="filter-form">
+      <input type="email" name="email" placeholder="Email" required>
+      ${roleSelect('role', Role.analyst, isOwner ? Object.values(Role) : [Role.admin, Role.analyst, Role.readOnly])}
+      <button type="submit">Invite</button>
+    </form>
+    ${invites.length ? html`
+      <h2>Pending invites</h2>
+      <table>
+        <tr>
+          <th>Email</th>
+          <th>Role</th>
+          <th>Expires</th>
+          <th></th>
+        </tr>
+        ${invites.map(invite => html`
+          <tr>
+            <td>${invite.email}</td>
+            <td>${ROLE_LABELS[invite.role]}</td>
+            <td>${new Date(invite.expiresAt).toLocaleDateString()}</td>
+            <td>
+              <form method="POST" action="/dashboard/members/invites/${invite.id}/revoke">
+                <button type="submit">Revoke</button>
+              </form>
+            </td>
+          </tr>
+        `)}
+      </table>
+    ` : ''}
+  `;
+};
+
+const renderMembersPage = async (c, messages, status = 200) => {
+  const customerId = c.get('customerId');
+  const [members, invites] = await Promise.all([listMembers(c.env, customerId), listInvites(c.env, customerId)]);
+  return c.html(layout(membersPage(c, members, invites, messages), c), status);
+};
+
+// Only owners may change roles or remove members
+const requireOwner = async (c, next) => {
+  if (c.get('role') !== Role.owner) {
+    return c.text('Only owners can manage members', 403);
+  }
+  await next();
+};
+
+// Endpoint: Organisation members, roles and invites
+app.get('/dashboard/members', (c) => renderMembersPage(c));
+
+app.post('/dashboard/members/invite', async (c) => {
+  const customerId = c.get('customerId');
+  const { email, role } = await c.req.parseBody();
+
+  if (role === Role.owner && c.get('role') !== Role.owner) {
+    return renderMembersPage(c, { error: 'Only owners can invite owners' }, 403);
+  }
+
+  const { token, invite, error } = await createInvite(c.env, customerId, { email, role, invitedBy: c.get('email') });
+  if (error) {
+    return renderMembersPage(c, { error }, 400);
+  }
+
+  const inviteLink = `${new URL(c.req.url).origin}/invite/${token}`;
+  try {
+    await sendMail(c.env, {
+      to: invite.email,
+      subject: `You have been invited to ${customerId} on DMARC Analytics`,
+      text: `You have been invited to join ${customerId} as ${ROLE_LABELS[invite.role]}.\n\nAccept the invite within 7 days:\n${inviteLink}\n`,
+    });
+  } catch (mailError) {
+    console.error('Sending the invite mail failed:', mailError);
+  }
+
+  return renderMembersPage(c, { inviteLink }, 201);
+});
+
+app.post('/dashboard/members/invites/:id/revoke', async (c) => {
+  await revokeInvite(c.env, c.get('customerId'), c.req.param('id'));
+  return c.redirect('/dashboard/members');
+});
+
+app.post('/dashboard/members/:email/role', requireOwner, async (c) => {
+  const { role } = await c.req.parseBody();
+  const error = await setMemberRole(c.env, c.get('customerId'), c.req.param('email'), role);
+
+  if (error) {
+    return renderMembersPage(c, { error }, 400);
+  }
+  return c.redirect('/dashboard/members');
+});
+
+app.post('/dashboard/members/:email/remove', requireOwner, async (c) => {
+  const error = await removeMember(c.env, c.get('customerId'), c.req.param('email'));
+
+  if (error) {
+    return renderMembersPage(c, { error }, 400);
+  }
+  return c.redirect('/dashboard/members');
+});
+
+// Sessions and two-factor settings belong to the user's email, or the customer ID for older accounts
+const currentAccount = (c) => accountId({ customerId: c.get('customerId'), email: c.get('email') });
+
+const accountPage = (c, twoFactor, { error, notice, recoveryCodes } = {}) => {
+  const account = currentAccount(c);
+  const isOwner = c.get('role') === Role.owner;
+  const passwordField = html`<input type="password" name="password" placeholder="Current password" required>`;
+
+  return html`
+    <h1>Account</h1>
+    ${error ? html`<p class="error">${error}</p>` : ''}
+    ${notice ? html`<p class="success">${notice}</p>` : ''}
+    <p>Signed in as <strong>${account}</strong> (${ROLE_LABELS[c.get('role')]}). See and revoke your logins on the <a href="/dashboard/sessions">Sessions</a> page.</p>
+    <h2>Two-factor authentication</h2>
+    ${recoveryCodes ? html`
+      <p class="success">Store these recovery codes somewhere safe. Each one works once if you lose your device, and they will not be shown again:</p>
+      <pre>${recoveryCodes.join('\n')}</pre>
+    ` : ''}
+    ${isTwoFactorEnabled(twoFactor) ? html`
+      <p>✓ Enabled since ${new Date(twoFactor.enabledAt).toLocaleDateString()}, ${twoFactor.recoveryCodes.length} recovery codes left.</p>
+      <form method="POST" action="/dashboard/account/2fa/recovery-codes" class="filter-form">
+        ${passwordField}
+        <button type="submit">New recovery codes</button>
+      </form>
+      <form method="POST" action="/dashboard/account/2fa/disable" class="filter-form">
+        ${passwordField}
+        <input type="text" name="code" inputmode="numeric" autocomplete="one-time-code" placeholder="Authentication code" required>
+        <button type="submit">Turn off two-factor authentication</button>
+      </form>
+    ` : twoFactor ? html`
+      <p>Add this account to your authenticator app, then enter the code it shows to finish the setup.</p>
+      <p>Setup key: <code>${twoFactor.secret}</code></p>
+      <p>Or open this link on the device with the app: <code>${otpauthUri(twoFactor.secret, account)}</code></p>
+      <form method="POST" action="/dashboard/account/2fa/enable" class="filter-form">
+        ${passwordField}
+        <input type="text" name="code" inputmode="numeric" autocomplete="one-time-code" placeholder="6-digit code" required>
+        <button type="submit">Turn on</button>
+      </form>
+    ` : html`
+      <p>⚠️ Not enabled. Logins only need your password.</p>
+      <form method="POST" action="/dashboard/account/2fa/setup" class="filter-form">
+        ${passwordField}
+        <button type="submit">Set up two-factor authentication</button>
+      </form>
+    `}
+    <h2>Change password</h2>
+    <p>Your other sessions are signed out when the password changes.</p>
+    <form method="POST" action="/dashboard/account/password" class="filter-form">
+      ${passwordField}
+      <input type="password" name="newPassword" placeholder="New password" required>
+      <input type="password" name="confirm" placeholder="Confirm new password" required>
+      <button type="submit">Change password</button>
+    </form>
+    <h2>Delete account</h2>
+    ${isOwner ? html`
+      <p class="error">This deletes the organisation ${c.get('customerId')}: every member's login, API keys, alerts, domains and all report data. It can't be undone.</p>
+    ` : html`
+      <p>This deletes your login. The organisation and its data stay.</p>
+    `}
+    <form method="POST" action="/dashboard/account/delete" class="filter-form">
+      ${passwordField}
+      ${isTwoFactorEnabled(twoFactor) ? html`<input type="text" name="code" inputmode="numeric" placeholder="Authentication code" required>` : ''}
+      ${isOwner ? html`<input type="text" name="confirm" placeholder="Type ${c.get('customerId')} to confirm" required>` : ''}
+      <button type="submit">Delete ${isOwner ? 'organisation' : 'my account'}</button>
+    </form>
+  `;
+};
+
+const renderAccountPage = async (c, messages, status = 200) => {
+  const twoFactor = await getTwoFactor(c.env, currentAccount(c));
+  return c.html(layout(accountPage(c, twoFactor, messages), c), status);
+};
+
+// Sensitive account changes ask for the password again
+const checkPassword = async (c, password) => Boolean(await authenticate(c.env, currentAccount(c), password));
+
+// Endpoint: The signed in user's own account and two-factor authentication
+app.get('/dashboard/account', (c) => renderAccountPage(c));
+
+app.post('/dashboard/account/2fa/setup', async (c) => {
+  const { password } = await c.req.parseBody();
+
+  if (!(await checkPassword(c, password))) {
+    return renderAccountPage(c, { error: 'Wrong password' }, 403);
+  }
+  await beginEnrollment(c.env, currentAccount(c));
+  return c.redirect('/dashboard/account');
+});
+
+app.post('/dashboard/account/2fa/enable', async (c) => {
+  const { password, code } = await c.req.parseBody();
+
+  if (!(await checkPassword(c, password))) {
+    return renderAccountPage(c, { error: 'Wrong password' }, 403);
+  }
+  const { recoveryCodes, error } = await confirmEnrollment(c.env, currentAccount(c), code);
+
+  if (error) {
+    return renderAccountPage(c, { error }, 400);
+  }
+  return renderAccountPage(c, { notice: 'Two-factor authentication is on.', recoveryCodes }, 201);
+});
+
+app.post('/dashboard/account/2fa/recovery-codes', async (c) => {
+  const { password } = await c.req.parseBody();
+
+  if (!(await checkPassword(c, password))) {
+    return renderAccountPage(c, { error: 'Wrong password' }, 403);
+  }
+  const recoveryCodes = await regenerateRecoveryCodes(c.env, currentAccount(c));
+  if (!recoveryCodes) {
+    return renderAccountPage(c, { error: 'Two-factor authentication is not enabled' }, 400);
+  }
+  return renderAccountPage(c, { notice: 'Your old recovery codes no longer work.', recoveryCodes });
+});
+
+// Turning the second factor off takes the second factor, so a stolen password alone can't do it
+app.post('/dashboard/account/2fa/disable', async (c) => {
+  const { password, code } = await c.req.parseBody();
+
+  if (!(await checkPassword(c, password))) {
+    return renderAccountPage(c, { error: 'Wrong password' }, 403);
+  }
+  if (!(await verifySecondFactor(c.env, currentAccount(c), code))) {
+    return renderAccountPage(c, { error: 'Invalid authentication code' }, 403);
+  }
+  await disableTwoFactor(c.env, currentAccount(c));
+  return renderAccountPage(c, { notice: 'Two-factor authentication is off.' });
+});
+
+app.post('/dashboard/account/password', async (c) => {
+  const { password, newPassword, confirm } = await c.req.parseBody();
+
+  if (!(await checkPassword(c, password))) {
+    return renderAccountPage(c, { error: 'Wrong password' }, 403);
+  }
+  if (newPassword !== confirm) {
+    return renderAccountPage(c, { error: 'The new passwords do not match' }, 400);
+  }
+  const error = await setPassword(c.env, currentAccount(c), newPassword);
+  if (error) {
+    return renderAccountPage(c, { error }, 400);
+  }
+
+  await revokeOtherSessions(c.env, currentAccount(c), c.get('sessionId'));
+  return renderAccountPage(c, { notice: 'Your password was changed.' });
+});
+
+// Owners delete the whole organisation, other members only their own login. Either way the
+// password, and the second factor when enabled, are asked for again.
+app.post('/dashboard/account/delete', async (c) => {
+  const customerId = c.get('customerId');
+  const account = currentAccount(c);
+  const isOwner = c.get('role') === Role.owner;
+  const { password, code, confirm } = await c.req.parseBody();
+
+  if (!(await checkPassword(c, password))) {
+    return renderAccountPage(c, { error: 'Wrong password' }, 403);
+  }
+  if (isTwoFactorEnabled(await getTwoFactor(c.env, account)) && !(await verifySecondFactor(c.env, account, code))) {
+    return renderAccountPage(c, { error: 'Invalid authentication code' }, 403);
+  }
+  if (isOwner && confirm !== customerId) {
+    return renderAccountPage(c, { error: `Type ${customerId} to confirm the deletion` }, 400);
+  }
+
+  if (isOwner) {
+    await deleteOrganisation(c.env, customerId);
+  } else {
+    const error = await removeMember(c.env, customerId, c.get('email'));
+    if (error) {
+      return renderAccountPage(c, { error }, 400);
+    }
+  }
+
+  deleteCookie(c, 'jwt');
+  return c.html(authPage(html`
+    <p class="success">${isOwner ? `The organisation ${customerId} and all its data were deleted.` : 'Your account was deleted.'}</p>
+    <a href="/register">Register a new account</a>
+  `));
+});
+
+const sessionsPage = (sessions, currentId) => html`
+  <h1>Sessions</h1>
+  <p>Every browser signed in to your account. Revoking a session signs it out on its next request.</p>
+  <table>
+    <tr>
+      <th>Signed in</th>
+      <th>Expires</th>
+      <th>Browser</th>
+      <th>IP address</th>
+      <th></th>
+    </tr>
+    ${sessions.map(session => html`
+      <tr>
+        <td>${new Date(session.issuedAt).toLocaleString()}</td>
+        <td>${new Date(session.expiresAt).toLocaleString()}</td>
+        <td>${session.userAgent || 'Unknown'}</td>
+        <td>${session.ip || 'Unknown'}</td>
+        <td>
+          ${session.id === currentId ? 'This session' : html`
+            <form method="POST" action="/dashboard/sessions/${session.id}/revoke">
+              <button type="submit">Revoke</button>
+            </form>
+          `}
+        </td>
+      </tr>
+    `)}
+  </table>
+  ${sessions.some(session => session.id !== currentId) ? html`
+    <form method="POST" action="/dashboard/sessions/revoke-others">
+      <button type="submit">Sign out all other sessions</button>
+    </form>
+  ` : ''}
+`;
+
+// Endpoint: Active sessions of the signed in user
+app.get('/dashboard/sessions', async (c) => {
+  const sessions = await listSessions(c.env, currentAccount(c));
+  return c.html(layout(sessionsPage(sessions, c.get('sessionId')), c));
+});
+
+app.post('/dashboard/sessions/revoke-others', async (c) => {
+  await revokeOtherSessions(c.env, currentAccount(c), c.get('sessionId'));
+  return c.redirect('/dashboard/sessions');
+});
+
+app.post('/dashboard/sessions/:id/revoke', async (c) => {
+  await revokeSession(c.env, currentAccount(c), c.req.param('id'));
+  return c.redirect('/dashboard/sessions');
+});
+
+const alertsPage = (rules, events, domains, error) => html`
+  <h1>Alerts</h1>
+  ${error ? html`<p class="error">${error}</p>` : ''}
+  <p>Rules are checked every hour against reports received in their window. Webhooks receive Slack-compatible JSON.</p>
+  <form method="POST" action="/dashboard/alerts" class="filter-form">
+    <input type="text" name="name" placeholder="Name" required>
+    <select name="type">
+      ${Object.entries(AlertRuleTypeLabels).map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+    </select>
+    <select name="domain">
+      <option value="">All domains</option>
+      ${domains.map(domain => html`<option value="${domain}">${domain}</option>`)}
+    </select>
+    <input type="number" name="threshold" placeholder="Threshold" min="0" step="any" required>
+    <select name="windowHours">
+      <option value="1">Last hour</option>
+      <option value="24" selected>Last 24 hours</option>
+      <option value="168">Last 7 days</option>
+    </select>
+    <select name="channel">
+      <option value="${AlertChannel.webhook}">Webhook</option>
+      <option value="${AlertChannel.email}">Email</option>
+    </select>
+    <input type="text" name="target" placeholder="Webhook URL or email address" required>
+    <button type="submit">Add rule</button>
+  </form>
+  <table>
+    <tr>
+      <th>Name</th>
+      <th>Condition</th>
+      <th>Domain</th>
+      <th>Threshold</th>
+      <th>Window</th>
+      <th>Notify</th>
+      <th>Status</th>
+      <th></th>
+    </tr>
+    ${rules.map(rule => html`
+      <tr>
+        <td>${rule.name}</td>
+        <td>${AlertRuleTypeLabels[rule.type]}</td>
+        <td>${rule.domain || 'All domains'}</td>
+        <td>${rule.threshold}</td>
+        <td>${rule.window_hours}h</td>
+        <td>${rule.channel}: ${rule.target}</td>
+        <td>${rule.enabled ? 'Enabled' : 'Disabled'}</td>
+        <td>
+          <form method="POST" action="/dashboard/alerts/${rule.id}/toggle">
+            <button type="submit">${rule.enabled ? 'Disable' : 'Enable'}</button>
+          </form>
+          <form method="POST" action="/dashboard/alerts/${rule.id}/delete">
+            <button type="submit">Delete</button>
+          </form>
+        </td>
+      </tr>
+    `)}
+  </table>
+  <h2>History</h2>
+  <table>
+    <tr>
+      <th>Triggered</th>
+      <th>Rule</th>
+      <th>Alert</th>
+      <th>Notification</th>
+      <th>Resolved</th>
+    </tr>
+    ${events.map(event => html`
+      <tr>
+        <td>${new Date(event.triggered_at).toLocaleString()}</td>
+        <td>${event.rule_name}</td>
+        <td>${event.summary}</td>
+        <td class="${event.notify_error ? 'error' : ''}">${event.notify_error || (event.notified_at ? 'Sent' : 'Pending')}</td>
+        <td>${event.resolved_at ? new Date(event.resolved_at).toLocaleString() : 'Open'}</td>
+      </tr>
+    `)}
+  </table>
+`;
+
+const renderAlertsPage = async (c, error) => {
+  const customerId = c.get('customerId');
+  const [rules, events] = await Promise.all([
+    listAlertRules(c.env, customerId),
+    listAlertEvents(c.env, customerId),
+  ]);
+
+  return c.html(layout(alertsPage(rules, events, await customerDomains(c), error), c), error ? 400 : 200);
+};
+
+// Endpoint: Alert rules and alert history
+app.get('/dashboard/alerts', (c) => renderAlertsPage(c));
+
+app.post('/dashboard/alerts', async (c) => {
+  const error = await createAlertRule(c.env, c.get('customerId'), await c.req.parseBody());
+
+  if (error) {
+    return renderAlertsPage(c, error);
+  }
+  return c.redirect('/dashboard/alerts');
+});
+
+app.post('/dashboard/alerts/:id/toggle', async (c) => {
+  const customerId = c.get('customerId');
+  const rule = (await listAlertRules(c.env, customerId)).find((rule) => String(rule.id) === c.req.param('id'));
+
+  if (!rule) {
+    return c.text('Alert rule not found', 404);
+  }
+  await setAlertRuleEnabled(c.env, customerId, rule.id, !rule.enabled);
+  return c.redirect('/dashboard/alerts');
+});
+
+app.post('/dashboard/alerts/:id/delete', async (c) => {
+  await deleteAlertRule(c.env, c.get('customerId'), Number(c.req.param('id')));
+  return c.redirect('/dashboard/alerts');
+});
+
+const domainsPage = (registered, unregistered, policies, { error, notice } = {}) => html`
+  <h1>Domains</h1>
+  ${error ? html`<p class="error">${error}</p>` : ''}
+  ${notice ? html`<p class="success">${notice}</p>` : ''}
+  <form method="POST" action="/dashboard/domains" class="filter-form">
+    <input type="text" name="domain" placeholder="example.com" required>
+    <button type="submit">Add domain</button>
+  </form>
+  <table>
+    <tr>
+      <th>Domain</th>
+      <th>Status</th>
+      <th>Expected Policy</th>
+      <th>Published Policy</th>
+      <th>Owner</th>
+      <th></th>
+    </tr>
+    ${registered.map(row => {
+      const published = policies.get(row.domain)?.policy_p;
+      const mismatch = row.expected_policy && published && row.expected_policy !== published;
+
+      return html`
+        <tr>
+          <td>${row.display_name ? `${row.display_name} (${row.domain})` : row.domain}</td>
+          <td>
+            ${domainStatusLabels[domainStatus(row)]}
+            ${row.verified_at ? '' : html`<br>Add a TXT record on ${row.domain}: <code>${verificationRecord(row)}</code>`}
+          </td>
+          <td>${row.expected_policy || 'Not set'}</td>
+          <td class="${mismatch ? 'error' : ''}">${published || 'No reports yet'}${mismatch ? ' ✗ differs from expected' : ''}</td>
+          <td>${row.owner_contact || ''}</td>
+          <td>
+            ${row.verified_at ? '' : html`
+              <form method="POST" action="/dashboard/domains/${row.domain}/verify">
+                <button type="submit">Verify</button>
+              </form>
+            `}
+            <a href="/dashboard/domains/${row.domain}">Settings</a>
+            <form method="POST" action="/dashboard/domains/${row.domain}/delete">
+              <button type="submit">Remove</button>
+            </form>
+          </td>
+        </tr>
+      `;
+    })}
+  </table>
+  ${unregistered.length ? html`
+    <h2>Unregistered domains in reports</h2>
+    <p>Reports name these domains in their From header, but they are not registered to this account.</p>
+    <table>
+      ${unregistered.map(domain => html`
+        <tr>
+          <td>${domain}</td>
+          <td>
+            <form method="POST" action="/dashboard/domains">
+              <input type="hidden" name="domain" value="${domain}">
+              <button type="submit">Add domain</button>
+            </form>
+          </td>
+        </tr>
+      `)}
+    </table>
+  ` : ''}
+`;
+
+const renderDomainsPage = async (c, messages, status = 200) => {
+  const customerId = c.get('customerId');
+  const [registered, policies] = await Promise.all([
+    listDomains(c.env, customerId),
+    getPublishedPolicies(c.env, customerId),
+  ]);
+  const names = new Set(registered.map((row) => row.domain));
+  const unregistered = (await customerDomains(c)).filter((domain) => !names.has(domain));
+
+  return c.html(layout(domainsPage(registered, unregistered, policies, messages), c), status);
+};
+
+// Endpoint: Domain registry and ownership verification
+app.get('/dashboard/domains', (c) => renderDomainsPage(c));
+
+app.post('/dashboard/domains', async (c) => {
+  const { domain } = await c.req.parseBody();
+  const error = await addDomain(c.env, c.get('customerId'), domain);
+
+  if (error) {
+    return renderDomainsPage(c, { error }, 400);
+  }
+  return c.redirect('/dashboard/domains');
+});
+
+app.post('/dashboard/domains/:domain/verify', async (c) => {
+  const domain = c.req.param('domain');
+  const { verified, error } = await verifyDomain(c.env, c.get('customerId'), domain, resolverFor(c.env));
+
+  if (!verified) {
+    return renderDomainsPage(c, { error }, 400);
+  }
+  return renderDomainsPage(c, { notice: `${domain} is verified` });
+});
+
+app.get('/dashboard/domains/:domain', async (c) => {
+  const row = await getDomain(c.env, c.get('customerId'), c.req.param('domain'));
+
+  if (!row) {
+    return c.text('Domain not found', 404);
+  }
+
+  const content = html`
+    <h1>${row.domain}</h1>
+    <form method="POST" action="/dashboard/domains/${row.domain}">
+      <p><label>Display name <input type="text" name="displayName" value="${row.display_name || ''}"></label></p>
+      <p>
+        <label>Expected policy
+          <select name="expectedPolicy">
+            <option value="">Not set</option>
+            ${['none', 'quarantine', 'reject'].map(policy => html`
+              <option value="${policy}" ${row.expected_policy === policy ? 'selected' : ''}>${policy}</option>
+            `)}
+          </select>
+        </label>
+      </p>
+      <p><label>Owner contact <input type="email" name="ownerContact" value="${row.owner_contact || ''}"></label></p>
+      <button type="submit">Save</button>
+    </form>
+  `;
+
+  return c.html(layout(content, c));
+});
+
+app.post('/dashboard/domains/:domain', async (c) => {
+  const customerId = c.get('customerId');
+  const domain = c.req.param('domain');
+
+  if (!(await getDomain(c.env, customerId, domain))) {
+    return c.text('Domain not found', 404);
+  }
+
+  const error = await updateDomainSettings(c.env, customerId, domain, await c.req.parseBody());
+  if (error) {
+    return c.text(error, 400);
+  }
+  return c.redirect('/dashboard/domains');
+});
+
+app.post('/dashboard/domains/:domain/delete', async (c) => {
+  await removeDomain(c.env, c.get('customerId'), c.req.param('domain'));
+  return c.redirect('/dashboard/domains');
+});
+
+const digestPage = (settings, domains, { error, notice } = {}) => html`
+  <h1>Digest</h1>
+  ${error ? html`<p class="error">${error}</p>` : ''}
+  ${notice ? html`<p class="success">${notice}</p>` : ''}
+  <p>
+    Weekly digests are sent on Mondays for the previous seven days, monthly digests on the 1st for the previous month.
+    <a href="/dashboard/digest/preview">Preview</a>
+  </p>
+  <form method="POST" action="/dashboard/digest">
+    <p>
+      <label>Frequency
+        <select name="frequency">
+          <option value="${DigestFrequency.off}" ${settings.frequency === DigestFrequency.off ? 'selected' : ''}>Off</option>
+          <option value="${DigestFrequency.weekly}" ${settings.frequency === DigestFrequency.weekly ? 'selected' : ''}>Weekly</option>
+          <option value="${DigestFrequency.monthly}" ${settings.frequency === DigestFrequency.monthly ? 'selected' : ''}>Monthly</option>
+        </select>
+      </label>
+    </p>
+    <p>
+      <label>Recipients (one per line)<br>
+        <textarea name="recipients" rows="4" cols="40">${settings.recipients.join('\n')}</textarea>
+      </label>
+    </p>
+    <p>Domains (none selected includes every domain):</p>
+    ${domains.map(domain => html`
+      <label>
+        <input type="checkbox" name="domains" value="${domain}" ${settings.domains.includes(domain) ? 'checked' : ''}>
+        ${domain}
+      </label><br>
+    `)}
+    <button type="submit">Save</button>
+  </form>
+  <form method="POST" action="/dashboard/digest/send">
+    <button type="submit">Send now</button>
+  </form>
+  ${settings.last_sent_at ? html`<p>Last sent ${new Date(settings.last_sent_at).toLocaleString()}</p>` : ''}
+`;
+
+// Endpoint: Digest email settings
+app.get('/dashboard/digest', async (c) => {
+  const settings = await getDigestSettings(c.env, c.get('customerId'));
+  return c.html(layout(digestPage(settings, await customerDomains(c)), c));
+});
+
+app.post('/dashboard/digest', async (c) => {
+  const customerId = c.get('customerId');
+  const input = await c.req.parseBody({ all: true });
+  const error = await saveDigestSettings(c.env, customerId, input);
+
+  if (error) {
+    return c.html(layout(digestPage(await getDigestSettings(c.env, customerId), await customerDomains(c), { error }), c), 400);
+  }
+  return c.redirect('/dashboard/digest');
+});
+
+app.get('/dashboard/digest/preview', async (c) => {
+  const digest = await buildDigest(c.env, await getDigestSettings(c.env, c.get('customerId')));
+  return c.html(renderDigestHtml(digest));
+});
+
+app.post('/dashboard/digest/send', async (c) => {
+  const settings = await getDigestSettings(c.env, c.get('customerId'));
+
+  if (!settings.recipients.length) {
+    return c.html(layout(digestPage(settings, await customerDomains(c), { error: 'Add at least one recipient' }), c), 400);
+  }
+  await sendDigest(c.env, settings);
+  return c.html(layout(digestPage(settings, await customerDomains(c), { notice: `Digest sent to ${settings.recipients.join(', ')}` }), c));
+});
+
+const retentionPage = (settings, archive, { error } = {}) => html`
+  <h1>Data Retention</h1>
+  ${error ? html`<p class="error">${error}</p>` : ''}
+  <p>
+    Aggregate records are deleted once their report period ended longer ago than the retention period,
+    and forensic samples once they arrived longer ago. The purge runs hourly, working through large
+    backlogs over several runs.
+  </p>
+  <form method="POST" action="/dashboard/retention">
+    <p>
+      <label>Keep data for
+        <select name="retention_days">
+          <option value="" ${settings.retention_days === null ? 'selected' : ''}>Forever</option>
+          ${RETENTION_OPTIONS.map(days => html`
+            <option value="${days}" ${settings.retention_days === days ? 'selected' : ''}>${days} days</option>
+          `)}
+        </select>
+      </label>
+    </p>
+    <p>
+      <label>
+        <input type="checkbox" name="archive" value="1" ${settings.archive ? 'checked' : ''} ${archive ? '' : 'disabled'}>
+        Archive aggregate records before deleting them
+      </label>
+      ${archive ? '' : html`<br><small>No archive bucket is configured for this deployment.</small>`}
+    </p>
+    <button type="submit">Save</button>
+  </form>
+  ${settings.last_purged_at ? html`
+    <p>
+      Last purge ${new Date(settings.last_purged_at).toLocaleString()}: ${settings.last_purged_records} records deleted
+      ${settings.purge_pending ? html`<br><small>More expired records are left; the next run continues with them.</small>` : ''}
+    </p>
+  ` : ''}
+`;
+
+// Endpoint: How long report data is kept
+app.get('/dashboard/retention', async (c) => {
+  const settings = await getRetentionSettings(c.env, c.get('customerId'));
+  return c.html(layout(retentionPage(settings, archiveAvailable(c.env)), c));
+});
+
+app.post('/dashboard/retention', async (c) => {
+  const customerId = c.get('customerId');
+  const error = await saveRetentionSettings(c.env, customerId, await c.req.parseBody());
+
+  if (error) {
+    return c.html(layout(retentionPage(await getRetentionSettings(c.env, customerId), archiveAvailable(c.env), { error }), c), 400);
+  }
+  return c.redirect('/dashboard/retention');
+});
+
+const issueLabels = {
+  [IssueLevel.error]: '✗',
+  [IssueLevel.warning]: '⚠️',
+  [IssueLevel.info]: 'ℹ️',
+};
+
+const dnsCheckSection = (title, check) => html`
+  <h2>${title}</h2>
+  <p><code>${check.name}</code></p>
+  ${check.records.length
+    ? check.records.map(record => html`<p><code>${record}</code></p>`)
+    : html`<p>No record published.</p>`}
+  ${check.lookups !== undefined ? html`<p>DNS lookups: ${check.lookups} of 10</p>` : ''}
+  <ul>
+    ${check.issues.map(item => html`<li class="${item.level === IssueLevel.error ? 'error' : ''}">${issueLabels[item.level]} ${item.message}</li>`)}
+    ${check.records.length && !check.issues.length ? html`<li class="success">✓ No problems found</li>` : ''}
+  </ul>
+`;
+
+const wizardSelect = (name, options, selected) => html`
+  <select name="${name}">
+    ${Object.entries(options).map(([value, label]) => html`
+      <option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>
+    `)}
+  </select>
+`;
+
+const POLICY_OPTIONS = { none: 'none (monitor only)', quarantine: 'quarantine', reject: 'reject' };
+const ALIGNMENT_OPTIONS = { r: 'relaxed', s: 'strict' };
+
+// Endpoint: DNS record checker and DMARC policy wizard for one of the customer's domains
+app.get('/dashboard/config', async (c) => {
+  const customerId = c.get('customerId');
+  const domains = await customerDomains(c);
+  const domain = (c.req.query('domain') || c.get('filters').domain || domains[0] || '').trim().toLowerCase();
+  const selectorsQuery = c.req.query('selectors');
+  const selectors = selectorsQuery
+    ? selectorsQuery.split(/[\s,]+/).filter(Boolean).slice(0, 10)
+    : DEFAULT_DKIM_SELECTORS;
+
+  const picker = html`
+    <h1>DNS Setup</h1>
+    <form method="GET" class="filter-form">
+      <input type="text" name="domain" value="${domain}" placeholder="example.com" list="config-domains" required>
+      <datalist id="config-domains">
+        ${domains.map(option => html`<option value="${option}">`)}
+      </datalist>
+      <input type="text" name="selectors" value="${selectors.join(', ')}" placeholder="DKIM selectors">
+      <button type="submit">Check</button>
+    </form>
+  `;
+
+  if (!domain) {
+    return c.html(layout(html`${picker}<p>Enter a domain to check its DNS records.</p>`, c));
+  }
+  if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain)) {
+    return c.html(layout(html`${picker}<p class="error">${domain} is not a valid domain name</p>`, c), 400);
+  }
+
+  const check = await checkDomain(resolverFor(c.env), domain, { customerId, selectors });
+  const options = wizardOptions(c.req.query(), check.dmarc.tags);
+  const foundDkim = check.dkim.filter(result => result.records.length);
+
+  const content = html`
+    ${picker}
+    ${dnsCheckSection('DMARC', check.dmarc)}
+    ${dnsCheckSection('SPF', check.spf)}
+    <h2>DKIM</h2>
+    ${foundDkim.length
+      ? foundDkim.map(result => dnsCheckSection(`Selector ${result.selector}`, result))
+      : html`<p>No DKIM keys found for the selectors ${selectors.join(', ')}.</p>`}
+    <h2>Recommended DMARC record</h2>
+    <form method="GET" class="filter-form">
+      <input type="hidden" name="domain" value="${domain}">
+      <input type="hidden" name="selectors" value="${selectors.join(', ')}">
+      <label>Policy ${wizardSelect('p', POLICY_OPTIONS, options.p)}</label>
+      <label>Subdomain policy ${wizardSelect('sp', { '': 'same as policy', ...POLICY_OPTIONS }, options.sp)}</label>
+      <label>DKIM alignment ${wizardSelect('adkim', ALIGNMENT_OPTIONS, options.adkim)}</label>
+      <label>SPF alignment ${wizardSelect('aspf', ALIGNMENT_OPTIONS, options.aspf)}</label>
+      <label>Percentage <input type="number" name="pct" min="0" max="100" value="${options.pct}"></label>
+      <label>Failure reports ${wizardSelect('ruf', { '': 'off', 1: 'on' }, options.ruf)}</label>
+      <button type="submit">Generate</button>
+    </form>
+    <p>Publish this TXT record at <code>_dmarc.${domain}</code>:</p>
+    <p><code>${generateDmarcRecord(customerId, options)}</code></p>
+  `;
+
+  return c.html(layout(content, c));
+});
+
+// Standalone page for the logged out forms
+const authPage = (content) => html`
+  <!DOCTYPE html>
+  <html>
+    <head>
+      <title>DMARC Analytics Dashboard</title>
+      <link rel="stylesheet" type="text/css" href="https://utfs.io/f/tU8vX4DFrVItrPVq01O3zjgmsyVWNbB0HhXDRkYxZeiOq4nI">
+    </head>
+    <body>
+      <main class="container">
+        ${content}
+      </main>
+    </body>
+  </html>
+`;
+
+// Records a session for a user, signs its token and sets it as the jwt cookie
+const startSession = async (c, { customerId, email, role }) => {
+  const { id, expiresAt } = await createSession(c.env, accountId({ customerId, email }), {
+    userAgent: c.req.header('User-Agent'),
+    ip: c.req.header('CF-Connecting-IP'),
+  });
+  const token = await sign(
+    { customerId, email, role, jti: id, iat: Math.floor(Date.now() / 1000), exp: Math.floor(expiresAt / 1000) },
+    c.env.JWT_SECRET_KEY
+  );
+
+  setCookie(c, 'jwt', token, {
+    httpOnly: true,
+    maxAge: SESSION_SECONDS,
+  });
+};
+
+app.get('/login', (c) => {
+  return c.html(authPage(html`
+    <form method="POST" action="/login" class="login-form">
+      <label>
+        Email:
+        <input name="email" type="text" placeholder="Enter your email (or customer ID for older accounts)" />
+      </label>
+      <label>
+        Password:
+        <input type="password" name="password" placeholder="Enter your password" />
+      </label>
+      <button type="submit">Login</button>
+      <a href="/register">Want to register?</a>
+      <a href="/forgot-password">Forgot your password?</a>
+    </form>
+  `));
+});
+
+app.get('/register', (c) => {
+  return c.html(authPage(html`
+    <form method="POST" action="/register" class="login-form">
+      <label>
+        Customer ID:
+        <input name="customerId" type="text" placeholder="Enter prefered customer ID" />
+      </label>
+      <label>
+        Email:
+        <input name="email" type="email" placeholder="Enter your email" />
+      </label>
+      <label>
+        Password:
+        <input type="password" name="password" placeholder="Enter your password" />
+      </label>
+      <button type="submit">Register</button>
+      <a href="/login">Want to login?</a>
+    </form>
+  `));
+});
+
+// Registering creates the organisation with its first user as the owner
+app.post('/register', async (c) => {
+  const { customerId, email, password } = await c.req.parseBody();
+  const { user, error, status } = await createOrganisation(c.env, customerId, { email, password });
+
+  if (error) {
+    return c.text(error, status)
+  }
+
+  await startSession(c, user);
+  return c.redirect(`/dashboard/config`);
+});
+
+const lockedOut = (c, seconds) =>
+  c.text(`Too many failed logins, try again in ${Math.ceil(seconds / 60)} minutes`, 429, { 'Retry-After': String(seconds) });
+
+// Failed passwords and second factors count towards a lockout of the login name
+app.post('/login', async (c) => {
+  const { email, password } = await c.req.parseBody();
+  const login = (email || '').trim();
+  const remaining = login ? await lockoutRemaining(c.env, login) : 0;
+
+  if (remaining) {
+    return lockedOut(c, remaining);
+  }
+
+  const session = await authenticate(c.env, login, password);
+
+  if (!session) {
+    if (login && await recordLoginFailure(c.env, login)) {
+      return lockedOut(c, await lockoutRemaining(c.env, login));
+    }
+    return c.text('Invalid credentials', 401);
+  }
+
+  if (isTwoFactorEnabled(await getTwoFactor(c.env, accountId(session)))) {
+    const challenge = await createLoginChallenge(c.env, login, session);
+    setCookie(c, 'login_challenge', challenge, { httpOnly: true, path: '/login', maxAge: 5 * 60 });
+    return c.redirect('/login/2fa');
+  }
+
+  await clearLoginFailures(c.env, login);
+  await startSession(c, session);
+  return c.redirect(`/dashboard/`);
+});
+
+app.get('/login/2fa', async (c) => {
+  if (!(await getLoginChallenge(c.env, getCookie(c, 'login_challenge')))) {
+    return c.redirect('/login');
+  }
+
+  return c.html(authPage(html`
+    <form method="POST" action="/login/2fa" class="login-form">
+      <label>
+        Authentication code:
+        <input name="code" type="text" inputmode="numeric" autocomplete="one-time-code" placeholder="Code from your authenticator app or a recovery code" />
+      </label>
+      <button type="submit">Verify</button>
+      <a href="/login">Start over</a>
+    </form>
+  `));
+});
+
+app.post('/login/2fa', async (c) => {
+  const token = getCookie(c, 'login_challenge');
+  const challenge = await getLoginChallenge(c.env, token);
+
+  if (!challenge) {
+    return c.redirect('/login');
+  }
+
+  const remaining = await lockoutRemaining(c.env, challenge.login);
+  if (remaining) {
+    await deleteLoginChallenge(c.env, token);
+    return lockedOut(c, remaining);
+  }
+
+  const { code } = await c.req.parseBody();
+  if (!(await verifySecondFactor(c.env, accountId(challenge.session), code))) {
+    if (await recordLoginFailure(c.env, challenge.login)) {
+      await deleteLoginChallenge(c.env, token);
+      return lockedOut(c, await lockoutRemaining(c.env, challenge.login));
+    }
+    return c.text('Invalid authentication code', 401);
+  }
+
+  await deleteLoginChallenge(c.env, token);
+  deleteCookie(c, 'login_challenge', { path: '/login' });
+  await clearLoginFailures(c.env, challenge.login);
+  await startSession(c, challenge.session);
+  return c.redirect('/dashboard/');
+});
+
+// Invite links: the invited person picks a password and joins the organisation
+app.get('/invite/:token', async (c) => {
+  const invite = await getInvite(c.env, c.req.param('token'));
+
+  if (!invite) {
+    return c.html(authPage(html`<p class="error">This invite is invalid or has expired.</p>`), 404);
+  }
+
+  return c.html(authPage(html`
+    <form method="POST" action="/invite/${c.req.param('token')}" class="login-form">
+      <p>Join ${invite.customerId} as ${ROLE_LABELS[invite.role]} with ${invite.email}.</p>
+      <label>
+        Password:
+        <input type="password" name="password" placeholder="Choose a password" />
+      </label>
+      <button type="submit">Join</button>
+    </form>
+  `));
+});
+
+app.post('/invite/:token', async (c) => {
+  const { password } = await c.req.parseBody();
+  const { user, error } = await acceptInvite(c.env, c.req.param('token'), password);
+
+  if (error) {
+    return c.text(error, 400);
+  }
+
+  await startSession(c, user);
+  return c.redirect('/dashboard/');
+});
+
+// Password resets are mailed as one-hour links. The response never reveals whether the email has
+// an account.
+app.get('/forgot-password', (c) => {
+  return c.html(authPage(html`
+    <form method="POST" action="/forgot-password" class="login-form">
+      <label>
+        Email:
+        <input name="email" type="email" placeholder="Enter the email you log in with" />
+      </label>
+      <button type="submit">Send reset link</button>
+      <a href="/login">Back to login</a>
+    </form>
+  `));
+});
+
+app.post('/forgot-password', async (c) => {
+  const { email } = await c.req.parseBody();
+  const token = await createPasswordReset(c.env, email);
+
+  if (token) {
+    try {
+      await sendMail(c.env, {
+        to: normalizeEmail(email),
+        subject: 'Reset your DMARC Analytics password',
+        text: `Someone asked to reset the password for this account. If it was you, choose a new password within an hour:\n${new URL(c.req.url).origin}/reset-password/${token}\n\nOtherwise you can ignore this mail.\n`,
+      });
+    } catch (mailError) {
+      console.error('Sending the password reset mail failed:', mailError);
+    }
+  }
+
+  return c.html(authPage(html`
+    <p class="success">If an account uses that email, a reset link is on its way. It is valid for one hour.</p>
+    <a href="/login">Back to login</a>
+  `));
+});
+
+app.get('/reset-password/:token', async (c) => {
+  const reset = await getPasswordReset(c.env, c.req.param('token'));
+
+  if (!reset) {
+    return c.html(authPage(html`<p class="error">This reset link is invalid or has expired.</p>`), 404);
+  }
+
+  return c.html(authPage(html`
+    <form method="POST" action="/reset-password/${c.req.param('token')}" class="login-form">
+      <p>Choose a new password for ${reset.email}.</p>
+      <label>
+        New password:
+        <input type="password" name="password" placeholder="Enter a new password" />
+      </label>
+      <label>
+        Confirm password:
+        <input type="password" name="confirm" placeholder="Enter it again" />
+      </label>
+      <button type="submit">Set password</button>
+    </form>
+  `));
+});
+
+app.post('/reset-password/:token', async (c) => {
+  const { password, confirm } = await c.req.parseBody();
+
+  if (password !== confirm) {
+    return c.text('The passwords do not match', 400);
+  }
+  const { email, error } = await resetPassword(c.env, c.req.param('token'), password);
+  if (error) {
+    return c.text(error, 400);
+  }
+
+  await clearLoginFailures(c.env, email);
+  return c.redirect('/login');
+});
+
+app.get('/logout', async (c) => {
+  const tokenToBlock = getCookie(c, 'jwt')
 
   if (!tokenToBlock) {
     console.log(('Token Required', 401))
@@ -624,6 +2592,9 @@ app.get('/logout', async (c) => {
   await c.env.JWT_BLOCKLIST.put(tokenToBlock, 1, {
     expiration: decodedPayload.exp,
   })
+  if (decodedPayload.jti) {
+    await revokeSession(c.env, accountId(decodedPayload), decodedPayload.jti);
+  }
   deleteCookie(c, 'jwt');
   
   return c.redirect('/login');
@@ -827,4 +2798,6 @@ app.get('/', (c) => {
 
 export default {
   fetch: app.fetch,
+  email: handleEmail,
+  scheduled: handleScheduled,
 };
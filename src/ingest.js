@@ -0,0 +1,171 @@
+import PostalMime from 'postal-mime';
+import { extractReportFiles } from './attachments';
+import { parseAggregateReport, toReportRows } from './report-parser';
+import { enrichIps } from './enrichment';
+import { organisationExists } from './organisations';
+import { parseForensicReport, storeForensicReport } from './forensic';
+import { refreshRollups, rollupDay } from './rollups';
+import { resolveSenderNames } from './senders';
+
+// Reports are addressed to <customerId>@REPORT_DOMAIN
+export const REPORT_DOMAIN = 'huzzand.buzz';
+
+// D1 caps the work a single batch can do, so large reports are written in chunks
+const INSERT_BATCH_SIZE = 100;
+
+const REPORT_COLUMNS = [
+  'customer_id',
+  'report_id',
+  'org_name',
+  'org_email',
+  'org_extra_contact_info',
+  'date_range_begin',
+  'date_range_end',
+  'header_from',
+  'source_ip',
+  'count',
+  'dkim_result',
+  'spf_result',
+  'disposition',
+  'policy_override_type',
+  'error',
+  'dkim_domain',
+  'dkim_auth_result',
+  'dkim_aligned',
+  'spf_domain',
+  'spf_auth_result',
+  'spf_aligned',
+  'policy_p',
+  'policy_sp',
+  'policy_pct',
+];
+
+// Inserts every record of a parsed report for the customer, unless the reporting org already sent it
+export async function storeReport(env, customerId, report) {
+  const { report_id: reportId, org_name: orgName } = report.report_metadata;
+  const rows = toReportRows(customerId, report);
+
+  // Claiming the report in report_imports first means concurrent deliveries of it can't both insert
+  const claim = await env.DB.prepare(`
+    INSERT INTO report_imports (customer_id, org_name, report_id, records)
+    VALUES (?1, ?2, ?3, ?4)
+    ON CONFLICT DO NOTHING
+  `).bind(customerId, orgName ?? '', reportId, rows.length).run();
+
+  if (!claim.meta.changes) {
+    return { imported: false, records: 0 };
+  }
+
+  const insert = env.DB.prepare(`
+    INSERT INTO dmarc_reports (${REPORT_COLUMNS.join(', ')})
+    VALUES (${REPORT_COLUMNS.map((_, index) => `?${index + 1}`).join(', ')})
+  `);
+
+  try {
+    for (let offset = 0; offset < rows.length; offset += INSERT_BATCH_SIZE) {
+      const chunk = rows.slice(offset, offset + INSERT_BATCH_SIZE);
+      await env.DB.batch(chunk.map((row) => insert.bind(...REPORT_COLUMNS.map((column) => row[column]))));
+    }
+  } catch (error) {
+    // Takes back the records already written and the claim, so a redelivery can import the report
+    await env.DB.batch([
+      env.DB.prepare('DELETE FROM dmarc_reports WHERE customer_id = ?1 AND report_id = ?2 AND org_name IS ?3').bind(customerId, reportId, orgName),
+      env.DB.prepare('DELETE FROM report_imports WHERE customer_id = ?1 AND report_id = ?2 AND org_name = ?3').bind(customerId, reportId, orgName ?? ''),
+    ]);
+    throw error;
+  }
+  await refreshRollups(env, customerId, rows.map((row) => rollupDay(row.date_range_begin)));
+
+  // Warm the enrichment and reverse DNS caches, so the dashboard never resolves senders itself
+  try {
+    await enrichIps(env, rows.map((row) => row.source_ip));
+  } catch (error) {
+    console.error('Could not enrich source IPs:', error);
+  }
+  try {
+    await resolveSenderNames(env, rows.map((row) => row.source_ip));
+  } catch (error) {
+    console.error('Could not resolve sender names:', error);
+  }
+
+  return { imported: true, records: rows.length };
+}
+
+// Unpacks, parses and stores every report in one file, summarising what happened to each of them
+export async function importReportFile(env, customerId, filename, content) {
+  const summary = { file: filename, imported: 0, skipped: 0, rejected: 0, records: 0, errors: [] };
+
+  let files;
+  try {
+    files = extractReportFiles(filename, content);
+  } catch (error) {
+    summary.rejected++;
+    summary.errors.push(`Could not unpack file: ${error.message}`);
+    return summary;
+  }
+
+  if (!files.length) {
+    summary.rejected++;
+    summary.errors.push('No XML report found');
+    return summary;
+  }
+
+  for (const file of files) {
+    try {
+      const result = await storeReport(env, customerId, parseAggregateReport(file.xml));
+      summary[result.imported ? 'imported' : 'skipped']++;
+      summary.records += result.records;
+    } catch (error) {
+      summary.rejected++;
+      summary.errors.push(`${file.name}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+// Resolves the customer a report mail is addressed to, or null if it isn't one of ours
+export function customerIdFromAddress(address) {
+  const at = (address || '').lastIndexOf('@');
+  if (at <= 0) {
+    return null;
+  }
+
+  const domain = address.slice(at + 1).toLowerCase();
+  if (domain !== REPORT_DOMAIN) {
+    return null;
+  }
+
+  return address.slice(0, at);
+}
+
+// Email Workers handler: ingests a forensic failure report, or the aggregate reports attached to a mail
+export async function handleEmail(message, env, ctx) {
+  const customerId = customerIdFromAddress(message.to);
+
+  if (!(await organisationExists(env, customerId))) {
+    console.log('Rejected report mail for unknown recipient:', message.to);
+    message.setReject('Unknown recipient');
+    return;
+  }
+
+  const email = await PostalMime.parse(message.raw);
+  const forensic = await parseForensicReport(email);
+
+  if (forensic) {
+    const id = await storeForensicReport(env, customerId, message.from, forensic);
+    console.log(`Forensic report ${id} for ${customerId} from ${message.from}: ${forensic.auth_failure || 'unspecified'} failure`);
+    return;
+  }
+
+  for (const attachment of email.attachments) {
+    const summary = await importReportFile(env, customerId, attachment.filename, attachment.content);
+
+    if (summary.errors.length) {
+      console.error(`Could not ingest ${attachment.filename} from ${message.from}:`, summary.errors);
+    }
+    console.log(
+      `Report mail for ${customerId} from ${message.from}: ${summary.imported} imported, ${summary.skipped} skipped, ${summary.records} records`
+    );
+  }
+}
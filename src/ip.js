@@ -0,0 +1,100 @@
+// IP addresses are compared as 32 character hex strings: IPv6 as-is and IPv4 as
+// IPv4-mapped IPv6 (::ffff:a.b.c.d). Equal widths make string order match numeric order,
+// which lets D1 range lookups use a plain index.
+
+const IPV4_MAPPED_PREFIX = '00000000000000000000ffff';
+
+function ipv4ToHex(ip) {
+  const octets = ip.split('.');
+  if (octets.length !== 4) {
+    return null;
+  }
+
+  let hex = '';
+  for (const octet of octets) {
+    if (!/^\d{1,3}$/.test(octet) || Number(octet) > 255) {
+      return null;
+    }
+    hex += Number(octet).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+function ipv6ToHex(ip) {
+  let address = ip.toLowerCase().split('%')[0];
+
+  // Trailing dotted quad, e.g. ::ffff:192.0.2.1
+  const dotted = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const v4 = ipv4ToHex(dotted[2]);
+    if (!v4) {
+      return null;
+    }
+    address = `${dotted[1]}${v4.slice(0, 4)}:${v4.slice(4)}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+
+  if ((halves.length === 1 && missing !== 0) || missing < 0) {
+    return null;
+  }
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (groups.some((group) => !/^[0-9a-f]{1,4}$/.test(group))) {
+    return null;
+  }
+  return groups.map((group) => group.padStart(4, '0')).join('');
+}
+
+// Normalised sortable form of an IPv4 or IPv6 address, or null if it isn't one
+export function ipToHex(ip) {
+  const address = (ip || '').trim();
+  if (!address) {
+    return null;
+  }
+  if (address.includes(':')) {
+    return ipv6ToHex(address);
+  }
+
+  const v4 = ipv4ToHex(address);
+  return v4 ? IPV4_MAPPED_PREFIX + v4 : null;
+}
+
+// First and last address of a CIDR block (or a single address) in hex form, or null if invalid
+export function cidrToRange(cidr) {
+  const [address, prefix, ...rest] = (cidr || '').trim().split('/');
+  const hex = ipToHex(address);
+  // An empty prefix ('192.0.2.1/') is a typo, not /0
+  if (!hex || rest.length || (prefix !== undefined && !/^\d{1,3}$/.test(prefix))) {
+    return null;
+  }
+
+  const isV4 = !address.includes(':');
+  const maxBits = isV4 ? 32 : 128;
+  const bits = prefix === undefined ? maxBits : Number(prefix);
+
+  if (bits > maxBits) {
+    return null;
+  }
+
+  const value = BigInt(`0x${hex}`);
+  const hostBits = BigInt(maxBits - bits);
+  const mask = (1n << hostBits) - 1n;
+  const toHex = (number) => number.toString(16).padStart(32, '0');
+
+  return { start: toHex(value & ~mask), end: toHex(value | mask) };
+}
+
+// Whether an address falls inside a CIDR block
+export function cidrContains(cidr, ip) {
+  const range = cidrToRange(cidr);
+  const hex = ipToHex(ip);
+  return Boolean(range && hex && hex >= range.start && hex <= range.end);
+}
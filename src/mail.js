@@ -0,0 +1,49 @@
+import { REPORT_DOMAIN } from './ingest';
+
+// Outgoing mail goes through a transport picked by MAIL_TRANSPORT:
+//   http - POSTs { from, to, subject, text, html } as JSON to MAIL_API_URL with MAIL_API_KEY as
+//          a Bearer token, which is the shape Resend and most relay APIs accept
+//   log  - only logs the message, the default so nothing is sent by accident
+// Tests and callers with special needs can pass their own transport object instead.
+
+export const MailTransport = {
+  http: 'http',
+  log: 'log',
+};
+
+const httpTransport = (env) => ({
+  async send(message) {
+    const response = await fetch(env.MAIL_API_URL, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        authorization: `Bearer ${env.MAIL_API_KEY}`,
+      },
+      body: JSON.stringify(message),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail API error! status: ${response.status}`);
+    }
+  },
+});
+
+const logTransport = () => ({
+  async send(message) {
+    console.log(`Mail to ${[message.to].flat().join(', ')}: ${message.subject}`);
+  },
+});
+
+export function createMailTransport(env) {
+  switch (env.MAIL_TRANSPORT) {
+    case MailTransport.http:
+      return httpTransport(env);
+    default:
+      return logTransport();
+  }
+}
+
+// Sends a message, filling in the configured sender address
+export async function sendMail(env, message, transport = createMailTransport(env)) {
+  await transport.send({ from: env.MAIL_FROM || `DMARC Analytics <noreply@${REPORT_DOMAIN}>`, ...message });
+}
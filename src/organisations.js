@@ -0,0 +1,380 @@
+import bcrypt from 'bcryptjs';
+import { deleteApiKeys } from './api-keys';
+import { deleteArchives, purgeRecords } from './retention';
+import { revokeOtherSessions, SESSION_SECONDS } from './sessions';
+import { disableTwoFactor } from './two-factor';
+
+// Organisations and their users live in HUZZANDBUZZ_ACCOUNTS next to the API keys:
+//   org:<customerId>      -> the organisation; its customer ID scopes all report data
+//   user:<email>          -> a user's login, organisation and role
+//   members:<customerId>  -> every member's email, for the members page
+//   invite:<sha256>       -> a pending invite, expiring on its own
+//   invites:<customerId>  -> pending invites, for the members page
+//   password-reset:<sha256> -> a pending password reset, expiring on its own
+// Accounts created before organisations are a bare <customerId> -> bcrypt hash and still log in
+// with the customer ID, as the owner.
+
+export const Role = {
+  owner: 'owner',
+  admin: 'admin',
+  analyst: 'analyst',
+  readOnly: 'read-only',
+};
+
+export const ROLE_LABELS = {
+  [Role.owner]: 'Owner',
+  [Role.admin]: 'Admin',
+  [Role.analyst]: 'Analyst',
+  [Role.readOnly]: 'Read-only',
+};
+
+const ROLE_RANK = [Role.readOnly, Role.analyst, Role.admin, Role.owner];
+
+export const hasRole = (role, minimum) => ROLE_RANK.indexOf(role) >= ROLE_RANK.indexOf(minimum);
+
+const SALT_ROUNDS = 10;
+const INVITE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const RESET_TTL_SECONDS = 60 * 60;
+
+// Report data of a customer, purged when its organisation is deleted. The tables that grow with
+// report volume are deleted a batch at a time, like the retention purge, so no statement is unbounded.
+const LARGE_CUSTOMER_TABLES = ['daily_rollups', 'report_imports', 'forensic_reports', 'alert_events'];
+const DELETE_BATCH_SIZE = 500;
+const CUSTOMER_TABLES = [
+  'rollup_checks',
+  'forensic_settings',
+  'retention_settings',
+  'sender_authorizations',
+  'alert_rules',
+  'digest_settings',
+  'domains',
+];
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+const sha256 = async (value) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+
+const userKey = (email) => `user:${email}`;
+const membersKey = (customerId) => `members:${customerId}`;
+const invitesKey = (customerId) => `invites:${customerId}`;
+
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+export const isEmail = (email) => /^[^@\s:]+@[^@\s:]+\.[^@\s:]+$/.test(email);
+
+// Customer IDs double as the local part of the report address, and never contain ':'
+export const isCustomerId = (customerId) => /^[A-Za-z0-9._-]+$/.test(customerId || '');
+
+export async function organisationExists(env, customerId) {
+  if (!isCustomerId(customerId)) {
+    return false;
+  }
+  const [organisation, legacy] = await Promise.all([
+    env.HUZZANDBUZZ_ACCOUNTS.get(`org:${customerId}`),
+    env.HUZZANDBUZZ_ACCOUNTS.get(customerId),
+  ]);
+  return Boolean(organisation || legacy);
+}
+
+export async function getUser(env, email) {
+  return env.HUZZANDBUZZ_ACCOUNTS.get(userKey(normalizeEmail(email)), 'json');
+}
+
+// Members without their password hashes
+export async function listMembers(env, customerId) {
+  const emails = (await env.HUZZANDBUZZ_ACCOUNTS.get(membersKey(customerId), 'json')) ?? [];
+  const users = await Promise.all(emails.map((email) => getUser(env, email)));
+  return users.filter(Boolean).map(({ passwordHash, ...user }) => user);
+}
+
+async function addUser(env, customerId, email, password, role) {
+  const user = {
+    email,
+    passwordHash: bcrypt.hashSync(password, SALT_ROUNDS),
+    customerId,
+    role,
+    createdAt: Date.now(),
+  };
+
+  await env.HUZZANDBUZZ_ACCOUNTS.put(userKey(email), JSON.stringify(user));
+  const emails = (await env.HUZZANDBUZZ_ACCOUNTS.get(membersKey(customerId), 'json')) ?? [];
+  await env.HUZZANDBUZZ_ACCOUNTS.put(membersKey(customerId), JSON.stringify([...new Set([...emails, email])]));
+  return user;
+}
+
+// Creates an organisation with its first user as the owner; returns an error message on bad input
+export async function createOrganisation(env, customerId, { email, password }) {
+  const address = normalizeEmail(email);
+
+  if (!isCustomerId(customerId)) {
+    return { error: 'Customer ID may only contain letters, digits, ".", "_" and "-"', status: 400 };
+  }
+  if (!isEmail(address)) {
+    return { error: 'Enter a valid email address', status: 400 };
+  }
+  if (!password) {
+    return { error: 'Enter a password', status: 400 };
+  }
+  if (await organisationExists(env, customerId)) {
+    return { error: 'Customer ID already exist', status: 409 };
+  }
+  if (await getUser(env, address)) {
+    return { error: 'An account with this email already exists', status: 409 };
+  }
+
+  await env.HUZZANDBUZZ_ACCOUNTS.put(`org:${customerId}`, JSON.stringify({ customerId, createdAt: Date.now() }));
+  const user = await addUser(env, customerId, address, password, Role.owner);
+  return { user };
+}
+
+// Checks a login against a user, or against a pre-organisation account when given a customer ID
+export async function authenticate(env, login, password) {
+  if (!login || !password) {
+    return null;
+  }
+
+  if (login.includes('@')) {
+    const user = await getUser(env, login);
+    return user && bcrypt.compareSync(password, user.passwordHash)
+      ? { customerId: user.customerId, email: user.email, role: user.role }
+      : null;
+  }
+
+  if (!isCustomerId(login)) {
+    return null;
+  }
+  const legacyHash = await env.HUZZANDBUZZ_ACCOUNTS.get(login);
+  return legacyHash && bcrypt.compareSync(password, legacyHash)
+    ? { customerId: login, email: null, role: Role.owner }
+    : null;
+}
+
+// The current organisation and role for a session token's payload, or null if the user is gone.
+// Roles are read on every request so removals and role changes apply straight away.
+export async function resolveSession(env, payload) {
+  if (!payload.email) {
+    return { customerId: payload.customerId, email: null, role: Role.owner };
+  }
+
+  const user = await getUser(env, payload.email);
+  if (!user || user.customerId !== payload.customerId) {
+    return null;
+  }
+  return { customerId: user.customerId, email: user.email, role: user.role };
+}
+
+export async function listInvites(env, customerId, now = Date.now()) {
+  const invites = (await env.HUZZANDBUZZ_ACCOUNTS.get(invitesKey(customerId), 'json')) ?? [];
+  return invites.filter((invite) => invite.expiresAt > now);
+}
+
+// Creates an invite and returns its token in plain text; only the hash is stored
+export async function createInvite(env, customerId, { email, role, invitedBy }) {
+  const address = normalizeEmail(email);
+
+  if (!isEmail(address)) {
+    return { error: 'Enter a valid email address' };
+  }
+  if (!ROLE_RANK.includes(role)) {
+    return { error: 'Unknown role' };
+  }
+  if (await getUser(env, address)) {
+    return { error: 'An account with this email already exists' };
+  }
+
+  const token = toHex(crypto.getRandomValues(new Uint8Array(24)));
+  const hash = await sha256(token);
+  const invite = {
+    id: crypto.randomUUID(),
+    hash,
+    customerId,
+    email: address,
+    role,
+    invitedBy,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + INVITE_TTL_SECONDS * 1000,
+  };
+
+  await env.HUZZANDBUZZ_ACCOUNTS.put(`invite:${hash}`, JSON.stringify(invite), { expirationTtl: INVITE_TTL_SECONDS });
+  await env.HUZZANDBUZZ_ACCOUNTS.put(invitesKey(customerId), JSON.stringify([...(await listInvites(env, customerId)), invite]));
+  return { token, invite };
+}
+
+export async function getInvite(env, token) {
+  if (!token) {
+    return null;
+  }
+  const invite = await env.HUZZANDBUZZ_ACCOUNTS.get(`invite:${await sha256(token)}`, 'json');
+  return invite && invite.expiresAt > Date.now() ? invite : null;
+}
+
+async function deleteInvite(env, invite) {
+  await env.HUZZANDBUZZ_ACCOUNTS.delete(`invite:${invite.hash}`);
+  const invites = await listInvites(env, invite.customerId);
+  await env.HUZZANDBUZZ_ACCOUNTS.put(invitesKey(invite.customerId), JSON.stringify(invites.filter((item) => item.id !== invite.id)));
+}
+
+export async function revokeInvite(env, customerId, id) {
+  const invite = (await listInvites(env, customerId)).find((item) => item.id === id);
+  if (!invite) {
+    return false;
+  }
+  await deleteInvite(env, invite);
+  return true;
+}
+
+// Turns an invite into a user with the invited role
+export async function acceptInvite(env, token, password) {
+  const invite = await getInvite(env, token);
+
+  if (!invite) {
+    return { error: 'This invite is invalid or has expired' };
+  }
+  if (!password) {
+    return { error: 'Enter a password' };
+  }
+  if (await getUser(env, invite.email)) {
+    return { error: 'An account with this email already exists' };
+  }
+
+  const user = await addUser(env, invite.customerId, invite.email, password, invite.role);
+  await deleteInvite(env, invite);
+  return { user };
+}
+
+const ownerCount = (members) => members.filter((member) => member.role === Role.owner).length;
+
+// Changes a member's role, keeping at least one owner
+export async function setMemberRole(env, customerId, email, role) {
+  const user = await getUser(env, email);
+
+  if (!user || user.customerId !== customerId) {
+    return 'Member not found';
+  }
+  if (!ROLE_RANK.includes(role)) {
+    return 'Unknown role';
+  }
+  if (user.role === Role.owner && role !== Role.owner && ownerCount(await listMembers(env, customerId)) === 1) {
+    return 'The organisation needs at least one owner';
+  }
+
+  await env.HUZZANDBUZZ_ACCOUNTS.put(userKey(user.email), JSON.stringify({ ...user, role }));
+  return null;
+}
+
+// Drops a login along with its sessions and two-factor settings
+async function deleteLogin(env, account) {
+  await revokeOtherSessions(env, account);
+  await disableTwoFactor(env, account);
+}
+
+// Removes a member's login; their sessions stop working on the next request
+export async function removeMember(env, customerId, email) {
+  const user = await getUser(env, email);
+
+  if (!user || user.customerId !== customerId) {
+    return 'Member not found';
+  }
+  const members = await listMembers(env, customerId);
+  if (user.role === Role.owner && ownerCount(members) === 1) {
+    return 'The organisation needs at least one owner';
+  }
+
+  await env.HUZZANDBUZZ_ACCOUNTS.delete(userKey(user.email));
+  await env.HUZZANDBUZZ_ACCOUNTS.put(membersKey(customerId), JSON.stringify(members.map((member) => member.email).filter((address) => address !== user.email)));
+  await deleteLogin(env, user.email);
+  return null;
+}
+
+// Replaces the password of a user, or of a pre-organisation account given its customer ID
+export async function setPassword(env, account, password) {
+  if (!password) {
+    return 'Enter a password';
+  }
+
+  const passwordHash = bcrypt.hashSync(password, SALT_ROUNDS);
+  if (!account.includes('@')) {
+    await env.HUZZANDBUZZ_ACCOUNTS.put(account, passwordHash);
+    return null;
+  }
+
+  const user = await getUser(env, account);
+  if (!user) {
+    return 'Account not found';
+  }
+  await env.HUZZANDBUZZ_ACCOUNTS.put(userKey(user.email), JSON.stringify({ ...user, passwordHash }));
+  return null;
+}
+
+// Creates a password reset for a user and returns its token in plain text, or null for unknown
+// emails. Accounts from before organisations have no email to send it to.
+export async function createPasswordReset(env, email) {
+  const user = await getUser(env, email);
+  if (!user) {
+    return null;
+  }
+
+  const token = toHex(crypto.getRandomValues(new Uint8Array(24)));
+  await env.HUZZANDBUZZ_ACCOUNTS.put(`password-reset:${await sha256(token)}`, JSON.stringify({ email: user.email }), {
+    expirationTtl: RESET_TTL_SECONDS,
+  });
+  return token;
+}
+
+export async function getPasswordReset(env, token) {
+  return token ? env.HUZZANDBUZZ_ACCOUNTS.get(`password-reset:${await sha256(token)}`, 'json') : null;
+}
+
+// Sets a new password from a reset link, which can only be used once, and signs out every session
+export async function resetPassword(env, token, password) {
+  const reset = await getPasswordReset(env, token);
+
+  if (!reset) {
+    return { error: 'This reset link is invalid or has expired' };
+  }
+  const error = await setPassword(env, reset.email, password);
+  if (error) {
+    return { error };
+  }
+
+  await env.HUZZANDBUZZ_ACCOUNTS.delete(`password-reset:${await sha256(token)}`);
+  await revokeOtherSessions(env, reset.email);
+  return { email: reset.email };
+}
+
+async function deleteRowsInBatches(env, table, customerId, batchSize) {
+  let deleted;
+  do {
+    const result = await env.DB.prepare(`DELETE FROM ${table} WHERE rowid IN (SELECT rowid FROM ${table} WHERE customer_id = ?1 LIMIT ?2)`)
+      .bind(customerId, batchSize)
+      .run();
+    deleted = result.meta.changes;
+  } while (deleted >= batchSize);
+}
+
+// Deletes an organisation with every login, API key, invite and report row. Sessions of legacy
+// logins carry no email to look up, so the customer ID goes on JWT_BLOCKLIST until they expire.
+// The report data goes first: should that fail part way, the owner can still sign in and retry.
+export async function deleteOrganisation(env, customerId, { batchSize = DELETE_BATCH_SIZE } = {}) {
+  const [members, invites] = await Promise.all([listMembers(env, customerId), listInvites(env, customerId)]);
+
+  // Every record, whatever its period; the rollups are deleted next, so there are none to refresh
+  await purgeRecords(env, customerId, Number.MAX_SAFE_INTEGER, { batchSize, maxBatches: Infinity, refresh: false });
+  for (const table of LARGE_CUSTOMER_TABLES) {
+    await deleteRowsInBatches(env, table, customerId, batchSize);
+  }
+  await env.DB.batch(CUSTOMER_TABLES.map((table) => env.DB.prepare(`DELETE FROM ${table} WHERE customer_id = ?1`).bind(customerId)));
+  await deleteArchives(env, customerId);
+
+  for (const member of members) {
+    await env.HUZZANDBUZZ_ACCOUNTS.delete(userKey(member.email));
+    await deleteLogin(env, member.email);
+  }
+  await deleteLogin(env, customerId);
+  await Promise.all(invites.map((invite) => env.HUZZANDBUZZ_ACCOUNTS.delete(`invite:${invite.hash}`)));
+  await deleteApiKeys(env, customerId);
+
+  await Promise.all(
+    [`org:${customerId}`, customerId, membersKey(customerId), invitesKey(customerId)].map((key) => env.HUZZANDBUZZ_ACCOUNTS.delete(key))
+  );
+  await env.JWT_BLOCKLIST.put(`customer:${customerId}`, String(Date.now()), { expirationTtl: SESSION_SECONDS });
+}
@@ -0,0 +1,172 @@
+import { AnomalyType, detectAnomalies } from './anomalies';
+import { domainPassRates } from './charts';
+import { getDomainTimeSeries, getFailureAnalysis, getOverviewStats, getPolicyOverrides, RANGE_PRESETS } from './queries';
+
+// The overview landing page: the filtered period's stats against the equal-length period
+// before it, a health card per domain and the issues that affect the most mail
+
+export const DEFAULT_PERIOD = '30d';
+
+export const DomainHealth = {
+  healthy: 'healthy',
+  warning: 'warning',
+  critical: 'critical',
+};
+
+export const IssueKind = {
+  failingSource: 'failing_source',
+  newSender: 'new_sender',
+  policyOverride: 'policy_override',
+};
+
+// Pass rates below these make a domain's card amber or red; any anomaly makes it amber at least
+const HEALTHY_PASS_RATE = 98;
+const CRITICAL_PASS_RATE = 90;
+const TOP_ISSUES = 10;
+const ISSUES_PER_KIND = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const dayTime = (day) => Date.parse(`${day}T00:00:00Z`);
+
+// The period the overview covers and the one before it. Without a start date it covers the
+// default preset's days up to today, and an open end runs to today.
+export function overviewPeriod(filters = {}, now = Date.now()) {
+  const today = dayTime(isoDate(now));
+  const end = filters.end || isoDate(today);
+  const start = filters.start || isoDate(dayTime(end) - (RANGE_PRESETS[DEFAULT_PERIOD] - 1) * DAY_MS);
+  const days = Math.max(Math.round((dayTime(end) - dayTime(start)) / DAY_MS) + 1, 1);
+
+  return {
+    start,
+    end,
+    days,
+    previousStart: isoDate(dayTime(start) - days * DAY_MS),
+    previousEnd: isoDate(dayTime(start) - DAY_MS),
+  };
+}
+
+// Percentage change of a count, or null when there was nothing to compare against
+const percentChange = (value, previous) => (previous ? Math.round(((value - previous) * 1000) / previous) / 10 : null);
+
+// Each overview stat with its previous value and change; the pass rate changes in percentage points
+export function compareStats(stats, previousStats) {
+  const counts = ['total_reports', 'unique_ips', 'unique_domains', 'dmarc_pass', 'dmarc_fail'];
+  const deltas = Object.fromEntries(counts.map((name) => [name, {
+    value: stats[name],
+    previous: previousStats[name],
+    change: percentChange(stats[name], previousStats[name]),
+  }]));
+
+  deltas.success_rate = {
+    value: stats.success_rate,
+    previous: previousStats.success_rate,
+    change: previousStats.total_reports ? Math.round((stats.success_rate - previousStats.success_rate) * 10) / 10 : null,
+  };
+  return deltas;
+}
+
+export function healthStatus(passRate, anomalies = []) {
+  if (passRate < CRITICAL_PASS_RATE) {
+    return DomainHealth.critical;
+  }
+  if (passRate < HEALTHY_PASS_RATE || anomalies.length) {
+    return DomainHealth.warning;
+  }
+  return DomainHealth.healthy;
+}
+
+// Points of an SVG polyline through the values, scaled to the box; gaps (nulls) are skipped
+export function sparklinePoints(values, width = 120, height = 30, max = 100) {
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  return values
+    .map((value, index) => (value === null ? null : `${Math.round(index * step * 10) / 10},${Math.round((height - (value / max) * height) * 10) / 10}`))
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Daily pass rate series, totals and status per domain, worst first
+function domainHealth(rows, period, anomalies) {
+  rows = rows.filter((row) => row.domain);
+  const { buckets, domains } = domainPassRates(rows);
+  const days = Array.from({ length: period.days }, (_, index) => isoDate(dayTime(period.start) + index * DAY_MS));
+  const totals = new Map();
+  for (const row of rows) {
+    const total = totals.get(row.domain) ?? { total: 0, dmarc_pass: 0 };
+    totals.set(row.domain, { total: total.total + row.total, dmarc_pass: total.dmarc_pass + row.dmarc_pass });
+  }
+
+  const order = Object.values(DomainHealth).reverse();
+  return domains
+    .map(({ domain, pass_rates }) => {
+      const rates = new Map(buckets.map((bucket, index) => [bucket, pass_rates[index]]));
+      const { total, dmarc_pass } = totals.get(domain);
+      const passRate = Math.round((dmarc_pass * 1000) / total) / 10;
+      const domainAnomalies = anomalies.filter((anomaly) => anomaly.domain === domain);
+      return {
+        domain,
+        total,
+        pass_rate: passRate,
+        status: healthStatus(passRate, domainAnomalies),
+        anomalies: domainAnomalies.length,
+        daily_pass_rates: days.map((day) => rates.get(day) ?? null),
+      };
+    })
+    .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.pass_rate - b.pass_rate || a.domain.localeCompare(b.domain));
+}
+
+// Failing sources, new senders and policy overrides, by how much mail each affects
+function topIssues(failures, anomalies, overrides) {
+  const issues = [
+    ...failures.filter((row) => row.dmarc_fail > 0).map((row) => ({
+      kind: IssueKind.failingSource,
+      domain: row.header_from,
+      source_ip: row.source_ip,
+      messages: row.dmarc_fail,
+      summary: `${row.dmarc_fail} of ${row.total} messages from ${row.source_ip} failed DMARC`,
+    })),
+    ...anomalies.filter((anomaly) => anomaly.type === AnomalyType.newSender).slice(0, ISSUES_PER_KIND).map((anomaly) => ({
+      kind: IssueKind.newSender,
+      domain: anomaly.domain,
+      source_ip: anomaly.source_ip,
+      messages: anomaly.details.total,
+      summary: `New sender ${anomaly.source_ip}: ${anomaly.summary}`,
+    })),
+    ...overrides.map((row) => ({
+      kind: IssueKind.policyOverride,
+      domain: row.header_from,
+      source_ip: null,
+      messages: row.total,
+      summary: `${row.total} messages from ${row.unique_ips} sources had the policy overridden (${row.policy_override_type})`,
+    })),
+  ];
+
+  return issues.sort((a, b) => b.messages - a.messages || (a.domain ?? '').localeCompare(b.domain ?? '')).slice(0, TOP_ISSUES);
+}
+
+// Collects everything the overview shows under the filters at `now`
+export async function buildOverview(env, customerId, filters = {}, now = Date.now()) {
+  const period = overviewPeriod(filters, now);
+  const current = { ...filters, start: period.start, end: period.end };
+  const previous = { ...filters, start: period.previousStart, end: period.previousEnd };
+
+  const [stats, previousStats, domainRows, failures, overrides, anomalies] = await Promise.all([
+    getOverviewStats(env, customerId, current),
+    getOverviewStats(env, customerId, previous),
+    getDomainTimeSeries(env, customerId, current, 'day'),
+    getFailureAnalysis(env, customerId, current, { limit: ISSUES_PER_KIND }),
+    getPolicyOverrides(env, customerId, current, { limit: ISSUES_PER_KIND }),
+    detectAnomalies(env, customerId, current),
+  ]);
+
+  return {
+    period,
+    stats,
+    previousStats,
+    deltas: compareStats(stats, previousStats),
+    domains: domainHealth(domainRows, period, anomalies),
+    issues: topIssues(failures, anomalies, overrides),
+  };
+}
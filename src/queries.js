@@ -0,0 +1,655 @@
+import { cidrContains, cidrToRange } from './ip';
+import { DispositionType } from './types';
+
+// Shared query layer for the dashboard pages and the JSON API, so both always report the same numbers
+
+// Runs a query and returns its rows. Errors propagate, so a failed query ends the request (or the
+// export stream, or the scheduled run) instead of passing for an empty result.
+export async function fetchData(env, query, params) {
+  let stmt = env.DB.prepare(query);
+  if (Array.isArray(params)) {
+    stmt = stmt.bind(...params);
+  }
+
+  const result = await stmt.all();
+  return result.results || [];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const toEpochSeconds = (date) => {
+  const time = new Date(date).getTime();
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+// Date range presets offered by the filter bar, in days
+export const RANGE_PRESETS = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+};
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Reads the filters every analytic accepts from a request's query string.
+// A `range` preset wins over explicit `start`/`end` dates.
+export function parseFilters(c) {
+  const range = c.req.query('range') || '';
+  const domain = c.req.query('domain') || '';
+  // The reporting organisation (receiver) that sent the reports
+  const reporter = c.req.query('reporter') || '';
+  // Limits every analytic to domains whose ownership the customer has verified
+  const verified = c.req.query('verified') === '1';
+
+  if (RANGE_PRESETS[range]) {
+    const now = Date.now();
+    return { range, start: isoDate(now - RANGE_PRESETS[range] * DAY_MS), end: isoDate(now), domain, reporter, verified };
+  }
+
+  return {
+    range: range === 'custom' ? range : '',
+    start: c.req.query('start') || '',
+    end: c.req.query('end') || '',
+    domain,
+    reporter,
+    verified,
+  };
+}
+
+// Serialises filters back into a query string, so links between pages keep them
+export function filterQuery(filters = {}) {
+  const params = new URLSearchParams();
+  if (filters.range) {
+    params.set('range', filters.range);
+  }
+  if (!RANGE_PRESETS[filters.range]) {
+    if (filters.start) params.set('start', filters.start);
+    if (filters.end) params.set('end', filters.end);
+  }
+  if (filters.domain) {
+    params.set('domain', filters.domain);
+  }
+  if (filters.reporter) {
+    params.set('reporter', filters.reporter);
+  }
+  if (filters.verified) {
+    params.set('verified', '1');
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Sort orders of the detailed reports. NULLs are coalesced so cursors can compare every row.
+export const RECORD_SORTS = {
+  date: 'date_range_begin',
+  domain: "COALESCE(header_from, '')",
+  ip: "COALESCE(source_ip, '')",
+  count: 'count',
+  disposition: 'COALESCE(disposition, 0)',
+  org: "COALESCE(org_name, '')",
+};
+
+const RESULT_FILTERS = ['pass', 'fail'];
+
+// Reads the record level filters and sort order only the detailed reports offer.
+// `override=none` matches records without a policy override.
+export function parseRecordFilters(c) {
+  const pick = (name, allowed) => (allowed.includes(c.req.query(name)) ? c.req.query(name) : '');
+  const text = (name) => (c.req.query(name) || '').trim();
+
+  return {
+    ip: text('ip'),
+    dkim: pick('dkim', RESULT_FILTERS),
+    spf: pick('spf', RESULT_FILTERS),
+    disposition: pick('disposition', Object.keys(DispositionType)),
+    override: text('override'),
+    org: text('org'),
+    sort: pick('sort', Object.keys(RECORD_SORTS)) || 'date',
+    dir: c.req.query('dir') === 'asc' ? 'asc' : 'desc',
+  };
+}
+
+// Serialises record filters that differ from the defaults, without the leading '?'
+export function recordFilterParams(recordFilters = {}) {
+  const params = new URLSearchParams();
+  for (const name of ['ip', 'dkim', 'spf', 'disposition', 'override', 'org']) {
+    if (recordFilters[name]) {
+      params.set(name, recordFilters[name]);
+    }
+  }
+  if (recordFilters.sort && recordFilters.sort !== 'date') {
+    params.set('sort', recordFilters.sort);
+  }
+  if (recordFilters.dir === 'asc') {
+    params.set('dir', 'asc');
+  }
+  return params.toString();
+}
+
+// Whether an IP filter is a valid address or CIDR block
+export const isIpFilter = (ip) => Boolean(cidrToRange(ip));
+
+// Builds the WHERE clause scoping dmarc_reports, or daily_rollups, to a customer and the given filters
+function filterClause(customerId, filters = {}, { rollups = false } = {}) {
+  const conditions = ['customer_id = ?1'];
+  const params = [customerId];
+
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `?${params.length}`));
+  };
+
+  const start = filters.start ? toEpochSeconds(filters.start) : null;
+  const end = filters.end ? toEpochSeconds(filters.end) : null;
+
+  // Rollups have the UTC days report periods begin and end on, which select the same records
+  if (start !== null && rollups) {
+    add('day >= ?', isoDate(start * 1000));
+  } else if (start !== null) {
+    add('date_range_begin >= ?', start);
+  }
+  // End dates are inclusive, so reports ending during that day still count
+  if (end !== null && rollups) {
+    add('end_day <= ?', isoDate(end * 1000));
+  } else if (end !== null) {
+    add('date_range_end <= ?', end + DAY_MS / 1000 - 1);
+  }
+  if (filters.domain) {
+    add('header_from = ?', filters.domain);
+  }
+  if (filters.reporter) {
+    add('org_name = ?', filters.reporter);
+  }
+  // A set of domains, used by digests that cover only some of the customer's domains
+  if (filters.domains?.length) {
+    const placeholders = filters.domains.map((domain) => {
+      params.push(domain);
+      return `?${params.length}`;
+    });
+    conditions.push(`header_from IN (${placeholders.join(', ')})`);
+  }
+  if (filters.verified) {
+    conditions.push('header_from IN (SELECT domain FROM domains WHERE customer_id = ?1 AND verified_at IS NOT NULL)');
+  }
+
+  // Record level filters (see parseRecordFilters); IP filters arrive resolved to the addresses they match
+  if (filters.sourceIps) {
+    add('source_ip IN (SELECT value FROM json_each(?))', JSON.stringify(filters.sourceIps));
+  } else if (filters.ip && isIpFilter(filters.ip)) {
+    add('source_ip = ?', filters.ip);
+  }
+  for (const check of ['dkim', 'spf']) {
+    if (filters[check]) {
+      conditions.push(filters[check] === 'pass' ? `${check}_result = 1` : `${check}_result IS NOT 1`);
+    }
+  }
+  if (DispositionType[filters.disposition]) {
+    add('disposition = ?', DispositionType[filters.disposition]);
+  }
+  if (filters.override === 'none') {
+    conditions.push('policy_override_type IS NULL');
+  } else if (filters.override) {
+    add('policy_override_type = ?', filters.override);
+  }
+  if (filters.org) {
+    add('org_name LIKE ?', `%${filters.org}%`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+// Appends LIMIT/OFFSET placeholders when the caller asked for a page
+function pageClause(params, page = {}) {
+  if (!page.limit) {
+    return '';
+  }
+  params.push(page.limit, page.offset || 0);
+  return `LIMIT ?${params.length - 1} OFFSET ?${params.length}`;
+}
+
+// The customer's reported domains, for the filter bar's domain picker
+export async function getDomains(env, customerId) {
+  const rows = await fetchData(env, `
+    SELECT DISTINCT header_from
+    FROM daily_rollups
+    WHERE customer_id = ?1 AND header_from IS NOT NULL
+    ORDER BY header_from
+  `, [customerId]);
+
+  return rows.map((row) => row.header_from);
+}
+
+// The organisations that sent the customer reports, for the filter bar's reporter picker
+export async function getReporterNames(env, customerId) {
+  const rows = await fetchData(env, `
+    SELECT DISTINCT org_name
+    FROM daily_rollups
+    WHERE customer_id = ?1 AND org_name IS NOT NULL
+    ORDER BY org_name
+  `, [customerId]);
+
+  return rows.map((row) => row.org_name);
+}
+
+// DMARC passes when either the aligned DKIM or the aligned SPF result passes (RFC 7489 section 6.6.2).
+// dkim_result/spf_result hold the policy-evaluated, i.e. aligned, outcomes.
+export const DMARC_PASS = 'dkim_result = 1 OR spf_result = 1';
+const DKIM_ONLY_PASS = 'dkim_result = 1 AND spf_result IS NOT 1';
+const SPF_ONLY_PASS = 'spf_result = 1 AND dkim_result IS NOT 1';
+const DMARC_FAIL = 'dkim_result IS NOT 1 AND spf_result IS NOT 1';
+
+const sumWhere = (condition) => `SUM(CASE WHEN ${condition} THEN count ELSE 0 END)`;
+
+// The DMARC outcome columns every analytic reports
+const AUTH_BREAKDOWN = `
+  ${sumWhere(DMARC_PASS)} as dmarc_pass,
+  ${sumWhere(DKIM_ONLY_PASS)} as dkim_only_pass,
+  ${sumWhere(SPF_ONLY_PASS)} as spf_only_pass,
+  ${sumWhere(DMARC_FAIL)} as dmarc_fail,
+  ROUND(${sumWhere(DMARC_PASS)} * 100.0 / NULLIF(SUM(count), 0), 1) as pass_rate
+`;
+
+export async function getOverviewStats(env, customerId, filters) {
+  const { where, params } = filterClause(customerId, filters, { rollups: true });
+  const stats = await fetchData(env, `
+    SELECT
+      COALESCE(SUM(count), 0) as total_reports,
+      COUNT(DISTINCT source_ip) as unique_ips,
+      COUNT(DISTINCT header_from) as unique_domains,
+      COALESCE(${sumWhere(DMARC_PASS)}, 0) as dmarc_pass,
+      COALESCE(${sumWhere(DKIM_ONLY_PASS)}, 0) as dkim_only_pass,
+      COALESCE(${sumWhere(SPF_ONLY_PASS)}, 0) as spf_only_pass,
+      COALESCE(${sumWhere(DMARC_FAIL)}, 0) as dmarc_fail,
+      COALESCE(${sumWhere(DMARC_PASS)} * 100.0 / NULLIF(SUM(count), 0), 0) as success_rate
+    FROM daily_rollups
+    WHERE ${where}
+  `, params);
+
+  return stats?.[0] ?? {
+    total_reports: 0,
+    unique_ips: 0,
+    unique_domains: 0,
+    dmarc_pass: 0,
+    dkim_only_pass: 0,
+    spf_only_pass: 0,
+    dmarc_fail: 0,
+    success_rate: 0,
+  };
+}
+
+export async function getTopSenders(env, customerId, filters, page = { limit: 10 }) {
+  const { where, params } = filterClause(customerId, filters, { rollups: true });
+  return fetchData(env, `
+    SELECT
+      source_ip,
+      SUM(count) as total,
+      ${AUTH_BREAKDOWN},
+      ROUND(${sumWhere(DMARC_FAIL)} * 100.0 / SUM(count), 1) as failure_rate
+    FROM daily_rollups
+    WHERE ${where}
+    GROUP BY source_ip
+    ORDER BY total DESC, source_ip
+    ${pageClause(params, page)}
+  `, params);
+}
+
+export async function getSourceVolumes(env, customerId, filters, page) {
+  const { where, params } = filterClause(customerId, filters, { rollups: true });
+  return fetchData(env, `
+    SELECT source_ip, SUM(count) as total,
+           ${AUTH_BREAKDOWN}
+    FROM daily_rollups
+    WHERE ${where}
+    GROUP BY source_ip
+    ORDER BY total DESC, source_ip
+    ${pageClause(params, page)}
+  `, params);
+}
+
+// Per domain and source IP outcomes, the input for grouping traffic by sending service
+export async function getSourcesByDomain(env, customerId, filters) {
+  const { where, params } = filterClause(customerId, filters, { rollups: true });
+  return fetchData(env, `
+    SELECT header_from, source_ip, SUM(count) as total,
+           ${AUTH_BREAKDOWN}
+    FROM daily_rollups
+    WHERE ${where}
+    GROUP BY header_from, source_ip
+  `, params);
+}
+
+// Calendar buckets for the charts, in UTC. Reports count towards the bucket their period begins
+// in; weeks start on Monday.
+export const TIME_BUCKETS = {
+  day: 'day',
+  week: "date(day, 'weekday 0', '-6 days')",
+  month: "date(day, 'start of month')",
+};
+
+// DMARC outcomes and dispositions per day, week or month
+export async function getTimeSeries(env, customerId, filters, bucket = 'day', page) {
+  const { where, params } = filterClause(customerId, filters, { rollups: true });
+  return fetchData(env, `
+    SELECT ${TIME_BUCKETS[bucket] ?? TIME_BUCKETS.day} as bucket,
+           SUM(count) as total,
+           ${AUTH_BREAKDOWN},
+           ${sumWhere('disposition = 1')} as delivered,
+           ${sumWhere('disposition = 2')} as quarantined,
+           ${sumWhere('disposition = 3')} as rejected
+    FROM daily_rollups
+    WHERE ${where}
+    GROUP BY bucket
+    ORDER BY bucket
+    ${pageClause(params, page)}
+  `, params);
+}
+
+// The same buckets split by domain, for per-domain pass rates
+export async function getDomainTimeSeries(env, customerId, filters, bucket = 'day') {
+  const { where, params } = filterClause(customerId, filters, { rollups: true });
+  return fetchData(env, `
+    SELECT ${TIME_BUCKETS[bucket] ?? TIME_BUCKETS.day} as bucket,
+           header_from as domain,
+           SUM(count) as total,
+           ${AUTH_BREAKDOWN}
+    FROM daily_rollups
+    WHERE ${where}
+    GROUP BY bucket, header_from
+    ORDER BY bucket, header_from
+  `, params);
+}
+
+// The latest day with reports, up to the end filter; anomaly detection measures from there
+export async function getLatestDay(env, customerId, filters = {}) {
+  const { where, params } = filterClause(customerId, { ...filters, start: '', end: '' }, { rollups: true });
+  const end = filters.end ? toEpochSeconds(filters.end) : null;
+  if (end !== null) {
+    params.push(isoDate(end * 1000));
+  }
+  const [row] = await fetchData(env, `
+    SELECT MAX(day) as day
+    FROM daily_rollups
+    WHERE ${where} ${end !== null ? `AND day <= ?${params.length}` : ''}
+  `, params);
+  return row?.day ?? null;
+}
+
+// Messages and DMARC passes per day, domain and source IP between two days
+export async function getDailySources(env, customerId, filters, from, to) {
+  const { where, params } = filterClause(customerId, { ...filters, start: '', end: '' }, { rollups: true });
+  params.push(from, to);
+  return fetchData(env, `
+    SELECT day, header_from, source_ip, SUM(count) as total, ${sumWhere(DMARC_PASS)} as dmarc_pass
+    FROM daily_rollups
+    WHERE ${where} AND header_from IS NOT NULL AND day >= ?${params.length - 1} AND day <= ?${params.length}
+    GROUP BY day, header_from, source_ip
+  `, params);
+}
+
+// Domain and source IP pairs first seen between two days, for domains with reports from before
+export async function getNewSources(env, customerId, filters, since, to) {
+  const { where, params } = filterClause(customerId, { ...filters, start: '', end: '' }, { rollups: true });
+  params.push(since, to);
+  return fetchData(env, `
+    SELECT header_from, source_ip, MIN(day) as first_seen, SUM(count) as total, ${sumWhere(DMARC_PASS)} as dmarc_pass
+    FROM daily_rollups
+    WHERE ${where} AND header_from IS NOT NULL AND day <= ?${params.length}
+    AND header_from IN (SELECT header_from FROM daily_rollups WHERE customer_id = ?1 AND day < ?${params.length - 1})
+    GROUP BY header_from, source_ip
+    HAVING MIN(day) >= ?${params.length - 1}
+    ORDER BY first_seen, header_from, source_ip
+  `, params);
+}
+
+// Networks (ASNs) each domain sent from between two days, as far as the enrichment cache knows them
+export async function getDomainNetworks(env, customerId, filters, from, to) {
+  const { where, params } = filterClause(customerId, { ...filters, start: '', end: '' }, { rollups: true });
+  params.push(from, to);
+  return fetchData(env, `
+    SELECT DISTINCT sources.header_from, ip_enrichment.asn
+    FROM (
+      SELECT DISTINCT header_from, source_ip
+      FROM daily_rollups
+      WHERE ${where} AND header_from IS NOT NULL AND day >= ?${params.length - 1} AND day <= ?${params.length}
+    ) AS sources
+    JOIN ip_enrichment ON ip_enrichment.ip = sources.source_ip
+    WHERE ip_enrichment.asn IS NOT NULL AND ip_enrichment.generation = (SELECT generation FROM ip_database WHERE id = 1)
+  `, params);
+}
+
+// Sources with any aligned DKIM or SPF failure. The unaligned columns count mail whose raw
+// check passed for some other domain, which usually means a sender that needs configuring.
+export async function getFailureAnalysis(env, customerId, filters, page) {
+  const { where, params } = filterClause(customerId, filters, { rollups: true });
+  return fetchData(env, `
+    SELECT
+      header_from,
+      source_ip,
+      SUM(count) as total,
+      ${sumWhere('dkim_result IS NOT 1 OR spf_result IS NOT 1')} as total_failures,
+      ${sumWhere('dkim_result IS NOT 1')} as dkim_failures,
+      ${sumWhere('spf_result IS NOT 1')} as spf_failures,
+      SUM(dkim_unaligned) as dkim_unaligned,
+      SUM(spf_unaligned) as spf_unaligned,
+      ${AUTH_BREAKDOWN},
+      policy_override_type,
+      error,
+      ROUND(${sumWhere(DMARC_FAIL)} * 100.0 / NULLIF(SUM(count), 0), 1) as failure_rate
+    FROM daily_rollups
+    WHERE ${where}
+    GROUP BY header_from, source_ip, policy_override_type, error
+    HAVING total_failures > 0
+    ORDER BY dmarc_fail DESC, total_failures DESC, header_from, source_ip, policy_override_type, error
+    ${pageClause(params, page)}
+  `, params);
+}
+
+// Messages where the receiver overrode the published policy, per domain and override reason
+export async function getPolicyOverrides(env, customerId, filters, page) {
+  const { where, params } = filterClause(customerId, filters, { rollups: true });
+  return fetchData(env, `
+    SELECT header_from, policy_override_type, SUM(count) as total, COUNT(DISTINCT source_ip) as unique_ips
+    FROM daily_rollups
+    WHERE ${where} AND policy_override_type IS NOT NULL
+    GROUP BY header_from, policy_override_type
+    ORDER BY total DESC, header_from, policy_override_type
+    ${pageClause(params, page)}
+  `, params);
+}
+
+// Volume, outcomes and dispositions per reporting organisation, i.e. per mailbox provider
+// Reads dmarc_reports: distinct report counts and received times don't add up across rollups
+export async function getReporters(env, customerId, filters, page) {
+  const { where, params } = filterClause(customerId, filters);
+  return fetchData(env, `
+    SELECT
+      org_name,
+      -- SQLite takes bare columns from the row that supplied MAX(), so this is the latest contact
+      org_email,
+      org_extra_contact_info,
+      MAX(created_at) as last_seen,
+      COUNT(DISTINCT report_id) as report_count,
+      COUNT(DISTINCT header_from) as domains,
+      SUM(count) as total,
+      ${AUTH_BREAKDOWN},
+      ${sumWhere('disposition = 1')} as delivered,
+      ${sumWhere('disposition = 2')} as quarantined,
+      ${sumWhere('disposition = 3')} as rejected
+    FROM dmarc_reports
+    WHERE ${where}
+    GROUP BY org_name
+    ORDER BY total DESC, org_name
+    ${pageClause(params, page)}
+  `, params);
+}
+
+// Per domain totals. Reads dmarc_reports for the same reason as getReporters.
+export async function getDomainSummary(env, customerId, filters, page) {
+  const { where, params } = filterClause(customerId, filters);
+  return fetchData(env, `
+    SELECT
+      header_from as domain,
+      (SELECT display_name FROM domains WHERE domains.customer_id = ?1 AND domains.domain = header_from) as display_name,
+      COALESCE((
+        SELECT CASE WHEN verified_at IS NOT NULL THEN 'verified' ELSE 'unverified' END
+        FROM domains
+        WHERE domains.customer_id = ?1 AND domains.domain = header_from
+      ), 'unregistered') as registration,
+      COUNT(DISTINCT report_id) as report_count,
+      MIN(created_at) as first_seen,
+      MAX(created_at) as last_seen,
+      COUNT(DISTINCT source_ip) as unique_ips,
+      SUM(count) as total,
+      ${AUTH_BREAKDOWN}
+    FROM dmarc_reports
+    WHERE ${where}
+    GROUP BY header_from
+    ORDER BY report_count DESC, header_from
+    ${pageClause(params, page)}
+  `, params);
+}
+
+// Resolves the IP filter, an address or CIDR block, to the customer's source IPs it matches.
+// Addresses are stored as reported, so they are compared in normalised form: 2001:DB8::1 and
+// 2001:db8:0::1 are the same address.
+async function resolveIpFilter(env, customerId, filters = {}) {
+  if (filters.sourceIps || !filters.ip || !isIpFilter(filters.ip)) {
+    return filters;
+  }
+
+  const { ip, ...rest } = filters;
+  const { where, params } = filterClause(customerId, rest);
+  const rows = await fetchData(env, `SELECT DISTINCT source_ip FROM dmarc_reports WHERE ${where} AND source_ip IS NOT NULL`, params);
+
+  return { ...filters, sourceIps: rows.map((row) => row.source_ip).filter((address) => cidrContains(ip, address)) };
+}
+
+const encodeCursor = (value, id) => btoa(JSON.stringify([value, id])).replace(/=+$/, '');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(atob(cursor));
+    return Number.isInteger(id) ? { value, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Individual records under the filters. Pages either by limit/offset (API and exports) or by a
+// cursor from the previous page, which stays stable while new reports arrive.
+export async function getDetailedReports(env, customerId, filters, page = { limit: 1000 }) {
+  const resolved = await resolveIpFilter(env, customerId, filters);
+  const { where, params } = filterClause(customerId, resolved);
+  const sort = RECORD_SORTS[filters?.sort] ?? RECORD_SORTS.date;
+  const direction = filters?.dir === 'asc' ? 'ASC' : 'DESC';
+  const cursor = page.cursor ? decodeCursor(page.cursor) : null;
+  let keyset = '';
+
+  if (cursor) {
+    params.push(cursor.value, cursor.id);
+    const [value, id] = [`?${params.length - 1}`, `?${params.length}`];
+    const beyond = direction === 'ASC' ? '>' : '<';
+    keyset = `AND (${sort} ${beyond} ${value} OR (${sort} = ${value} AND id ${beyond} ${id}))`;
+  }
+
+  return fetchData(env, `
+    SELECT
+      id,
+      ${sort} as sort_value,
+      report_id,
+      org_name,
+      date_range_begin,
+      date_range_end,
+      header_from,
+      source_ip,
+      count,
+      CASE WHEN ${DMARC_PASS} THEN 1 ELSE 2 END as dmarc_result,
+      dkim_result,
+      spf_result,
+      dkim_domain,
+      dkim_auth_result,
+      dkim_aligned,
+      spf_domain,
+      spf_auth_result,
+      spf_aligned,
+      disposition,
+      policy_override_type,
+      error
+    FROM dmarc_reports
+    WHERE ${where} ${keyset}
+    ORDER BY ${sort} ${direction}, id ${direction}
+    ${pageClause(params, cursor ? { limit: page.limit } : page)}
+  `, params);
+}
+
+// One page of detailed reports with the totals under the filters and the cursor of the next page
+export async function getDetailedReportsPage(env, customerId, filters, { cursor, limit = 100 } = {}) {
+  const resolved = await resolveIpFilter(env, customerId, filters);
+  const { where, params } = filterClause(customerId, resolved);
+  const [rows, totals] = await Promise.all([
+    getDetailedReports(env, customerId, resolved, { cursor, limit: limit + 1 }),
+    fetchData(env, `
+      SELECT COUNT(*) as records, COALESCE(SUM(count), 0) as messages
+      FROM dmarc_reports
+      WHERE ${where}
+    `, params),
+  ]);
+  const last = rows[limit - 1];
+
+  return {
+    rows: rows.slice(0, limit),
+    total_records: totals[0]?.records ?? 0,
+    total_messages: totals[0]?.messages ?? 0,
+    next_cursor: rows.length > limit ? encodeCursor(last.sort_value, last.id) : null,
+  };
+}
+
+// A single aggregate report: its metadata and every record it contained. Report IDs are only
+// unique per reporting organisation, so the organisation narrows it down when given.
+export async function getReport(env, customerId, reportId, orgName) {
+  const records = await fetchData(env, `
+    SELECT *, CASE WHEN ${DMARC_PASS} THEN 1 ELSE 2 END as dmarc_result
+    FROM dmarc_reports
+    WHERE customer_id = ?1 AND report_id = ?2 ${orgName ? 'AND org_name = ?3' : ''}
+    ORDER BY count DESC, id
+  `, orgName ? [customerId, reportId, orgName] : [customerId, reportId]);
+
+  if (!records.length) {
+    return null;
+  }
+
+  const [first] = records;
+  return {
+    metadata: {
+      report_id: first.report_id,
+      org_name: first.org_name,
+      org_email: first.org_email,
+      org_extra_contact_info: first.org_extra_contact_info,
+      date_range_begin: first.date_range_begin,
+      date_range_end: first.date_range_end,
+      policy_p: first.policy_p,
+      policy_sp: first.policy_sp,
+      policy_pct: first.policy_pct,
+      received_at: first.created_at,
+      record_count: records.length,
+      message_count: records.reduce((total, record) => total + record.count, 0),
+      // Several organisations may have used the same report ID
+      organisations: [...new Set(records.map((record) => record.org_name))],
+    },
+    records,
+  };
+}
+
+// The policy each domain published in its most recent report
+export async function getPublishedPolicies(env, customerId, filters) {
+  const { where, params } = filterClause(customerId, { domain: filters?.domain });
+  const rows = await fetchData(env, `
+    SELECT header_from as domain, policy_p, policy_sp, policy_pct, MAX(date_range_end) as reported_at
+    FROM dmarc_reports
+    WHERE ${where} AND policy_p IS NOT NULL
+    GROUP BY header_from
+  `, params);
+
+  return new Map(rows.map((row) => [row.domain, row]));
+}
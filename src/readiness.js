@@ -0,0 +1,120 @@
+import { getPublishedPolicies, getSourcesByDomain } from './queries';
+import { groupBySender, SenderStatus } from './senders';
+
+// Enforcement readiness: how much of a domain's mail comes from authorized senders, which of
+// them would lose mail under a stricter policy, and the next p=/pct= step to roll out
+
+export const ROLLOUT_STEPS = [
+  { p: 'none', pct: 100 },
+  { p: 'quarantine', pct: 10 },
+  { p: 'quarantine', pct: 50 },
+  { p: 'quarantine', pct: 100 },
+  { p: 'reject', pct: 10 },
+  { p: 'reject', pct: 50 },
+  { p: 'reject', pct: 100 },
+];
+
+// Tightening is suggested only while authorized senders almost always pass DMARC and nearly
+// all mail comes from senders the customer has reviewed
+const MIN_AUTHORIZED_PASS_RATE = 98;
+const MAX_UNREVIEWED_SHARE = 5;
+
+export const DEFAULT_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const percentage = (part, total) => (total ? Math.round((part * 1000) / total) / 10 : 0);
+
+export const formatStep = (step) => (step ? `p=${step.p}; pct=${step.pct}` : 'None');
+
+// Position of a published policy in the rollout, e.g. quarantine at pct=30 sits on quarantine 10%
+export function currentStep(policy) {
+  if (!policy?.policy_p) {
+    return 0;
+  }
+  const p = policy.policy_p.toLowerCase();
+  const pct = policy.policy_pct ?? 100;
+  const index = ROLLOUT_STEPS.findLastIndex((step) => step.p === p && step.pct <= pct);
+
+  return Math.max(index === -1 ? ROLLOUT_STEPS.findIndex((step) => step.p === p) - 1 : index, 0);
+}
+
+function assessDomain(domain, groups, policy) {
+  const sum = (rows, column) => rows.reduce((total, row) => total + (row[column] ?? 0), 0);
+  const byStatus = (status) => groups.filter((group) => group.status === status);
+  const authorized = byStatus(SenderStatus.authorized);
+  const unauthorized = byStatus(SenderStatus.unauthorized);
+  const unreviewed = byStatus(SenderStatus.unreviewed);
+
+  const total = sum(groups, 'total');
+  const authorizedTotal = sum(authorized, 'total');
+  const authorizedPassRate = percentage(sum(authorized, 'dmarc_pass'), authorizedTotal);
+  const unreviewedShare = percentage(sum(unreviewed, 'total'), total);
+
+  const blockers = [];
+  if (!authorizedTotal) {
+    blockers.push('No senders are authorized for this domain yet');
+  } else if (authorizedPassRate < MIN_AUTHORIZED_PASS_RATE) {
+    blockers.push(`Authorized senders pass DMARC for ${authorizedPassRate}% of their mail, below ${MIN_AUTHORIZED_PASS_RATE}%`);
+  }
+  if (unreviewedShare > MAX_UNREVIEWED_SHARE) {
+    blockers.push(`${unreviewedShare}% of mail comes from senders that have not been reviewed`);
+  }
+
+  const current = currentStep(policy);
+  const next = ROLLOUT_STEPS[current + 1] ?? null;
+  // Share of failing mail the next step would quarantine or reject
+  const applied = (rows) => Math.round((sum(rows, 'dmarc_fail') * (next?.pct ?? 0)) / 100);
+  const legitimateAffected = applied(authorized);
+
+  return {
+    domain,
+    total,
+    published: policy ? { p: policy.policy_p, sp: policy.policy_sp, pct: policy.policy_pct } : null,
+    authorized_share: percentage(authorizedTotal, total),
+    unauthorized_share: percentage(sum(unauthorized, 'total'), total),
+    unreviewed_share: unreviewedShare,
+    authorized_pass_rate: authorizedPassRate,
+    // Senders that may be legitimate and would lose mail under enforcement
+    affected_senders: [...authorized, ...unreviewed]
+      .filter((group) => group.dmarc_fail > 0)
+      .sort((a, b) => b.dmarc_fail - a.dmarc_fail),
+    current_step: ROLLOUT_STEPS[current],
+    next_step: next,
+    ready: Boolean(next) && !blockers.length,
+    blockers,
+    projection: next ? {
+      legitimate_affected: legitimateAffected,
+      unreviewed_affected: applied(unreviewed),
+      unauthorized_blocked: applied(unauthorized),
+      legitimate_delivered_rate: authorizedTotal ? percentage(authorizedTotal - legitimateAffected, authorizedTotal) : null,
+    } : null,
+  };
+}
+
+// Readiness of every domain over the filters' date range, or the last 30 days when none is set
+export async function getReadiness(env, customerId, filters = {}) {
+  const window = filters.start || filters.end
+    ? { ...filters }
+    : { ...filters, start: isoDate(Date.now() - DEFAULT_WINDOW_DAYS * DAY_MS), end: isoDate(Date.now()) };
+
+  const [groups, policies] = await Promise.all([
+    getSourcesByDomain(env, customerId, window).then((rows) => groupBySender(env, customerId, rows)),
+    getPublishedPolicies(env, customerId, window),
+  ]);
+
+  const domains = new Map();
+  for (const group of groups) {
+    if (!domains.has(group.domain)) {
+      domains.set(group.domain, []);
+    }
+    domains.get(group.domain).push(group);
+  }
+
+  return {
+    window: { start: window.start, end: window.end },
+    domains: [...domains].map(([domain, rows]) => assessDomain(domain, rows, policies.get(domain))),
+  };
+}
@@ -0,0 +1,174 @@
+import { XMLParser } from 'fast-xml-parser';
+import { DispositionType, DMARCResultType } from './types';
+import { isAligned } from './alignment';
+
+// Elements that may repeat in an RFC 7489 aggregate report
+const REPEATED_ELEMENTS = new Set([
+  'feedback.report_metadata.error',
+  'feedback.record',
+  'feedback.record.row.policy_evaluated.reason',
+  'feedback.record.auth_results.dkim',
+  'feedback.record.auth_results.spf',
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: true,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name, jpath) => REPEATED_ELEMENTS.has(jpath),
+});
+
+const text = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return String(value).trim();
+};
+
+const integer = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+// Parses an aggregate report XML document into plain objects that keep the RFC element names
+export function parseAggregateReport(xml) {
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    throw new Error(`Invalid XML: ${error.message}`);
+  }
+
+  const feedback = document?.feedback;
+  const metadata = feedback?.report_metadata;
+
+  if (!metadata || !text(metadata.report_id)) {
+    throw new Error('Not a DMARC aggregate report');
+  }
+
+  const begin = integer(metadata.date_range?.begin);
+  const end = integer(metadata.date_range?.end);
+
+  if (begin === null || end === null) {
+    throw new Error('Report is missing its date range');
+  }
+
+  const published = feedback.policy_published ?? {};
+
+  return {
+    report_metadata: {
+      org_name: text(metadata.org_name),
+      email: text(metadata.email),
+      extra_contact_info: text(metadata.extra_contact_info),
+      report_id: text(metadata.report_id),
+      date_range: { begin, end },
+      errors: (metadata.error ?? []).map(text).filter(Boolean),
+    },
+    policy_published: {
+      domain: text(published.domain),
+      adkim: text(published.adkim),
+      aspf: text(published.aspf),
+      p: text(published.p),
+      sp: text(published.sp),
+      pct: integer(published.pct),
+      fo: text(published.fo),
+    },
+    records: (feedback.record ?? []).map((record) => {
+      const row = record.row ?? {};
+      const evaluated = row.policy_evaluated ?? {};
+
+      return {
+        source_ip: text(row.source_ip),
+        count: integer(row.count) ?? 0,
+        policy_evaluated: {
+          disposition: text(evaluated.disposition),
+          dkim: text(evaluated.dkim),
+          spf: text(evaluated.spf),
+          reasons: (evaluated.reason ?? []).map((reason) => ({
+            type: text(reason?.type),
+            comment: text(reason?.comment),
+          })),
+        },
+        identifiers: {
+          header_from: text(record.identifiers?.header_from),
+          envelope_from: text(record.identifiers?.envelope_from),
+          envelope_to: text(record.identifiers?.envelope_to),
+        },
+        auth_results: {
+          dkim: (record.auth_results?.dkim ?? []).map((dkim) => ({
+            domain: text(dkim?.domain),
+            selector: text(dkim?.selector),
+            result: text(dkim?.result),
+          })),
+          spf: (record.auth_results?.spf ?? []).map((spf) => ({
+            domain: text(spf?.domain),
+            scope: text(spf?.scope),
+            result: text(spf?.result),
+          })),
+        },
+      };
+    }),
+  };
+}
+
+const resultCode = (value) => (value?.toLowerCase() === 'pass' ? DMARCResultType.pass : DMARCResultType.fail);
+
+const dispositionCode = (value) => DispositionType[value?.toLowerCase()] ?? null;
+
+// Picks the auth result that best explains the DMARC outcome: an aligned pass, then any pass
+const bestAuthResult = (results, headerFrom, mode) => {
+  const candidates = results.map((result) => ({
+    domain: result.domain,
+    result: result.result?.toLowerCase() ?? null,
+    aligned: isAligned(result.domain, headerFrom, mode),
+  }));
+
+  return (
+    candidates.find((candidate) => candidate.result === 'pass' && candidate.aligned) ??
+    candidates.find((candidate) => candidate.result === 'pass') ??
+    candidates[0] ??
+    null
+  );
+};
+
+// Flattens a parsed report into dmarc_reports rows
+export function toReportRows(customerId, report) {
+  const { report_metadata: metadata, policy_published: published } = report;
+
+  return report.records.map((record) => {
+    const { policy_evaluated: evaluated } = record;
+    const overrides = evaluated.reasons.map((reason) => reason.type).filter(Boolean);
+    const errors = [...metadata.errors, ...evaluated.reasons.map((reason) => reason.comment).filter(Boolean)];
+    const headerFrom = record.identifiers.header_from ?? published.domain;
+    const dkim = bestAuthResult(record.auth_results.dkim, headerFrom, published.adkim);
+    const spf = bestAuthResult(record.auth_results.spf, headerFrom, published.aspf);
+
+    return {
+      customer_id: customerId,
+      report_id: metadata.report_id,
+      org_name: metadata.org_name,
+      org_email: metadata.email,
+      org_extra_contact_info: metadata.extra_contact_info,
+      date_range_begin: metadata.date_range.begin,
+      date_range_end: metadata.date_range.end,
+      header_from: headerFrom,
+      source_ip: record.source_ip,
+      count: record.count,
+      dkim_result: resultCode(evaluated.dkim),
+      spf_result: resultCode(evaluated.spf),
+      disposition: dispositionCode(evaluated.disposition),
+      policy_override_type: overrides.length ? overrides.join(',') : null,
+      error: errors.length ? errors.join('; ') : null,
+      dkim_domain: dkim?.domain ?? null,
+      dkim_auth_result: dkim?.result ?? null,
+      dkim_aligned: dkim ? Number(dkim.aligned) : null,
+      spf_domain: spf?.domain ?? null,
+      spf_auth_result: spf?.result ?? null,
+      spf_aligned: spf ? Number(spf.aligned) : null,
+      policy_p: published.p ?? null,
+      policy_sp: published.sp ?? null,
+      policy_pct: published.pct ?? null,
+    };
+  });
+}
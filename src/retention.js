@@ -0,0 +1,185 @@
+import { gzipSync, strToU8 } from 'fflate';
+import { fetchData } from './queries';
+import { refreshRollups, rollupDay } from './rollups';
+
+// Per-customer data retention. An hourly job deletes aggregate records whose report period ended
+// before the retention window, and forensic samples that arrived before it. Each run deletes a
+// bounded number of batches; a customer with more left is marked purge_pending and the next run
+// starts with them, so large backlogs are worked off over several runs. With archiving on,
+// the aggregate records are first written to the REPORT_ARCHIVE R2 bucket as gzipped NDJSON under
+// <customerId>/; forensic samples are never archived, since they can hold personal data.
+
+export const RETENTION_OPTIONS = [30, 90, 180, 365, 730, 1825];
+
+const DAY_SECONDS = 24 * 60 * 60;
+// Records deleted per statement, and batches per run across all customers. A batch takes four or
+// five queries, which keeps a run well inside D1's per-invocation query limit.
+const PURGE_BATCH_SIZE = 500;
+const MAX_PURGE_BATCHES = 150;
+
+export const archiveAvailable = (env) => Boolean(env.REPORT_ARCHIVE);
+
+const toSettings = (row, customerId) => ({
+  customer_id: customerId,
+  retention_days: row?.retention_days ?? null,
+  archive: Boolean(row?.archive),
+  last_purged_at: row?.last_purged_at ?? null,
+  last_purged_records: row?.last_purged_records ?? null,
+  purge_pending: Boolean(row?.purge_pending),
+});
+
+export async function getRetentionSettings(env, customerId) {
+  const [row] = await fetchData(env, 'SELECT * FROM retention_settings WHERE customer_id = ?1', [customerId]);
+  return toSettings(row, customerId);
+}
+
+// Validates and stores the retention form; returns an error message on bad input
+export async function saveRetentionSettings(env, customerId, input) {
+  const retentionDays = input.retention_days ? Number(input.retention_days) : null;
+  const archive = input.archive === '1';
+
+  if (retentionDays !== null && !RETENTION_OPTIONS.includes(retentionDays)) {
+    return 'Unknown retention period';
+  }
+  if (archive && !archiveAvailable(env)) {
+    return 'No archive bucket is configured';
+  }
+
+  await env.DB.prepare(`
+    INSERT INTO retention_settings (customer_id, retention_days, archive, updated_at)
+    VALUES (?1, ?2, ?3, ?4)
+    ON CONFLICT (customer_id) DO UPDATE SET
+      retention_days = excluded.retention_days,
+      archive = excluded.archive,
+      updated_at = excluded.updated_at
+  `).bind(customerId, retentionDays, archive ? 1 : 0, Date.now()).run();
+  return null;
+}
+
+async function archiveRecords(env, customerId, rows, now) {
+  const body = gzipSync(strToU8(rows.map((row) => JSON.stringify(row)).join('\n') + '\n'));
+  const key = `${customerId}/${new Date(now).toISOString().slice(0, 10)}/${rows[0].id}-${rows[rows.length - 1].id}.ndjson.gz`;
+
+  await env.REPORT_ARCHIVE.put(key, body, { httpMetadata: { contentType: 'application/x-ndjson', contentEncoding: 'gzip' } });
+  return key;
+}
+
+// Deletes a customer's aggregate records whose period ended before cutoff, batchSize records per
+// statement and at most maxBatches batches. With archive on, each batch is archived before it is
+// deleted; with refresh on, the rollups of its days are refreshed after. Returns how many records
+// went, the batches used, and whether records may be left.
+export async function purgeRecords(env, customerId, cutoff, { now = Date.now(), batchSize = PURGE_BATCH_SIZE, maxBatches = MAX_PURGE_BATCHES, archive = false, refresh = true } = {}) {
+  const archives = [];
+  let records = 0;
+  let batches = 0;
+  let pending = false;
+
+  while (batches < maxBatches) {
+    // A record ends after it begins, so the begin bound lets the customer/dates index narrow the scan
+    const rows = await fetchData(env, `
+      SELECT * FROM dmarc_reports
+      WHERE customer_id = ?1 AND date_range_begin < ?2 AND date_range_end < ?2
+      ORDER BY id
+      LIMIT ?3
+    `, [customerId, cutoff, batchSize]);
+
+    if (!rows.length) {
+      break;
+    }
+    if (archive) {
+      archives.push(await archiveRecords(env, customerId, rows, now));
+    }
+
+    await env.DB.prepare('DELETE FROM dmarc_reports WHERE customer_id = ?1 AND id IN (SELECT value FROM json_each(?2))')
+      .bind(customerId, JSON.stringify(rows.map((row) => row.id)))
+      .run();
+    // Refreshed per batch, so a run that fails later leaves no stale rollups behind
+    if (refresh) {
+      await refreshRollups(env, customerId, [...new Set(rows.map((row) => rollupDay(row.date_range_begin)))]);
+    }
+    records += rows.length;
+    batches++;
+
+    if (rows.length < batchSize) {
+      break;
+    }
+    pending = batches === maxBatches;
+  }
+
+  return { records, archives, batches, pending };
+}
+
+// Purges one customer's expired data, at most maxBatches batches of records. Returns how many
+// records and samples went, the batches used, and whether expired records may be left.
+// Errors propagate, so a failed purge is never recorded as done.
+export async function purgeCustomer(env, settings, now = Date.now(), { batchSize = PURGE_BATCH_SIZE, maxBatches = MAX_PURGE_BATCHES } = {}) {
+  const customerId = settings.customer_id;
+  const cutoff = Math.floor(now / 1000) - settings.retention_days * DAY_SECONDS;
+
+  if (settings.archive && !archiveAvailable(env)) {
+    throw new Error('Archiving is on but no archive bucket is configured');
+  }
+
+  const { records, archives, batches, pending } = await purgeRecords(env, customerId, cutoff, { now, batchSize, maxBatches, archive: settings.archive });
+
+  const samples = await env.DB.prepare(`
+    DELETE FROM forensic_reports
+    WHERE customer_id = ?1 AND COALESCE(arrival_date, unixepoch(created_at)) < ?2
+  `).bind(customerId, cutoff).run();
+
+  await env.DB.prepare('UPDATE retention_settings SET last_purged_at = ?1, last_purged_records = ?2, purge_pending = ?3 WHERE customer_id = ?4')
+    .bind(now, records, pending ? 1 : 0, customerId)
+    .run();
+
+  return { records, samples: samples.meta.changes, archives, batches, pending };
+}
+
+// Scheduled job: purges the expired data of every customer with a retention period, within one
+// run's batch budget. Customers left pending go first, then those purged longest ago; the ones
+// the budget doesn't reach wait for the next run.
+export async function purgeExpiredData(env, { now = Date.now(), batchSize, maxBatches = MAX_PURGE_BATCHES } = {}) {
+  const rows = await fetchData(env, `
+    SELECT * FROM retention_settings
+    WHERE retention_days IS NOT NULL
+    ORDER BY purge_pending DESC, COALESCE(last_purged_at, 0), customer_id
+  `);
+  const totals = { customers: 0, records: 0, samples: 0, pending: 0 };
+  let budget = maxBatches;
+
+  for (const row of rows) {
+    if (budget <= 0) {
+      totals.pending++;
+      continue;
+    }
+
+    try {
+      const result = await purgeCustomer(env, toSettings(row, row.customer_id), now, { batchSize, maxBatches: budget });
+      budget -= result.batches;
+      totals.customers++;
+      totals.records += result.records;
+      totals.samples += result.samples;
+      totals.pending += result.pending ? 1 : 0;
+    } catch (error) {
+      console.error(`Purging the expired data of ${row.customer_id} failed:`, error);
+    }
+  }
+
+  console.log(`Retention purge for ${totals.customers} customers: ${totals.records} records and ${totals.samples} samples deleted, ${totals.pending} customers left for the next run`);
+  return totals;
+}
+
+// Deletes every archive of a customer, when their organisation is deleted
+export async function deleteArchives(env, customerId) {
+  if (!archiveAvailable(env)) {
+    return;
+  }
+
+  let cursor;
+  do {
+    const page = await env.REPORT_ARCHIVE.list({ prefix: `${customerId}/`, cursor });
+    if (page.objects.length) {
+      await env.REPORT_ARCHIVE.delete(page.objects.map((object) => object.key));
+    }
+    cursor = page.truncated ? page.cursor : null;
+  } while (cursor);
+}
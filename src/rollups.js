@@ -0,0 +1,186 @@
+import { DMARC_PASS, fetchData } from './queries';
+
+// daily_rollups holds dmarc_reports summed per customer, day, domain, source IP, reporter and
+// outcome, so the analytics don't scan every record a customer ever received. Ingestion refreshes
+// the days a report covers; a scheduled check compares recent and newly stored days with the raw
+// records and rebuilds the days that drifted, e.g. after records were changed or deleted in bulk.
+//
+// Left on dmarc_reports on purpose: the detailed reports and report drill-down (single records),
+// the domain summary and reporters (distinct report counts and first/last received times, which
+// don't add up across rollup rows) and the published policies (the latest record's policy).
+
+const DAY_SECONDS = 24 * 60 * 60;
+// Days refreshed per D1 batch, each batch being one transaction
+const REFRESH_BATCH_DAYS = 30;
+// Days before today the scheduled check always looks at
+const RECENT_CHECK_DAYS = 7;
+// Most days one API check covers
+export const MAX_CHECK_DAYS = 366;
+
+const ROLLUP_KEY = [
+  'header_from',
+  'source_ip',
+  'org_name',
+  'dkim_result',
+  'spf_result',
+  'disposition',
+  'policy_override_type',
+  'error',
+];
+
+// Messages whose failed DKIM or SPF result passed for an unaligned domain, for the failure analysis
+export const UNALIGNED_DKIM = "dkim_result IS NOT 1 AND dkim_auth_result = 'pass' AND dkim_aligned = 0";
+export const UNALIGNED_SPF = "spf_result IS NOT 1 AND spf_auth_result = 'pass' AND spf_aligned = 0";
+
+// The rollup day of a report period, i.e. the UTC date it begins on
+export const rollupDay = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+
+const dayStart = (day) => Date.parse(`${day}T00:00:00Z`) / 1000;
+
+// Replaces one day of a customer's rollups with fresh totals from dmarc_reports
+const refreshStatements = (env, customerId, day) => [
+  env.DB.prepare('DELETE FROM daily_rollups WHERE customer_id = ?1 AND day = ?2').bind(customerId, day),
+  env.DB.prepare(`
+    INSERT INTO daily_rollups (customer_id, day, end_day, ${ROLLUP_KEY.join(', ')}, count, records, dkim_unaligned, spf_unaligned)
+    SELECT customer_id, ?2, date(date_range_end, 'unixepoch'), ${ROLLUP_KEY.join(', ')}, SUM(count), COUNT(*),
+           SUM(CASE WHEN ${UNALIGNED_DKIM} THEN count ELSE 0 END),
+           SUM(CASE WHEN ${UNALIGNED_SPF} THEN count ELSE 0 END)
+    FROM dmarc_reports
+    WHERE customer_id = ?1 AND date_range_begin >= ?3 AND date_range_begin < ?4
+    GROUP BY date(date_range_end, 'unixepoch'), ${ROLLUP_KEY.join(', ')}
+  `).bind(customerId, day, dayStart(day), dayStart(day) + DAY_SECONDS),
+];
+
+// Recomputes the given days of a customer's rollups; days without records lose their rollups
+export async function refreshRollups(env, customerId, days) {
+  const unique = [...new Set(days)];
+
+  for (let offset = 0; offset < unique.length; offset += REFRESH_BATCH_DAYS) {
+    const batch = unique.slice(offset, offset + REFRESH_BATCH_DAYS);
+    await env.DB.batch(batch.flatMap((day) => refreshStatements(env, customerId, day)));
+  }
+}
+
+// Rebuilds every day of a customer's rollups from the raw records
+export async function rebuildRollups(env, customerId) {
+  const days = await fetchData(env, `
+    SELECT date(date_range_begin, 'unixepoch') as day FROM dmarc_reports WHERE customer_id = ?1
+    UNION
+    SELECT day FROM daily_rollups WHERE customer_id = ?1
+  `, [customerId]);
+
+  await refreshRollups(env, customerId, days.map((row) => row.day));
+  return days.length;
+}
+
+// Days whose rollups disagree with the raw records on messages, records or DMARC passes, among
+// the given days. Only those days are read, so a check never scans a customer's whole history.
+export async function checkRollups(env, customerId, days) {
+  const unique = [...new Set(days)].sort();
+  if (!unique.length) {
+    return [];
+  }
+
+  return fetchData(env, `
+    SELECT day,
+           SUM(raw_messages) as raw_messages,
+           SUM(rollup_messages) as rollup_messages,
+           SUM(raw_records) as raw_records,
+           SUM(rollup_records) as rollup_records,
+           SUM(raw_pass) as raw_pass,
+           SUM(rollup_pass) as rollup_pass
+    FROM (
+      SELECT date(date_range_begin, 'unixepoch') as day,
+             count as raw_messages, 1 as raw_records, CASE WHEN ${DMARC_PASS} THEN count ELSE 0 END as raw_pass,
+             0 as rollup_messages, 0 as rollup_records, 0 as rollup_pass
+      FROM dmarc_reports
+      WHERE customer_id = ?1 AND date_range_begin >= ?2 AND date_range_begin < ?3
+        AND date(date_range_begin, 'unixepoch') IN (SELECT value FROM json_each(?4))
+      UNION ALL
+      SELECT day,
+             0, 0, 0,
+             count, records, CASE WHEN ${DMARC_PASS} THEN count ELSE 0 END
+      FROM daily_rollups
+      WHERE customer_id = ?1 AND day IN (SELECT value FROM json_each(?4))
+    )
+    GROUP BY day
+    HAVING SUM(raw_messages) != SUM(rollup_messages)
+        OR SUM(raw_records) != SUM(rollup_records)
+        OR SUM(raw_pass) != SUM(rollup_pass)
+    ORDER BY day
+  `, [customerId, dayStart(unique[0]), dayStart(unique.at(-1)) + DAY_SECONDS, JSON.stringify(unique)]);
+}
+
+// The last RECENT_CHECK_DAYS days up to `now`, where late and repeated reports usually land
+export const recentDays = (now = Date.now()) =>
+  Array.from({ length: RECENT_CHECK_DAYS }, (_, index) => rollupDay(Math.floor(now / 1000) - index * DAY_SECONDS));
+
+// The days an on-demand check covers: the filtered period, at most MAX_CHECK_DAYS of it counting
+// back from its end, or the recent days without a start date
+export function checkDays({ start, end } = {}, now = Date.now()) {
+  if (!start) {
+    return recentDays(now);
+  }
+  const last = dayStart(end || rollupDay(Math.floor(now / 1000)));
+  const count = Math.min(Math.floor((last - dayStart(start)) / DAY_SECONDS) + 1, MAX_CHECK_DAYS);
+  return Array.from({ length: Math.max(count, 0) }, (_, index) => rollupDay(last - index * DAY_SECONDS));
+}
+
+// A time in the format of dmarc_reports.created_at (SQLite's CURRENT_TIMESTAMP)
+const sqlTimestamp = (time) => new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+
+// Days of the records stored since the previous check, or every day on the first check
+async function changedDays(env, customerId) {
+  const [check] = await fetchData(env, 'SELECT checked_at FROM rollup_checks WHERE customer_id = ?1', [customerId]);
+  const rows = await fetchData(env, `
+    SELECT DISTINCT date(date_range_begin, 'unixepoch') as day
+    FROM dmarc_reports
+    WHERE customer_id = ?1 AND created_at >= ?2
+  `, [customerId, check?.checked_at ?? '']);
+  return rows.map((row) => row.day);
+}
+
+// Checks a customer's recent and changed days, rebuilds those that drifted and records the check
+export async function repairCustomerRollups(env, customerId, now = Date.now()) {
+  // Taken before reading, so records stored while the check runs are picked up by the next one
+  const checkedAt = sqlTimestamp(now);
+  const days = [...new Set([...recentDays(now), ...(await changedDays(env, customerId))])];
+  const drifted = await checkRollups(env, customerId, days);
+
+  if (drifted.length) {
+    console.warn(`Rollups of ${customerId} drifted on ${drifted.length} days, rebuilding:`, drifted.map((row) => row.day));
+    await refreshRollups(env, customerId, drifted.map((row) => row.day));
+  }
+  await env.DB.prepare(`
+    INSERT INTO rollup_checks (customer_id, checked_at, checked_days, drifted_days)
+    VALUES (?1, ?2, ?3, ?4)
+    ON CONFLICT (customer_id) DO UPDATE SET
+      checked_at = excluded.checked_at,
+      checked_days = excluded.checked_days,
+      drifted_days = excluded.drifted_days
+  `).bind(customerId, checkedAt, days.length, drifted.length).run();
+
+  return drifted.length;
+}
+
+// Scheduled job: checks every customer's rollups and rebuilds the days that drifted
+export async function repairRollups(env, { now = Date.now() } = {}) {
+  // Every stored report has an import row, so this avoids a scan of the raw records
+  const customers = await fetchData(env, `
+    SELECT customer_id FROM report_imports
+    UNION
+    SELECT customer_id FROM daily_rollups
+  `);
+  let repaired = 0;
+
+  for (const { customer_id: customerId } of customers) {
+    try {
+      repaired += await repairCustomerRollups(env, customerId, now);
+    } catch (error) {
+      console.error(`Checking the rollups of ${customerId} failed:`, error);
+    }
+  }
+
+  console.log(`Checked the rollups of ${customers.length} customers: ${repaired} days rebuilt`);
+  return { customers: customers.length, repaired };
+}
@@ -0,0 +1,35 @@
+import { loadIpDatabase } from './enrichment';
+import { evaluateAlerts } from './alerts';
+import { sendDueDigests } from './digest';
+import { repairRollups } from './rollups';
+import { purgeExpiredData } from './retention';
+
+// Cron expressions must match the [triggers] in wrangler.toml
+export const IP_DATABASE_CRON = '40 * * * *';
+export const ALERTS_CRON = '0 * * * *';
+export const DIGEST_CRON = '0 6 * * *';
+export const RETENTION_CRON = '20 * * * *';
+export const ROLLUPS_CRON = '30 3 * * *';
+
+// Cron Triggers handler
+export async function handleScheduled(controller, env, ctx) {
+  switch (controller.cron) {
+    case IP_DATABASE_CRON:
+      ctx.waitUntil(loadIpDatabase(env, { now: controller.scheduledTime }));
+      break;
+    case ALERTS_CRON:
+      ctx.waitUntil(evaluateAlerts(env, { now: controller.scheduledTime }));
+      break;
+    case DIGEST_CRON:
+      ctx.waitUntil(sendDueDigests(env, { now: controller.scheduledTime }));
+      break;
+    case RETENTION_CRON:
+      ctx.waitUntil(purgeExpiredData(env, { now: controller.scheduledTime }));
+      break;
+    case ROLLUPS_CRON:
+      ctx.waitUntil(repairRollups(env, { now: controller.scheduledTime }));
+      break;
+    default:
+      console.log('No scheduled job for cron:', controller.cron);
+  }
+}
@@ -0,0 +1,267 @@
+import { cidrToRange, ipToHex } from './ip';
+import { enrichIps } from './enrichment';
+import { resolverFor } from './dns';
+import { fetchData } from './queries';
+
+// Known email services, matched by IP range first, then ASN, then reverse DNS
+export const SENDER_CATALOGUE = [
+  {
+    id: 'google',
+    name: 'Google Workspace',
+    ranges: ['209.85.128.0/17', '74.125.0.0/16', '64.233.160.0/19', '66.102.0.0/20', '108.177.8.0/21', '172.217.0.0/19', '2607:f8b0::/32'],
+    asns: [15169],
+    rdns: [/\.google\.com$/],
+  },
+  {
+    id: 'microsoft',
+    name: 'Microsoft 365',
+    ranges: ['40.92.0.0/15', '40.107.0.0/16', '52.100.0.0/14', '104.47.0.0/17', '2a01:111:f400::/48', '2a01:111:f403::/48'],
+    asns: [8075],
+    rdns: [/\.outbound\.protection\.outlook\.com$/, /\.protection\.outlook\.com$/],
+  },
+  {
+    id: 'sendgrid',
+    name: 'SendGrid',
+    ranges: ['167.89.0.0/17', '168.245.0.0/17', '149.72.0.0/16', '198.21.0.0/21', '198.37.144.0/20'],
+    asns: [11377],
+    rdns: [/\.sendgrid\.net$/],
+  },
+  {
+    id: 'mailchimp',
+    name: 'Mailchimp / Mandrill',
+    ranges: ['205.201.128.0/20', '198.2.128.0/18', '148.105.0.0/16'],
+    asns: [],
+    rdns: [/\.mcsv\.net$/, /\.mandrillapp\.com$/, /\.rsgsv\.net$/],
+  },
+  {
+    id: 'amazon-ses',
+    name: 'Amazon SES',
+    ranges: ['54.240.0.0/18', '23.249.208.0/20', '23.251.224.0/19', '76.223.176.0/20', '199.255.192.0/22', '199.127.232.0/22'],
+    asns: [],
+    rdns: [/\.amazonses\.com$/],
+  },
+  {
+    id: 'mailgun',
+    name: 'Mailgun',
+    ranges: ['159.135.224.0/20', '161.38.192.0/20', '69.72.32.0/20', '209.61.151.0/24', '166.78.68.0/22'],
+    asns: [],
+    rdns: [/\.mailgun\.net$/, /\.mailgun\.org$/],
+  },
+  {
+    id: 'postmark',
+    name: 'Postmark',
+    ranges: ['50.31.156.0/22', '104.245.209.192/26'],
+    asns: [],
+    rdns: [/\.mtasv\.net$/],
+  },
+  {
+    id: 'sparkpost',
+    name: 'SparkPost',
+    ranges: [],
+    asns: [],
+    rdns: [/\.sparkpostmail\.com$/],
+  },
+  {
+    id: 'zoho',
+    name: 'Zoho Mail',
+    ranges: ['136.143.160.0/19', '204.141.32.0/23'],
+    asns: [],
+    rdns: [/\.zoho\.com$/, /\.zohomail\.(com|eu|in)$/],
+  },
+  {
+    id: 'salesforce',
+    name: 'Salesforce Marketing Cloud',
+    ranges: [],
+    asns: [],
+    rdns: [/\.exacttarget\.com$/, /\.salesforce\.com$/],
+  },
+  {
+    id: 'hubspot',
+    name: 'HubSpot',
+    ranges: [],
+    asns: [],
+    rdns: [/\.hubspotemail\.net$/],
+  },
+];
+
+const CATALOGUE_RANGES = SENDER_CATALOGUE.flatMap((service) =>
+  service.ranges.map((cidr) => ({ service, ...cidrToRange(cidr) }))
+);
+
+// Reverse DNS is only looked up when REVERSE_DNS is "on", since it sends source IPs to the DoH
+// resolver. It happens at ingest, never on page views: new senders are resolved as their reports
+// arrive, and cached names older than PTR_TTL are resolved again when the address reports again.
+const PTR_TTL = 30 * 24 * 60 * 60 * 1000;
+// Bounds the DNS work a single report can cause
+const MAX_REVERSE_LOOKUPS = 50;
+const REVERSE_LOOKUP_CONCURRENCY = 10;
+const CACHE_READ_BATCH_SIZE = 50;
+
+export const reverseDnsEnabled = (env) => env.REVERSE_DNS === 'on';
+
+// Cached ip_ptr rows for addresses, by address
+async function cachedNames(env, ips) {
+  const names = new Map();
+
+  // D1 caps bound parameters per query, so the cache is read in chunks
+  for (let offset = 0; offset < ips.length; offset += CACHE_READ_BATCH_SIZE) {
+    const chunk = ips.slice(offset, offset + CACHE_READ_BATCH_SIZE);
+    const cached = await fetchData(env, `
+      SELECT ip, ptr, resolved_at FROM ip_ptr WHERE ip IN (${chunk.map((_, index) => `?${index + 1}`).join(', ')})
+    `, chunk);
+    cached.forEach((row) => names.set(row.ip, row));
+  }
+
+  return names;
+}
+
+const matchRange = (ip) => {
+  const hex = ipToHex(ip);
+  return hex ? CATALOGUE_RANGES.find((range) => hex >= range.start && hex <= range.end)?.service : undefined;
+};
+
+const matchAsn = (asn) => (asn ? SENDER_CATALOGUE.find((service) => service.asns.includes(asn)) : undefined);
+
+const matchReverseDns = (ptr) => (ptr ? SENDER_CATALOGUE.find((service) => service.rdns.some((pattern) => pattern.test(ptr))) : undefined);
+
+// Matches addresses on the catalogue's ranges and ASNs; the unmatched ones need reverse DNS
+async function matchNetworks(env, ips) {
+  const unique = [...new Set(ips.filter(Boolean))];
+  const enrichment = await enrichIps(env, unique);
+  const matched = new Map();
+
+  for (const ip of unique) {
+    const service = matchRange(ip) ?? matchAsn(enrichment.get(ip)?.asn);
+    if (service) {
+      matched.set(ip, service);
+    }
+  }
+
+  return { enrichment, matched, unmatched: unique.filter((ip) => !matched.has(ip)) };
+}
+
+// Looks up and caches the PTR records of senders that need them: addresses no range or ASN matches,
+// with no cached name or one older than PTR_TTL. Does nothing unless REVERSE_DNS is on.
+export async function resolveSenderNames(env, ips, { now = Date.now() } = {}) {
+  if (!reverseDnsEnabled(env)) {
+    return 0;
+  }
+
+  const { unmatched } = await matchNetworks(env, ips);
+  const cached = await cachedNames(env, unmatched);
+  const due = unmatched.filter((ip) => !cached.has(ip) || now - cached.get(ip).resolved_at >= PTR_TTL).slice(0, MAX_REVERSE_LOOKUPS);
+  const resolver = resolverFor(env);
+  const store = env.DB.prepare('INSERT OR REPLACE INTO ip_ptr (ip, ptr, resolved_at) VALUES (?1, ?2, ?3)');
+  let resolvedCount = 0;
+
+  for (let offset = 0; offset < due.length; offset += REVERSE_LOOKUP_CONCURRENCY) {
+    const chunk = due.slice(offset, offset + REVERSE_LOOKUP_CONCURRENCY);
+    const resolved = await Promise.all(chunk.map(async (ip) => {
+      try {
+        return [ip, (await resolver.reverse(ip))[0] ?? ''];
+      } catch (error) {
+        console.error(`Reverse DNS lookup for ${ip} failed:`, error);
+        return null;
+      }
+    }));
+
+    const found = resolved.filter(Boolean);
+    if (found.length) {
+      await env.DB.batch(found.map(([ip, ptr]) => store.bind(ip, ptr, now)));
+    }
+    resolvedCount += found.length;
+  }
+
+  return resolvedCount;
+}
+
+// Maps source IPs to the sending service behind them, using only cached reverse DNS names.
+// Unmatched addresses fall back to their ASN organisation, so unknown senders still group sensibly.
+export async function identifySenders(env, ips) {
+  const { enrichment, matched, unmatched } = await matchNetworks(env, ips);
+  const senders = new Map([...matched].map(([ip, service]) => [ip, { id: service.id, name: service.name, known: true }]));
+  const names = await cachedNames(env, unmatched);
+
+  for (const ip of unmatched) {
+    const service = matchReverseDns(names.get(ip)?.ptr);
+    const { asn, as_org: org } = enrichment.get(ip) ?? {};
+
+    if (service) {
+      senders.set(ip, { id: service.id, name: service.name, known: true });
+    } else if (asn) {
+      senders.set(ip, { id: `asn:${asn}`, name: org ? `${org} (AS${asn})` : `AS${asn}`, known: false });
+    } else {
+      senders.set(ip, { id: 'unknown', name: 'Unknown sender', known: false });
+    }
+  }
+
+  return senders;
+}
+
+export const SenderStatus = {
+  authorized: 'authorized',
+  unauthorized: 'unauthorized',
+  unreviewed: 'unreviewed',
+};
+
+const authorizationKey = (domain, serviceId) => `${domain}|${serviceId}`;
+
+export async function getSenderAuthorizations(env, customerId) {
+  const rows = await fetchData(env, `
+    SELECT domain, service_id, authorized FROM sender_authorizations WHERE customer_id = ?1
+  `, [customerId]);
+
+  return new Map(rows.map((row) => [
+    authorizationKey(row.domain, row.service_id),
+    row.authorized ? SenderStatus.authorized : SenderStatus.unauthorized,
+  ]));
+}
+
+// Marks a service as authorized or unauthorized for a domain; any other status clears the decision
+export async function setSenderAuthorization(env, customerId, domain, serviceId, status) {
+  if (status === SenderStatus.authorized || status === SenderStatus.unauthorized) {
+    await env.DB.prepare(`
+      INSERT OR REPLACE INTO sender_authorizations (customer_id, domain, service_id, authorized, updated_at)
+      VALUES (?1, ?2, ?3, ?4, ?5)
+    `).bind(customerId, domain, serviceId, status === SenderStatus.authorized ? 1 : 0, Date.now()).run();
+    return;
+  }
+
+  await env.DB.prepare(`
+    DELETE FROM sender_authorizations WHERE customer_id = ?1 AND domain = ?2 AND service_id = ?3
+  `).bind(customerId, domain, serviceId).run();
+}
+
+const OUTCOME_COLUMNS = ['total', 'dmarc_pass', 'dkim_only_pass', 'spf_only_pass', 'dmarc_fail'];
+
+// Groups per domain/source IP rows (see getSourcesByDomain) into one row per domain and service
+export async function groupBySender(env, customerId, rows) {
+  const senders = await identifySenders(env, rows.map((row) => row.source_ip));
+  const authorizations = await getSenderAuthorizations(env, customerId);
+  const groups = new Map();
+
+  for (const row of rows) {
+    const sender = senders.get(row.source_ip) ?? { id: 'unknown', name: 'Unknown sender', known: false };
+    const key = authorizationKey(row.header_from, sender.id);
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        domain: row.header_from,
+        service_id: sender.id,
+        service_name: sender.name,
+        known_service: sender.known,
+        status: authorizations.get(key) ?? SenderStatus.unreviewed,
+        source_ips: [],
+        ...Object.fromEntries(OUTCOME_COLUMNS.map((column) => [column, 0])),
+      });
+    }
+
+    const group = groups.get(key);
+    group.source_ips.push(row.source_ip);
+    OUTCOME_COLUMNS.forEach((column) => (group[column] += row[column] ?? 0));
+  }
+
+  return [...groups.values()]
+    .map((group) => ({ ...group, pass_rate: group.total ? Math.round((group.dmarc_pass * 1000) / group.total) / 10 : 0 }))
+    .sort((a, b) => (a.domain || '').localeCompare(b.domain || '') || b.total - a.total);
+}
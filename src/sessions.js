@@ -0,0 +1,111 @@
+// Dashboard sessions, login throttling and pending two-factor logins, in HUZZANDBUZZ_ACCOUNTS:
+//   session:<account>:<id>     -> an active session; its metadata is what the sessions page lists
+//   login-failures:<login>     -> recent failed logins for a login name, and when a lockout ends
+//   login-challenge:<sha256>   -> a password that checked out, waiting for its second factor
+// The account is the user's email, or the customer ID for logins from before organisations.
+
+export const SESSION_SECONDS = 60 * 60 * 24;
+
+// Five failed attempts within the window lock the login for the window's length
+export const MAX_LOGIN_FAILURES = 5;
+export const LOCKOUT_SECONDS = 15 * 60;
+
+const CHALLENGE_SECONDS = 5 * 60;
+// KV metadata is capped at 1024 bytes
+const MAX_USER_AGENT_LENGTH = 200;
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+const sha256 = async (value) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+
+export const accountId = ({ email, customerId }) => email || customerId;
+
+const sessionPrefix = (account) => `session:${account}:`;
+const failuresKey = (login) => `login-failures:${login.trim().toLowerCase()}`;
+
+// Records a new session and returns its ID, which goes into the token as jti
+export async function createSession(env, account, { userAgent, ip }, now = Date.now()) {
+  const id = crypto.randomUUID();
+  const expiresAt = now + SESSION_SECONDS * 1000;
+
+  await env.HUZZANDBUZZ_ACCOUNTS.put(`${sessionPrefix(account)}${id}`, '1', {
+    expiration: Math.floor(expiresAt / 1000),
+    metadata: {
+      issuedAt: now,
+      expiresAt,
+      userAgent: (userAgent || '').slice(0, MAX_USER_AGENT_LENGTH),
+      ip: ip || null,
+    },
+  });
+  return { id, expiresAt };
+}
+
+export async function isSessionActive(env, account, id) {
+  return Boolean(await env.HUZZANDBUZZ_ACCOUNTS.get(`${sessionPrefix(account)}${id}`));
+}
+
+// Active sessions, newest first
+export async function listSessions(env, account, now = Date.now()) {
+  const sessions = [];
+  let cursor;
+
+  do {
+    const page = await env.HUZZANDBUZZ_ACCOUNTS.list({ prefix: sessionPrefix(account), cursor });
+    for (const key of page.keys) {
+      sessions.push({ id: key.name.slice(sessionPrefix(account).length), ...key.metadata });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return sessions.filter((session) => session.expiresAt > now).sort((a, b) => b.issuedAt - a.issuedAt);
+}
+
+export async function revokeSession(env, account, id) {
+  await env.HUZZANDBUZZ_ACCOUNTS.delete(`${sessionPrefix(account)}${id}`);
+}
+
+// Revokes every session of an account, except the one given if any
+export async function revokeOtherSessions(env, account, keepId = null) {
+  const sessions = await listSessions(env, account);
+  await Promise.all(sessions.filter((session) => session.id !== keepId).map((session) => revokeSession(env, account, session.id)));
+}
+
+// Seconds until a locked login may be tried again, or 0 if it isn't locked
+export async function lockoutRemaining(env, login, now = Date.now()) {
+  const failures = await env.HUZZANDBUZZ_ACCOUNTS.get(failuresKey(login), 'json');
+  return failures?.lockedUntil > now ? Math.ceil((failures.lockedUntil - now) / 1000) : 0;
+}
+
+// Counts a failed password or second factor; returns whether the login is now locked
+export async function recordLoginFailure(env, login, now = Date.now()) {
+  const failures = (await env.HUZZANDBUZZ_ACCOUNTS.get(failuresKey(login), 'json')) ?? { count: 0, lockedUntil: null };
+  const count = failures.count + 1;
+  const locked = count >= MAX_LOGIN_FAILURES;
+
+  await env.HUZZANDBUZZ_ACCOUNTS.put(
+    failuresKey(login),
+    JSON.stringify({ count: locked ? 0 : count, lockedUntil: locked ? now + LOCKOUT_SECONDS * 1000 : failures.lockedUntil }),
+    { expirationTtl: LOCKOUT_SECONDS }
+  );
+  return locked;
+}
+
+export async function clearLoginFailures(env, login) {
+  await env.HUZZANDBUZZ_ACCOUNTS.delete(failuresKey(login));
+}
+
+// Holds a checked password until the second factor arrives; returns the token for the challenge cookie
+export async function createLoginChallenge(env, login, session) {
+  const token = toHex(crypto.getRandomValues(new Uint8Array(24)));
+  await env.HUZZANDBUZZ_ACCOUNTS.put(`login-challenge:${await sha256(token)}`, JSON.stringify({ login, session }), {
+    expirationTtl: CHALLENGE_SECONDS,
+  });
+  return token;
+}
+
+export async function getLoginChallenge(env, token) {
+  return token ? env.HUZZANDBUZZ_ACCOUNTS.get(`login-challenge:${await sha256(token)}`, 'json') : null;
+}
+
+export async function deleteLoginChallenge(env, token) {
+  await env.HUZZANDBUZZ_ACCOUNTS.delete(`login-challenge:${await sha256(token)}`);
+}
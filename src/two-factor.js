@@ -0,0 +1,192 @@
+// TOTP two-factor authentication (RFC 6238) with single-use recovery codes. Settings live in
+// HUZZANDBUZZ_ACCOUNTS as 2fa:<account> -> { secret, enabledAt, recoveryCodes, lastStep }, where the
+// account is the user's email, or the customer ID for logins from before organisations.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from the neighbouring steps are accepted too, to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'DMARC Analytics';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+const sha256 = async (value) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+
+const settingsKey = (account) => `2fa:${account}`;
+
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return new Uint8Array(bytes);
+}
+
+export const generateSecret = () => base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+
+const timeStep = (now) => Math.floor(now / 1000 / STEP_SECONDS);
+
+async function codeForStep(secret, step) {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const counter = new DataView(new ArrayBuffer(8));
+  counter.setUint32(0, Math.floor(step / 2 ** 32));
+  counter.setUint32(4, step >>> 0);
+
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter.buffer));
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+export const totpCode = (secret, now = Date.now()) => codeForStep(secret, timeStep(now));
+
+// The time step a code belongs to, or null if it doesn't match the current time
+export async function matchTotp(secret, code, now = Date.now()) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) {
+    return null;
+  }
+
+  const current = timeStep(now);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if ((await codeForStep(secret, step)) === digits) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI for authenticator apps; most apps turn it into an entry from a QR code or a paste
+export const otpauthUri = (secret, account) => {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase().replace(/[\s-]/g, '');
+
+export const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = toHex(crypto.getRandomValues(new Uint8Array(5)));
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+export async function getTwoFactor(env, account) {
+  return env.HUZZANDBUZZ_ACCOUNTS.get(settingsKey(account), 'json');
+}
+
+export const isTwoFactorEnabled = (settings) => Boolean(settings?.enabledAt);
+
+// Starts enrollment with a fresh secret; two-factor stays off until a code from it is confirmed
+export async function beginEnrollment(env, account) {
+  const existing = await getTwoFactor(env, account);
+  if (isTwoFactorEnabled(existing)) {
+    return existing;
+  }
+
+  const settings = { secret: generateSecret(), enabledAt: null, recoveryCodes: [], lastStep: null };
+  await env.HUZZANDBUZZ_ACCOUNTS.put(settingsKey(account), JSON.stringify(settings));
+  return settings;
+}
+
+async function saveRecoveryCodes(env, account, settings) {
+  const codes = generateRecoveryCodes();
+  const recoveryCodes = await Promise.all(codes.map((code) => sha256(normalizeRecoveryCode(code))));
+
+  await env.HUZZANDBUZZ_ACCOUNTS.put(settingsKey(account), JSON.stringify({ ...settings, recoveryCodes }));
+  return codes;
+}
+
+// Turns two-factor on once the user proves their app has the secret; returns the recovery codes
+// in plain text, since only their hashes are stored
+export async function confirmEnrollment(env, account, code, now = Date.now()) {
+  const settings = await getTwoFactor(env, account);
+
+  if (!settings) {
+    return { error: 'Start the two-factor setup first' };
+  }
+  if (isTwoFactorEnabled(settings)) {
+    return { error: 'Two-factor authentication is already enabled' };
+  }
+  const step = await matchTotp(settings.secret, code, now);
+  if (step === null) {
+    return { error: 'That code is not valid, check the time on your device and try again' };
+  }
+
+  const recoveryCodes = await saveRecoveryCodes(env, account, { ...settings, enabledAt: now, lastStep: step });
+  return { recoveryCodes };
+}
+
+// Replaces every recovery code, invalidating the old ones
+export async function regenerateRecoveryCodes(env, account) {
+  const settings = await getTwoFactor(env, account);
+  return isTwoFactorEnabled(settings) ? saveRecoveryCodes(env, account, settings) : null;
+}
+
+export async function disableTwoFactor(env, account) {
+  await env.HUZZANDBUZZ_ACCOUNTS.delete(settingsKey(account));
+}
+
+// Checks a login's second factor: an authenticator code, which can't be replayed, or a recovery
+// code, which is used up
+export async function verifySecondFactor(env, account, code, now = Date.now()) {
+  const settings = await getTwoFactor(env, account);
+  if (!isTwoFactorEnabled(settings)) {
+    return false;
+  }
+
+  const step = await matchTotp(settings.secret, code, now);
+  if (step !== null) {
+    if (settings.lastStep !== null && step <= settings.lastStep) {
+      return false;
+    }
+    await env.HUZZANDBUZZ_ACCOUNTS.put(settingsKey(account), JSON.stringify({ ...settings, lastStep: step }));
+    return true;
+  }
+
+  const hash = await sha256(normalizeRecoveryCode(code));
+  if (!normalizeRecoveryCode(code) || !settings.recoveryCodes.includes(hash)) {
+    return false;
+  }
+  await env.HUZZANDBUZZ_ACCOUNTS.put(
+    settingsKey(account),
+    JSON.stringify({ ...settings, recoveryCodes: settings.recoveryCodes.filter((item) => item !== hash) })
+  );
+  return true;
+}
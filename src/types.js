@@ -0,0 +1,11 @@
+// Integer codes stored in dmarc_reports
+export const DispositionType = {
+  none: 1,
+  quarantine: 2,
+  reject: 3
+};
+
+export const DMARCResultType = {
+  pass: 1,
+  fail: 2
+};
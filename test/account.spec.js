@@ -0,0 +1,108 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createApiKey, listApiKeys } from '../src/api-keys';
+import { storeReport } from '../src/ingest';
+import { acceptInvite, createInvite, createOrganisation, createPasswordReset, deleteOrganisation, getUser, listMembers, organisationExists, Role } from '../src/organisations';
+import { parseAggregateReport } from '../src/report-parser';
+import { listSessions } from '../src/sessions';
+import { authCookie, dashboardFetch, login, postForm, sessionCookie } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+
+const rowCount = async (table, customerId) =>
+	(await env.DB.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE customer_id = ?1`).bind(customerId).first()).count;
+
+const reportCount = (customerId) => rowCount('dmarc_reports', customerId);
+
+describe('account management', () => {
+	beforeEach(async () => {
+		await createOrganisation(env, 'acme', { email: 'owner@example.com', password: 'secret' });
+	});
+
+	it('changes the password and signs out the other sessions', async () => {
+		const current = sessionCookie(await login('owner@example.com', 'secret'));
+		const other = sessionCookie(await login('owner@example.com', 'secret'));
+
+		const wrong = await postForm('/dashboard/account/password', { password: 'nope', newPassword: 'new', confirm: 'new' }, current);
+		expect(wrong.status).toBe(403);
+		const mismatch = await postForm('/dashboard/account/password', { password: 'secret', newPassword: 'new', confirm: 'old' }, current);
+		expect(mismatch.status).toBe(400);
+
+		const changed = await postForm('/dashboard/account/password', { password: 'secret', newPassword: 'new', confirm: 'new' }, current);
+		expect(await changed.text()).toContain('Your password was changed.');
+
+		expect((await login('owner@example.com', 'secret')).status).toBe(401);
+		expect((await login('owner@example.com', 'new')).status).toBe(302);
+		expect((await dashboardFetch('/dashboard/', { cookie: current })).status).toBe(200);
+		expect((await dashboardFetch('/dashboard/', { cookie: other })).status).toBe(302);
+	});
+
+	it('answers reset requests the same way whether or not the account exists', async () => {
+		const known = await (await postForm('/forgot-password', { email: 'owner@example.com' })).text();
+		const unknown = await (await postForm('/forgot-password', { email: 'nobody@example.com' })).text();
+
+		expect(known).toContain('If an account uses that email, a reset link is on its way.');
+		expect(unknown).toBe(known);
+	});
+
+	it('resets a forgotten password once per link', async () => {
+		const session = sessionCookie(await login('owner@example.com', 'secret'));
+		const token = await createPasswordReset(env, 'Owner@Example.com');
+
+		expect(await (await dashboardFetch(`/reset-password/${token}`, { cookie: null })).text()).toContain('Choose a new password for owner@example.com.');
+		expect((await postForm(`/reset-password/${token}`, { password: 'a', confirm: 'b' })).status).toBe(400);
+
+		const reset = await postForm(`/reset-password/${token}`, { password: 'fresh', confirm: 'fresh' });
+		expect(reset.headers.get('location')).toBe('/login');
+		expect((await login('owner@example.com', 'fresh')).status).toBe(302);
+		expect((await dashboardFetch('/dashboard/', { cookie: session })).status).toBe(302);
+		expect((await dashboardFetch(`/reset-password/${token}`, { cookie: null })).status).toBe(404);
+	});
+
+	it('deletes only their own login for members who are not owners', async () => {
+		const { token } = await createInvite(env, 'acme', { email: 'ana@example.com', role: Role.analyst });
+		await acceptInvite(env, token, 'pw');
+		const cookie = sessionCookie(await login('ana@example.com', 'pw'));
+
+		const deleted = await postForm('/dashboard/account/delete', { password: 'pw' }, cookie);
+
+		expect(await deleted.text()).toContain('Your account was deleted.');
+		expect(await getUser(env, 'ana@example.com')).toBeNull();
+		expect(await listSessions(env, 'ana@example.com')).toEqual([]);
+		expect(await organisationExists(env, 'acme')).toBe(true);
+	});
+
+	it('purges the organisation and revokes its tokens when the owner deletes the account', async () => {
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await createApiKey(env, 'acme', { label: 'CI', level: 'read' });
+		const cookie = sessionCookie(await login('owner@example.com', 'secret'));
+		const legacyCookie = await authCookie('acme');
+
+		expect((await postForm('/dashboard/account/delete', { password: 'secret', confirm: 'wrong' }, cookie)).status).toBe(400);
+		expect(await reportCount('acme')).toBe(2);
+
+		const deleted = await postForm('/dashboard/account/delete', { password: 'secret', confirm: 'acme' }, cookie);
+
+		expect(await deleted.text()).toContain('The organisation acme and all its data were deleted.');
+		expect(await reportCount('acme')).toBe(0);
+		expect(await organisationExists(env, 'acme')).toBe(false);
+		expect(await listMembers(env, 'acme')).toEqual([]);
+		expect(await listApiKeys(env, 'acme')).toEqual([]);
+		expect((await dashboardFetch('/dashboard/', { cookie })).status).toBe(302);
+		expect((await dashboardFetch('/dashboard/', { cookie: legacyCookie })).status).toBe(302);
+	});
+
+	it('deletes the report data a batch at a time before the logins', async () => {
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await createApiKey(env, 'acme', { label: 'CI', level: 'read' });
+		expect(await rowCount('daily_rollups', 'acme')).toBeGreaterThan(1);
+
+		await deleteOrganisation(env, 'acme', { batchSize: 1 });
+
+		for (const table of ['dmarc_reports', 'daily_rollups', 'report_imports']) {
+			expect(await rowCount(table, 'acme')).toBe(0);
+		}
+		expect(await organisationExists(env, 'acme')).toBe(false);
+		expect(await getUser(env, 'owner@example.com')).toBeNull();
+		expect(await listApiKeys(env, 'acme')).toEqual([]);
+	});
+});
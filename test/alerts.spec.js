@@ -0,0 +1,128 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { importReportFile } from '../src/ingest';
+import { AlertChannel, AlertRuleType, createAlertRule, evaluateAlerts, listAlertEvents } from '../src/alerts';
+import { setSenderAuthorization, SenderStatus } from '../src/senders';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const HOUR = 60 * 60 * 1000;
+
+const recordingTransport = () => {
+	const sent = [];
+	return { sent, send: async (message) => sent.push(message) };
+};
+
+const addRule = async (rule) => {
+	const error = await createAlertRule(env, 'acme', {
+		name: 'Test rule',
+		windowHours: '24',
+		channel: AlertChannel.email,
+		target: 'ops@example.com',
+		...rule,
+	});
+	expect(error).toBeNull();
+};
+
+describe('alerts', () => {
+	beforeAll(() => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+
+	afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+	it('notifies once per incident and resolves it when the condition clears', async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+		await addRule({ type: AlertRuleType.passRate, domain: 'example.com', threshold: '90' });
+		const transport = recordingTransport();
+
+		expect(await evaluateAlerts(env, { transport })).toEqual({ opened: 1, resolved: 0 });
+		expect(transport.sent).toHaveLength(1);
+		expect(transport.sent[0].to).toBe('ops@example.com');
+		expect(transport.sent[0].text).toContain('DMARC pass rate for example.com is 80.0%');
+
+		// Still failing: the open incident is not notified again
+		expect(await evaluateAlerts(env, { transport })).toEqual({ opened: 0, resolved: 0 });
+		expect(transport.sent).toHaveLength(1);
+
+		// Reports have aged out of the window
+		expect(await evaluateAlerts(env, { now: Date.now() + 48 * HOUR, transport })).toEqual({ opened: 0, resolved: 1 });
+
+		const [event] = await listAlertEvents(env, 'acme');
+		expect(event.resolved_at).not.toBeNull();
+		expect(event.notified_at).not.toBeNull();
+	});
+
+	it('posts Slack-compatible JSON to webhooks', async () => {
+		await importReportFile(env, 'acme', 'microsoft.xml', microsoftReport);
+		await addRule({ type: AlertRuleType.dispositionSpike, threshold: '0', channel: AlertChannel.webhook, target: 'https://hooks.example.com/alerts' });
+
+		let payload;
+		fetchMock
+			.get('https://hooks.example.com')
+			.intercept({ path: '/alerts', method: 'POST', body: (body) => Boolean((payload = JSON.parse(body))) })
+			.reply(200, 'ok');
+
+		expect(await evaluateAlerts(env)).toEqual({ opened: 1, resolved: 0 });
+		expect(payload.text).toContain('1 messages from mail.example.com were quarantined or rejected');
+		expect(payload.alert).toMatchObject({ type: 'disposition_spike', domain: 'mail.example.com' });
+	});
+
+	it('records failed notifications', async () => {
+		await importReportFile(env, 'acme', 'microsoft.xml', microsoftReport);
+		await addRule({ type: AlertRuleType.dispositionSpike, threshold: '0', channel: AlertChannel.webhook, target: 'https://hooks.example.com/alerts' });
+		fetchMock.get('https://hooks.example.com').intercept({ path: '/alerts', method: 'POST' }).reply(500, 'down');
+
+		await evaluateAlerts(env);
+
+		const [event] = await listAlertEvents(env, 'acme');
+		expect(event.notified_at).toBeNull();
+		expect(event.notify_error).toBe('Webhook error! status: 500');
+	});
+
+	it('skips new sources from services authorized for the domain', async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+		await addRule({ type: AlertRuleType.newSource, domain: 'example.com', threshold: '5' });
+		await setSenderAuthorization(env, 'acme', 'example.com', 'google', SenderStatus.authorized);
+		const transport = recordingTransport();
+
+		expect((await evaluateAlerts(env, { transport })).opened).toBe(0);
+
+		await setSenderAuthorization(env, 'acme', 'example.com', 'google', SenderStatus.unreviewed);
+		expect((await evaluateAlerts(env, { transport })).opened).toBe(1);
+		expect(transport.sent[0].text).toContain('New source 209.85.220.41 (Google Workspace) sent 12 messages as example.com');
+	});
+
+	it('rejects webhooks that are not https', async () => {
+		const response = await dashboardFetch('/dashboard/alerts', {
+			method: 'POST',
+			body: new URLSearchParams({
+				name: 'Slack',
+				type: AlertRuleType.passRate,
+				threshold: '95',
+				channel: AlertChannel.webhook,
+				target: 'http://hooks.example.com/alerts',
+			}),
+		});
+
+		expect(response.status).toBe(400);
+		expect(await response.text()).toContain('Webhook URLs must use https');
+	});
+
+	it('manages rules from the dashboard', async () => {
+		await addRule({ type: AlertRuleType.passRate, threshold: '95' });
+
+		let body = await (await dashboardFetch('/dashboard/alerts')).text();
+		expect(body).toMatch(/<td>Test rule<\/td>[\s\S]*?<td>Enabled<\/td>/);
+
+		const id = body.match(/\/dashboard\/alerts\/(\d+)\/toggle/)[1];
+		expect((await dashboardFetch(`/dashboard/alerts/${id}/toggle`, { method: 'POST' })).status).toBe(302);
+		body = await (await dashboardFetch('/dashboard/alerts')).text();
+		expect(body).toMatch(/<td>Disabled<\/td>/);
+
+		await dashboardFetch(`/dashboard/alerts/${id}/delete`, { method: 'POST' });
+		expect(await (await dashboardFetch('/dashboard/alerts')).text()).not.toContain('Test rule');
+	});
+});
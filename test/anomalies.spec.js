@@ -0,0 +1,107 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AnomalyType, detectAnomalies } from '../src/anomalies';
+import { ipToHex } from '../src/ip';
+import { rebuildRollups } from '../src/rollups';
+import { dashboardFetch } from './helpers';
+
+const DAY = 24 * 60 * 60;
+const START = Date.UTC(2025, 2, 1) / 1000;
+
+const page = async (path) => (await dashboardFetch(path)).text();
+
+// One report record per day, sender and outcome; days count from 2025-03-01
+async function insertDays(rows) {
+	const insert = env.DB.prepare(`
+		INSERT INTO dmarc_reports (customer_id, report_id, date_range_begin, date_range_end, header_from, source_ip, count, dkim_result, spf_result, disposition)
+		VALUES ('acme', ?1, ?2, ?3, 'example.org', ?4, ?5, ?6, ?6, 1)
+	`);
+	await env.DB.batch(rows.map(([day, ip, count, result], index) =>
+		insert.bind(`bulk-${index}`, START + day * DAY, START + (day + 1) * DAY - 1, ip, count, result)));
+	// Written straight to the table, so the rollups detection reads need rebuilding
+	await rebuildRollups(env, 'acme');
+}
+
+const days = (from, to) => Array.from({ length: to - from + 1 }, (_, index) => from + index);
+
+describe('anomaly detection', () => {
+	beforeEach(async () => {
+		// Five weeks up to 2025-04-04: a steady sender with one busy day, a sender whose mail
+		// starts failing in the last week, and a sender that only shows up in the last week
+		await insertDays([
+			...days(0, 34).map((day) => [day, '192.0.2.1', day === 32 ? 200 : 10, 1]),
+			...days(0, 34).map((day) => [day, '192.0.2.2', 5, day < 28 ? 1 : 2]),
+			[30, '198.51.100.9', 3, 2],
+		]);
+	});
+
+	it('flags new senders, volume surges and pass rate drops in the latest week', async () => {
+		const anomalies = await detectAnomalies(env, 'acme');
+		const bySource = anomalies.filter((anomaly) => anomaly.source_ip).map((anomaly) => [anomaly.type, anomaly.source_ip, anomaly.day]);
+
+		expect(bySource).toEqual([
+			[AnomalyType.volumeSurge, '192.0.2.1', '2025-04-02'],
+			[AnomalyType.newSender, '198.51.100.9', '2025-03-31'],
+			[AnomalyType.passRateDrop, '192.0.2.2', '2025-03-29'],
+		]);
+		expect(anomalies.find((anomaly) => anomaly.type === AnomalyType.newSender)).toMatchObject({
+			domain: 'example.org',
+			details: { total: 3, dmarc_pass: 0 },
+		});
+		expect(anomalies.find((anomaly) => anomaly.type === AnomalyType.volumeSurge && anomaly.source_ip)).toMatchObject({
+			details: { total: 200, baseline_mean: 10 },
+		});
+		// The domain as a whole surged on the same day
+		expect(anomalies).toContainEqual(expect.objectContaining({ type: AnomalyType.volumeSurge, source_ip: null, day: '2025-04-02' }));
+	});
+
+	it('only looks at the week up to the end filter', async () => {
+		const anomalies = await detectAnomalies(env, 'acme', { end: '2025-03-27' });
+
+		expect(anomalies).toEqual([]);
+	});
+
+	it('flags networks whose senders together stray from the baseline', async () => {
+		await env.DB.batch([
+			env.DB.prepare(`INSERT INTO ip_database (id, generation, source, ranges, loaded_at) VALUES (1, 1, 'test', 1, 0)`),
+			env.DB.prepare(`INSERT INTO ip_ranges (generation, start_ip, end_ip, country, asn, as_org) VALUES (1, ?1, ?2, 'NL', 64500, 'EXAMPLE-NET')`)
+				.bind(ipToHex('192.0.2.0'), ipToHex('192.0.2.255')),
+		]);
+
+		const anomalies = await detectAnomalies(env, 'acme');
+
+		expect(anomalies).toContainEqual(expect.objectContaining({
+			type: AnomalyType.volumeSurge,
+			source_ip: null,
+			asn: 64500,
+			day: '2025-04-02',
+			summary: 'AS64500 EXAMPLE-NET: 205 messages on 2025-04-02, against a daily average of 15',
+		}));
+	});
+
+	it('only looks at the given addresses for table badges', async () => {
+		const anomalies = await detectAnomalies(env, 'acme', {}, { sourceIps: ['192.0.2.2', '198.51.100.9'] });
+
+		expect(anomalies.map((anomaly) => [anomaly.type, anomaly.source_ip])).toEqual([
+			[AnomalyType.newSender, '198.51.100.9'],
+			[AnomalyType.passRateDrop, '192.0.2.2'],
+		]);
+	});
+
+	it('lists anomalies and marks the senders in the tables', async () => {
+		const body = await page('/dashboard/anomalies');
+		expect(body).toContain('First seen 2025-03-31 with 3 messages');
+		expect(body).toContain('200 messages on 2025-04-02, against a daily average of 10');
+
+		const failures = await page('/dashboard/failure-analysis');
+		expect(failures).toMatch(/198\.51\.100\.9\s*<span class="badge error"[^>]*>New sender/);
+		expect(failures).toMatch(/192\.0\.2\.2\s*<span class="badge error"[^>]*>Pass rate drop/);
+	});
+
+	it('serves anomalies from the API', async () => {
+		const response = await dashboardFetch('/api/v1/anomalies?domain=example.org');
+		const { data } = await response.json();
+
+		expect(data.map((anomaly) => anomaly.type)).toContain(AnomalyType.newSender);
+	});
+});
@@ -0,0 +1,76 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { createApiKey, listApiKeys, revokeApiKey } from '../src/api-keys';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+
+const withKey = (key, path, init = {}) =>
+	dashboardFetch(path, { ...init, cookie: null, headers: { ...init.headers, Authorization: `Bearer ${key}` } });
+
+describe('API keys', () => {
+	it('resolves a bearer key to its customer', async () => {
+		const { key } = await createApiKey(env, 'acme', { label: 'SIEM', level: 'read', expiresInDays: '30' });
+
+		const response = await withKey(key, '/api/v1/overview');
+
+		expect(response.status).toBe(200);
+		expect((await response.json()).data.total_reports).toBe(0);
+	});
+
+	it('stores only a hash of the key', async () => {
+		const { key, record } = await createApiKey(env, 'acme', { label: 'SIEM', level: 'read' });
+
+		expect(JSON.stringify(await listApiKeys(env, 'acme'))).not.toContain(key);
+		expect(await env.HUZZANDBUZZ_ACCOUNTS.get(`apikey:${record.hash}`)).not.toContain(key);
+	});
+
+	it('can not be taken over by registering a customer ID', async () => {
+		const { record } = await createApiKey(env, 'acme', { label: 'SIEM', level: 'read' });
+		const stored = await env.HUZZANDBUZZ_ACCOUNTS.get(`apikey:${record.hash}`);
+		const register = (customerId) =>
+			dashboardFetch('/register', { method: 'POST', body: new URLSearchParams({ customerId, email: 'mallory@example.com', password: 'pw' }), cookie: null });
+
+		expect((await register(`apikey:${record.hash}`)).status).toBe(400);
+		expect((await register('apikeys:acme')).status).toBe(400);
+		expect(await env.HUZZANDBUZZ_ACCOUNTS.get(`apikey:${record.hash}`)).toBe(stored);
+	});
+
+	it('enforces scopes', async () => {
+		const { key: readKey } = await createApiKey(env, 'acme', { label: 'read', level: 'read' });
+		const { key: ingestKey } = await createApiKey(env, 'acme', { label: 'ci', level: 'ingest' });
+		const upload = (key) => withKey(key, '/api/reports?filename=google.xml', { method: 'POST', body: googleReport });
+
+		expect((await upload(readKey)).status).toBe(403);
+		expect((await upload(ingestKey)).status).toBe(200);
+		expect((await withKey(ingestKey, '/api/v1/overview')).status).toBe(200);
+	});
+
+	it('rejects revoked and unknown keys', async () => {
+		const { key, record } = await createApiKey(env, 'acme', { label: 'old', level: 'read' });
+		await revokeApiKey(env, 'acme', record.id);
+
+		expect((await withKey(key, '/api/v1/overview')).status).toBe(401);
+		expect((await withKey('hab_nope', '/api/v1/overview')).status).toBe(401);
+		expect((await listApiKeys(env, 'acme'))[0].revokedAt).not.toBeNull();
+	});
+
+	it('are not accepted on dashboard pages', async () => {
+		const { key } = await createApiKey(env, 'acme', { label: 'SIEM', level: 'read' });
+
+		const response = await withKey(key, '/dashboard/', { redirect: 'manual' });
+
+		expect(response.status).toBe(302);
+	});
+
+	it('can be created from the management page', async () => {
+		const response = await dashboardFetch('/dashboard/api-keys', {
+			method: 'POST',
+			body: new URLSearchParams({ label: 'From UI', level: 'ingest', expiresInDays: '0' }),
+		});
+
+		expect(response.status).toBe(201);
+		expect(await response.text()).toMatch(/<code>hab_[0-9a-f]{48}<\/code>/);
+		const [record] = await listApiKeys(env, 'acme');
+		expect(record).toMatchObject({ label: 'From UI', scopes: ['read', 'ingest'], expiresAt: null });
+	});
+});
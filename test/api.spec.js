@@ -0,0 +1,72 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { importReportFile } from '../src/ingest';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+describe('JSON API', () => {
+	beforeEach(async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+		await importReportFile(env, 'acme', 'microsoft.xml', microsoftReport);
+		await importReportFile(env, 'other', 'google.xml', googleReport);
+	});
+
+	it('returns the overview stats for the customer only', async () => {
+		const response = await dashboardFetch('/api/v1/overview');
+
+		expect(response.status).toBe(200);
+		const { data } = await response.json();
+		expect(data).toMatchObject({
+			total_reports: 16,
+			unique_ips: 3,
+			unique_domains: 2,
+			dmarc_pass: 13,
+			dkim_only_pass: 0,
+			spf_only_pass: 1,
+			dmarc_fail: 3,
+		});
+		expect(data.success_rate).toBeCloseTo(81.25);
+	});
+
+	it('applies the dashboard filters', async () => {
+		const { data } = await (await dashboardFetch('/api/v1/detailed-reports?domain=mail.example.com')).json();
+
+		expect(data.map((row) => row.source_ip)).toEqual(['198.51.100.20']);
+	});
+
+	it('applies the record filters and sort order to detailed reports', async () => {
+		const filtered = await (await dashboardFetch('/api/v1/detailed-reports?dkim=fail&ip=203.0.113.0/24')).json();
+		const sorted = await (await dashboardFetch('/api/v1/detailed-reports?sort=count&dir=asc')).json();
+
+		expect(filtered.filters).toMatchObject({ dkim: 'fail', ip: '203.0.113.0/24' });
+		expect(filtered.data.map((row) => row.source_ip)).toEqual(['203.0.113.7']);
+		expect(sorted.data.map((row) => row.count)).toEqual([1, 3, 12]);
+	});
+
+	it('paginates with limit and offset', async () => {
+		const first = await (await dashboardFetch('/api/v1/top-senders?limit=2')).json();
+		const second = await (await dashboardFetch(`/api/v1/top-senders?limit=2&offset=${first.pagination.next_offset}`)).json();
+
+		expect(first.data.map((row) => row.source_ip)).toEqual(['209.85.220.41', '203.0.113.7']);
+		expect(first.pagination).toEqual({ limit: 2, offset: 0, next_offset: 2 });
+		expect(second.data.map((row) => row.source_ip)).toEqual(['198.51.100.20']);
+		expect(second.pagination.next_offset).toBeNull();
+	});
+
+	it('answers with a 500 rather than empty data when a query fails', async () => {
+		await env.DB.prepare('DROP TABLE daily_rollups').run();
+
+		const response = await dashboardFetch('/api/v1/top-senders');
+
+		expect(response.status).toBe(500);
+		expect(await response.json()).toEqual({ error: 'An error occurred while processing your request.' });
+	});
+
+	it('answers unauthenticated requests with 401', async () => {
+		const response = await dashboardFetch('/api/v1/overview', { cookie: null });
+
+		expect(response.status).toBe(401);
+		expect(await response.json()).toEqual({ error: 'Authentication required' });
+	});
+});
@@ -0,0 +1,4 @@
+import { applyD1Migrations, env } from 'cloudflare:test';
+
+// Setup files run outside isolated storage, so migrations are applied once per test file
+await applyD1Migrations(env.DB, env.TEST_MIGRATIONS);
@@ -0,0 +1,115 @@
+import { Buffer } from 'node:buffer';
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, beforeAll, afterEach } from 'vitest';
+import { gzipSync, strToU8 } from 'fflate';
+import { domainPassRates, parseBucket } from '../src/charts';
+import { loadIpDatabase } from '../src/enrichment';
+import { storeReport } from '../src/ingest';
+import { getTimeSeries } from '../src/queries';
+import { parseAggregateReport } from '../src/report-parser';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const IP_DATABASE = [
+	'203.0.113.0\t203.0.113.255\t64500\tNL\tEXAMPLE-HOSTING',
+	'209.85.128.0\t209.85.255.255\t15169\tUS\tGOOGLE',
+].join('\n');
+
+describe('chart data', () => {
+	beforeEach(async () => {
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await storeReport(env, 'acme', parseAggregateReport(microsoftReport));
+	});
+
+	it('groups outcomes by day, week and month', async () => {
+		const days = await getTimeSeries(env, 'acme', {}, 'day');
+		expect(days.map((row) => [row.bucket, row.total, row.dmarc_pass, row.quarantined])).toEqual([
+			['2025-01-01', 15, 12, 0],
+			['2025-01-02', 1, 1, 1],
+		]);
+
+		// Weeks start on Monday; 1 and 2 January 2025 are a Wednesday and a Thursday
+		const weeks = await getTimeSeries(env, 'acme', {}, 'week');
+		expect(weeks.map((row) => [row.bucket, row.total])).toEqual([['2024-12-30', 16]]);
+
+		const months = await getTimeSeries(env, 'acme', {}, 'month');
+		expect(months.map((row) => [row.bucket, row.total, row.dmarc_fail])).toEqual([['2025-01-01', 16, 3]]);
+	});
+
+	it('falls back to daily buckets for unknown values', () => {
+		expect(parseBucket('week')).toBe('week');
+		expect(parseBucket('hour')).toBe('day');
+		expect(parseBucket(undefined)).toBe('day');
+	});
+
+	it('lines pass rates up per domain, with gaps where a domain sent nothing', () => {
+		const series = domainPassRates([
+			{ bucket: '2025-01-01', domain: 'example.com', total: 4, dmarc_pass: 3 },
+			{ bucket: '2025-01-02', domain: 'example.com', total: 0, dmarc_pass: 0 },
+			{ bucket: '2025-01-02', domain: 'a.example.com', total: 3, dmarc_pass: 1 },
+		]);
+
+		expect(series).toEqual({
+			buckets: ['2025-01-01', '2025-01-02'],
+			domains: [
+				{ domain: 'a.example.com', pass_rates: [null, 33.3] },
+				{ domain: 'example.com', pass_rates: [75, null] },
+			],
+		});
+	});
+
+	it('serves the time series as JSON', async () => {
+		const response = await dashboardFetch('/api/v1/timeseries?bucket=day&domain=example.com');
+		const { data } = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(data.bucket).toBe('day');
+		expect(data.totals).toHaveLength(1);
+		expect(data.totals[0]).toMatchObject({ bucket: '2025-01-01', total: 15, dmarc_pass: 12, dmarc_fail: 3, delivered: 15 });
+		expect(data.domains).toEqual([{ domain: 'example.com', pass_rates: [80] }]);
+	});
+
+	it('renders the charts with a table that works without JavaScript', async () => {
+		const body = await (await dashboardFetch('/dashboard/auth-rates?bucket=month&domain=example.com')).text();
+
+		expect(body).toContain('data-chart="volume"');
+		expect(body).toContain('data-url="/api/v1/timeseries?domain=example.com&amp;bucket=month"');
+		expect(body).toContain('<strong>month</strong>');
+		expect(body).toContain('<td>2025-01-01</td>');
+
+		const trends = await (await dashboardFetch('/dashboard/compliance-trends')).text();
+		expect(trends).toContain('data-chart="dispositions"');
+		expect(trends).toContain('<td>2025-01-02</td>');
+	});
+});
+
+describe('country map', () => {
+	beforeAll(() => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+
+	afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+	it('totals messages per sending country', async () => {
+		fetchMock
+			.get('https://ip-database.test')
+			.intercept({ path: '/ip2asn.tsv.gz' })
+			.reply(200, Buffer.from(gzipSync(strToU8(IP_DATABASE))));
+		await loadIpDatabase(env, { url: 'https://ip-database.test/ip2asn.tsv.gz' });
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await storeReport(env, 'acme', parseAggregateReport(microsoftReport));
+
+		const { data } = await (await dashboardFetch('/api/v1/countries')).json();
+		expect(data).toEqual([
+			{ country: 'US', name: 'United States', source_ips: 1, total: 12, dmarc_pass: 12, dmarc_fail: 0, pass_rate: 100 },
+			{ country: 'NL', name: 'Netherlands', source_ips: 1, total: 3, dmarc_pass: 0, dmarc_fail: 3, pass_rate: 0 },
+			{ country: null, name: 'Unknown', source_ips: 1, total: 1, dmarc_pass: 1, dmarc_fail: 0, pass_rate: 100 },
+		]);
+
+		const body = await (await dashboardFetch('/dashboard/geo-location')).text();
+		expect(body).toContain('data-chart="countries"');
+		expect(body).toContain('<td>Netherlands</td>');
+	});
+});
@@ -0,0 +1,41 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { importReportFile } from '../src/ingest';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+describe('dashboard pages', () => {
+	beforeEach(async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+		await importReportFile(env, 'acme', 'microsoft.xml', microsoftReport);
+	});
+
+	it.each([
+		'/dashboard/',
+		'/dashboard/auth-rates',
+		'/dashboard/top-senders',
+		'/dashboard/geo-location',
+		'/dashboard/compliance-trends',
+		'/dashboard/failure-analysis',
+		'/dashboard/domain-summary',
+		'/dashboard/detailed-reports',
+	])('renders %s', async (path) => {
+		const response = await dashboardFetch(path);
+
+		expect(response.status).toBe(200);
+		expect(await response.text()).toContain('<main class="container">');
+	});
+
+	it('counts a message as passing DMARC when only aligned SPF passes', async () => {
+		const body = await (await dashboardFetch('/dashboard/failure-analysis')).text();
+
+		expect(body).toMatch(/<td>mail\.example\.com<\/td>\s*<td>198\.51\.100\.20<\/td>\s*<td>Unknown<\/td>\s*<td>1<\/td>\s*<td class="success">1<\/td>/);
+	});
+
+	it('shows the raw DKIM result and its alignment', async () => {
+		const body = await (await dashboardFetch('/dashboard/detailed-reports?domain=mail.example.com')).text();
+
+		expect(body).toContain('<td>pass (relay.test, unaligned)</td>');
+	});
+});
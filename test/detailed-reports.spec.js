@@ -0,0 +1,75 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { storeReport } from '../src/ingest';
+import { getDetailedReportsPage, getReport } from '../src/queries';
+import { parseAggregateReport } from '../src/report-parser';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const ips = (rows) => rows.map((row) => row.source_ip);
+
+describe('detailed reports', () => {
+	beforeEach(async () => {
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await storeReport(env, 'acme', parseAggregateReport(microsoftReport));
+	});
+
+	it('pages through records with a cursor and counts them all', async () => {
+		const first = await getDetailedReportsPage(env, 'acme', {}, { limit: 2 });
+		const second = await getDetailedReportsPage(env, 'acme', {}, { limit: 2, cursor: first.next_cursor });
+
+		expect(first).toMatchObject({ total_records: 3, total_messages: 16 });
+		expect(ips(first.rows)).toEqual(['198.51.100.20', '203.0.113.7']);
+		expect(ips(second.rows)).toEqual(['209.85.220.41']);
+		expect(second.next_cursor).toBeNull();
+	});
+
+	it('sorts by any sortable column in either direction', async () => {
+		const byCount = await getDetailedReportsPage(env, 'acme', { sort: 'count', dir: 'desc' }, { limit: 1 });
+		const rest = await getDetailedReportsPage(env, 'acme', { sort: 'count', dir: 'desc' }, { limit: 5, cursor: byCount.next_cursor });
+		const byOrg = await getDetailedReportsPage(env, 'acme', { sort: 'org', dir: 'asc' });
+
+		expect(ips([...byCount.rows, ...rest.rows])).toEqual(['209.85.220.41', '203.0.113.7', '198.51.100.20']);
+		expect(byOrg.rows.map((row) => row.org_name)).toEqual(['Enterprise Outlook', 'google.com', 'google.com']);
+	});
+
+	it('filters by IP or CIDR block, results, disposition, override and reporter', async () => {
+		const filtered = async (filters) => ips((await getDetailedReportsPage(env, 'acme', filters)).rows);
+
+		expect(await filtered({ ip: '203.0.113.0/24' })).toEqual(['203.0.113.7']);
+		expect(await filtered({ ip: '209.85.220.41' })).toEqual(['209.85.220.41']);
+		expect(await filtered({ ip: '::FFFF:209.85.220.41' })).toEqual(['209.85.220.41']);
+		expect(await filtered({ ip: '10.0.0.0/8' })).toEqual([]);
+		expect(await filtered({ dkim: 'fail' })).toEqual(['198.51.100.20', '203.0.113.7']);
+		expect(await filtered({ dkim: 'fail', spf: 'pass' })).toEqual(['198.51.100.20']);
+		expect(await filtered({ disposition: 'quarantine' })).toEqual(['198.51.100.20']);
+		expect(await filtered({ override: 'forwarded' })).toEqual(['198.51.100.20']);
+		expect(await filtered({ override: 'none' })).toEqual(['203.0.113.7', '209.85.220.41']);
+		expect(await filtered({ org: 'outlook' })).toEqual(['198.51.100.20']);
+		expect((await getDetailedReportsPage(env, 'acme', { ip: '203.0.113.0/24' })).total_messages).toBe(3);
+	});
+
+	it('renders sortable headers, filters and links to each report', async () => {
+		const body = await (await dashboardFetch('/dashboard/detailed-reports?domain=example.com&sort=count&ip=not-an-ip')).text();
+
+		expect(body).toContain('2 records covering 15 messages.');
+		expect(body).toContain('not-an-ip is not an IP address or CIDR block, so it was ignored.');
+		expect(body).toContain('<a href="/dashboard/detailed-reports?domain=example.com&amp;ip=not-an-ip&amp;sort=count&amp;dir=asc">Count ▼</a>');
+		expect(body).toContain('href="/dashboard/reports/13371337133713371337?domain=example.com&amp;org=google.com"');
+	});
+
+	it('shows a single report with its metadata and records', async () => {
+		const report = await getReport(env, 'acme', '13371337133713371337', 'google.com');
+
+		expect(report.metadata).toMatchObject({ org_name: 'google.com', record_count: 2, message_count: 15, policy_p: 'none' });
+		expect(ips(report.records)).toEqual(['209.85.220.41', '203.0.113.7']);
+
+		const response = await dashboardFetch('/dashboard/reports/a1b2c3d4e5f6?org=Enterprise%20Outlook');
+		const body = await response.text();
+		expect(response.status).toBe(200);
+		expect(body).toContain('<h1>Report a1b2c3d4e5f6</h1>');
+		expect(body).toContain('p=quarantine; sp=quarantine; pct=100');
+		expect((await dashboardFetch('/dashboard/reports/missing')).status).toBe(404);
+	});
+});
@@ -0,0 +1,91 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { importReportFile } from '../src/ingest';
+import { buildDigest, digestPeriod, getDigestSettings, saveDigestSettings, sendDueDigests } from '../src/digest';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+// Monday after the fixture reports
+const MONDAY = Date.parse('2025-01-06T06:00:00Z');
+
+const recordingTransport = () => {
+	const sent = [];
+	return { sent, send: async (message) => sent.push(message) };
+};
+
+describe('digests', () => {
+	beforeEach(async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+		await importReportFile(env, 'acme', 'microsoft.xml', microsoftReport);
+	});
+
+	it('covers the previous week or calendar month', () => {
+		expect(digestPeriod('weekly', MONDAY)).toEqual({
+			start: '2024-12-30',
+			end: '2025-01-05',
+			previousStart: '2024-12-23',
+			previousEnd: '2024-12-29',
+		});
+		expect(digestPeriod('monthly', Date.parse('2025-03-01T06:00:00Z'))).toEqual({
+			start: '2025-02-01',
+			end: '2025-02-28',
+			previousStart: '2025-01-01',
+			previousEnd: '2025-01-31',
+		});
+	});
+
+	it('summarises the period for the selected domains', async () => {
+		await saveDigestSettings(env, 'acme', { frequency: 'weekly', recipients: 'boss@example.com', domains: 'example.com' });
+
+		const digest = await buildDigest(env, await getDigestSettings(env, 'acme'), MONDAY);
+
+		expect(digest.stats.total_reports).toBe(15);
+		expect(digest.domains).toEqual([
+			{ domain: 'example.com', total: 15, pass_rate: 80, previous_pass_rate: null, change: null },
+		]);
+		expect(digest.topFailing.map((row) => row.source_ip)).toEqual(['203.0.113.7']);
+	});
+
+	it('sends due digests once per period', async () => {
+		await saveDigestSettings(env, 'acme', { frequency: 'weekly', recipients: 'boss@example.com\ncfo@example.com' });
+		const transport = recordingTransport();
+
+		expect(await sendDueDigests(env, { now: MONDAY, transport })).toBe(1);
+		expect(await sendDueDigests(env, { now: MONDAY + 60 * 60 * 1000, transport })).toBe(0);
+		// Not a Monday
+		expect(await sendDueDigests(env, { now: MONDAY + 24 * 60 * 60 * 1000, transport })).toBe(0);
+
+		const [message] = transport.sent;
+		expect(transport.sent).toHaveLength(1);
+		expect(message.to).toEqual(['boss@example.com', 'cfo@example.com']);
+		expect(message.subject).toBe('DMARC weekly digest for acme: 2024-12-30 to 2025-01-05');
+		expect(message.text).toContain('example.com: 80% (new) over 15 messages');
+		expect(message.text).toContain('203.0.113.7 as example.com: 3 of 3 failed DMARC');
+		expect(message.html).toContain('<td>mail.example.com</td>');
+	});
+
+	it('saves settings from the dashboard', async () => {
+		const body = new URLSearchParams({ frequency: 'monthly', recipients: 'boss@example.com' });
+		body.append('domains', 'example.com');
+		body.append('domains', 'mail.example.com');
+
+		expect((await dashboardFetch('/dashboard/digest', { method: 'POST', body })).status).toBe(302);
+		expect(await getDigestSettings(env, 'acme')).toMatchObject({
+			frequency: 'monthly',
+			recipients: ['boss@example.com'],
+			domains: ['example.com', 'mail.example.com'],
+		});
+		expect(await (await dashboardFetch('/dashboard/digest')).text()).toContain('<option value="monthly" selected>');
+	});
+
+	it('rejects invalid recipients', async () => {
+		const response = await dashboardFetch('/dashboard/digest', {
+			method: 'POST',
+			body: new URLSearchParams({ frequency: 'weekly', recipients: 'not-an-address' }),
+		});
+
+		expect(response.status).toBe(400);
+		expect(await response.text()).toContain('Recipients must be email addresses');
+	});
+});
@@ -0,0 +1,135 @@
+import { fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { checkDmarc, checkSpf, checkDkim, generateDmarcRecord, wizardOptions } from '../src/dns-check';
+import { dashboardFetch } from './helpers';
+
+// In-memory stand-in for the DNS-over-HTTPS resolver
+const fakeResolver = (records) => ({
+	txt: async (name) => records[name] ?? [],
+});
+
+const messages = (result) => result.issues.map((item) => `${item.level}: ${item.message}`);
+
+const mockTxt = (name, records) => {
+	fetchMock
+		.get('https://cloudflare-dns.com')
+		.intercept({ path: (path) => path.includes(`name=${encodeURIComponent(name)}&type=TXT`) })
+		.reply(200, JSON.stringify({ Answer: records.map((data) => ({ name, type: 16, data })) }));
+};
+
+describe('DNS checks', () => {
+	it('warns about a missing rua, a partial pct and a foreign report address', async () => {
+		const resolver = fakeResolver({
+			'_dmarc.example.com': ['v=DMARC1; p=quarantine; pct=50'],
+			'_dmarc.example.org': ['v=DMARC1; p=reject; rua=mailto:dmarc@example.org'],
+		});
+
+		expect(messages(await checkDmarc(resolver, 'example.com', 'acme'))).toEqual([
+			'warning: pct=50 applies the policy to only 50% of failing mail',
+			'warning: No rua tag, so no aggregate reports are sent',
+		]);
+		expect(messages(await checkDmarc(resolver, 'example.org', 'acme'))).toEqual([
+			'warning: rua does not include mailto:acme@huzzand.buzz, so reports do not reach this dashboard',
+		]);
+	});
+
+	it('reports DMARC syntax errors', async () => {
+		const resolver = fakeResolver({ '_dmarc.example.com': ['v=DMARC1; p=block; adkim=x; rua=dmarc@example.com'] });
+
+		expect(messages(await checkDmarc(resolver, 'example.com'))).toEqual([
+			'error: p=block is not one of none, quarantine, reject',
+			'error: adkim=x must be r or s',
+			'error: rua must be a comma separated list of mailto: addresses',
+		]);
+	});
+
+	it('counts SPF lookups through includes', async () => {
+		const includes = Array.from({ length: 6 }, (_, index) => `include:spf${index}.example.net`);
+		const records = { 'example.com': [`v=spf1 mx ${includes.join(' ')} -all`] };
+		for (let index = 0; index < 6; index++) {
+			records[`spf${index}.example.net`] = [index === 0 ? 'v=spf1 a mx include:deep.example.net ~all' : 'v=spf1 ip4:192.0.2.0/24 ~all'];
+		}
+		records['deep.example.net'] = ['v=spf1 exists:%{i}.example.net ~all'];
+
+		const result = await checkSpf(fakeResolver(records), 'example.com');
+
+		expect(result.lookups).toBe(11);
+		expect(messages(result)).toEqual(['error: SPF needs 11 DNS lookups, more than the limit of 10']);
+	});
+
+	it('flags missing includes, unknown terms and +all', async () => {
+		const resolver = fakeResolver({ 'example.com': ['v=spf1 include:missing.example.net ip5:192.0.2.1 +all'] });
+
+		expect(messages(await checkSpf(resolver, 'example.com'))).toEqual([
+			'error: include:missing.example.net has no SPF record',
+			'error: Unknown SPF term "ip5:192.0.2.1" in example.com',
+			'error: +all lets any server send as example.com',
+		]);
+	});
+
+	it('validates DKIM keys', async () => {
+		const resolver = fakeResolver({
+			'google._domainkey.example.com': ['v=DKIM1; k=rsa; p=MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA'],
+			'old._domainkey.example.com': ['v=DKIM1; p='],
+		});
+
+		expect(messages(await checkDkim(resolver, 'example.com', 'google'))).toEqual([]);
+		expect(messages(await checkDkim(resolver, 'example.com', 'old'))).toEqual(['warning: The key has been revoked (empty p=)']);
+		expect(messages(await checkDkim(resolver, 'example.com', 'missing'))).toEqual(['info: No DKIM key found for selector missing']);
+	});
+
+	it('generates the record for the wizard choices', () => {
+		const options = wizardOptions({ p: 'reject', sp: 'quarantine', adkim: 's', pct: '25', ruf: '1' });
+
+		expect(generateDmarcRecord('acme', options)).toBe(
+			'v=DMARC1; p=reject; sp=quarantine; rua=mailto:acme@huzzand.buzz; ruf=mailto:acme@huzzand.buzz; fo=1; pct=25; adkim=s; aspf=r;',
+		);
+		// Starts from the published record, ignoring invalid values
+		expect(wizardOptions({}, { p: 'quarantine', pct: '250', aspf: 's' })).toEqual({
+			p: 'quarantine',
+			sp: '',
+			adkim: 'r',
+			aspf: 's',
+			pct: '100',
+			ruf: '',
+		});
+	});
+});
+
+describe('DNS setup page', () => {
+	beforeAll(() => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+
+	afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+	it('checks the published records over DNS-over-HTTPS', async () => {
+		mockTxt('_dmarc.example.com', ['"v=DMARC1; p=none; rua=mailto:acme@huzzand.buzz"']);
+		mockTxt('example.com', ['"v=spf1 ip4:192.0.2.0/24 " "-all"', '"google-site-verification=abc"']);
+		mockTxt('google._domainkey.example.com', ['"v=DKIM1; k=rsa; p=MIIBIjANBgkq"']);
+
+		const response = await dashboardFetch('/dashboard/config?domain=example.com&selectors=google&p=reject');
+		const body = await response.text();
+
+		expect(response.status).toBe(200);
+		expect(body).toContain('<code>v=spf1 ip4:192.0.2.0/24 -all</code>');
+		expect(body).toContain('p=none only monitors; failing mail is still delivered');
+		expect(body).toContain('Selector google');
+		expect(body).toContain('v=DMARC1; p=reject; rua=mailto:acme@huzzand.buzz; pct=100; adkim=r; aspf=r;');
+	});
+
+	it('shows a lookup error when the resolver fails rather than a missing record', async () => {
+		fetchMock
+			.get('https://cloudflare-dns.com')
+			.intercept({ path: (path) => path.includes(`name=${encodeURIComponent('_dmarc.example.com')}&type=TXT`) })
+			.reply(200, JSON.stringify({ Status: 2 }));
+		mockTxt('example.com', ['"v=spf1 -all"']);
+		mockTxt('google._domainkey.example.com', []);
+
+		const body = await (await dashboardFetch('/dashboard/config?domain=example.com&selectors=google')).text();
+
+		expect(body).toContain('DNS lookup failed: DNS query for _dmarc.example.com failed: SERVFAIL');
+		expect(body).not.toContain('No DMARC record');
+	});
+});
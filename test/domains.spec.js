@@ -0,0 +1,93 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import { importReportFile } from '../src/ingest';
+import { addDomain, getDomain, normalizeDomain, verifyDomain } from '../src/domains';
+import { createResolver } from '../src/dns';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const mockTxt = (name, records) => {
+	fetchMock
+		.get('https://cloudflare-dns.com')
+		.intercept({ path: (path) => path.includes(`name=${encodeURIComponent(name)}&type=TXT`) })
+		.reply(200, JSON.stringify({ Answer: records.map((data) => ({ name, type: 16, data: `"${data}"` })) }));
+};
+
+const markVerified = (domain) =>
+	env.DB.prepare('UPDATE domains SET verified_at = ?1 WHERE customer_id = ?2 AND domain = ?3').bind(Date.now(), 'acme', domain).run();
+
+describe('domain registry', () => {
+	beforeAll(() => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+
+	beforeEach(async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+		await importReportFile(env, 'acme', 'microsoft.xml', microsoftReport);
+	});
+
+	afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+	it('normalises and validates domain names', async () => {
+		expect(normalizeDomain(' Example.COM. ')).toBe('example.com');
+		expect(normalizeDomain('not a domain')).toBeNull();
+		expect(await addDomain(env, 'acme', 'example.com')).toBeNull();
+		expect(await addDomain(env, 'acme', 'EXAMPLE.com')).toBe('example.com is already registered');
+	});
+
+	it('verifies ownership with the TXT token', async () => {
+		await addDomain(env, 'acme', 'example.com');
+		const { verification_token: token } = await getDomain(env, 'acme', 'example.com');
+		const resolver = createResolver();
+
+		mockTxt('example.com', ['v=spf1 -all']);
+		expect(await verifyDomain(env, 'acme', 'example.com', resolver)).toEqual({
+			verified: false,
+			error: `No TXT record "huzzandbuzz-verification=${token}" found on example.com`,
+		});
+
+		mockTxt('example.com', ['v=spf1 -all', `huzzandbuzz-verification=${token}`]);
+		expect(await verifyDomain(env, 'acme', 'example.com', resolver)).toEqual({ verified: true, error: null });
+		expect((await getDomain(env, 'acme', 'example.com')).verified_at).not.toBeNull();
+	});
+
+	it('flags report domains by registration', async () => {
+		await addDomain(env, 'acme', 'example.com');
+
+		let body = await (await dashboardFetch('/dashboard/domain-summary')).text();
+		expect(body).toMatch(/<td>example\.com<\/td>\s*<td>⚠️ Unverified<\/td>/);
+		expect(body).toMatch(/<td>mail\.example\.com<\/td>\s*<td>✗ Unregistered<\/td>/);
+
+		body = await (await dashboardFetch('/dashboard/domains')).text();
+		expect(body).toContain('Unregistered domains in reports');
+		expect(body).toMatch(/<td>mail\.example\.com<\/td>\s*<td>\s*<form method="POST" action="\/dashboard\/domains">/);
+	});
+
+	it('scopes every page to verified domains on request', async () => {
+		await addDomain(env, 'acme', 'mail.example.com');
+		await markVerified('mail.example.com');
+
+		const body = await (await dashboardFetch('/dashboard/top-senders?verified=1')).text();
+
+		expect(body).toContain('<td>198.51.100.20</td>');
+		expect(body).not.toContain('<td>209.85.220.41</td>');
+		expect(body).toContain('href="/dashboard/failure-analysis?verified=1"');
+	});
+
+	it('saves per-domain settings and compares the expected policy', async () => {
+		await addDomain(env, 'acme', 'example.com');
+
+		const response = await dashboardFetch('/dashboard/domains/example.com', {
+			method: 'POST',
+			body: new URLSearchParams({ displayName: 'Main site', expectedPolicy: 'reject', ownerContact: 'it@example.com' }),
+		});
+		expect(response.status).toBe(302);
+
+		const body = await (await dashboardFetch('/dashboard/domains')).text();
+		expect(body).toContain('<td>Main site (example.com)</td>');
+		expect(body).toContain('none ✗ differs from expected');
+		expect(body).toContain('<td>it@example.com</td>');
+	});
+});
@@ -0,0 +1,113 @@
+import { Buffer } from 'node:buffer';
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { gzipSync, strToU8 } from 'fflate';
+import { enrichIps, loadIpDatabase } from '../src/enrichment';
+import { importReportFile } from '../src/ingest';
+import { cidrContains, cidrToRange, ipToHex } from '../src/ip';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+
+const IP_DATABASE = [
+	'0.0.0.0\t0.255.255.255\t0\tNone\tNot routed',
+	'203.0.113.0\t203.0.113.255\t64500\tNL\tEXAMPLE-HOSTING',
+	'209.85.128.0\t209.85.255.255\t15169\tUS\tGOOGLE',
+	'2001:db8::\t2001:db8:ffff:ffff:ffff:ffff:ffff:ffff\t64501\tDE\tDOC-V6',
+].join('\n');
+
+const IP_DATABASE_URL = 'https://ip-database.test/ip2asn.tsv.gz';
+const DAY = 24 * 60 * 60 * 1000;
+
+const mockIpDatabase = () => {
+	fetchMock
+		.get('https://ip-database.test')
+		.intercept({ path: '/ip2asn.tsv.gz' })
+		.reply(200, Buffer.from(gzipSync(strToU8(IP_DATABASE))));
+};
+
+describe('ip helpers', () => {
+	it('normalises IPv4 and IPv6 addresses into one sortable space', () => {
+		expect(ipToHex('10.0.0.1')).toBe('00000000000000000000ffff0a000001');
+		expect(ipToHex('::ffff:10.0.0.1')).toBe(ipToHex('10.0.0.1'));
+		expect(ipToHex('2001:db8::1')).toBe('20010db8000000000000000000000001');
+		expect(ipToHex('not an ip')).toBeNull();
+	});
+
+	it('matches addresses against CIDR blocks', () => {
+		expect(cidrToRange('192.0.2.0/24').end).toBe('00000000000000000000ffffc00002ff');
+		expect(cidrContains('209.85.128.0/17', '209.85.220.41')).toBe(true);
+		expect(cidrContains('2001:db8::/32', '2001:db9::1')).toBe(false);
+		expect(cidrContains('2001:db8::1', '2001:DB8:0::1')).toBe(true);
+		for (const invalid of ['192.0.2.1/', '192.0.2.0/24/8', '192.0.2.0/ 24', '192.0.2.0/33', '2001:db8::/129']) {
+			expect(cidrToRange(invalid)).toBeNull();
+		}
+	});
+});
+
+describe('IP enrichment', () => {
+	beforeAll(() => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+
+	afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+	it('resolves country and ASN from the loaded database', async () => {
+		mockIpDatabase();
+		expect(await loadIpDatabase(env, { url: IP_DATABASE_URL })).toMatchObject({ ranges: 3, done: true });
+
+		const enrichment = await enrichIps(env, ['209.85.220.41', '2001:db8::25', '198.51.100.1']);
+
+		expect(enrichment.get('209.85.220.41')).toEqual({ country: 'US', asn: 15169, as_org: 'GOOGLE' });
+		expect(enrichment.get('2001:db8::25')).toEqual({ country: 'DE', asn: 64501, as_org: 'DOC-V6' });
+		expect(enrichment.get('198.51.100.1')).toEqual({ country: null, asn: null, as_org: null });
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM ip_enrichment').first();
+		expect(count).toBe(3);
+	});
+
+	it('replaces the previous generation on reload', async () => {
+		const now = Date.now();
+		mockIpDatabase();
+		await loadIpDatabase(env, { url: IP_DATABASE_URL, now });
+		// Not due again until a week later
+		expect(await loadIpDatabase(env, { url: IP_DATABASE_URL, now: now + DAY })).toBeNull();
+		mockIpDatabase();
+		await loadIpDatabase(env, { url: IP_DATABASE_URL, now: now + 7 * DAY });
+
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM ip_ranges').first();
+		expect(count).toBe(3);
+	});
+
+	it('loads a few staged chunks per run and switches generations only when all are in', async () => {
+		const now = Date.now();
+		mockIpDatabase();
+		await loadIpDatabase(env, { url: IP_DATABASE_URL, now });
+		const { generation } = await env.DB.prepare('SELECT generation FROM ip_database').first();
+
+		mockIpDatabase();
+		const options = { url: IP_DATABASE_URL, now: now + 7 * DAY, linesPerChunk: 1, maxChunks: 2 };
+		expect(await loadIpDatabase(env, options)).toMatchObject({ chunks: 4, loaded_chunks: 2, ranges: 1, done: false });
+		expect(await env.DB.prepare('SELECT generation FROM ip_database').first()).toEqual({ generation });
+		expect((await enrichIps(env, ['209.85.220.41'])).get('209.85.220.41')).toMatchObject({ asn: 15169 });
+
+		expect(await loadIpDatabase(env, options)).toMatchObject({ chunks: 4, loaded_chunks: 4, ranges: 3, done: true });
+		expect((await env.DB.prepare('SELECT generation FROM ip_database').first()).generation).toBeGreaterThan(generation);
+		expect(await env.DB.prepare('SELECT COUNT(*) AS count FROM ip_ranges').first()).toEqual({ count: 3 });
+		expect(await env.DB.prepare('SELECT COUNT(*) AS count FROM ip_enrichment').first()).toEqual({ count: 0 });
+		expect((await env.IP_DATABASE_STAGING.list()).objects).toEqual([]);
+		expect(await loadIpDatabase(env, options)).toBeNull();
+	});
+
+	it('shows country and ASN on the dashboard without calling out per IP', async () => {
+		mockIpDatabase();
+		await loadIpDatabase(env, { url: IP_DATABASE_URL });
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+
+		const response = await dashboardFetch('/dashboard/geo-location');
+		const body = await response.text();
+
+		expect(body).toContain('<td>United States</td>');
+		expect(body).toContain('<td>AS15169 GOOGLE</td>');
+		expect(body).toContain('<td>AS64500 EXAMPLE-HOSTING</td>');
+	});
+});
@@ -0,0 +1,107 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { csvCell } from '../src/export';
+import { storeReport } from '../src/ingest';
+import { rebuildRollups } from '../src/rollups';
+import { parseAggregateReport } from '../src/report-parser';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const DAY = 24 * 60 * 60;
+
+describe('table exports', () => {
+	beforeEach(async () => {
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await storeReport(env, 'acme', parseAggregateReport(microsoftReport));
+	});
+
+	it('downloads detailed reports as CSV with readable results', async () => {
+		const response = await dashboardFetch('/dashboard/export/detailed-reports?domain=mail.example.com');
+		const [header, row, ...rest] = (await response.text()).trimEnd().split('\r\n');
+
+		expect(response.headers.get('content-type')).toBe('text/csv; charset=utf-8');
+		expect(response.headers.get('content-disposition')).toBe('attachment; filename="dmarc-detailed-reports-mail.example.com.csv"');
+		expect(header).toBe(
+			'Period Start,Period End,Report ID,Reporter,Domain,IP Address,Count,DMARC,DKIM,SPF,DKIM Domain,DKIM Auth Result,DKIM Alignment,SPF Domain,SPF Auth Result,SPF Alignment,Disposition,Override Type,Error'
+		);
+		expect(row).toBe(
+			'2025-01-02T00:00:00.000Z,2025-01-03T00:00:00.000Z,a1b2c3d4e5f6,Enterprise Outlook,mail.example.com,198.51.100.20,1,pass,fail,pass,relay.test,pass,unaligned,example.com,pass,aligned,quarantine,forwarded,looks forwarded'
+		);
+		expect(rest).toEqual([]);
+	});
+
+	it('keeps the filename to plain characters whatever the filters hold', async () => {
+		const domain = encodeURIComponent('x"; filename=evil.exe\r\nSet-Cookie: a=b');
+		const response = await dashboardFetch(`/dashboard/export/detailed-reports?domain=${domain}`);
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('content-disposition')).toBe('attachment; filename="dmarc-detailed-reports-x___filename_evil.exe__Set-Cookie__a_b.csv"');
+		expect(response.headers.get('set-cookie')).toBeNull();
+	});
+
+	it('downloads failure analysis as JSON', async () => {
+		const response = await dashboardFetch('/dashboard/export/failure-analysis?format=json&start=2025-01-01&end=2025-01-01');
+		const rows = await response.json();
+
+		expect(response.headers.get('content-disposition')).toBe(
+			'attachment; filename="dmarc-failure-analysis-2025-01-01-to-2025-01-01.json"'
+		);
+		expect(rows).toEqual([
+			expect.objectContaining({ domain: 'example.com', source_ip: '203.0.113.7', total: 3, dmarc_fail: 3, asn: 'Unknown', country: 'Unknown' }),
+		]);
+	});
+
+	it('exports every row, not just the ones the page shows', async () => {
+		const insert = env.DB.prepare(`
+			INSERT INTO dmarc_reports (customer_id, report_id, date_range_begin, date_range_end, header_from, source_ip, count, dkim_result, spf_result, disposition)
+			VALUES ('acme', ?1, ?2, ?3, 'example.org', '192.0.2.1', 1, 1, 1, 1)
+		`);
+		const start = Date.UTC(2024, 0, 1) / 1000;
+		await env.DB.batch(Array.from({ length: 40 }, (_, day) => insert.bind(`bulk-${day}`, start + day * DAY, start + (day + 1) * DAY - 1)));
+		// Written straight to the table, so the rollups the page reads need rebuilding
+		await rebuildRollups(env, 'acme');
+
+		const page = await (await dashboardFetch('/dashboard/auth-rates?domain=example.org')).text();
+		const rows = await (await dashboardFetch('/dashboard/export/auth-rates?domain=example.org&format=json')).json();
+
+		expect(page.match(/<tr>/g)).toHaveLength(41);
+		expect(rows).toHaveLength(40);
+		expect(rows[39]).toMatchObject({ period: '2024-02-09', total: 1, pass_rate: 100 });
+	});
+
+	it('exports the buckets the time series page shows', async () => {
+		const monthly = await (await dashboardFetch('/dashboard/compliance-trends?bucket=month')).text();
+		const rows = await (await dashboardFetch('/dashboard/export/compliance-trends?bucket=month&format=json')).json();
+
+		expect(monthly).toContain('href="/dashboard/export/compliance-trends?bucket=month&amp;format=json"');
+		expect(monthly.match(/<tr>/g)).toHaveLength(rows.length + 1);
+		expect(rows).toEqual([
+			expect.objectContaining({ period: '2025-01-01', total: 16, dmarc_pass: 13, dmarc_fail: 3, delivered: 15, quarantined: 1, rejected: 0 }),
+		]);
+	});
+
+	it('breaks the download instead of ending it cleanly when a query fails', async () => {
+		await env.DB.prepare('DROP TABLE dmarc_reports').run();
+
+		const response = await dashboardFetch('/dashboard/export/detailed-reports?format=json');
+
+		await expect(response.text()).rejects.toThrow();
+	});
+
+	it('links every table to its export under the current filters', async () => {
+		const body = await (await dashboardFetch('/dashboard/detailed-reports?domain=example.com')).text();
+
+		expect(body).toContain('href="/dashboard/export/detailed-reports?domain=example.com&amp;format=csv"');
+		expect(body).toContain('href="/dashboard/export/detailed-reports?domain=example.com&amp;format=json"');
+		expect((await dashboardFetch('/dashboard/export/members')).status).toBe(404);
+	});
+
+	it('escapes CSV cells and defuses formulas', () => {
+		expect(csvCell('a,b')).toBe('"a,b"');
+		expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+		expect(csvCell('=HYPERLINK("x")')).toBe(`"'=HYPERLINK(""x"")"`);
+		expect(csvCell(-1)).toBe('-1');
+		expect(csvCell(null)).toBe('');
+	});
+});
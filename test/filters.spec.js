@@ -0,0 +1,65 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { addDomain } from '../src/domains';
+import { importReportFile } from '../src/ingest';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const page = async (path) => (await dashboardFetch(path)).text();
+
+describe('dashboard filters', () => {
+	beforeEach(async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+		await importReportFile(env, 'acme', 'microsoft.xml', microsoftReport);
+	});
+
+	it('offers the customer domains in the filter bar', async () => {
+		const body = await page('/dashboard/');
+
+		expect(body).toContain('<option value="example.com" >example.com</option>');
+		expect(body).toContain('<option value="mail.example.com" >mail.example.com</option>');
+	});
+
+	it('applies the domain and date range to the page', async () => {
+		const body = await page('/dashboard/top-senders?domain=example.com&range=custom&start=2025-01-01&end=2025-01-01');
+
+		expect(body).toContain('<td>209.85.220.41</td>');
+		expect(body).not.toContain('<td>198.51.100.20</td>');
+		expect(body).toContain('<option value="example.com" selected>example.com</option>');
+	});
+
+	it('keeps the filters on the navigation links', async () => {
+		const body = await page('/dashboard/auth-rates?range=30d&domain=example.com');
+
+		expect(body).toContain('href="/dashboard/failure-analysis?range=30d&amp;domain=example.com"');
+	});
+
+	it('keeps the filters on the navigation of pages without the filter bar', async () => {
+		const report = await page('/dashboard/reports/13371337133713371337?range=30d&domain=example.com&org=google.com');
+		await addDomain(env, 'acme', 'example.com');
+		const settings = await page('/dashboard/domains/example.com?range=30d&domain=example.com');
+
+		for (const body of [report, settings]) {
+			expect(body).toContain('href="/dashboard/failure-analysis?range=30d&amp;domain=example.com"');
+			expect(body).not.toContain('<select name="range">');
+		}
+	});
+
+	it('resolves range presets relative to today', async () => {
+		const body = await page('/dashboard/top-senders?range=7d');
+
+		expect(body).not.toContain('<td>209.85.220.41</td>');
+	});
+
+	it('only loads the pickers for pages that show the filter bar', async () => {
+		// The pickers read the rollups; pages without the bar must not need them
+		await env.DB.prepare('DROP TABLE daily_rollups').run();
+
+		const exported = await dashboardFetch('/dashboard/export/detailed-reports?format=json');
+		const settings = await dashboardFetch('/dashboard/retention');
+
+		expect(await exported.json()).toHaveLength(3);
+		expect(settings.status).toBe(200);
+	});
+});
@@ -0,0 +1,183 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import worker from '../src';
+import { parseHeaderFields, redactRecipientHeaders, saveForensicSettings } from '../src/forensic';
+import { storeReport } from '../src/ingest';
+import { parseAggregateReport } from '../src/report-parser';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+
+const sample = [
+	'Received: from mail.spoofer.test (mail.spoofer.test [203.0.113.7])',
+	'\tby mx.google.com for <alice@example.net>; Wed, 1 Jan 2025 10:00:00 +0000',
+	'From: Billing <billing@example.com>',
+	'To: Alice <alice@example.net>',
+	'Cc: bob@example.net',
+	'Subject: Your invoice is overdue',
+	'Message-ID: <sample-1@spoofer.test>',
+	'Date: Wed, 1 Jan 2025 10:00:00 +0000',
+	'',
+	'Please pay at https://spoofer.test/pay',
+].join('\r\n');
+
+const failureReport = (to, { sampleType = 'message/rfc822' } = {}) => {
+	const raw = [
+		'From: noreply-dmarc-support@google.com',
+		`To: ${to}`,
+		'Subject: Report domain: example.com Submitter: google.com',
+		'MIME-Version: 1.0',
+		'Content-Type: multipart/report; report-type=feedback-report; boundary="boundary"',
+		'',
+		'--boundary',
+		'Content-Type: text/plain',
+		'',
+		'This is an authentication failure report for an email message received from IP 203.0.113.7.',
+		'--boundary',
+		'Content-Type: message/feedback-report',
+		'',
+		'Feedback-Type: auth-failure',
+		'User-Agent: Gmail/1.0',
+		'Version: 1',
+		'Original-Mail-From: <bounce@spoofer.test>',
+		'Original-Rcpt-To: <alice@example.net>',
+		'Arrival-Date: Wed, 1 Jan 2025 10:00:00 +0000',
+		'Source-IP: 203.0.113.7',
+		'Reported-Domain: example.com',
+		'Authentication-Results: mx.google.com; dmarc=fail (p=NONE) header.from=example.com;',
+		'  spf=fail smtp.mailfrom=spoofer.test',
+		'Auth-Failure: dmarc',
+		'Delivery-Result: delivered',
+		'',
+		'--boundary',
+		`Content-Type: ${sampleType}`,
+		'',
+		sample,
+		'--boundary--',
+		'',
+	].join('\r\n');
+
+	return {
+		from: 'noreply-dmarc-support@google.com',
+		to,
+		raw: new Response(raw).body,
+		rawSize: raw.length,
+		setReject: vi.fn(),
+	};
+};
+
+const storedSamples = async () => (await env.DB.prepare('SELECT * FROM forensic_reports ORDER BY id').all()).results;
+
+describe('forensic report parsing', () => {
+	it('unfolds header fields', () => {
+		expect(parseHeaderFields('Auth-Failure: dkim\r\nAuthentication-Results: mx.test;\r\n  dkim=fail\r\n')).toEqual([
+			['auth-failure', 'dkim'],
+			['authentication-results', 'mx.test; dkim=fail'],
+		]);
+	});
+
+	it('redacts recipient addresses but keeps the sender', () => {
+		const redacted = redactRecipientHeaders(sample.split('\r\n\r\n')[0]);
+
+		expect(redacted).toContain('by mx.google.com for <redacted@example.net>;');
+		expect(redacted).toContain('To: Alice <redacted@example.net>');
+		expect(redacted).toContain('Cc: redacted@example.net');
+		expect(redacted).toContain('From: Billing <billing@example.com>');
+		expect(redacted).not.toContain('alice');
+	});
+});
+
+describe('forensic report ingestion', () => {
+	beforeEach(async () => {
+		await env.HUZZANDBUZZ_ACCOUNTS.put('acme', 'hash');
+	});
+
+	it('stores failure samples with bodies and recipients redacted by default', async () => {
+		const message = failureReport('acme@huzzand.buzz');
+
+		await worker.email(message, env, {});
+
+		const [row] = await storedSamples();
+		expect(message.setReject).not.toHaveBeenCalled();
+		expect(row).toMatchObject({
+			customer_id: 'acme',
+			reporter: 'noreply-dmarc-support@google.com',
+			feedback_type: 'auth-failure',
+			arrival_date: Date.UTC(2025, 0, 1, 10) / 1000,
+			source_ip: '203.0.113.7',
+			reported_domain: 'example.com',
+			original_mail_from: '<bounce@spoofer.test>',
+			original_rcpt_to: '<redacted@example.net>',
+			auth_failure: 'dmarc',
+			authentication_results: 'mx.google.com; dmarc=fail (p=NONE) header.from=example.com; spf=fail smtp.mailfrom=spoofer.test',
+			delivery_result: 'delivered',
+			header_from: 'example.com',
+			subject: 'Your invoice is overdue',
+			message_id: '<sample-1@spoofer.test>',
+			body: null,
+			recipients_redacted: 1,
+		});
+		expect(row.headers).not.toContain('alice');
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM dmarc_reports').first();
+		expect(count).toBe(0);
+	});
+
+	it('keeps bodies and recipients when the customer opts in', async () => {
+		await saveForensicSettings(env, 'acme', { redact_bodies: false, redact_recipients: false });
+
+		await worker.email(failureReport('acme@huzzand.buzz'), env, {});
+
+		const [row] = await storedSamples();
+		expect(row.body.trim()).toBe('Please pay at https://spoofer.test/pay');
+		expect(row.original_rcpt_to).toBe('<alice@example.net>');
+		expect(row.headers).toContain('To: Alice <alice@example.net>');
+	});
+
+	it('accepts samples that only carry the headers', async () => {
+		await saveForensicSettings(env, 'acme', { redact_bodies: false, redact_recipients: true });
+
+		await worker.email(failureReport('acme@huzzand.buzz', { sampleType: 'text/rfc822-headers' }), env, {});
+
+		const [row] = await storedSamples();
+		expect(row.subject).toBe('Your invoice is overdue');
+		expect(row.body).toBeNull();
+	});
+});
+
+describe('forensic dashboard', () => {
+	beforeEach(async () => {
+		await env.HUZZANDBUZZ_ACCOUNTS.put('acme', 'hash');
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await worker.email(failureReport('acme@huzzand.buzz'), env, {});
+	});
+
+	it('lists samples and shows their details', async () => {
+		const [row] = await storedSamples();
+		const list = await (await dashboardFetch('/dashboard/forensic?domain=example.com&ip=203.0.113.7')).text();
+
+		expect(list).toContain('<td>Your invoice is overdue</td>');
+		expect(list).toContain(`href="/dashboard/forensic/${row.id}?domain=example.com"`);
+		expect(await (await dashboardFetch('/dashboard/forensic?ip=192.0.2.1')).text()).not.toContain('Your invoice is overdue');
+
+		const detail = await (await dashboardFetch(`/dashboard/forensic/${row.id}`)).text();
+		expect(detail).toContain('<tr><th>Envelope To</th><td>&lt;redacted@example.net&gt;</td></tr>');
+		expect(detail).toContain('Not stored');
+	});
+
+	it('links failing sources to their samples', async () => {
+		const body = await (await dashboardFetch('/dashboard/failure-analysis')).text();
+
+		expect(body).toContain('<a href="/dashboard/forensic?domain=example.com&amp;ip=203.0.113.7">1</a>');
+	});
+
+	it('saves the redaction settings', async () => {
+		const response = await dashboardFetch('/dashboard/forensic/settings', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			body: 'redact_bodies=1',
+		});
+
+		expect(response.status).toBe(302);
+		const { results } = await env.DB.prepare('SELECT redact_bodies, redact_recipients FROM forensic_settings').all();
+		expect(results).toEqual([{ redact_bodies: 1, redact_recipients: 0 }]);
+	});
+});
@@ -0,0 +1,38 @@
+import { env, SELF } from 'cloudflare:test';
+import { sign } from 'hono/jwt';
+
+// Cookie header for a logged in dashboard session, as the customer ID's legacy owner login
+// unless a member's email is given
+export async function authCookie(customerId, email) {
+	const token = await sign({ customerId, ...(email ? { email } : {}), exp: Math.floor(Date.now() / 1000) + 60 * 60 }, env.JWT_SECRET_KEY);
+	return `jwt=${token}`;
+}
+
+// Requests a path from the worker with acme's owner session, or the given cookie (null for none).
+// Redirects come back as they are rather than being followed.
+export async function dashboardFetch(path, { cookie, headers = {}, ...init } = {}) {
+	const session = cookie === undefined ? await authCookie('acme') : cookie;
+	return SELF.fetch(`http://example.com${path}`, {
+		redirect: 'manual',
+		...init,
+		headers: { ...headers, ...(session ? { Cookie: session } : {}) },
+	});
+}
+
+// Posts form fields, anonymously unless a cookie is given
+export function postForm(path, fields, cookie = null, headers = {}) {
+	return dashboardFetch(path, { method: 'POST', body: new URLSearchParams(fields), cookie, headers });
+}
+
+// Submits the login form; a successful login redirects and sets the session cookie
+export function login(email, password, headers = {}) {
+	return postForm('/login', { email, password }, null, headers);
+}
+
+// A cookie a response sets, as name=value for a Cookie header; the session cookie unless named
+export function sessionCookie(response, name = 'jwt') {
+	return response.headers
+		.getSetCookie()
+		.map((cookie) => cookie.split(';')[0])
+		.find((cookie) => cookie.startsWith(`${name}=`));
+}
@@ -0,0 +1,66 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import worker from '../src';
+import googleReport from './fixtures/google.xml?raw';
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+const reportMail = (to, attachment, filename) => {
+	const raw = [
+		'From: noreply-dmarc-support@google.com',
+		`To: ${to}`,
+		'Subject: Report domain: example.com Submitter: google.com',
+		'MIME-Version: 1.0',
+		'Content-Type: multipart/mixed; boundary="boundary"',
+		'',
+		'--boundary',
+		'Content-Type: text/plain',
+		'',
+		'This is an aggregate report from google.com.',
+		'--boundary',
+		'Content-Type: application/zip',
+		'Content-Transfer-Encoding: base64',
+		`Content-Disposition: attachment; filename="${filename}"`,
+		'',
+		toBase64(attachment),
+		'--boundary--',
+		'',
+	].join('\r\n');
+
+	return {
+		from: 'noreply-dmarc-support@google.com',
+		to,
+		raw: new Response(raw).body,
+		rawSize: raw.length,
+		setReject: vi.fn(),
+	};
+};
+
+describe('email handler', () => {
+	it('stores the records of a zipped aggregate report for the addressed customer', async () => {
+		await env.HUZZANDBUZZ_ACCOUNTS.put('acme', 'hash');
+		const message = reportMail('acme@huzzand.buzz', zipSync({ 'report.xml': strToU8(googleReport) }), 'report.zip');
+
+		await worker.email(message, env, {});
+
+		const { results } = await env.DB.prepare(
+			'SELECT customer_id, report_id, source_ip, count, dkim_result, spf_result, disposition FROM dmarc_reports ORDER BY count DESC'
+		).all();
+		expect(message.setReject).not.toHaveBeenCalled();
+		expect(results).toEqual([
+			{ customer_id: 'acme', report_id: '13371337133713371337', source_ip: '209.85.220.41', count: 12, dkim_result: 1, spf_result: 1, disposition: 1 },
+			{ customer_id: 'acme', report_id: '13371337133713371337', source_ip: '203.0.113.7', count: 3, dkim_result: 2, spf_result: 2, disposition: 1 },
+		]);
+	});
+
+	it('rejects mail for customers that do not exist', async () => {
+		const message = reportMail('nobody@huzzand.buzz', zipSync({ 'report.xml': strToU8(googleReport) }), 'report.zip');
+
+		await worker.email(message, env, {});
+
+		expect(message.setReject).toHaveBeenCalledWith('Unknown recipient');
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM dmarc_reports').first();
+		expect(count).toBe(0);
+	});
+});
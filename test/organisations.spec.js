@@ -0,0 +1,106 @@
+import { env } from 'cloudflare:test';
+import bcrypt from 'bcryptjs';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createInvite, createOrganisation, getUser, listMembers, Role, setMemberRole } from '../src/organisations';
+import { authCookie, dashboardFetch, login, postForm, sessionCookie } from './helpers';
+
+const addMember = async (email, role) => {
+	const { token } = await createInvite(env, 'acme', { email, role, invitedBy: 'owner@example.com' });
+	const response = await postForm(`/invite/${token}`, { password: 'secret' });
+	expect(response.status).toBe(302);
+	return sessionCookie(response);
+};
+
+describe('organisations', () => {
+	beforeEach(async () => {
+		await createOrganisation(env, 'acme', { email: 'owner@example.com', password: 'secret' });
+	});
+
+	it('registers an organisation with its owner and logs members in by email', async () => {
+		const registered = await postForm('/register', { customerId: 'globex', email: 'Hank@Globex.com', password: 'pw' });
+
+		expect(registered.status).toBe(302);
+		expect(await getUser(env, 'hank@globex.com')).toMatchObject({ customerId: 'globex', role: Role.owner });
+		expect((await postForm('/register', { customerId: 'globex', email: 'other@globex.com', password: 'pw' })).status).toBe(409);
+
+		expect((await login('hank@globex.com', 'wrong')).status).toBe(401);
+		const loggedIn = await login('hank@globex.com', 'pw');
+		expect(loggedIn.status).toBe(302);
+		expect((await dashboardFetch('/dashboard/', { cookie: sessionCookie(loggedIn) })).status).toBe(200);
+	});
+
+	it('still accepts pre-organisation customer ID logins as the owner', async () => {
+		await env.HUZZANDBUZZ_ACCOUNTS.put('initech', bcrypt.hashSync('password', 4));
+
+		const loggedIn = await login('initech', 'password');
+
+		expect(loggedIn.status).toBe(302);
+		expect((await dashboardFetch('/dashboard/members', { cookie: sessionCookie(loggedIn) })).status).toBe(200);
+	});
+
+	it('invites members with a role through an invite link', async () => {
+		const owner = await authCookie('acme', 'owner@example.com');
+		const response = await postForm('/dashboard/members/invite', { email: 'ana@example.com', role: Role.analyst }, owner);
+		const link = (await response.text()).match(/http:\/\/example\.com(\/invite\/[0-9a-f]+)/)[1];
+
+		expect(response.status).toBe(201);
+		expect(await (await dashboardFetch(link, { cookie: null })).text()).toContain('Join acme as Analyst with ana@example.com.');
+
+		const accepted = await postForm(link, { password: 'secret' });
+		expect(accepted.status).toBe(302);
+		expect((await listMembers(env, 'acme')).map((member) => [member.email, member.role])).toEqual([
+			['owner@example.com', Role.owner],
+			['ana@example.com', Role.analyst],
+		]);
+		// Invites are single use
+		expect((await dashboardFetch(link, { cookie: null })).status).toBe(404);
+	});
+
+	it('keeps analysts out of key, alert and domain management', async () => {
+		const analyst = await addMember('ana@example.com', Role.analyst);
+
+		expect((await dashboardFetch('/dashboard/', { cookie: analyst })).status).toBe(200);
+		expect((await dashboardFetch('/dashboard/api-keys', { cookie: analyst })).status).toBe(403);
+		expect((await dashboardFetch('/dashboard/alerts', { cookie: analyst })).status).toBe(403);
+		expect((await postForm('/dashboard/domains', { domain: 'example.com' }, analyst)).status).toBe(403);
+		expect((await postForm('/dashboard/upload?filename=report.xml', {}, analyst)).status).not.toBe(403);
+	});
+
+	it('lets read-only members look but not change anything', async () => {
+		const viewer = await addMember('viewer@example.com', Role.readOnly);
+
+		expect((await dashboardFetch('/dashboard/senders', { cookie: viewer })).status).toBe(200);
+		expect((await postForm('/dashboard/senders/status', { domain: 'example.com', service: 'google', status: 'authorized' }, viewer)).status).toBe(403);
+		expect((await dashboardFetch('/api/reports?filename=report.xml', { method: 'POST', body: '<feedback/>', cookie: viewer })).status).toBe(403);
+	});
+
+	it('lets only owners remove members, which ends their sessions', async () => {
+		const admin = await addMember('admin@example.com', Role.admin);
+		const analyst = await addMember('ana@example.com', Role.analyst);
+		const owner = await authCookie('acme', 'owner@example.com');
+
+		expect((await postForm('/dashboard/members/ana@example.com/remove', {}, admin)).status).toBe(403);
+		expect((await postForm('/dashboard/members/ana@example.com/remove', {}, owner)).status).toBe(302);
+
+		const removed = await dashboardFetch('/dashboard/', { cookie: analyst });
+		expect(removed.status).toBe(302);
+		expect(removed.headers.get('location')).toBe('/logout');
+	});
+
+	it('encodes member addresses in the member forms', async () => {
+		await addMember('ana+dmarc@example.com', Role.analyst);
+		const owner = await authCookie('acme', 'owner@example.com');
+		const action = '/dashboard/members/ana%2Bdmarc%40example.com/remove';
+
+		expect(await (await dashboardFetch('/dashboard/members', { cookie: owner })).text()).toContain(`action="${action}"`);
+		expect((await postForm(action, {}, owner)).status).toBe(302);
+		expect((await listMembers(env, 'acme')).map((member) => member.email)).toEqual(['owner@example.com']);
+	});
+
+	it('always keeps an owner', async () => {
+		expect(await setMemberRole(env, 'acme', 'owner@example.com', Role.admin)).toBe('The organisation needs at least one owner');
+
+		const response = await postForm('/dashboard/members/owner@example.com/remove', {}, await authCookie('acme', 'owner@example.com'));
+		expect(response.status).toBe(400);
+	});
+});
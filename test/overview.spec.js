@@ -0,0 +1,92 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { storeReport } from '../src/ingest';
+import { DomainHealth, IssueKind, buildOverview, overviewPeriod, sparklinePoints } from '../src/overview';
+import { rebuildRollups } from '../src/rollups';
+import { parseAggregateReport } from '../src/report-parser';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const WEEK = { start: '2025-01-01', end: '2025-01-07' };
+
+const page = async (path) => (await dashboardFetch(path)).text();
+
+describe('overviewPeriod', () => {
+	it('compares against the equal-length period before', () => {
+		expect(overviewPeriod(WEEK)).toEqual({ ...WEEK, days: 7, previousStart: '2024-12-25', previousEnd: '2024-12-31' });
+	});
+
+	it('covers the last 30 days without a start date', () => {
+		expect(overviewPeriod({}, Date.UTC(2025, 0, 31, 15))).toEqual({
+			start: '2025-01-02',
+			end: '2025-01-31',
+			days: 30,
+			previousStart: '2024-12-03',
+			previousEnd: '2025-01-01',
+		});
+	});
+});
+
+describe('overview', () => {
+	beforeEach(async () => {
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await storeReport(env, 'acme', parseAggregateReport(microsoftReport));
+		// The week before: the Google sender alone, all passing
+		await env.DB.prepare(`
+			INSERT INTO dmarc_reports (customer_id, report_id, date_range_begin, date_range_end, header_from, source_ip, count, dkim_result, spf_result, disposition)
+			VALUES ('acme', 'earlier', ?1, ?2, 'example.com', '209.85.220.41', 10, 1, 1, 1)
+		`).bind(Date.UTC(2024, 11, 26) / 1000, Date.UTC(2024, 11, 27) / 1000 - 1).run();
+		await rebuildRollups(env, 'acme');
+	});
+
+	it('compares the stats with the previous period', async () => {
+		const { deltas } = await buildOverview(env, 'acme', WEEK);
+
+		expect(deltas.total_reports).toEqual({ value: 16, previous: 10, change: 60 });
+		expect(deltas.unique_domains).toEqual({ value: 2, previous: 1, change: 100 });
+		expect(deltas.success_rate.change).toBe(-18.7);
+		expect(deltas.dmarc_fail).toMatchObject({ value: 3, previous: 0, change: null });
+	});
+
+	it('rates each domain and lists the worst first', async () => {
+		const { domains } = await buildOverview(env, 'acme', WEEK);
+
+		expect(domains.map(({ domain, pass_rate, status }) => [domain, pass_rate, status])).toEqual([
+			['example.com', 80, DomainHealth.critical],
+			['mail.example.com', 100, DomainHealth.healthy],
+		]);
+		expect(domains[1].daily_pass_rates).toEqual([null, 100, null, null, null, null, null]);
+		expect(sparklinePoints(domains[0].daily_pass_rates)).toBe('0,6');
+	});
+
+	it('ranks failing sources, new senders and policy overrides by messages', async () => {
+		const { issues } = await buildOverview(env, 'acme', WEEK);
+
+		expect(issues.map(({ kind, domain, messages }) => [kind, domain, messages])).toEqual([
+			[IssueKind.failingSource, 'example.com', 3],
+			[IssueKind.newSender, 'example.com', 3],
+			[IssueKind.policyOverride, 'mail.example.com', 1],
+		]);
+		expect(issues[0].summary).toBe('3 of 3 messages from 203.0.113.7 failed DMARC');
+	});
+
+	it('renders the deltas, health cards and issues', async () => {
+		const body = await page('/dashboard/?range=custom&start=2025-01-01&end=2025-01-07');
+
+		expect(body).toContain('2025-01-01 to 2025-01-07, compared with 2024-12-25 to 2024-12-31');
+		expect(body).toContain('+60.0% vs previous period');
+		expect(body).toContain('-18.7 pts vs previous period');
+		expect(body).toMatch(/health-critical">\s*<h3><a[^>]*>example\.com<\/a>/);
+		expect(body).toContain('had the policy overridden (forwarded)');
+		expect(body).toContain('href="/dashboard/failure-analysis?range=custom&amp;start=2025-01-01&amp;end=2025-01-07&amp;domain=example.com"');
+	});
+
+	it('serves the comparison from the API', async () => {
+		const response = await dashboardFetch('/api/v1/overview/compare?start=2025-01-01&end=2025-01-07');
+		const { data } = await response.json();
+
+		expect(data.period).toMatchObject({ previousStart: '2024-12-25' });
+		expect(data.stats.total_reports).toBe(16);
+	});
+});
@@ -0,0 +1,75 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { importReportFile } from '../src/ingest';
+import { currentStep, getReadiness, ROLLOUT_STEPS } from '../src/readiness';
+import { setSenderAuthorization, SenderStatus } from '../src/senders';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const WINDOW = { start: '2025-01-01', end: '2025-01-31' };
+
+describe('enforcement readiness', () => {
+	// Nothing here may look senders up over the network
+	beforeAll(() => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+
+	it('places published policies on the rollout', () => {
+		expect(ROLLOUT_STEPS[currentStep(null)]).toEqual({ p: 'none', pct: 100 });
+		expect(ROLLOUT_STEPS[currentStep({ policy_p: 'quarantine', policy_pct: 30 })]).toEqual({ p: 'quarantine', pct: 10 });
+		expect(ROLLOUT_STEPS[currentStep({ policy_p: 'quarantine', policy_pct: 5 })]).toEqual({ p: 'none', pct: 100 });
+		expect(ROLLOUT_STEPS[currentStep({ policy_p: 'reject', policy_pct: 100 })]).toEqual({ p: 'reject', pct: 100 });
+	});
+
+	it('holds the policy until every sender has been reviewed', async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+		await importReportFile(env, 'acme', 'microsoft.xml', microsoftReport);
+		await setSenderAuthorization(env, 'acme', 'example.com', 'google', SenderStatus.authorized);
+
+		let [example, mail] = (await getReadiness(env, 'acme', WINDOW)).domains;
+
+		expect(example).toMatchObject({
+			domain: 'example.com',
+			published: { p: 'none', sp: 'none', pct: 100 },
+			authorized_share: 80,
+			unreviewed_share: 20,
+			authorized_pass_rate: 100,
+			next_step: { p: 'quarantine', pct: 10 },
+			ready: false,
+			blockers: ['20% of mail comes from senders that have not been reviewed'],
+		});
+		expect(example.affected_senders.map((sender) => [sender.service_id, sender.dmarc_fail])).toEqual([['unknown', 3]]);
+		expect(mail).toMatchObject({
+			domain: 'mail.example.com',
+			current_step: { p: 'quarantine', pct: 100 },
+			next_step: { p: 'reject', pct: 10 },
+			ready: false,
+			blockers: ['No senders are authorized for this domain yet', '100% of mail comes from senders that have not been reviewed'],
+		});
+
+		await setSenderAuthorization(env, 'acme', 'example.com', 'unknown', SenderStatus.unauthorized);
+		[example] = (await getReadiness(env, 'acme', { ...WINDOW, domain: 'example.com' })).domains;
+
+		expect(example).toMatchObject({ unauthorized_share: 20, ready: true, blockers: [], affected_senders: [] });
+		expect(example.projection).toEqual({
+			legitimate_affected: 0,
+			unreviewed_affected: 0,
+			unauthorized_blocked: 0,
+			legitimate_delivered_rate: 100,
+		});
+	});
+
+	it('renders the readiness page with the filters applied', async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+
+		const response = await dashboardFetch('/dashboard/readiness?start=2025-01-01&end=2025-01-31');
+		const body = await response.text();
+
+		expect(response.status).toBe(200);
+		expect(body).toContain('✗ Hold at p=none; pct=100');
+		expect(body).toContain('No senders are authorized for this domain yet');
+		expect(body).toContain('Senders that would lose mail from example.com');
+	});
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { gzipSync, zipSync, strToU8 } from 'fflate';
+import { parseAggregateReport, toReportRows } from '../src/report-parser';
+import { extractReportFiles, MAX_UNPACKED_SIZE } from '../src/attachments';
+import { isAligned, organizationalDomain } from '../src/alignment';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+describe('parseAggregateReport', () => {
+	it('reads report metadata, the published policy and every record', () => {
+		const report = parseAggregateReport(googleReport);
+
+		expect(report.report_metadata).toMatchObject({
+			org_name: 'google.com',
+			report_id: '13371337133713371337',
+			date_range: { begin: 1735689600, end: 1735775999 },
+		});
+		expect(report.policy_published).toMatchObject({ domain: 'example.com', p: 'none', pct: 100 });
+		expect(report.records).toHaveLength(2);
+		expect(report.records[1].auth_results.dkim).toEqual([]);
+	});
+
+	it('keeps repeated auth results and override reasons', () => {
+		const [record] = parseAggregateReport(microsoftReport).records;
+
+		expect(record.auth_results.dkim.map((dkim) => dkim.domain)).toEqual(['example.com', 'relay.test']);
+		expect(record.policy_evaluated.reasons).toEqual([{ type: 'forwarded', comment: 'looks forwarded' }]);
+	});
+
+	it('rejects documents that are not aggregate reports', () => {
+		expect(() => parseAggregateReport('<html><body>hi</body></html>')).toThrow('Not a DMARC aggregate report');
+	});
+});
+
+describe('toReportRows', () => {
+	it('maps records onto dmarc_reports columns', () => {
+		const rows = toReportRows('acme', parseAggregateReport(microsoftReport));
+
+		expect(rows).toEqual([
+			{
+				customer_id: 'acme',
+				report_id: 'a1b2c3d4e5f6',
+				org_name: 'Enterprise Outlook',
+				org_email: 'dmarcreport@microsoft.com',
+				org_extra_contact_info: null,
+				date_range_begin: 1735776000,
+				date_range_end: 1735862400,
+				header_from: 'mail.example.com',
+				source_ip: '198.51.100.20',
+				count: 1,
+				dkim_result: 2,
+				spf_result: 1,
+				disposition: 2,
+				policy_override_type: 'forwarded',
+				error: 'looks forwarded',
+				dkim_domain: 'relay.test',
+				dkim_auth_result: 'pass',
+				dkim_aligned: 0,
+				spf_domain: 'example.com',
+				spf_auth_result: 'pass',
+				spf_aligned: 1,
+				policy_p: 'quarantine',
+				policy_sp: 'quarantine',
+				policy_pct: 100,
+			},
+		]);
+	});
+});
+
+describe('extractReportFiles', () => {
+	it('accepts raw, gzipped and zipped XML', () => {
+		const raw = extractReportFiles('report.xml', strToU8(googleReport));
+		const gzipped = extractReportFiles('report.xml.gz', gzipSync(strToU8(googleReport)));
+		const zipped = extractReportFiles('report.zip', zipSync({ 'report.xml': strToU8(googleReport) }));
+
+		for (const files of [raw, gzipped, zipped]) {
+			expect(files).toHaveLength(1);
+			expect(files[0].xml).toBe(googleReport);
+		}
+		expect(gzipped[0].name).toBe('report.xml');
+	});
+
+	it('rejects archives that unpack to more than the size limit', () => {
+		// The sizes archives declare are what they unpack to, so bombs are faked by raising them
+		const gzipped = gzipSync(strToU8(googleReport));
+		new DataView(gzipped.buffer).setUint32(gzipped.length - 4, MAX_UNPACKED_SIZE + 1, true);
+		const zipped = zipSync({ 'report.xml': strToU8(googleReport) });
+		const view = new DataView(zipped.buffer);
+		const centralDirectory = zipped.findIndex((_, index) => view.getUint32(index, true) === 0x02014b50);
+		view.setUint32(centralDirectory + 24, MAX_UNPACKED_SIZE + 1, true);
+
+		expect(() => extractReportFiles('bomb.xml.gz', gzipped)).toThrow(/larger than 32 MB/);
+		expect(() => extractReportFiles('bomb.zip', zipped)).toThrow(/larger than 32 MB/);
+	});
+
+	it('ignores content that is not XML', () => {
+		expect(extractReportFiles('logo.png', new Uint8Array([0x89, 0x50, 0x4e, 0x47]))).toEqual([]);
+	});
+});
+
+describe('alignment', () => {
+	it('compares organizational domains in relaxed mode', () => {
+		expect(organizationalDomain('mail.example.co.uk')).toBe('example.co.uk');
+		expect(isAligned('bounce.example.com', 'example.com', 'r')).toBe(true);
+		expect(isAligned('example.com', 'example.org', 'r')).toBe(false);
+	});
+
+	it('requires an exact match in strict mode', () => {
+		expect(isAligned('bounce.example.com', 'example.com', 's')).toBe(false);
+		expect(isAligned('Example.com', 'example.com', 's')).toBe(true);
+	});
+});
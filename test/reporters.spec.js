@@ -0,0 +1,53 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { storeReport } from '../src/ingest';
+import { parseAggregateReport } from '../src/report-parser';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+describe('reporting organisations', () => {
+	beforeEach(async () => {
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await storeReport(env, 'acme', parseAggregateReport(microsoftReport));
+	});
+
+	it('stores how to reach the reporter with every record', async () => {
+		const row = await env.DB.prepare(`SELECT org_email, org_extra_contact_info FROM dmarc_reports WHERE org_name = 'google.com' LIMIT 1`).first();
+
+		expect(row).toEqual({
+			org_email: 'noreply-dmarc-support@google.com',
+			org_extra_contact_info: 'https://support.google.com/a/answer/2466580',
+		});
+	});
+
+	it('breaks volume, pass rate and disposition down per reporter', async () => {
+		const { data } = await (await dashboardFetch('/api/v1/reporters')).json();
+
+		expect(data.map((row) => [row.org_name, row.org_email, row.total, row.pass_rate, row.delivered, row.quarantined])).toEqual([
+			['google.com', 'noreply-dmarc-support@google.com', 15, 80, 15, 0],
+			['Enterprise Outlook', 'dmarcreport@microsoft.com', 1, 100, 0, 1],
+		]);
+
+		const body = await (await dashboardFetch('/dashboard/reporters')).text();
+		expect(body).toContain('<a href="mailto:dmarcreport@microsoft.com">dmarcreport@microsoft.com</a>');
+		expect(body).toContain('href="/dashboard/detailed-reports?reporter=google.com"');
+	});
+
+	it('filters the other pages by reporter', async () => {
+		const { data } = await (await dashboardFetch('/api/v1/timeseries?reporter=Enterprise+Outlook')).json();
+		expect(data.totals.map((row) => [row.bucket, row.total])).toEqual([['2025-01-02', 1]]);
+
+		const body = await (await dashboardFetch('/dashboard/failure-analysis?reporter=google.com')).text();
+		expect(body).toContain('<option value="google.com" selected>google.com</option>');
+		expect(body).toContain('href="/dashboard/auth-rates?reporter=google.com"');
+		expect(body).toContain('203.0.113.7');
+		expect(body).not.toContain('198.51.100.20');
+	});
+
+	it('shows the reporter contact on the report drill-down', async () => {
+		const body = await (await dashboardFetch('/dashboard/reports/a1b2c3d4e5f6')).text();
+
+		expect(body).toContain('<tr><th>Contact</th><td>dmarcreport@microsoft.com</td></tr>');
+	});
+});
@@ -0,0 +1,130 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { gunzipSync, strFromU8 } from 'fflate';
+import { storeReport } from '../src/ingest';
+import { deleteArchives, purgeExpiredData, saveRetentionSettings } from '../src/retention';
+import { parseAggregateReport } from '../src/report-parser';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+// A year after noon on 2 January 2025: the Google report (1 January) has expired, the Microsoft one (ending 3 January) hasn't
+const NOW = Date.UTC(2026, 0, 2, 12);
+
+const count = async (table) => (await env.DB.prepare(`SELECT COUNT(*) AS count FROM ${table}`).first()).count;
+
+const archivedObjects = async () => (await env.REPORT_ARCHIVE.list({ prefix: 'acme/' })).objects;
+
+describe('report deduplication', () => {
+	it('imports a report once, even when it is delivered twice at the same time', async () => {
+		const report = parseAggregateReport(googleReport);
+		const results = await Promise.all([storeReport(env, 'acme', report), storeReport(env, 'acme', report)]);
+
+		expect(results.map((result) => result.imported).sort()).toEqual([false, true]);
+		expect(await count('dmarc_reports')).toBe(2);
+		expect(await env.DB.prepare('SELECT customer_id, org_name, report_id, records FROM report_imports').all()).toMatchObject({
+			results: [{ customer_id: 'acme', org_name: 'google.com', report_id: '13371337133713371337', records: 2 }],
+		});
+	});
+
+	it('indexes the columns the dashboards filter on', async () => {
+		const { results } = await env.DB.prepare(`SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'dmarc_reports' ORDER BY name`).all();
+
+		expect(results.map((row) => row.name)).toEqual(
+			expect.arrayContaining(['dmarc_reports_customer_dates', 'dmarc_reports_customer_domain', 'dmarc_reports_customer_source'])
+		);
+	});
+});
+
+describe('retention purge', () => {
+	beforeEach(async () => {
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await storeReport(env, 'acme', parseAggregateReport(microsoftReport));
+		await env.DB.prepare(`INSERT INTO forensic_reports (customer_id, arrival_date, subject) VALUES ('acme', ?1, 'old sample')`)
+			.bind(Date.UTC(2024, 11, 1) / 1000)
+			.run();
+	});
+
+	it('keeps data forever unless a retention period is set', async () => {
+		expect(await purgeExpiredData(env, { now: NOW })).toEqual({ customers: 0, records: 0, samples: 0, pending: 0 });
+		expect(await count('dmarc_reports')).toBe(3);
+	});
+
+	it('deletes expired records and samples and keeps the rollups in step', async () => {
+		await saveRetentionSettings(env, 'acme', { retention_days: '365' });
+
+		expect(await purgeExpiredData(env, { now: NOW })).toEqual({ customers: 1, records: 2, samples: 1, pending: 0 });
+
+		const { results } = await env.DB.prepare('SELECT source_ip FROM dmarc_reports').all();
+		expect(results).toEqual([{ source_ip: '198.51.100.20' }]);
+		expect(await count('daily_rollups')).toBe(1);
+		expect(await count('forensic_reports')).toBe(0);
+		expect(await archivedObjects()).toEqual([]);
+	});
+
+	it('keeps purging a backlog larger than one run across runs', async () => {
+		await saveRetentionSettings(env, 'acme', { retention_days: '365' });
+		await saveRetentionSettings(env, 'beta', { retention_days: '365' });
+		await storeReport(env, 'beta', parseAggregateReport(googleReport));
+
+		expect(await purgeExpiredData(env, { now: NOW, batchSize: 1, maxBatches: 1 })).toMatchObject({ customers: 1, records: 1, pending: 2 });
+		expect(await env.DB.prepare(`SELECT customer_id, purge_pending FROM retention_settings ORDER BY customer_id`).all()).toMatchObject({
+			results: [
+				{ customer_id: 'acme', purge_pending: 1 },
+				{ customer_id: 'beta', purge_pending: 0 },
+			],
+		});
+
+		// The pending customer goes first, then the one the budget didn't reach
+		expect(await purgeExpiredData(env, { now: NOW + 1, batchSize: 1, maxBatches: 2 })).toMatchObject({ records: 2, pending: 1 });
+		expect(await purgeExpiredData(env, { now: NOW + 2, batchSize: 1, maxBatches: 2 })).toMatchObject({ records: 1, pending: 0 });
+
+		const { results } = await env.DB.prepare('SELECT customer_id, source_ip FROM dmarc_reports').all();
+		expect(results).toEqual([{ customer_id: 'acme', source_ip: '198.51.100.20' }]);
+		expect(await count('daily_rollups')).toBe(1);
+	});
+
+	it('does not record a purge that failed', async () => {
+		await saveRetentionSettings(env, 'acme', { retention_days: '365' });
+		await env.DB.prepare('DROP TABLE daily_rollups').run();
+
+		expect(await purgeExpiredData(env, { now: NOW })).toEqual({ customers: 0, records: 0, samples: 0, pending: 0 });
+		expect(await env.DB.prepare('SELECT last_purged_at FROM retention_settings').first()).toEqual({ last_purged_at: null });
+	});
+
+	it('archives records before deleting them when asked to', async () => {
+		await saveRetentionSettings(env, 'acme', { retention_days: '365', archive: '1' });
+
+		await purgeExpiredData(env, { now: NOW });
+
+		const [object] = await archivedObjects();
+		expect(object.key).toMatch(/^acme\/2026-01-02\/\d+-\d+\.ndjson\.gz$/);
+		const rows = strFromU8(gunzipSync(new Uint8Array(await (await env.REPORT_ARCHIVE.get(object.key)).arrayBuffer())))
+			.trim()
+			.split('\n')
+			.map((line) => JSON.parse(line));
+		expect(rows.map((row) => [row.report_id, row.source_ip, row.count])).toEqual([
+			['13371337133713371337', '209.85.220.41', 12],
+			['13371337133713371337', '203.0.113.7', 3],
+		]);
+
+		await deleteArchives(env, 'acme');
+		expect(await archivedObjects()).toEqual([]);
+	});
+
+	it('rejects retention periods it does not offer', async () => {
+		expect(await saveRetentionSettings(env, 'acme', { retention_days: '1' })).toBe('Unknown retention period');
+	});
+
+	it('saves the retention settings from the dashboard', async () => {
+		const response = await dashboardFetch('/dashboard/retention', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			body: 'retention_days=90&archive=1',
+		});
+
+		expect(response.status).toBe(302);
+		const body = await (await dashboardFetch('/dashboard/retention')).text();
+		expect(body).toContain('<option value="90" selected>90 days</option>');
+	});
+});
@@ -0,0 +1,120 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { storeReport } from '../src/ingest';
+import { checkRollups, rebuildRollups, repairRollups } from '../src/rollups';
+import { ROLLUPS_CRON } from '../src/scheduled';
+import { getFailureAnalysis, getOverviewStats, getTopSenders } from '../src/queries';
+import { parseAggregateReport } from '../src/report-parser';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const REPORT_DAYS = ['2025-01-01', '2025-01-02'];
+
+const rollups = async () =>
+	(await env.DB.prepare('SELECT day, end_day, header_from, source_ip, org_name, count, records FROM daily_rollups ORDER BY day, source_ip').all()).results;
+
+describe('daily rollups', () => {
+	beforeEach(async () => {
+		await storeReport(env, 'acme', parseAggregateReport(googleReport));
+		await storeReport(env, 'acme', parseAggregateReport(microsoftReport));
+	});
+
+	it('rolls reports up per day as they are stored', async () => {
+		expect(await rollups()).toEqual([
+			{ day: '2025-01-01', end_day: '2025-01-01', header_from: 'example.com', source_ip: '203.0.113.7', org_name: 'google.com', count: 3, records: 1 },
+			{ day: '2025-01-01', end_day: '2025-01-01', header_from: 'example.com', source_ip: '209.85.220.41', org_name: 'google.com', count: 12, records: 1 },
+			{ day: '2025-01-02', end_day: '2025-01-03', header_from: 'mail.example.com', source_ip: '198.51.100.20', org_name: 'Enterprise Outlook', count: 1, records: 1 },
+		]);
+		expect(await checkRollups(env, 'acme', REPORT_DAYS)).toEqual([]);
+	});
+
+	it('selects the same records as the raw table under date filters', async () => {
+		// The Microsoft report ends at midnight on the 3rd, so it falls outside a range ending on the 2nd
+		const stats = await getOverviewStats(env, 'acme', { start: '2025-01-01', end: '2025-01-02' });
+		expect(stats).toMatchObject({ total_reports: 15, unique_ips: 2, unique_domains: 1 });
+
+		const senders = await getTopSenders(env, 'acme', { start: '2025-01-02', end: '2025-01-03' });
+		expect(senders.map((row) => [row.source_ip, row.total])).toEqual([['198.51.100.20', 1]]);
+	});
+
+	it('serves the failure analysis and time series from the rollups alone', async () => {
+		const before = await getFailureAnalysis(env, 'acme', {});
+		await env.DB.prepare('DELETE FROM dmarc_reports').run();
+
+		expect(await getFailureAnalysis(env, 'acme', {})).toEqual(before);
+		expect(before.find((row) => row.source_ip === '198.51.100.20')).toMatchObject({
+			dkim_unaligned: 1,
+			spf_unaligned: 0,
+			policy_override_type: 'forwarded',
+			error: 'looks forwarded',
+		});
+
+		const response = await dashboardFetch('/api/v1/auth-rates?bucket=month');
+		const { data } = await response.json();
+		expect(data).toEqual([expect.objectContaining({ bucket: '2025-01-01', total: 16, dmarc_pass: 13 })]);
+	});
+
+	it('finds and repairs days that drifted from the raw records', async () => {
+		await env.DB.prepare(`DELETE FROM dmarc_reports WHERE source_ip = '203.0.113.7'`).run();
+		await env.DB.prepare(`UPDATE daily_rollups SET count = 5 WHERE source_ip = '198.51.100.20'`).run();
+
+		expect(await checkRollups(env, 'acme', REPORT_DAYS)).toEqual([
+			{ day: '2025-01-01', raw_messages: 12, rollup_messages: 15, raw_records: 1, rollup_records: 2, raw_pass: 12, rollup_pass: 12 },
+			{ day: '2025-01-02', raw_messages: 1, rollup_messages: 5, raw_records: 1, rollup_records: 1, raw_pass: 1, rollup_pass: 5 },
+		]);
+		expect(await repairRollups(env)).toEqual({ customers: 1, repaired: 2 });
+		expect(await checkRollups(env, 'acme', REPORT_DAYS)).toEqual([]);
+		expect((await rollups()).map((row) => row.source_ip)).toEqual(['209.85.220.41', '198.51.100.20']);
+	});
+
+	it('drops rollups of days that no longer have records', async () => {
+		await env.DB.prepare(`DELETE FROM dmarc_reports WHERE org_name = 'Enterprise Outlook'`).run();
+
+		expect(await rebuildRollups(env, 'acme')).toBe(2);
+		expect((await rollups()).map((row) => row.day)).toEqual(['2025-01-01', '2025-01-01']);
+	});
+
+	it('repairs rollups on schedule', async () => {
+		await env.DB.prepare('DELETE FROM daily_rollups').run();
+		const waits = [];
+
+		await worker.scheduled({ cron: ROLLUPS_CRON, scheduledTime: Date.now() }, env, { waitUntil: (promise) => waits.push(promise) });
+		await Promise.all(waits);
+
+		expect(await rollups()).toHaveLength(3);
+	});
+
+	it('only checks recent days and the days of records stored since the last check', async () => {
+		// Stored a few days after the period, and first checked two weeks later
+		await env.DB.prepare(`UPDATE dmarc_reports SET created_at = '2025-01-05 00:00:00'`).run();
+		expect(await repairRollups(env, { now: Date.UTC(2025, 0, 20) })).toEqual({ customers: 1, repaired: 0 });
+
+		// Drift on a day nothing was stored for since goes unnoticed until that day changes
+		await env.DB.prepare(`UPDATE daily_rollups SET count = 5 WHERE source_ip = '198.51.100.20'`).run();
+		expect(await repairRollups(env, { now: Date.UTC(2025, 0, 21) })).toEqual({ customers: 1, repaired: 0 });
+
+		await env.DB.prepare(`
+			INSERT INTO dmarc_reports (customer_id, report_id, date_range_begin, date_range_end, header_from, source_ip, count, dkim_result, spf_result, disposition)
+			VALUES ('acme', 'late', ?1, ?2, 'mail.example.com', '198.51.100.21', 2, 1, 1, 1)
+		`).bind(Date.UTC(2025, 0, 2) / 1000, Date.UTC(2025, 0, 3) / 1000).run();
+		expect(await repairRollups(env, { now: Date.UTC(2025, 0, 22) })).toEqual({ customers: 1, repaired: 1 });
+		expect(await checkRollups(env, 'acme', REPORT_DAYS)).toEqual([]);
+	});
+
+	it('lets a failed check fail instead of reporting the rollups consistent', async () => {
+		await env.DB.prepare('DROP TABLE dmarc_reports').run();
+
+		await expect(checkRollups(env, 'acme', REPORT_DAYS)).rejects.toThrow('no such table');
+	});
+
+	it('reports consistency of the filtered period over the API', async () => {
+		await env.DB.prepare(`UPDATE daily_rollups SET count = 5 WHERE source_ip = '198.51.100.20'`).run();
+		const check = async (query) =>
+			(await dashboardFetch(`/api/v1/rollups/check${query}`)).json();
+
+		expect(await check('?start=2025-01-01&end=2025-01-01')).toEqual({ consistent: true, checked: { from: '2025-01-01', to: '2025-01-01' }, data: [] });
+		expect(await check('?start=2025-01-01&end=2025-01-31')).toMatchObject({ consistent: false, data: [{ day: '2025-01-02' }] });
+	});
+});
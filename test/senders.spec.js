@@ -0,0 +1,85 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { importReportFile } from '../src/ingest';
+import { identifySenders, resolveSenderNames, setSenderAuthorization, SenderStatus } from '../src/senders';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const mockReverseDns = (reverseName, ptr) => {
+	fetchMock
+		.get('https://cloudflare-dns.com')
+		.intercept({ path: (path) => path.includes(encodeURIComponent(reverseName)) })
+		.reply(200, JSON.stringify({ Answer: ptr ? [{ name: reverseName, type: 12, data: `${ptr}.` }] : [] }));
+};
+
+// Reverse DNS is off unless configured
+const withReverseDns = { ...env, REVERSE_DNS: 'on' };
+
+describe('sender identification', () => {
+	beforeAll(() => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+
+	afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+	it('matches catalogue ranges first and falls back to the reverse DNS resolved at ingest', async () => {
+		mockReverseDns('7.113.0.203.in-addr.arpa', 'o1.ptr123.sendgrid.net');
+		mockReverseDns('20.100.51.198.in-addr.arpa', null);
+		await importReportFile(withReverseDns, 'acme', 'google.xml', googleReport);
+		await importReportFile(withReverseDns, 'acme', 'microsoft.xml', microsoftReport);
+
+		// Read from the cache, so no further DNS queries are made
+		const senders = await identifySenders(env, ['209.85.220.41', '203.0.113.7', '198.51.100.20']);
+
+		expect(senders.get('209.85.220.41')).toEqual({ id: 'google', name: 'Google Workspace', known: true });
+		expect(senders.get('203.0.113.7')).toEqual({ id: 'sendgrid', name: 'SendGrid', known: true });
+		expect(senders.get('198.51.100.20')).toEqual({ id: 'unknown', name: 'Unknown sender', known: false });
+	});
+
+	it('sends no addresses to the resolver unless reverse DNS is on', async () => {
+		await importReportFile(env, 'acme', 'google.xml', googleReport);
+
+		const senders = await identifySenders(env, ['203.0.113.7']);
+
+		expect(senders.get('203.0.113.7')).toEqual({ id: 'unknown', name: 'Unknown sender', known: false });
+		expect(await env.DB.prepare('SELECT COUNT(*) AS count FROM ip_ptr').first()).toEqual({ count: 0 });
+	});
+
+	it('resolves cached names again once they are older than the TTL', async () => {
+		const now = Date.now();
+		await env.DB.batch([
+			env.DB.prepare(`INSERT INTO ip_ptr (ip, ptr, resolved_at) VALUES ('203.0.113.7', '', ?1)`).bind(now - 31 * 24 * 60 * 60 * 1000),
+			env.DB.prepare(`INSERT INTO ip_ptr (ip, ptr, resolved_at) VALUES ('198.51.100.20', '', ?1)`).bind(now - 24 * 60 * 60 * 1000),
+		]);
+		mockReverseDns('7.113.0.203.in-addr.arpa', 'o1.ptr123.sendgrid.net');
+
+		expect(await resolveSenderNames(withReverseDns, ['203.0.113.7', '198.51.100.20'], { now })).toBe(1);
+		expect((await identifySenders(env, ['203.0.113.7'])).get('203.0.113.7')).toMatchObject({ id: 'sendgrid' });
+	});
+
+	it('groups traffic by service per domain with the customer decision', async () => {
+		mockReverseDns('7.113.0.203.in-addr.arpa', 'o1.ptr123.sendgrid.net');
+		mockReverseDns('20.100.51.198.in-addr.arpa', null);
+		await importReportFile(withReverseDns, 'acme', 'google.xml', googleReport);
+		await importReportFile(withReverseDns, 'acme', 'microsoft.xml', microsoftReport);
+		await setSenderAuthorization(env, 'acme', 'example.com', 'google', SenderStatus.authorized);
+
+		const body = await (await dashboardFetch('/dashboard/senders')).text();
+
+		expect(body).toMatch(/<td>example\.com<\/td>\s*<td>Google Workspace<\/td>\s*<td>1<\/td>\s*<td>12<\/td>[\s\S]*?✓ Authorized/);
+		expect(body).toMatch(/<td>example\.com<\/td>\s*<td>SendGrid<\/td>\s*<td>1<\/td>\s*<td>3<\/td>[\s\S]*?\? Unreviewed/);
+	});
+
+	it('lets the customer mark a service unauthorized for a domain', async () => {
+		const response = await dashboardFetch('/dashboard/senders/status', {
+			method: 'POST',
+			body: new URLSearchParams({ domain: 'example.com', service: 'sendgrid', status: 'unauthorized' }),
+		});
+
+		expect(response.status).toBe(302);
+		const row = await env.DB.prepare("SELECT authorized FROM sender_authorizations WHERE customer_id = 'acme'").first();
+		expect(row).toEqual({ authorized: 0 });
+	});
+});
@@ -0,0 +1,67 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { acceptInvite, createInvite, createOrganisation, Role } from '../src/organisations';
+import { listSessions, MAX_LOGIN_FAILURES } from '../src/sessions';
+import { dashboardFetch, login, sessionCookie } from './helpers';
+
+describe('sessions', () => {
+	beforeEach(async () => {
+		await createOrganisation(env, 'acme', { email: 'owner@example.com', password: 'secret' });
+	});
+
+	it('locks a login out after repeated failures', async () => {
+		for (let attempt = 1; attempt < MAX_LOGIN_FAILURES; attempt++) {
+			expect((await login('owner@example.com', 'wrong')).status).toBe(401);
+		}
+
+		const locked = await login('owner@example.com', 'wrong');
+		expect(locked.status).toBe(429);
+		expect(locked.headers.get('retry-after')).toBe('900');
+		// Even the right password waits for the lockout to end
+		expect((await login('owner@example.com', 'secret')).status).toBe(429);
+	});
+
+	it('forgets failures after a successful login', async () => {
+		for (let attempt = 1; attempt < MAX_LOGIN_FAILURES; attempt++) {
+			await login('owner@example.com', 'wrong');
+		}
+		expect((await login('owner@example.com', 'secret')).status).toBe(302);
+		expect((await login('owner@example.com', 'wrong')).status).toBe(401);
+	});
+
+	it('lists active sessions and revokes them', async () => {
+		const laptop = sessionCookie(await login('owner@example.com', 'secret', { 'User-Agent': 'Laptop', 'CF-Connecting-IP': '192.0.2.1' }));
+		const phone = sessionCookie(await login('owner@example.com', 'secret', { 'User-Agent': 'Phone' }));
+
+		const page = await (await dashboardFetch('/dashboard/sessions', { cookie: laptop })).text();
+		expect(page).toContain('Laptop');
+		expect(page).toContain('192.0.2.1');
+		expect(page).toContain('This session');
+
+		const phoneSession = (await listSessions(env, 'owner@example.com')).find((session) => session.userAgent === 'Phone');
+		await dashboardFetch(`/dashboard/sessions/${phoneSession.id}/revoke`, { method: 'POST', cookie: laptop });
+
+		expect((await dashboardFetch('/dashboard/', { cookie: phone })).headers.get('location')).toBe('/logout');
+		expect((await dashboardFetch('/dashboard/', { cookie: laptop })).status).toBe(200);
+	});
+
+	it('signs out every other session at once, even for read-only members', async () => {
+		const { token } = await createInvite(env, 'acme', { email: 'viewer@example.com', role: Role.readOnly });
+		await acceptInvite(env, token, 'pw');
+		const first = sessionCookie(await login('viewer@example.com', 'pw'));
+		const second = sessionCookie(await login('viewer@example.com', 'pw'));
+
+		expect((await dashboardFetch('/dashboard/sessions/revoke-others', { method: 'POST', cookie: first })).status).toBe(302);
+
+		expect(await listSessions(env, 'viewer@example.com')).toHaveLength(1);
+		expect((await dashboardFetch('/dashboard/', { cookie: second })).status).toBe(302);
+	});
+
+	it('ends the session on logout', async () => {
+		const cookie = sessionCookie(await login('owner@example.com', 'secret'));
+
+		await dashboardFetch('/logout', { cookie });
+
+		expect(await listSessions(env, 'owner@example.com')).toEqual([]);
+	});
+});
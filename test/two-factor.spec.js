@@ -0,0 +1,112 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createOrganisation } from '../src/organisations';
+import {
+	base32Decode,
+	base32Encode,
+	beginEnrollment,
+	confirmEnrollment,
+	getTwoFactor,
+	isTwoFactorEnabled,
+	matchTotp,
+	totpCode,
+	verifySecondFactor,
+} from '../src/two-factor';
+import { login, postForm, sessionCookie } from './helpers';
+
+// RFC 6238 test secret, "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const NEXT_STEP = 30 * 1000;
+
+const enroll = async (account) => {
+	const { secret } = await beginEnrollment(env, account);
+	const { recoveryCodes } = await confirmEnrollment(env, account, await totpCode(secret));
+	return { secret, recoveryCodes };
+};
+
+describe('two-factor authentication', () => {
+	beforeEach(async () => {
+		await createOrganisation(env, 'acme', { email: 'owner@example.com', password: 'secret' });
+	});
+
+	it('generates RFC 6238 codes', async () => {
+		expect(base32Encode(new TextEncoder().encode('12345678901234567890'))).toBe(RFC_SECRET);
+		expect(new TextDecoder().decode(base32Decode(RFC_SECRET.toLowerCase()))).toBe('12345678901234567890');
+
+		expect(await totpCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+		expect(await totpCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+		expect(await totpCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+
+		// One step of clock drift either way is tolerated
+		expect(await matchTotp(RFC_SECRET, '287082', 89 * 1000)).toBe(1);
+		expect(await matchTotp(RFC_SECRET, '287082', 120 * 1000)).toBeNull();
+		expect(await matchTotp(RFC_SECRET, 'abc', 59 * 1000)).toBeNull();
+	});
+
+	it('turns on only once a code from the new secret is confirmed', async () => {
+		const { secret } = await beginEnrollment(env, 'owner@example.com');
+
+		expect(await confirmEnrollment(env, 'owner@example.com', '000000', 0)).toEqual({
+			error: 'That code is not valid, check the time on your device and try again',
+		});
+		expect((await getTwoFactor(env, 'owner@example.com')).enabledAt).toBeNull();
+
+		const { recoveryCodes } = await confirmEnrollment(env, 'owner@example.com', await totpCode(secret));
+		expect(recoveryCodes).toHaveLength(10);
+		expect((await getTwoFactor(env, 'owner@example.com')).recoveryCodes).not.toContain(recoveryCodes[0]);
+	});
+
+	it('rejects replayed codes and uses up recovery codes', async () => {
+		const { secret, recoveryCodes } = await enroll('owner@example.com');
+		const code = await totpCode(secret, Date.now() + NEXT_STEP);
+
+		expect(await verifySecondFactor(env, 'owner@example.com', code)).toBe(true);
+		expect(await verifySecondFactor(env, 'owner@example.com', code)).toBe(false);
+
+		expect(await verifySecondFactor(env, 'owner@example.com', recoveryCodes[0].toUpperCase())).toBe(true);
+		expect(await verifySecondFactor(env, 'owner@example.com', recoveryCodes[0])).toBe(false);
+		expect((await getTwoFactor(env, 'owner@example.com')).recoveryCodes).toHaveLength(9);
+	});
+
+	it('asks for a code after the password when enabled', async () => {
+		const { secret } = await enroll('owner@example.com');
+
+		const response = await login('owner@example.com', 'secret');
+		expect(response.status).toBe(302);
+		expect(response.headers.get('location')).toBe('/login/2fa');
+		expect(sessionCookie(response)).toBeUndefined();
+
+		const challenge = sessionCookie(response, 'login_challenge');
+		expect((await postForm('/login/2fa', { code: '000000' }, challenge)).status).toBe(401);
+
+		const verified = await postForm('/login/2fa', { code: await totpCode(secret, Date.now() + NEXT_STEP) }, challenge);
+		expect(verified.status).toBe(302);
+		expect(verified.headers.get('location')).toBe('/dashboard/');
+		expect(sessionCookie(verified)).toBeDefined();
+
+		// The challenge can't be used for a second session
+		expect((await postForm('/login/2fa', { code: '000000' }, challenge)).headers.get('location')).toBe('/login');
+	});
+
+	it('manages two-factor from the account page', async () => {
+		const cookie = sessionCookie(await login('owner@example.com', 'secret'));
+
+		expect((await postForm('/dashboard/account/2fa/setup', {}, cookie)).status).toBe(403);
+		expect(await getTwoFactor(env, 'owner@example.com')).toBeNull();
+		await postForm('/dashboard/account/2fa/setup', { password: 'secret' }, cookie);
+		const { secret } = await getTwoFactor(env, 'owner@example.com');
+		expect((await postForm('/dashboard/account/2fa/enable', { password: 'wrong', code: await totpCode(secret) }, cookie)).status).toBe(403);
+		const enabled = await postForm('/dashboard/account/2fa/enable', { password: 'secret', code: await totpCode(secret) }, cookie);
+
+		expect(enabled.status).toBe(201);
+		expect(await enabled.text()).toContain('Store these recovery codes somewhere safe');
+
+		const code = await totpCode(secret, Date.now() + NEXT_STEP);
+		expect((await postForm('/dashboard/account/2fa/disable', { password: 'wrong', code }, cookie)).status).toBe(403);
+		expect((await postForm('/dashboard/account/2fa/disable', { password: 'secret' }, cookie)).status).toBe(403);
+		expect((await postForm('/dashboard/account/2fa/disable', { password: 'secret', code: '000000' }, cookie)).status).toBe(403);
+		expect(isTwoFactorEnabled(await getTwoFactor(env, 'owner@example.com'))).toBe(true);
+		expect((await postForm('/dashboard/account/2fa/disable', { password: 'secret', code }, cookie)).status).toBe(200);
+		expect(await getTwoFactor(env, 'owner@example.com')).toBeNull();
+	});
+});
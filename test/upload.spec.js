@@ -0,0 +1,50 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { gzipSync, strToU8 } from 'fflate';
+import { dashboardFetch } from './helpers';
+import googleReport from './fixtures/google.xml?raw';
+import microsoftReport from './fixtures/microsoft.xml?raw';
+
+const upload = async (path, files) => {
+	const body = new FormData();
+	for (const [name, content] of files) {
+		body.append('files', new File([content], name));
+	}
+	return dashboardFetch(path, { method: 'POST', body });
+};
+
+describe('report upload', () => {
+	it('imports new reports, skips duplicates and rejects files that are not reports', async () => {
+		const response = await upload('/api/reports', [
+			['google.xml', googleReport],
+			['microsoft.xml.gz', gzipSync(strToU8(microsoftReport))],
+			['google-again.xml', googleReport],
+			['notes.txt', 'hello'],
+		]);
+
+		expect(response.status).toBe(200);
+		const { files } = await response.json();
+		expect(files.map(({ file, imported, skipped, rejected, records }) => ({ file, imported, skipped, rejected, records }))).toEqual([
+			{ file: 'google.xml', imported: 1, skipped: 0, rejected: 0, records: 2 },
+			{ file: 'microsoft.xml.gz', imported: 1, skipped: 0, rejected: 0, records: 1 },
+			{ file: 'google-again.xml', imported: 0, skipped: 1, rejected: 0, records: 0 },
+			{ file: 'notes.txt', imported: 0, skipped: 0, rejected: 1, records: 0 },
+		]);
+
+		const { count } = await env.DB.prepare("SELECT COUNT(*) AS count FROM dmarc_reports WHERE customer_id = 'acme'").first();
+		expect(count).toBe(3);
+	});
+
+	it('shows a per-file summary on the dashboard', async () => {
+		const response = await upload('/dashboard/upload', [['google.xml', googleReport]]);
+
+		expect(response.status).toBe(200);
+		expect(await response.text()).toContain('<td>google.xml</td>');
+	});
+
+	it('requires a session', async () => {
+		const response = await dashboardFetch('/api/reports', { method: 'POST', body: googleReport, cookie: null });
+
+		expect(response.status).toBe(401);
+	});
+});
@@ -1,11 +1,22 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.toml' },
+export default defineWorkersConfig(async () => {
+	const migrations = await readD1Migrations(path.join(__dirname, 'migrations'));
+
+	return {
+		test: {
+			setupFiles: ['./test/apply-migrations.js'],
+			// Login tests hash and check passwords at the production bcrypt cost, which is slow here
+			testTimeout: 20000,
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.toml' },
+					miniflare: {
+						bindings: { TEST_MIGRATIONS: migrations, JWT_SECRET_KEY: 'test-secret' },
+					},
+				},
 			},
 		},
-	},
+	};
 });